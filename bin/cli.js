@@ -1,12 +1,50 @@
 #!/usr/bin/env node
 
-import { I18nHelper } from '../dist/index.js';
+import {
+  I18nHelper, loadConfig, findConfigFile,
+  LOCALE_FORMATS, hardcodedStringIssues, missingTranslationIssues, stringifySarif, stringifyGithubAnnotations
+} from '../dist/index.js';
+import fs from 'fs';
+import path from 'path';
+import { Console } from 'console';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 
+// Where the CLI's own messages go: stderr when stdout carries --json or --format output
+let logger = console;
+
+/**
+ * An error the CLI reports itself (bad usage, invalid config), with an optional hint
+ */
+class CliError extends Error {
+  constructor(message, hint = null, { showHelp = false } = {}) {
+    super(message);
+    this.hint = hint;
+    this.showHelp = showHelp;
+  }
+}
+
+const SET_MULTIPLE_EXAMPLE = 'Example: npx vibei18n setMultiple page.title \'{"zh-hans":"标题","fr-FR":"Titre"}\'';
+
+// Version of the --json output envelope; bump it when a result shape changes incompatibly
+const JSON_SCHEMA_VERSION = 1;
+
+// Aliases report the command they stand for, so --json consumers see one name
+const COMMAND_ALIASES = { remove: 'delete', move: 'rename' };
+
+// Exit code of each CI gate class, in reporting order; 1 stays the code for usage and runtime errors
+const GATE_EXIT_CODES = { missing: 2, coverage: 3, unused: 4, hardcoded: 5 };
+
+// Hardcoded string severities, lowest first
+const SEVERITIES = ['low', 'medium', 'high'];
+
+// Report formats of the scan commands: the usual output, a SARIF log, or GitHub workflow annotations
+const REPORT_FORMATS = ['text', 'sarif', 'github'];
+const REPORT_COMMANDS = ['hardcode-check', 'missing-translations'];
+
 function showHelp() {
-  console.log(`
+  logger.log(`
 vibei18n - Translation management CLI tool
 
 Usage:
@@ -17,61 +55,256 @@ Commands:
   set <locale> <path> <value>             Set a translation value
   setMultiple <path> <json>               Set translations for multiple locales at once
   getAll <path>                           Get values from all locales
+  delete, remove <path> [options]         Delete a key or subtree from all locales
+  rename, move <old> <new> [dir]          Move a key or subtree in all locales and update $t() calls in dir
   has <locale> <path>                     Check if a translation exists
   missing <path>                          List locales missing a translation
-  stats [--verbose]                       Show translation statistics
-  check [--detailed|-d]                   Comprehensive translation completeness check
+  stats [options]                         Show translation statistics
+  check [options] [dir]                   Comprehensive translation completeness check
   duplicates                              Find duplicate translations across locales
+  sync [options]                          Add missing and remove extra keys so every locale matches the base
+  format [--check]                        Rewrite locale files with the formatting options below
   missing-translations [options] [dir]    Check for missing translations by comparing $t() usage
+  unused [options] [dir]                  List locale keys that no $t() call uses
+  prune [options] [dir]                   Delete unused keys from all locales (dry run unless --apply)
   locales                                 List available locales from directory scan
   hardcode-check [options] [dir]          Check for hardcoded strings in project files
   init [--dir <path>]                     Initialize locales directory structure
+  export [options]                        Export translations (gettext, XLIFF, CSV, Android, iOS, ARB)
+  import <file|dir>... [options]          Import translated or mobile resource files
+  restore [--list] [<timestamp>]          Roll locale files back to a backup snapshot (default: latest)
+
+Options for stats and check (CI gates):
+  --verbose                              stats only: list missing paths
+  --detailed, -d                         check only: list missing keys by section
+  --fail-on-missing                      Fail if any locale is missing keys (exit code 2)
+  --min-coverage <pct|locale=pct,...>    Fail if a locale's coverage is below the minimum, e.g. 95 or
+                                         95,ja=70 (exit code 3)
+  --fail-on-unused                       check only: fail if locale keys are unused by $t() calls in dir
+                                         (default: config sourceDir, or cwd) (exit code 4)
 
 Options for hardcode-check:
+  --format <text|sarif|github>           Print a SARIF 2.1.0 log or GitHub workflow annotations
+                                         instead of the report (logs go to stderr)
+  --update-baseline                      Record the current findings as accepted in the baseline file
+  --baseline <path>                      Baseline file (default: vibei18n.baseline.json); when it
+                                         exists, only findings it doesn't list are reported
+  --no-baseline                          Report every finding, ignoring the baseline file
   --verbose, -v                          Show detailed output
-  --extensions, --ext <ext1,ext2>        File extensions to scan (default: .vue,.jsx)
+  --extensions, --ext <ext1,ext2>        File extensions to scan (default: .vue,.jsx,.svelte,.astro,.html)
+  --attributes <name1,name2>             Attributes and props whose literal values are user-facing
+                                         (default: placeholder,title,alt,label,aria-label,...)
+  --max-hardcoded <n>                    Fail if more than n strings are found (exit code 5)
+  --severity <low|medium|high>           Only count findings of this severity or higher (default: low)
 
 Options for missing-translations:
+  --format <text|sarif|github>           Report each use of a missing key as SARIF or GitHub annotations
   --verbose, -v                          Show detailed output
-  --extensions, --ext <ext1,ext2>        File extensions to scan (default: .vue,.jsx,.tsx)
+  --extensions, --ext <ext1,ext2>        File extensions to scan
+                                         (default: .vue,.js,.jsx,.ts,.tsx,.svelte,.astro,.html)
   --base-locale <locale>                 Base locale to compare against (default: auto-detect)
+  --functions <name1,name2>              Translation functions to look for
+                                         (default: $t,t,$tc,tc,$i18n.t,i18n.t,i18n.global.t,$_)
+
+Options for unused and prune:
+  --verbose, -v                          List every unused key
+  --extensions, --ext <ext1,ext2>        File extensions to scan
+                                         (default: .vue,.js,.jsx,.ts,.tsx,.svelte,.astro,.html)
+  --allow <glob1,glob2>                  Keys built at runtime to keep, e.g. 'errors.*,status.**'
+  --functions <name1,name2>              Translation functions to look for (default: as above)
+  --apply                                prune only: delete the keys instead of previewing
+  --force                                prune only: apply even though some calls build the whole key
+                                         at runtime (e.g. $t(item.label)) and no --allow list is given
+
+Options for sync:
+  --fill <empty|base|todo|omit>          Value for missing keys: '', the base text, '[TODO] ' + base text,
+                                         or leave them out (default: empty)
+  --keep-extra                           Keep keys the base locale doesn't have (default: remove them)
+  --locales <locale1,locale2>            Only sync these locales (default: all)
+  --base-locale <locale>                 Base locale to align with (default: auto-detect)
+  --dry-run                              Show the changes per locale without writing
+
+Options for format:
+  --check                                Only list unformatted files; exit with code 1 if there are any
+  --locales <locale1,locale2>            Only format these locales (default: all)
 
 Options for setMultiple:
   --skip-if-exists                       Skip setting if the key already exists
 
+Options for delete:
+  --locales <locale1,locale2>            Only delete from these locales (default: all)
+  --dry-run                              Show what would be removed in each locale without writing
+
+Options for rename:
+  --extensions, --ext <ext1,ext2>        Source file extensions to update
+                                         (default: .vue,.js,.jsx,.ts,.tsx,.svelte,.astro,.html)
+
+Options for export:
+  --format <format>                      po, xliff, csv, android, ios or arb (default: po)
+  --xliff-version <1.2|2.0>              XLIFF version (default: 1.2)
+  --out, -o <dir>                        Output directory (default: ./i18n/export)
+  --locales <locale1,locale2>            Locales to export (default: all)
+  --key-style <dot|snake|camel>          Resource names for android/ios/arb (default: snake/dot/camel)
+
+Options for import:
+  --include-fuzzy                        Import fuzzy entries too and list them for review (default: skip them)
+  --key-style <dot|snake|camel>          Resource name style used when the mobile files were exported
+
+Options for restore:
+  --list                                 List snapshots with their locales
+  --locales <locale1,locale2>            Only restore these locales
+
 Options for init:
   --dir <path>                           Specify locales directory (default: ./i18n/locales)
 
+Global options:
+  --json                                 Print only the result as JSON on stdout
+                                         ({ schemaVersion, command, result }); logs go to stderr
+  --config <path>                        Config file (default: nearest vibei18n.config.{js,mjs,json})
+  --dir <path>                           Locales directory (default: ./i18n/locales)
+  --layout <auto|flat|namespaced>        Locale files as <locale>.json or <locale>/<namespace>.json (default: auto)
+  --backup                               Snapshot locale files before saving them (in .vibei18n-backups
+                                         next to the config file or in the current directory, 10 snapshots
+                                         are kept)
+  --backup-dir <path>                    Snapshot locale files into this directory before saving them
+  --sort-keys <none|alpha|base>          Key order of written files: as inserted, alphabetical, or the
+                                         base locale's order (default: none)
+  --indent <n|tab>                       Indentation of written files (default: 2)
+  --eol <lf|crlf>                        Line endings of written files (default: lf)
+  --no-final-newline                     Don't end written files with a newline
+
 Examples:
   npx vibei18n get zh-hans compressJpg.hero.title
   npx vibei18n set zh-hans page.title "页面标题"
   npx vibei18n setMultiple page.title '{"zh-hans":"标题","fr-FR":"Titre","es-ES":"Título"}'
   npx vibei18n getAll compressJpg.hero.title
+  npx vibei18n delete page.legacyBanner --dry-run
+  npx vibei18n remove page.legacyBanner --locales fr-FR,es-ES
+  npx vibei18n rename homepage.hero landing.hero ./src
   npx vibei18n missing compressJpg.seo.title
   npx vibei18n stats --verbose
+  npx vibei18n stats --json > stats.json
   npx vibei18n check --detailed
+  npx vibei18n check --fail-on-missing --min-coverage 95,ja=80 --fail-on-unused ./src
+  npx vibei18n hardcode-check ./src --max-hardcoded 0 --severity high
+  npx vibei18n hardcode-check ./src --format sarif > vibei18n.sarif
+  npx vibei18n hardcode-check ./src --update-baseline
+  npx vibei18n missing-translations ./src --format github
   npx vibei18n duplicates
+  npx vibei18n sync --fill todo --dry-run
+  npx vibei18n format --check --sort-keys base --indent 4
   npx vibei18n missing-translations --verbose
   npx vibei18n missing-translations --ext vue,tsx --base-locale zh-hans
+  npx vibei18n unused ./src --allow 'errors.*,status.**'
+  npx vibei18n prune ./src --allow 'errors.*' --apply
   npx vibei18n hardcode-check --verbose
   npx vibei18n hardcode-check --ext vue,tsx,jsx
   npx vibei18n hardcode-check --extensions .vue,.ts --verbose
   npx vibei18n init --dir ./locales
+  npx vibei18n export --format po --out ./translations
+  npx vibei18n import ./translations/fr-FR.po ./translations/de.po
+  npx vibei18n export --format xliff --xliff-version 2.0 --out ./xliff
+  npx vibei18n export --format csv && npx vibei18n import ./i18n/export/translations.csv
+  npx vibei18n export --format android --out ./app/src/main/res
+  npx vibei18n get en common.buttons.save --dir ./public/locales --layout namespaced
+  npx vibei18n import ./translations --backup && npx vibei18n restore --list
+  npx vibei18n restore 2024-05-01T09-30-00-000Z --locales fr-FR
   `);
 }
 
-async function createInitialStructure(localesDir) {
+/**
+ * Parse a --min-coverage value: a percentage for every locale and/or <locale>=<percentage> pairs
+ * (e.g. '95', 'fr-FR=90,de=80' or '95,ja=70')
+ * @returns {{all: number|null, locales: Object}|null} The thresholds, or null if a value is not a percentage
+ */
+function parseCoverageThresholds(value) {
+  const thresholds = { all: null, locales: {} };
+  for (const part of value.split(',').map(item => item.trim()).filter(Boolean)) {
+    const [locale, percentage] = part.includes('=') ? part.split('=').map(item => item.trim()) : [null, part];
+    const number = Number(percentage);
+    if (!percentage || !Number.isFinite(number) || number < 0 || number > 100) {
+      return null;
+    }
+    if (locale) {
+      thresholds.locales[locale] = number;
+    } else {
+      thresholds.all = number;
+    }
+  }
+  return thresholds;
+}
+
+/**
+ * Add the missing-key and coverage gates for per-locale {total, complete} statistics
+ */
+function checkLocaleGates(localeStats, { failOnMissing, minCoverage }, gates) {
+  const entries = Object.entries(localeStats);
+
+  if (failOnMissing) {
+    const incomplete = entries.filter(([, stat]) => stat.complete < stat.total);
+    const missingCount = incomplete.reduce((sum, [, stat]) => sum + stat.total - stat.complete, 0);
+    gates.push({
+      gate: 'missing',
+      passed: incomplete.length === 0,
+      detail: incomplete.length === 0
+        ? 'no missing keys'
+        : `${missingCount} key${missingCount === 1 ? '' : 's'} missing in ${incomplete.map(([locale]) => locale).join(', ')}`
+    });
+  }
+
+  if (minCoverage) {
+    const below = [];
+    let lowest = 100;
+    for (const [locale, stat] of entries) {
+      const coverage = stat.total === 0 ? 100 : stat.complete / stat.total * 100;
+      const minimum = minCoverage.locales[locale] ?? minCoverage.all;
+      lowest = Math.min(lowest, coverage);
+      if (minimum !== null && coverage < minimum) {
+        below.push(`${locale} ${coverage.toFixed(1)}% < ${minimum}%`);
+      }
+    }
+    gates.push({
+      gate: 'coverage',
+      passed: below.length === 0,
+      detail: below.length === 0 ? `lowest ${lowest.toFixed(1)}%` : below.join(', ')
+    });
+  }
+}
+
+/**
+ * Print the one-line CI summary of the evaluated gates
+ */
+function printGateSummary(command, gates) {
+  const failed = gates.some(item => !item.passed);
+  const details = gates.map(item => `${item.gate} ${item.passed ? 'ok' : 'FAILED'} (${item.detail})`).join('; ');
+  logger.log(`\n${failed ? '❌' : '✅'} vibei18n ${command} ${failed ? 'failed' : 'passed'}: ${details}`);
+}
+
+/**
+ * Exit code for the first failed gate class, or 0 if every gate passed
+ */
+function gateExitCode(gates) {
+  const failed = Object.keys(GATE_EXIT_CODES).find(name => gates.some(item => item.gate === name && !item.passed));
+  return failed ? GATE_EXIT_CODES[failed] : 0;
+}
+
+async function createInitialStructure(localesDir, formatName = 'json') {
   const fs = await import('fs');
   const path = await import('path');
 
+  const created = [];
+
   // Create locales directory if it doesn't exist
   if (!fs.existsSync(localesDir)) {
     fs.mkdirSync(localesDir, { recursive: true });
-    console.log(`✅ Created locales directory: ${localesDir}`);
+    created.push(localesDir);
+    logger.log(`✅ Created locales directory: ${localesDir}`);
   }
 
-  // Create initial en.json if it doesn't exist
-  const enPath = path.join(localesDir, 'en.json');
+  // Create the initial base locale, in the config's format, if it doesn't exist
+  const format = LOCALE_FORMATS.find(candidate => candidate.name === formatName);
+  const enName = `en${format.extensions[0]}`;
+  const enPath = path.join(localesDir, enName);
   if (!fs.existsSync(enPath)) {
     const initialContent = {
       "common": {
@@ -86,16 +319,19 @@ async function createInitialStructure(localesDir) {
       }
     };
 
-    fs.writeFileSync(enPath, JSON.stringify(initialContent, null, 2), 'utf8');
-    console.log(`✅ Created initial en.json file`);
+    fs.writeFileSync(enPath, format.stringify(initialContent, { indent: 2 }), 'utf8');
+    created.push(enPath);
+    logger.log(`✅ Created initial ${enName} file`);
   }
 
-  console.log(`\n🎉 Locales structure initialized!`);
-  console.log(`📁 Directory: ${localesDir}`);
-  console.log(`\n💡 Next steps:`);
-  console.log(`   1. Add more locale files (e.g., zh-hans.json, fr-FR.json)`);
-  console.log(`   2. Use 'npx vibei18n check' to verify completeness`);
-  console.log(`   3. Use 'npx vibei18n hardcode-check' to find hardcoded strings`);
+  logger.log(`\n🎉 Locales structure initialized!`);
+  logger.log(`📁 Directory: ${localesDir}`);
+  logger.log(`\n💡 Next steps:`);
+  logger.log(`   1. Add more locale files (e.g., zh-hans${format.extensions[0]}, fr-FR${format.extensions[0]})`);
+  logger.log(`   2. Use 'npx vibei18n check' to verify completeness`);
+  logger.log(`   3. Use 'npx vibei18n hardcode-check' to find hardcoded strings`);
+
+  return { localesDir, created };
 }
 
 async function main() {
@@ -108,6 +344,68 @@ async function main() {
 
   const [command, ...rest] = args;
 
+  // Handle --json: stdout carries only the result envelope
+  const json = rest.includes('--json');
+  if (json) {
+    rest.splice(rest.indexOf('--json'), 1);
+  }
+
+  try {
+    await run(command, rest, json);
+  } catch (error) {
+    if (!(error instanceof CliError)) throw error;
+
+    logger.error(`❌ ${error.message}`);
+    if (error.hint) {
+      logger.error(`💡 ${error.hint}`);
+    }
+    if (json) {
+      printJson(command, null, { error: { message: error.message } });
+    } else if (error.showHelp) {
+      showHelp();
+    }
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Run a command. Usage and setup errors are thrown as CliError, so main() can
+ * report them in the --json envelope too.
+ */
+async function run(command, rest, json) {
+  // Handle --format sarif|github of the scan commands (export has its own --format)
+  let reportFormat = 'text';
+  const reportFormatIndex = REPORT_COMMANDS.includes(command) ? rest.findIndex(arg => arg === '--format') : -1;
+  if (reportFormatIndex !== -1 && reportFormatIndex + 1 < rest.length) {
+    reportFormat = rest[reportFormatIndex + 1];
+    rest.splice(reportFormatIndex, 2);
+  }
+  if (!REPORT_FORMATS.includes(reportFormat)) {
+    throw new CliError(`Unknown report format: ${reportFormat} (expected ${REPORT_FORMATS.join(', ')})`);
+  }
+  if (json && reportFormat !== 'text') {
+    throw new CliError(`--json and --format ${reportFormat} can't be combined`);
+  }
+
+  // Machine-readable output owns stdout, so every log line goes to stderr
+  if (json || reportFormat !== 'text') {
+    logger = new Console({ stdout: process.stderr, stderr: process.stderr });
+  }
+
+  // Load vibei18n.config.{js,mjs,json}: --config <path>, or the nearest one above the current directory
+  let configPath = null;
+  const configIndex = rest.findIndex(arg => arg === '--config');
+  if (configIndex !== -1 && configIndex + 1 < rest.length) {
+    configPath = rest[configIndex + 1];
+    rest.splice(configIndex, 2);
+  }
+  let config = null;
+  try {
+    config = await loadConfig(configPath || findConfigFile());
+  } catch (error) {
+    throw new CliError(`Invalid config: ${error.message}`);
+  }
+
   // Handle --dir option for custom locales directory
   let localesDir = null;
   const dirIndex = rest.findIndex(arg => arg === '--dir');
@@ -117,31 +415,101 @@ async function main() {
     rest.splice(dirIndex, 2);
   }
 
+  // Handle --layout option for flat (<locale>.json) or namespaced (<locale>/<ns>.json) directories
+  let layout; // default: config, or auto
+  const layoutIndex = rest.findIndex(arg => arg === '--layout');
+  if (layoutIndex !== -1 && layoutIndex + 1 < rest.length) {
+    layout = rest[layoutIndex + 1];
+    rest.splice(layoutIndex, 2);
+  }
+  if (layout !== undefined && !['auto', 'flat', 'namespaced'].includes(layout)) {
+    throw new CliError(`Unknown layout: ${layout} (expected auto, flat or namespaced)`);
+  }
+
+  // Handle --backup / --backup-dir: snapshot locale files before every save
+  let backupDir = rest.includes('--backup') ? true : undefined;
+  const backupDirIndex = rest.findIndex(arg => arg === '--backup-dir');
+  if (backupDirIndex !== -1 && backupDirIndex + 1 < rest.length) {
+    backupDir = rest[backupDirIndex + 1];
+    rest.splice(backupDirIndex, 2);
+  }
+  if (rest.includes('--backup')) {
+    rest.splice(rest.indexOf('--backup'), 1);
+  }
+  if (command === 'restore' && backupDir === undefined && !(config && config.backup)) {
+    backupDir = true;
+  }
+
+  // Handle formatting options, used by every command that writes locale files
+  const formatting = {};
+  for (const [flag, key] of [['--sort-keys', 'sortKeys'], ['--indent', 'indent'], ['--eol', 'eol']]) {
+    const flagIndex = rest.findIndex(arg => arg === flag);
+    if (flagIndex !== -1 && flagIndex + 1 < rest.length) {
+      formatting[key] = rest[flagIndex + 1];
+      rest.splice(flagIndex, 2);
+    }
+  }
+  if (rest.includes('--no-final-newline')) {
+    formatting.finalNewline = false;
+    rest.splice(rest.indexOf('--no-final-newline'), 1);
+  }
+
   // Initialize helper
-  const helper = new I18nHelper(localesDir);
+  let helper;
+  try {
+    helper = new I18nHelper(localesDir, { layout, backupDir, formatting, config, logger });
+  } catch (error) {
+    throw new CliError(error.message);
+  }
+
+  // The command's result, printed by --json, and the exit code once it is printed
+  let result = null;
+  let exitCode = 0;
+
+  // Additional top-level fields of the --json output
+  const jsonExtras = {};
+
+  // CI gates evaluated by the command ({gate, passed, detail}); failures set their class's exit code
+  const gates = [];
+  const failOnMissing = rest.includes('--fail-on-missing');
+  let minCoverage = null;
+  const coverageIndex = rest.findIndex(arg => arg === '--min-coverage');
+  if (coverageIndex !== -1 && coverageIndex + 1 < rest.length) {
+    minCoverage = parseCoverageThresholds(rest[coverageIndex + 1]);
+    if (!minCoverage) {
+      throw new CliError(`Invalid --min-coverage: ${rest[coverageIndex + 1]} (expected a percentage or <locale>=<percentage> pairs)`);
+    }
+    rest.splice(coverageIndex, 2);
+  }
+  if ((failOnMissing || minCoverage) && !['stats', 'check'].includes(command)) {
+    throw new CliError(`--fail-on-missing and --min-coverage only apply to stats and check, not ${command}`);
+  }
+  if (rest.includes('--fail-on-unused') && command !== 'check') {
+    throw new CliError(`--fail-on-unused only applies to check, not ${command}`);
+  }
 
   try {
     switch (command) {
       case 'init': {
-        const targetDir = localesDir || './i18n/locales';
-        await createInitialStructure(targetDir);
+        const targetDir = localesDir || (config && config.localesDir) || './i18n/locales';
+        result = await createInitialStructure(targetDir, (config && config.format) || 'json');
         break;
       }
 
       case 'get': {
         if (rest.length < 2) {
-          console.error('Usage: npx vibei18n get <locale> <path>');
-          process.exit(1);
+          throw new CliError('Usage: npx vibei18n get <locale> <path>');
+        }
+        result = helper.get(rest[0], rest[1]);
+        if (!json) {
+          logger.log(result !== null ? JSON.stringify(result, null, 2) : 'Not found');
         }
-        const getValue = helper.get(rest[0], rest[1]);
-        console.log(getValue !== null ? JSON.stringify(getValue, null, 2) : 'Not found');
         break;
       }
 
       case 'set': {
         if (rest.length < 3) {
-          console.error('Usage: npx vibei18n set <locale> <path> <value>');
-          process.exit(1);
+          throw new CliError('Usage: npx vibei18n set <locale> <path> <value>');
         }
         let setValue;
         try {
@@ -149,111 +517,172 @@ async function main() {
         } catch {
           setValue = rest[2];
         }
-        helper.set(rest[0], rest[1], setValue);
+        result = helper.set(rest[0], rest[1], setValue);
+        if (!result) {
+          exitCode = 1;
+        }
         break;
       }
 
       case 'setMultiple': {
         if (rest.length < 2) {
-          console.error('Usage: npx vibei18n setMultiple <path> <json>');
-          console.error('Example: npx vibei18n setMultiple page.title \'{"zh-hans":"标题","fr-FR":"Titre"}\'');
-          process.exit(1);
+          throw new CliError('Usage: npx vibei18n setMultiple <path> <json>', SET_MULTIPLE_EXAMPLE);
         }
 
         let translations;
         try {
           translations = JSON.parse(rest[1]);
         } catch (error) {
-          console.error(`❌ Invalid JSON format: ${error.message}`);
-          console.error('Example: npx vibei18n setMultiple page.title \'{"zh-hans":"标题","fr-FR":"Titre"}\'');
-          process.exit(1);
+          throw new CliError(`Invalid JSON format: ${error.message}`, SET_MULTIPLE_EXAMPLE);
         }
 
         if (typeof translations !== 'object' || Array.isArray(translations)) {
-          console.error('❌ Translations must be a JSON object with locale codes as keys');
-          console.error('Example: npx vibei18n setMultiple page.title \'{"zh-hans":"标题","fr-FR":"Titre"}\'');
-          process.exit(1);
+          throw new CliError('Translations must be a JSON object with locale codes as keys', SET_MULTIPLE_EXAMPLE);
         }
 
         const skipIfExists = rest.includes('--skip-if-exists');
-        const results = helper.setMultiple(translations, rest[0], skipIfExists);
-
-        console.log(`\n📝 Setting translations for "${rest[0]}":`);
-        let successCount = 0;
-        let failCount = 0;
-
-        for (const [locale, success] of Object.entries(results)) {
-          if (success) {
-            console.log(`   ✅ ${locale}: "${translations[locale]}"`);
-            successCount++;
-          } else {
-            console.log(`   ❌ ${locale}: Failed`);
-            failCount++;
+        result = helper.setMultiple(translations, rest[0], skipIfExists);
+
+        const failCount = Object.values(result).filter(success => !success).length;
+        if (!json) {
+          logger.log(`\n📝 Setting translations for "${rest[0]}":`);
+          for (const [locale, success] of Object.entries(result)) {
+            if (success) {
+              logger.log(`   ✅ ${locale}: "${translations[locale]}"`);
+            } else {
+              logger.log(`   ❌ ${locale}: Failed`);
+            }
           }
+          logger.log(`\n📊 Results: ${Object.keys(result).length - failCount} successful, ${failCount} failed`);
         }
 
-        console.log(`\n📊 Results: ${successCount} successful, ${failCount} failed`);
-
         if (failCount > 0) {
-          process.exit(1);
+          exitCode = 1;
+        }
+        break;
+      }
+
+      case 'delete':
+      case 'remove': {
+        let locales;
+        const localesIndex = rest.findIndex(arg => arg === '--locales');
+        if (localesIndex !== -1 && localesIndex + 1 < rest.length) {
+          locales = rest[localesIndex + 1].split(',').map(locale => locale.trim()).filter(Boolean);
+        }
+
+        const [keyPath] = rest.filter((arg, index) =>
+          !arg.startsWith('--') &&
+          !(localesIndex !== -1 && index === localesIndex + 1) // exclude locales value
+        );
+        if (!keyPath) {
+          throw new CliError('Usage: npx vibei18n delete <path> [--locales <locale1,locale2>] [--dry-run]');
+        }
+
+        const dryRun = rest.includes('--dry-run');
+        result = helper.delete(keyPath, locales, { dryRun });
+        const removedCount = Object.values(result).filter(localeResult => localeResult.removed).length;
+
+        if (removedCount === 0) {
+          logger.error(`❌ "${keyPath}" was not found in any locale`);
+          exitCode = 1;
+          break;
+        }
+        logger.log(`\n📊 ${dryRun ? 'Would remove' : 'Removed'} "${keyPath}" from ${removedCount} of ${Object.keys(result).length} locales`);
+        break;
+      }
+
+      case 'rename':
+      case 'move': {
+        // Parse extensions parameter
+        let extensions; // default: config, or .vue,.js,.jsx,.ts,.tsx,.svelte,.astro,.html
+        const extIndex = rest.findIndex(arg => arg === '--extensions' || arg === '--ext');
+        if (extIndex !== -1 && extIndex + 1 < rest.length) {
+          extensions = rest[extIndex + 1].split(',').map(ext => ext.trim().startsWith('.') ? ext.trim() : '.' + ext.trim());
+        }
+
+        // Parse translation function names
+        let functions; // default: config, or $t, t, i18n.t, ...
+        const functionsIndex = rest.findIndex(arg => arg === '--functions');
+        if (functionsIndex !== -1 && functionsIndex + 1 < rest.length) {
+          functions = rest[functionsIndex + 1].split(',').map(name => name.trim()).filter(Boolean);
+        }
+
+        const nonFlagArgs = rest.filter((arg, index) =>
+          !arg.startsWith('--') &&
+          !(extIndex !== -1 && index === extIndex + 1) && // exclude extension value
+          !(functionsIndex !== -1 && index === functionsIndex + 1) // exclude functions value
+        );
+        if (nonFlagArgs.length < 2) {
+          throw new CliError('Usage: npx vibei18n rename <oldPath> <newPath> [dir] [--ext <ext1,ext2>] [--functions <name1,name2>]');
+        }
+
+        const [oldPath, newPath, projectDir] = nonFlagArgs; // default directory: config sourceDir, or cwd
+        checkScanDir(projectDir || helper.config.sourceDir);
+        result = helper.rename(oldPath, newPath, { projectDir, extensions, functions });
+        if (!result) {
+          exitCode = 1;
         }
         break;
       }
 
       case 'getAll': {
         if (rest.length < 1) {
-          console.error('Usage: npx vibei18n getAll <path>');
-          process.exit(1);
+          throw new CliError('Usage: npx vibei18n getAll <path>');
+        }
+        result = helper.getAll(rest[0]);
+        if (!json) {
+          logger.log(JSON.stringify(result, null, 2));
         }
-        const allValues = helper.getAll(rest[0]);
-        console.log(JSON.stringify(allValues, null, 2));
         break;
       }
 
       case 'has': {
         if (rest.length < 2) {
-          console.error('Usage: npx vibei18n has <locale> <path>');
-          process.exit(1);
+          throw new CliError('Usage: npx vibei18n has <locale> <path>');
+        }
+        result = helper.has(rest[0], rest[1]);
+        if (!json) {
+          // Convert boolean to string to avoid ANSI color codes
+          process.stdout.write(result ? 'true' : 'false');
+          process.stdout.write('\n');
         }
-        // Convert boolean to string to avoid ANSI color codes
-        const result = helper.has(rest[0], rest[1]);
-        process.stdout.write(result ? 'true' : 'false');
-        process.stdout.write('\n');
         break;
       }
 
       case 'missing': {
         if (rest.length < 1) {
-          console.error('Usage: npx vibei18n missing <path>');
-          process.exit(1);
+          throw new CliError('Usage: npx vibei18n missing <path>');
         }
-        const missing = helper.getMissing(rest[0]);
-        if (missing.length > 0) {
-          console.log('Missing in:', missing.join(', '));
+        result = helper.getMissing(rest[0]);
+        if (result.length > 0) {
+          logger.log('Missing in:', result.join(', '));
         } else {
-          console.log('All locales have this translation');
+          logger.log('All locales have this translation');
         }
         break;
       }
 
       case 'stats': {
-        const stats = helper.getStats();
-        if (!stats) {
-          console.error('No base locale (en) found');
-          process.exit(1);
-        }
-        console.log('Translation Statistics:');
-        console.log('='.repeat(50));
-        for (const [locale, stat] of Object.entries(stats)) {
-          console.log(`\n${locale}:`);
-          console.log(`  Complete: ${stat.complete}/${stat.total} (${stat.percentage})`);
+        result = helper.getStats();
+        if (!result) {
+          logger.error('No base locale (en) found');
+          exitCode = 1;
+          break;
+        }
+        checkLocaleGates(result, { failOnMissing, minCoverage }, gates);
+        if (json) break;
+        logger.log('Translation Statistics:');
+        logger.log('='.repeat(50));
+        for (const [locale, stat] of Object.entries(result)) {
+          logger.log(`\n${locale}:`);
+          logger.log(`  Complete: ${stat.complete}/${stat.total} (${stat.percentage})`);
           if (stat.missing > 0) {
-            console.log(`  Missing: ${stat.missing} keys`);
-            if (rest[0] === '--verbose') {
-              console.log(`  Missing paths:`);
-              stat.missingPaths.slice(0, 10).forEach(p => console.log(`    - ${p}`));
+            logger.log(`  Missing: ${stat.missing} keys`);
+            if (rest.includes('--verbose')) {
+              logger.log(`  Missing paths:`);
+              stat.missingPaths.slice(0, 10).forEach(p => logger.log(`    - ${p}`));
               if (stat.missingPaths.length > 10) {
-                console.log(`    ... and ${stat.missingPaths.length - 10} more`);
+                logger.log(`    ... and ${stat.missingPaths.length - 10} more`);
               }
             }
           }
@@ -264,100 +693,313 @@ async function main() {
       case 'check': {
         // Check if no translation files exist
         if (helper.getLocales().length === 0) {
-          console.error('No locale files found');
-          console.log('💡 Run "npx vibei18n init" to create initial structure');
-          process.exit(1);
+          throw new CliError('No locale files found', 'Run "npx vibei18n init" to create initial structure');
         }
 
         const detectedBaseLocale = helper.detectBaseLocale();
         if (!detectedBaseLocale) {
-          console.error('No base locale found');
-          console.log('💡 Run "npx vibei18n init" to create initial structure');
-          process.exit(1);
+          throw new CliError('No base locale found', 'Run "npx vibei18n init" to create initial structure');
         }
 
         const detailed = rest.includes('--detailed') || rest.includes('-d');
-        helper.checkTranslations(detailed);
+        result = helper.checkTranslations(detailed);
+        if (!result) {
+          exitCode = 1;
+          break;
+        }
+        checkLocaleGates(result.locales, { failOnMissing, minCoverage }, gates);
+
+        if (rest.includes('--fail-on-unused')) {
+          const projectDir = rest.find(arg => !arg.startsWith('-')); // default: config sourceDir, or cwd
+          checkScanDir(projectDir || helper.config.sourceDir);
+          const unused = helper.findUnusedKeys(projectDir);
+          result.unused = unused;
+          gates.push({
+            gate: 'unused',
+            passed: unused.unusedKeys.length === 0,
+            detail: `${unused.unusedKeys.length} unused key${unused.unusedKeys.length === 1 ? '' : 's'}`
+          });
+        }
+        break;
+      }
+
+      case 'sync': {
+        let fill; // default: config, or empty
+        const fillIndex = rest.findIndex(arg => arg === '--fill');
+        if (fillIndex !== -1 && fillIndex + 1 < rest.length) {
+          fill = rest[fillIndex + 1];
+        }
+
+        let locales;
+        const localesIndex = rest.findIndex(arg => arg === '--locales');
+        if (localesIndex !== -1 && localesIndex + 1 < rest.length) {
+          locales = rest[localesIndex + 1].split(',').map(locale => locale.trim()).filter(Boolean);
+        }
+
+        let baseLocale; // default: config, or auto-detected
+        const localeIndex = rest.findIndex(arg => arg === '--base-locale');
+        if (localeIndex !== -1 && localeIndex + 1 < rest.length) {
+          baseLocale = rest[localeIndex + 1];
+        }
+
+        result = helper.sync({
+          fill,
+          locales,
+          baseLocale,
+          removeExtra: rest.includes('--keep-extra') ? false : undefined,
+          dryRun: rest.includes('--dry-run') || undefined
+        });
+        if (!result) {
+          exitCode = 1;
+        }
+        break;
+      }
+
+      case 'format': {
+        let locales;
+        const localesIndex = rest.findIndex(arg => arg === '--locales');
+        if (localesIndex !== -1 && localesIndex + 1 < rest.length) {
+          locales = rest[localesIndex + 1].split(',').map(locale => locale.trim()).filter(Boolean);
+        }
+
+        const check = rest.includes('--check');
+        result = helper.format({ check, locales });
+        if (result.errors.length > 0 || (check && result.unformatted.length > 0)) {
+          exitCode = 1;
+        }
         break;
       }
 
       case 'duplicates': {
-        helper.findDuplicates();
+        result = helper.findDuplicates();
         break;
       }
 
       case 'locales': {
-        console.log(`Available locales (scanned from ${helper.getLocalesDir()}):`);
-        const locales = helper.getLocales();
-        if (locales.length > 0) {
-          locales.forEach(locale => console.log(`  - ${locale}`));
-          console.log(`\nTotal: ${locales.length} locales found`);
+        result = helper.getLocales();
+        if (json) break;
+        logger.log(`Available locales (scanned from ${helper.getLocalesDir()}):`);
+        if (result.length > 0) {
+          result.forEach(locale => logger.log(`  - ${locale}`));
+          logger.log(`\nTotal: ${result.length} locales found`);
         } else {
-          console.log('  No locale files found');
+          logger.log('  No locale files found');
         }
         break;
       }
 
       case 'missing-translations': {
-        const verbose = rest.includes('--verbose') || rest.includes('-v');
+        const verbose = rest.includes('--verbose') || rest.includes('-v') || undefined;
 
         // Parse extensions parameter
-        let extensions = ['.vue', '.jsx', '.tsx']; // default
+        let extensions; // default: config, or .vue,.js,.jsx,.ts,.tsx,.svelte,.astro,.html
         const extIndex = rest.findIndex(arg => arg === '--extensions' || arg === '--ext');
         if (extIndex !== -1 && extIndex + 1 < rest.length) {
           extensions = rest[extIndex + 1].split(',').map(ext => ext.trim().startsWith('.') ? ext.trim() : '.' + ext.trim());
         }
 
         // Parse base locale parameter
-        let baseLocale = null; // will be auto-detected
+        let baseLocale; // default: config, or auto-detected
         const localeIndex = rest.findIndex(arg => arg === '--base-locale');
         if (localeIndex !== -1 && localeIndex + 1 < rest.length) {
           baseLocale = rest[localeIndex + 1];
         }
 
+        // Parse translation function names
+        let functions; // default: config, or $t, t, i18n.t, ...
+        const functionsIndex = rest.findIndex(arg => arg === '--functions');
+        if (functionsIndex !== -1 && functionsIndex + 1 < rest.length) {
+          functions = rest[functionsIndex + 1].split(',').map(name => name.trim()).filter(Boolean);
+        }
+
         // Find project directory
         const nonFlagArgs = rest.filter((arg, index) =>
           !arg.startsWith('--') &&
           !(extIndex !== -1 && index === extIndex + 1) && // exclude extension value
-          !(localeIndex !== -1 && index === localeIndex + 1) // exclude base-locale value
+          !(localeIndex !== -1 && index === localeIndex + 1) && // exclude base-locale value
+          !(functionsIndex !== -1 && index === functionsIndex + 1) // exclude functions value
         );
-        const projectDir = nonFlagArgs[0] || process.cwd();
+        const projectDir = nonFlagArgs[0]; // default: config sourceDir, or cwd
 
-        const results = helper.checkMissingTranslations(projectDir, {
+        checkScanDir(projectDir || helper.config.sourceDir, reportFormat);
+        result = helper.checkMissingTranslations(projectDir, {
           extensions,
           baseLocale,
+          functions,
           verbose
         });
 
-        if (results && results.missingKeys > 0) {
-          process.exit(1); // Exit with error code if there are missing translations
+        if (!result) {
+          // The base locale could not be read, so nothing was checked
+          if (reportFormat !== 'text') {
+            printReport(reportFormat, [], ['Translation keys could not be checked: the base locale was not found']);
+          }
+          exitCode = 1;
+          break;
+        }
+
+        if (reportFormat !== 'text') {
+          const issues = missingTranslationIssues(result.missingUsages, {
+            baseDir: projectDir || helper.config.sourceDir,
+            baseLocale: result.baseLocale
+          });
+          printReport(reportFormat, issues);
+        }
+
+        if (result.missingKeys > 0 || result.missingPatterns.length > 0) {
+          exitCode = 1; // Exit with error code if there are missing translations
+        }
+        break;
+      }
+
+      case 'unused':
+      case 'prune': {
+        const verbose = rest.includes('--verbose') || rest.includes('-v') || undefined;
+
+        // Parse extensions parameter
+        let extensions; // default: config, or .vue,.js,.jsx,.ts,.tsx,.svelte,.astro,.html
+        const extIndex = rest.findIndex(arg => arg === '--extensions' || arg === '--ext');
+        if (extIndex !== -1 && extIndex + 1 < rest.length) {
+          extensions = rest[extIndex + 1].split(',').map(ext => ext.trim().startsWith('.') ? ext.trim() : '.' + ext.trim());
+        }
+
+        // Parse allow-list of key globs (keys built at runtime)
+        let allow; // default: config, or none
+        const allowIndex = rest.findIndex(arg => arg === '--allow');
+        if (allowIndex !== -1 && allowIndex + 1 < rest.length) {
+          allow = rest[allowIndex + 1].split(',').map(pattern => pattern.trim()).filter(Boolean);
+        }
+
+        // Parse translation function names
+        let functions; // default: config, or $t, t, i18n.t, ...
+        const functionsIndex = rest.findIndex(arg => arg === '--functions');
+        if (functionsIndex !== -1 && functionsIndex + 1 < rest.length) {
+          functions = rest[functionsIndex + 1].split(',').map(name => name.trim()).filter(Boolean);
+        }
+
+        // Find project directory
+        const nonFlagArgs = rest.filter((arg, index) =>
+          !arg.startsWith('-') &&
+          !(extIndex !== -1 && index === extIndex + 1) && // exclude extension value
+          !(allowIndex !== -1 && index === allowIndex + 1) && // exclude allow value
+          !(functionsIndex !== -1 && index === functionsIndex + 1) // exclude functions value
+        );
+        const projectDir = nonFlagArgs[0]; // default: config sourceDir, or cwd
+        checkScanDir(projectDir || helper.config.sourceDir);
+
+        if (command === 'prune') {
+          const force = rest.includes('--force') || undefined;
+          result = helper.prune(projectDir, { extensions, allow, functions, verbose, apply: rest.includes('--apply') || undefined, force });
+          if (!result) {
+            exitCode = 1;
+          }
+        } else {
+          result = helper.findUnusedKeys(projectDir, { extensions, allow, functions, verbose });
+          if (result.unusedKeys.length > 0) {
+            exitCode = GATE_EXIT_CODES.unused; // Exit with error code if there are unused keys
+          }
         }
         break;
       }
 
       case 'hardcode-check': {
-        const verbose = rest.includes('--verbose') || rest.includes('-v');
+        const verbose = rest.includes('--verbose') || rest.includes('-v') || undefined;
 
         // Parse extensions parameter first
-        let extensions = ['.vue', '.jsx']; // default
+        let extensions; // default: config, or .vue,.jsx,.svelte,.astro,.html
         const extIndex = rest.findIndex(arg => arg === '--extensions' || arg === '--ext');
         if (extIndex !== -1 && extIndex + 1 < rest.length) {
           extensions = rest[extIndex + 1].split(',').map(ext => ext.trim().startsWith('.') ? ext.trim() : '.' + ext.trim());
         }
 
+        // Parse the CI gate: fail on more than --max-hardcoded findings of --severity or higher
+        let maxHardcoded = null;
+        const maxIndex = rest.findIndex(arg => arg === '--max-hardcoded');
+        if (maxIndex !== -1 && maxIndex + 1 < rest.length) {
+          maxHardcoded = Number(rest[maxIndex + 1]);
+          if (!Number.isInteger(maxHardcoded) || maxHardcoded < 0) {
+            throw new CliError(`Invalid --max-hardcoded: ${rest[maxIndex + 1]} (expected a whole number)`);
+          }
+        }
+
+        let severity = 'low';
+        const severityIndex = rest.findIndex(arg => arg === '--severity');
+        if (severityIndex !== -1 && severityIndex + 1 < rest.length) {
+          severity = rest[severityIndex + 1];
+          if (!SEVERITIES.includes(severity)) {
+            throw new CliError(`Unknown severity: ${severity} (expected ${SEVERITIES.join(', ')})`);
+          }
+        }
+
+        // Translatable attributes whose literal values are checked (default: config, or placeholder, title, alt, ...)
+        let attributes;
+        const attributesIndex = rest.findIndex(arg => arg === '--attributes');
+        if (attributesIndex !== -1 && attributesIndex + 1 < rest.length) {
+          attributes = rest[attributesIndex + 1].split(',').map(name => name.trim()).filter(Boolean);
+        }
+
+        // Baseline of accepted findings: --baseline <path> (default: config, or vibei18n.baseline.json)
+        let baseline;
+        const baselineIndex = rest.findIndex(arg => arg === '--baseline');
+        if (baselineIndex !== -1 && baselineIndex + 1 < rest.length) {
+          baseline = rest[baselineIndex + 1];
+        }
+
         // Find project directory (must be after removing extension args)
         const nonFlagArgs = rest.filter((arg, index) =>
           !arg.startsWith('--') &&
-          !(extIndex !== -1 && index === extIndex + 1) // exclude extension value
+          !(extIndex !== -1 && index === extIndex + 1) && // exclude extension value
+          !(maxIndex !== -1 && index === maxIndex + 1) && // exclude max-hardcoded value
+          !(severityIndex !== -1 && index === severityIndex + 1) && // exclude severity value
+          !(attributesIndex !== -1 && index === attributesIndex + 1) && // exclude attributes value
+          !(baselineIndex !== -1 && index === baselineIndex + 1) // exclude baseline value
         );
-        const projectDir = nonFlagArgs[0] || process.cwd();
+        const projectDir = nonFlagArgs[0]; // default: config sourceDir, or cwd
+        checkScanDir(projectDir || helper.config.sourceDir, reportFormat);
 
-        const findings = helper.checkHardcodedStrings(projectDir, { verbose, extensions });
+        if (rest.includes('--update-baseline')) {
+          result = helper.updateHardcodedBaseline(projectDir, { verbose, extensions, attributes, baseline });
+          break;
+        }
 
-        if (findings.length === 0) {
-          console.log('✅ No hardcoded strings found!');
+        let findings;
+        if (rest.includes('--no-baseline')) {
+          findings = helper.checkHardcodedStrings(projectDir, { verbose, extensions, attributes });
         } else {
-          console.log(`\n📊 Found ${findings.length} potential hardcoded strings:\n`);
+          const compared = helper.compareHardcodedBaseline(projectDir, { verbose, extensions, attributes, baseline });
+          if (!compared) {
+            if (reportFormat !== 'text') {
+              printReport(reportFormat, [], ['Hardcoded strings could not be checked: the baseline file is invalid']);
+            }
+            exitCode = 1;
+            break;
+          }
+          findings = compared.findings;
+          jsonExtras.suppressed = compared.suppressed;
+          if (compared.baselinePath) {
+            jsonExtras.baseline = { file: compared.baselinePath, baselined: compared.baselined, fixed: compared.fixed };
+          }
+        }
+        result = findings;
+        if (reportFormat !== 'text') {
+          printReport(reportFormat, hardcodedStringIssues(findings, { baseDir: projectDir || helper.config.sourceDir }));
+        }
+
+        if (maxHardcoded !== null) {
+          const counted = findings.filter(finding => SEVERITIES.indexOf(finding.severity) >= SEVERITIES.indexOf(severity));
+          gates.push({
+            gate: 'hardcoded',
+            passed: counted.length <= maxHardcoded,
+            detail: `${counted.length} ${severity === 'low' ? '' : `${severity}+ `}string${counted.length === 1 ? '' : 's'}, max ${maxHardcoded}`
+          });
+        }
+
+        if (json || reportFormat !== 'text') {
+          break;
+        } else if (findings.length === 0) {
+          logger.log('✅ No hardcoded strings found!');
+        } else {
+          logger.log(`\n📊 Found ${findings.length} potential hardcoded strings:\n`);
 
           // Group by severity
           const grouped = findings.reduce((acc, finding) => {
@@ -369,29 +1011,29 @@ async function main() {
           // Show high severity first
           ['high', 'medium', 'low'].forEach(severity => {
             if (grouped[severity]) {
-              console.log(`🔴 ${severity.toUpperCase()} priority (${grouped[severity].length} items):`);
+              logger.log(`🔴 ${severity.toUpperCase()} priority (${grouped[severity].length} items):`);
               grouped[severity].forEach(finding => {
-                console.log(`  📄 ${finding.file}:${finding.line}`);
-                console.log(`     "${finding.text}" (${finding.category})`);
+                logger.log(`  📄 ${finding.file}:${finding.line}`);
+                logger.log(`     "${finding.text}" (${finding.category})`);
                 if (verbose && finding.context) {
-                  console.log(`     Context: ${finding.context}`);
+                  logger.log(`     Context: ${finding.context}`);
                 }
-                console.log('');
+                logger.log('');
               });
             }
           });
 
           // Print summary at the end
-          console.log('═'.repeat(50));
-          console.log('📊 Summary:');
+          logger.log('═'.repeat(50));
+          logger.log('📊 Summary:');
           ['high', 'medium', 'low'].forEach(severity => {
             if (grouped[severity]) {
               const icon = severity === 'high' ? '🔴' : severity === 'medium' ? '🟡' : '🟢';
-              console.log(`   ${icon} ${severity}: ${grouped[severity].length} items`);
+              logger.log(`   ${icon} ${severity}: ${grouped[severity].length} items`);
             }
           });
-          console.log('═'.repeat(50));
-          console.log(`\n💡 Total hardcoded strings found: ${findings.length}`);
+          logger.log('═'.repeat(50));
+          logger.log(`\n💡 Total hardcoded strings found: ${findings.length}`);
 
           // Group by file for statistics
           const fileStats = {};
@@ -408,31 +1050,184 @@ async function main() {
             .slice(0, 5);
 
           if (sortedFiles.length > 0) {
-            console.log('\n📁 Top files with hardcoded strings:');
+            logger.log('\n📁 Top files with hardcoded strings:');
             sortedFiles.forEach(([file, count]) => {
-              console.log(`   • ${file}: ${count} strings`);
+              logger.log(`   • ${file}: ${count} strings`);
             });
           }
 
-          console.log('\n💡 Suggestions:');
-          console.log('   1. Convert high priority items to i18n first');
-          console.log('   2. Use $t() or {{ $t() }} for Vue templates');
-          console.log('   3. Use t() function in script sections');
-          console.log('   4. Add translations to locale files\n');
+          logger.log('\n💡 Suggestions:');
+          logger.log('   1. Convert high priority items to i18n first');
+          logger.log('   2. Use $t() or {{ $t() }} for Vue templates');
+          logger.log('   3. Use t() function in script sections');
+          logger.log('   4. Add translations to locale files\n');
+        }
+        break;
+      }
+
+      case 'export': {
+        let format; // default: config, or po
+        const formatIndex = rest.findIndex(arg => arg === '--format');
+        if (formatIndex !== -1 && formatIndex + 1 < rest.length) {
+          format = rest[formatIndex + 1];
+        }
+
+        let outputDir = (helper.config.commands.export || {}).out || './i18n/export';
+        const outIndex = rest.findIndex(arg => arg === '--out' || arg === '-o');
+        if (outIndex !== -1 && outIndex + 1 < rest.length) {
+          outputDir = rest[outIndex + 1];
+        }
+
+        let xliffVersion; // default: config, or 1.2
+        const versionIndex = rest.findIndex(arg => arg === '--xliff-version');
+        if (versionIndex !== -1 && versionIndex + 1 < rest.length) {
+          xliffVersion = rest[versionIndex + 1];
+        }
+
+        let keyStyle;
+        const keyStyleIndex = rest.findIndex(arg => arg === '--key-style');
+        if (keyStyleIndex !== -1 && keyStyleIndex + 1 < rest.length) {
+          keyStyle = rest[keyStyleIndex + 1];
+        }
+
+        let locales;
+        const localesIndex = rest.findIndex(arg => arg === '--locales');
+        if (localesIndex !== -1 && localesIndex + 1 < rest.length) {
+          locales = rest[localesIndex + 1].split(',').map(locale => locale.trim()).filter(Boolean);
+        }
+
+        result = helper.exportTranslations(outputDir, { format, xliffVersion, keyStyle, locales });
+        if (!result) {
+          exitCode = 1;
+        }
+        break;
+      }
+
+      case 'import': {
+        let keyStyle;
+        const keyStyleIndex = rest.findIndex(arg => arg === '--key-style');
+        if (keyStyleIndex !== -1 && keyStyleIndex + 1 < rest.length) {
+          keyStyle = rest[keyStyleIndex + 1];
+        }
+
+        const inputs = rest.filter((arg, index) =>
+          !arg.startsWith('--') &&
+          !(keyStyleIndex !== -1 && index === keyStyleIndex + 1) // exclude key-style value
+        );
+        if (inputs.length === 0) {
+          throw new CliError('Usage: npx vibei18n import <file|dir>... [--include-fuzzy]');
+        }
+
+        result = helper.importTranslations(inputs, {
+          includeFuzzy: rest.includes('--include-fuzzy') || undefined,
+          keyStyle
+        });
+        if (!result) {
+          exitCode = 1;
+        }
+        break;
+      }
+
+      case 'restore': {
+        if (rest.includes('--list')) {
+          const backups = helper.listBackups();
+          result = backups;
+          if (json) {
+            break;
+          } else if (backups.length === 0) {
+            logger.log(`No backups found in ${helper.backupDir}`);
+            break;
+          }
+          logger.log(`🗄️  Backups in ${helper.backupDir} (newest first):`);
+          backups.forEach(backup => {
+            logger.log(`   ${backup.id}  ${backup.locales.join(', ')} (${backup.files.length} file${backup.files.length === 1 ? '' : 's'})`);
+          });
+          break;
+        }
+
+        let locales;
+        const localesIndex = rest.findIndex(arg => arg === '--locales');
+        if (localesIndex !== -1 && localesIndex + 1 < rest.length) {
+          locales = rest[localesIndex + 1].split(',').map(locale => locale.trim()).filter(Boolean);
+        }
+
+        const [timestamp = null] = rest.filter((arg, index) =>
+          !arg.startsWith('--') &&
+          !(localesIndex !== -1 && index === localesIndex + 1) // exclude locales value
+        );
+
+        result = helper.restoreBackup(timestamp, { locales });
+        if (!result) {
+          exitCode = 1;
         }
         break;
       }
 
       default: {
-        console.error(`Unknown command: ${command}`);
-        showHelp();
-        process.exit(1);
+        throw new CliError(`Unknown command: ${command}`, null, { showHelp: true });
       }
     }
   } catch (error) {
-    console.error(`❌ Error: ${error.message}`);
-    process.exit(1);
+    if (error instanceof CliError) throw error;
+    logger.error(`❌ Error: ${error.message}`);
+    if (json) {
+      printJson(command, null, { error: { message: error.message } });
+    }
+    process.exitCode = 1;
+    return;
   }
+
+  if (gates.length > 0) {
+    printGateSummary(COMMAND_ALIASES[command] || command, gates);
+    exitCode = exitCode || gateExitCode(gates);
+  }
+
+  if (json) {
+    printJson(command, result, { ...jsonExtras, ...(gates.length > 0 ? { gates } : {}) });
+  }
+  // Set the code rather than exiting, so piped JSON output is flushed first
+  process.exitCode = exitCode;
+}
+
+/**
+ * Check that the directory a scan reads exists and can be listed, so a mistyped
+ * path fails instead of passing with nothing scanned. With a report format, the
+ * error is also printed as an empty report.
+ */
+function checkScanDir(dir, reportFormat = 'text') {
+  const scanDir = dir || process.cwd();
+  try {
+    fs.readdirSync(scanDir);
+  } catch (error) {
+    const reason = error.code === 'ENOENT' ? 'no such directory' : error.code === 'ENOTDIR' ? 'not a directory' : error.message;
+    const message = `Cannot scan ${scanDir}: ${reason}`;
+    if (reportFormat !== 'text') {
+      printReport(reportFormat, [], [message]);
+    }
+    throw new CliError(message);
+  }
+}
+
+/**
+ * Print scan issues as a SARIF log or GitHub workflow annotations, with the
+ * errors that kept the scan from running
+ */
+function printReport(format, issues, errors = []) {
+  if (format === 'sarif') {
+    const { version } = JSON.parse(fs.readFileSync(path.join(path.dirname(__filename), '..', 'package.json'), 'utf8'));
+    process.stdout.write(stringifySarif(issues, { version, errors }));
+  } else {
+    process.stdout.write(stringifyGithubAnnotations(issues, { errors }));
+  }
+}
+
+/**
+ * Print the --json envelope: { schemaVersion, command, result }, plus `gates` when CI gates
+ * were evaluated, `baseline`/`suppressed` for hardcode-check and `error` when the command threw
+ */
+function printJson(command, result, extra = {}) {
+  const envelope = { schemaVersion: JSON_SCHEMA_VERSION, command: COMMAND_ALIASES[command] || command, result: result ?? null, ...extra };
+  process.stdout.write(JSON.stringify(envelope, null, 2) + '\n');
 }
 
 main();
@@ -1,14 +1,285 @@
 import fs from 'fs';
 import path from 'path';
+import {
+  LOCALE_FORMATS, getLocaleFormat, parsePo, stringifyPo, parseXliff, stringifyXliff, parseCsv, stringifyCsv,
+  parseAndroidStrings, stringifyAndroidStrings, androidQualifier, localeFromAndroidDir,
+  parseStrings, stringifyStrings, parseStringsdict, stringifyStringsdict, parseArb, stringifyArb,
+  PLURAL_CATEGORIES, isPluralSubtree
+} from './formats/index.js';
+import { writeFileAtomic } from './file-utils.js';
+import { globToRegExp, isGlob } from './glob.js';
+import { loadConfig, findConfigFile } from './config.js';
+import { BASELINE_FILE_NAME, createBaseline, readBaseline, compareBaseline } from './baseline.js';
+import { extractTranslationCalls } from './parsers/translation-keys.js';
+import { parseTemplate, findBracedExpressions } from './parsers/markup.js';
+import { getSourceExtractor, defineSourceExtractor } from './parsers/extractors.js';
+import { createLocator } from './parsers/source-location.js';
+
+// Formats understood by exportTranslations() and importTranslations()
+const EXPORT_FORMATS = ['po', 'xliff', 'csv', 'android', 'ios', 'arb'];
+const IMPORT_EXTENSIONS = ['.po', '.xlf', '.xliff', '.csv', '.xml', '.strings', '.stringsdict', '.arb'];
+
+// How dotted keys become resource names in the mobile formats by default.
+// Android and Flutter need identifiers; iOS keys may be any string.
+const DEFAULT_KEY_STYLES = { android: 'snake', ios: 'dot', arb: 'camel' };
+
+// Directories skipped when scanning source files, unless the config sets `exclude`
+const DEFAULT_EXCLUDE_DIRS = ['node_modules', '.git', 'dist', 'build', '.nuxt', '.output'];
+
+// Source files scanned for translation keys, and for hardcoded strings, unless the config sets `extensions`
+const DEFAULT_KEY_EXTENSIONS = ['.vue', '.js', '.jsx', '.ts', '.tsx', '.svelte', '.astro', '.html'];
+const DEFAULT_HARDCODE_EXTENSIONS = ['.vue', '.jsx', '.svelte', '.astro', '.html'];
+
+// Attributes and props whose literal values are shown to users, checked by the hardcoded string scanner
+const DEFAULT_TRANSLATABLE_ATTRIBUTES = [
+  'placeholder', 'title', 'alt', 'label',
+  'aria-label', 'aria-placeholder', 'aria-description', 'aria-roledescription', 'aria-valuetext'
+];
+
+// Base locale candidates, in order of preference
+const ENGLISH_BASE_LOCALES = ['en', 'en-US', 'en-GB', 'en_US', 'en_GB'];
+
+// How sync() fills paths a locale is missing
+const SYNC_FILLS = ['empty', 'base', 'todo', 'omit'];
+
+// Key orders for written locale files: insertion order, code point order, or the base locale's order
+const KEY_ORDERS = ['none', 'alpha', 'base'];
+const DEFAULT_FORMATTING = { sortKeys: 'none', indent: 2, eol: 'lf', finalNewline: true };
+
+// Suppression comments of the hardcoded string scanner, in any comment syntax:
+// `// vibei18n-ignore-next-line`, `<!-- vibei18n-ignore -->` (this line if it has code, else the next),
+// and `/* vibei18n-disable */` ... `/* vibei18n-enable */` blocks. Text after the directive is a free-form reason.
+const SUPPRESSION_PATTERN = /(?:\{\s*)?(?:\/\/|\/\*|<!--)\s*vibei18n-(ignore-next-line|ignore|disable|enable)\b.*?(?:\*\/|-->|$)(?:\s*\})?/;
+
+// Snapshot directory used by `backupDir: true`, created next to the config file or in the current directory
+const DEFAULT_BACKUP_DIR = '.vibei18n-backups';
+const BACKUP_MANIFEST = 'snapshot.json';
+
+// Translations signed off in a CAT tool (XLIFF state 'final'), kept next to the config file or in the current directory
+const REVIEW_STATE_FILE = '.vibei18n-review.json';
+
+/**
+ * Turn a dotted key into a resource name
+ * @param {string} key - The dotted key (e.g. 'home.hero.title')
+ * @param {string} style - 'dot' (home.hero.title), 'snake' (home_hero_title) or 'camel' (homeHeroTitle)
+ * @returns {string} The resource name
+ */
+function toResourceName(key, style) {
+  const segments = key.split('.');
+  switch (style) {
+    case 'snake':
+      return segments.join('_').replace(/[^A-Za-z0-9_]/g, '_');
+    case 'camel':
+      return segments
+        .map((segment, index) => (index === 0 ? segment : segment.charAt(0).toUpperCase() + segment.slice(1)))
+        .join('')
+        .replace(/[^A-Za-z0-9_$]/g, '_');
+    default:
+      return key;
+  }
+}
+
+/**
+ * Deep-copy locale content, so callers can't modify cached documents
+ */
+function cloneContent(content) {
+  if (Array.isArray(content)) {
+    return content.map(cloneContent);
+  }
+  if (content && typeof content === 'object') {
+    const copy = {};
+    for (const [key, value] of Object.entries(content)) {
+      copy[key] = cloneContent(value);
+    }
+    return copy;
+  }
+  return content;
+}
+
+/**
+ * The XLIFF state of a translation: 'new' if it is missing, 'final' if it was
+ * signed off with its current text, 'translated' otherwise
+ */
+function xliffState(reviewed, key, value) {
+  if (typeof value !== 'string' || value === '') return 'new';
+  return reviewed && reviewed[key] === value ? 'final' : 'translated';
+}
+
+/**
+ * Read a text file, decoding UTF-16 files (as older Xcode projects use) by their BOM
+ */
+function readTextFile(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return buffer.toString('utf16le', 2);
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+  }
+  return buffer.toString('utf8');
+}
+
+/**
+ * Copy an options object without its undefined values, so they don't hide defaults
+ */
+function withoutUndefined(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Whether a relative path ('/'-separated) falls under an `exclude` entry that is
+ * not a glob: a name matches any whole path segment ('dist' skips `web/dist`
+ * but not `distribution`), a path matches itself and everything below it
+ */
+function isExcludedPath(relativePath, excluded) {
+  const entry = excluded.replace(/^\.\/|\/+$/g, '');
+  if (!entry.includes('/')) return relativePath.split('/').includes(entry);
+  return relativePath === entry || relativePath.startsWith(`${entry}/`);
+}
+
+/**
+ * Whether a directory entry is a locale file vibei18n can read
+ * (index.* and .d.ts files are skipped)
+ */
+function isLocaleFileName(file) {
+  const ext = path.extname(file);
+  const name = path.basename(file, ext);
+  return Boolean(getLocaleFormat(file)) && !name.startsWith('index') && !name.endsWith('.d');
+}
 
 export class I18nHelper {
   /**
    * Create a new I18nHelper instance
    * @param {string|null} localesDir - Custom locales directory path. If null, uses default i18n/locales
+   * @param {Object} options - Additional options
+   * @param {string} options.layout - 'flat' (`<locale>.json`), 'namespaced' (`<locale>/<namespace>.json`)
+   *   or 'auto' to detect it from the directory contents (default: 'auto')
+   * @param {string} options.format - Format of new locale and namespace files: 'json', 'yaml' or 'js'
+   *   (default: 'json'). Existing files keep their own format.
+   * @param {string|boolean} options.backupDir - Directory for snapshots of locale files taken
+   *   before each save, or true for `.vibei18n-backups` next to the config file or in the current
+   *   directory (default: no backups)
+   * @param {number} options.maxBackups - Number of snapshots to keep (default: 10)
+   * @param {Object} options.formatting - How locale files are written: {sortKeys: 'none'|'alpha'|'base',
+   *   indent: number of spaces or 'tab', eol: 'lf'|'crlf', finalNewline: boolean}
+   *   (default: insertion order, 2 spaces, LF, final newline)
+   * @param {Object} options.config - A project config from loadConfig(). It supplies defaults for
+   *   all of the above and for the scan and command options; explicit arguments win.
+   * @param {Object} options.logger - Where progress and reports are logged: an object with
+   *   log(), warn() and error(), such as a `Console` on stderr (default: console)
+   * @param {Array<Object>} options.extractors - Source extractors for more file types, looked up
+   *   before the config's and the built-in ones (see defineSourceExtractor())
    */
-  constructor(localesDir = null) {
-    this.localesDir = localesDir || path.join(process.cwd(), 'i18n', 'locales');
+  constructor(localesDir = null, options = {}) {
+    this.logger = options.logger || console;
+    this.config = options.config || { commands: {} };
+    const config = this.config;
+
+    this.localesDir = localesDir || config.localesDir || path.join(process.cwd(), 'i18n', 'locales');
+    this.layout = this._detectLayout(options.layout || config.layout || 'auto');
+    this.newFileFormat = this._resolveNewFileFormat(options.format || config.format || 'json');
     this.locales = this.scanLocales();
+
+    const backupDir = options.backupDir ?? config.backup;
+    this.backupDir = backupDir === true
+      ? path.join(config.rootDir || process.cwd(), DEFAULT_BACKUP_DIR)
+      : backupDir || null;
+    this.maxBackups = options.maxBackups || config.maxBackups || 10;
+    this._snapshot = null;
+    this.formatting = this._resolveFormatting({ ...config.formatting, ...withoutUndefined(options.formatting || {}) });
+    this.extractors = [...(options.extractors || []), ...(config.extractors || [])].map(defineSourceExtractor);
+
+    // Parsed locale documents: locale -> { content, signature, dirty }
+    this._documents = new Map();
+    this._batchDepth = 0;
+  }
+
+  /**
+   * Create a helper from the nearest vibei18n.config.{js,mjs,json}, found by
+   * walking up from the current directory
+   * @param {Object} options - Constructor options; `configPath` loads a specific file
+   * @returns {Promise<I18nHelper>} The helper (with defaults only, if there is no config file)
+   */
+  static async fromConfig(options = {}) {
+    const { configPath, ...helperOptions } = options;
+    const config = await loadConfig(configPath || findConfigFile());
+    return new I18nHelper(null, { ...helperOptions, config: config || undefined });
+  }
+
+  /**
+   * Merge a command's options over the config: explicit options, then
+   * `commands[command]`, then the config's source settings for commands that scan code
+   * @private
+   */
+  _commandOptions(command, options, scansSource = false) {
+    const { extensions, include, exclude, functions, commands = {} } = this.config;
+    const sourceDefaults = scansSource ? withoutUndefined({ extensions, include, excludeDirs: exclude, functions }) : {};
+    return { ...sourceDefaults, ...commands[command], ...withoutUndefined(options) };
+  }
+
+  /**
+   * Look up the format new locale files are written in
+   * @private
+   */
+  _resolveNewFileFormat(name) {
+    const format = LOCALE_FORMATS.find(candidate => candidate.name === name);
+    if (!format) {
+      throw new Error(`Unknown locale format: ${name} (expected ${LOCALE_FORMATS.map(candidate => candidate.name).join(', ')})`);
+    }
+    return format;
+  }
+
+  /**
+   * Resolve the 'auto' layout: namespaced when the directory holds no locale
+   * files of its own but has sub-directories that do
+   * @private
+   */
+  _detectLayout(layout) {
+    if (layout !== 'auto') {
+      if (layout !== 'flat' && layout !== 'namespaced') {
+        throw new Error(`Unknown locales layout: ${layout} (expected flat, namespaced or auto)`);
+      }
+      return layout;
+    }
+
+    try {
+      const entries = fs.readdirSync(this.localesDir, { withFileTypes: true });
+      if (entries.some(entry => entry.isFile() && isLocaleFileName(entry.name))) {
+        return 'flat';
+      }
+      const hasNamespaceDirs = entries.some(entry => entry.isDirectory() && !entry.name.startsWith('.') &&
+        fs.readdirSync(path.join(this.localesDir, entry.name)).some(isLocaleFileName));
+      return hasNamespaceDirs ? 'namespaced' : 'flat';
+    } catch {
+      return 'flat';
+    }
+  }
+
+  /**
+   * Validate formatting options and fill in the defaults
+   * @private
+   */
+  _resolveFormatting(formatting) {
+    const resolved = { ...DEFAULT_FORMATTING };
+    for (const [key, value] of Object.entries(formatting)) {
+      if (value !== undefined) resolved[key] = value;
+    }
+
+    if (!KEY_ORDERS.includes(resolved.sortKeys)) {
+      throw new Error(`Unknown key order: ${resolved.sortKeys} (expected ${KEY_ORDERS.join(', ')})`);
+    }
+    if (resolved.indent === 'tab' || resolved.indent === '\t') {
+      resolved.indent = '\t';
+    } else if (!Number.isInteger(Number(resolved.indent)) || Number(resolved.indent) < 0 || Number(resolved.indent) > 10) {
+      throw new Error(`Invalid indent: ${resolved.indent} (expected a number of spaces or 'tab')`);
+    } else {
+      resolved.indent = Number(resolved.indent);
+    }
+    if (resolved.eol !== 'lf' && resolved.eol !== 'crlf') {
+      throw new Error(`Unknown line ending: ${resolved.eol} (expected lf or crlf)`);
+    }
+    resolved.finalNewline = resolved.finalNewline !== false;
+    return resolved;
   }
 
   /**
@@ -18,28 +289,34 @@ export class I18nHelper {
   scanLocales() {
     try {
       if (!fs.existsSync(this.localesDir)) {
-        console.warn(`⚠️  Locales directory not found: ${this.localesDir}`);
+        this.logger.warn(`⚠️  Locales directory not found: ${this.localesDir}`);
         return [];
       }
 
-      const files = fs.readdirSync(this.localesDir);
-      const locales = files
-        .filter(file => {
-          // Include .js and .json files, but exclude index.* files
-          const ext = path.extname(file);
-          const name = path.basename(file, ext);
-          return (ext === '.js' || ext === '.json') && !name.startsWith('index');
-        })
-        .map(file => path.basename(file, path.extname(file)))
-        .sort(); // Sort for consistent ordering
+      let locales;
+      if (this.layout === 'namespaced') {
+        // Every sub-directory holding namespace files is a locale
+        locales = fs.readdirSync(this.localesDir, { withFileTypes: true })
+          .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+          .filter(entry => fs.readdirSync(path.join(this.localesDir, entry.name)).some(isLocaleFileName))
+          .map(entry => entry.name)
+          .sort();
+      } else {
+        const files = fs.readdirSync(this.localesDir);
+        locales = [...new Set(files
+          // Include supported locale files (.json, .yml, .js, .ts, ...), but exclude index.* and .d.ts files
+          .filter(isLocaleFileName)
+          .map(file => path.basename(file, path.extname(file))))]
+          .sort(); // Sort for consistent ordering
+      }
 
       if (locales.length === 0) {
-        console.warn(`⚠️  No locale files found in: ${this.localesDir}`);
+        this.logger.warn(`⚠️  No locale files found in: ${this.localesDir}`);
       }
 
       return locales;
     } catch (error) {
-      console.error(`❌ Error scanning locales directory: ${error.message}`);
+      this.logger.error(`❌ Error scanning locales directory: ${error.message}`);
       return [];
     }
   }
@@ -61,648 +338,2383 @@ export class I18nHelper {
   }
 
   /**
-   * Load a locale file (supports both .js and .json)
-   * @param {string} locale - The locale code (e.g., 'en-US', 'en')
-   * @returns {Object} The parsed content of the locale file
+   * Get the locales directory layout
+   * @returns {string} 'flat' or 'namespaced'
    */
-  loadLocale(locale) {
-    // Try .json first, then .js
-    const jsonPath = path.join(this.localesDir, `${locale}.json`);
-    const jsPath = path.join(this.localesDir, `${locale}.js`);
+  getLayout() {
+    return this.layout;
+  }
 
-    if (fs.existsSync(jsonPath)) {
-      try {
-        return JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
-      } catch (error) {
-        console.error(`❌ Error parsing JSON file ${locale}.json: ${error.message}`);
-        return null;
-      }
-    } else if (fs.existsSync(jsPath)) {
-      console.warn(`⚠️  JS files are detected but read-only for ${locale}. Editing operations will create/update .json files.`);
-      try {
-        // For now, we'll read JS files as text and try to extract the content
-        // This is a simple implementation - in a real scenario you might want to use a proper parser
-        const jsContent = fs.readFileSync(jsPath, 'utf8');
-
-        // Try to extract module.exports or export default content
-        if (jsContent.includes('module.exports')) {
-          // CommonJS format - this is a simple regex, not a full parser
-          const match = jsContent.match(/module\.exports\s*=\s*(\{[\s\S]*\});?\s*$/m);
-          if (match) {
-            return JSON.parse(match[1]);
-          }
-        } else if (jsContent.includes('export default')) {
-          // ES module format - extract the default export object
-          const match = jsContent.match(/export\s+default\s+(\{[\s\S]*\});?\s*$/m);
-          if (match) {
-            return JSON.parse(match[1]);
-          }
+  /**
+   * Resolve the file backing a locale (flat layout)
+   * @param {string} locale - The locale code
+   * @returns {{filePath: string, fileName: string, format: Object}|null} The locale file, or null if none exists
+   * @private
+   */
+  _resolveLocaleFile(locale) {
+    for (const format of LOCALE_FORMATS) {
+      for (const ext of format.extensions) {
+        const filePath = path.join(this.localesDir, `${locale}${ext}`);
+        if (fs.existsSync(filePath)) {
+          return { filePath, fileName: `${locale}${ext}`, format };
         }
-
-        console.warn(`⚠️  Could not parse JS file ${locale}.js. Please use .json format for full support.`);
-        return null;
-      } catch (error) {
-        console.error(`❌ Error reading JS file ${locale}.js: ${error.message}`);
-        return null;
       }
-    } else {
-      console.error(`❌ Locale file not found: ${locale}.json or ${locale}.js`);
-      return null;
     }
+
+    return null;
   }
 
   /**
-   * Save a locale file
+   * List the namespace files of a locale (namespaced layout)
    * @param {string} locale - The locale code
-   * @param {Object} content - The content to save
+   * @returns {Array<{filePath: string, fileName: string, format: Object, namespace: string}>} Namespace files
+   * @private
    */
-  saveLocale(locale, content) {
-    const filePath = path.join(this.localesDir, `${locale}.json`);
-    fs.writeFileSync(filePath, JSON.stringify(content, null, 2), 'utf8');
-    console.log(`✅ Updated ${locale}.json`);
+  _getNamespaceFiles(locale) {
+    const localeDir = path.join(this.localesDir, locale);
+    if (!fs.existsSync(localeDir)) return [];
+
+    const files = [];
+    const seen = new Set();
+    for (const format of LOCALE_FORMATS) {
+      for (const file of fs.readdirSync(localeDir).sort()) {
+        const namespace = path.basename(file, path.extname(file));
+        if (!format.extensions.includes(path.extname(file).toLowerCase()) || !isLocaleFileName(file) || seen.has(namespace)) {
+          continue;
+        }
+        seen.add(namespace);
+        files.push({ filePath: path.join(localeDir, file), fileName: `${locale}/${file}`, format, namespace });
+      }
+    }
+
+    return files.sort((a, b) => a.namespace.localeCompare(b.namespace));
   }
 
   /**
-   * Get a translation value by path
-   * @param {string} locale - The locale code
-   * @param {string} path - The dot-separated path (e.g., 'compressJpg.hero.title')
-   * @returns {*} The value at the specified path
+   * Get the file name used for a locale in messages (e.g. 'en.yml' or 'en/')
+   * @private
    */
-  get(locale, path) {
-    const content = this.loadLocale(locale);
-    if (!content) return null;
+  _getLocaleFileName(locale) {
+    if (this.layout === 'namespaced') return `${locale}/`;
+    const file = this._resolveLocaleFile(locale);
+    return file ? file.fileName : `${locale}${this.newFileFormat.extensions[0]}`;
+  }
 
-    const keys = path.split('.');
-    let current = content;
+  /**
+   * Rails-style YAML files nest every key under the locale code. Returns that
+   * wrapper key when the parsed file follows this convention.
+   * @private
+   */
+  _getLocaleRootKey(locale, format, content) {
+    if (!format || !format.wrapsLocaleRoot) return null;
 
-    for (const key of keys) {
-      if (current && typeof current === 'object' && key in current) {
-        current = current[key];
-      } else {
-        return null;
-      }
+    const keys = Object.keys(content);
+    const root = content[locale];
+    if (keys.length === 1 && keys[0] === locale && root && typeof root === 'object' && !Array.isArray(root)) {
+      return locale;
     }
+    return null;
+  }
 
-    return current;
+  /**
+   * Read and parse a single locale file
+   * @returns {Object} The file's translations (without any locale root)
+   * @throws {Error} If the file cannot be parsed
+   * @private
+   */
+  _readLocaleFile(file, locale) {
+    const content = file.format.parse(fs.readFileSync(file.filePath, 'utf8'));
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+      throw new Error('File must contain an object of translations');
+    }
+
+    const rootKey = this._getLocaleRootKey(locale, file.format, content);
+    return rootKey ? content[rootKey] : content;
   }
 
   /**
-   * Set a translation value by path
-   * @param {string} locale - The locale code
-   * @param {string} path - The dot-separated path
-   * @param {*} value - The value to set
-   * @param {boolean} skipIfExists - Skip if the key already exists (default: false)
+   * Write a single locale file in its own format
+   * @private
    */
-  set(locale, path, value, skipIfExists = false) {
-    const content = this.loadLocale(locale);
-    if (!content) return false;
+  _writeLocaleFile(file, content, locale) {
+    const output = this._renderLocaleFile(file, content, locale);
 
-    const keys = path.split('.');
-    let current = content;
+    this._backupFile(file, locale);
+    fs.mkdirSync(path.dirname(file.filePath), { recursive: true });
+    writeFileAtomic(file.filePath, output);
+    this.logger.log(`✅ Updated ${file.fileName}`);
+  }
 
-    // Navigate to the parent object
-    for (let i = 0; i < keys.length - 1; i++) {
-      const key = keys[i];
+  /**
+   * Produce the text of a locale file with the configured formatting.
+   * JS/TS modules are patched, so only their line endings are normalized;
+   * YAML files keep their comments.
+   * @private
+   */
+  _renderLocaleFile(file, content, locale) {
+    const exists = fs.existsSync(file.filePath);
+    let previous = null;
+    if (exists && (file.format.update || file.format.wrapsLocaleRoot)) {
+      previous = fs.readFileSync(file.filePath, 'utf8');
+    }
 
-      // Check if current[key] exists and is a string (needs conversion to object)
-      if (key in current && typeof current[key] === 'string') {
-        console.warn(`⚠️  ${locale}: Converting "${path.split('.').slice(0, i + 1).join('.')}" from string to object to accommodate nested structure`);
-        current[key] = {};
+    const { indent, eol, finalNewline } = this.formatting;
+    let data = this._sortKeys(content, locale, file.namespace);
+    if (previous !== null && file.format.wrapsLocaleRoot) {
+      // Keep the Rails-style locale root if the file on disk uses one
+      try {
+        const current = file.format.parse(previous);
+        if (current && typeof current === 'object' && this._getLocaleRootKey(locale, file.format, current)) {
+          data = { [locale]: data };
+        }
+      } catch {
+        // Unreadable file: overwrite it with the unwrapped content
       }
+    }
 
-      if (!(key in current)) {
-        current[key] = {};
-      } else if (typeof current[key] !== 'object' || current[key] === null) {
-        // Handle other non-object types (numbers, booleans, null, etc.)
-        console.warn(`⚠️  ${locale}: Converting "${path.split('.').slice(0, i + 1).join('.')}" from ${typeof current[key]} to object to accommodate nested structure`);
-        current[key] = {};
-      }
+    const output = previous !== null && file.format.update
+      ? file.format.update(previous, data, { indent })
+      : file.format.stringify(data, { indent });
 
-      current = current[key];
+    const text = output.replace(/\r?\n/g, eol === 'crlf' ? '\r\n' : '\n').replace(/(\r?\n)+$/, '');
+    return finalNewline ? text + (eol === 'crlf' ? '\r\n' : '\n') : text;
+  }
+
+  /**
+   * Order keys as `formatting.sortKeys` asks. Plural forms always follow the
+   * CLDR order.
+   * @param {Object} content - Locale content (or one namespace of it)
+   * @param {string} locale - The locale the content belongs to
+   * @param {string} namespace - The namespace, in the namespaced layout
+   * @returns {Object} The content with its keys reordered
+   * @private
+   */
+  _sortKeys(content, locale, namespace = null) {
+    const { sortKeys } = this.formatting;
+    if (sortKeys === 'none') return content;
+
+    let reference = null;
+    if (sortKeys === 'base') {
+      const baseLocale = this._findBaseLocale();
+      if (!baseLocale || baseLocale === locale) return content;
+      reference = this._getDocument(baseLocale);
+      if (reference && namespace) reference = reference[namespace];
     }
 
-    const lastKey = keys[keys.length - 1];
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+    const order = (node, base) => {
+      if (!isObject(node)) return node;
 
-    // Check if should skip
-    if (skipIfExists && lastKey in current) {
-      console.log(`ℹ️  ${locale}: ${path} already exists, skipping`);
-      return false;
-    }
+      let keys = Object.keys(node).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+      if (isPluralSubtree(node)) {
+        keys = PLURAL_CATEGORIES.filter(category => category in node);
+      } else if (isObject(base)) {
+        // Keys the base has come first, in its order; the rest follow alphabetically
+        keys = [...Object.keys(base).filter(key => key in node), ...keys.filter(key => !(key in base))];
+      }
+      return Object.fromEntries(keys.map(key => [key, order(node[key], isObject(base) ? base[key] : null)]));
+    };
 
-    // Set the value
-    current[lastKey] = value;
-    this.saveLocale(locale, content);
-    return true;
+    return order(content, reference);
   }
 
   /**
-   * Set translations for multiple locales at once
-   * @param {Object} translations - Object with locale codes as keys and values to set
-   * @param {string} path - The dot-separated path
-   * @param {boolean} skipIfExists - Skip if the key already exists
+   * Load a locale file (supports .json, .yml/.yaml and .js/.ts modules).
+   * In the namespaced layout, all namespace files of the locale are merged
+   * into one tree keyed by namespace. Parsed files are cached until they
+   * change on disk; the returned object is a copy and safe to modify.
+   * @param {string} locale - The locale code (e.g., 'en-US', 'en')
+   * @returns {Object} The parsed content of the locale file
    */
-  setMultiple(translations, path, skipIfExists = false) {
-    const results = {};
-    for (const [locale, value] of Object.entries(translations)) {
-      if (this.locales.includes(locale)) {
-        results[locale] = this.set(locale, path, value, skipIfExists);
-      } else {
-        console.warn(`⚠️  Unknown locale: ${locale}`);
-        results[locale] = false;
-      }
-    }
-    return results;
+  loadLocale(locale) {
+    const content = this._getDocument(locale);
+    return content ? cloneContent(content) : null;
   }
 
   /**
-   * Get translations from all locales for a specific path
-   * @param {string} path - The dot-separated path
-   * @returns {Object} Object with locale codes as keys and translation values
+   * Get the cached document of a locale, re-reading it when its files were
+   * modified on disk. Documents with unsaved changes are never re-read.
+   * The result is shared: only modify it through set() or batch().
+   * @private
    */
-  getAll(path) {
-    const results = {};
-    for (const locale of this.locales) {
-      const value = this.get(locale, path);
-      if (value !== null) {
-        results[locale] = value;
-      }
+  _getDocument(locale) {
+    const cached = this._documents.get(locale);
+    if (cached && cached.dirty) {
+      return cached.content;
     }
-    return results;
+
+    const signature = this._getLocaleSignature(locale);
+    if (cached && cached.signature === signature) {
+      return cached.content;
+    }
+
+    const content = this._readLocale(locale);
+    if (content) {
+      this._documents.set(locale, { content, signature, dirty: false });
+    } else {
+      this._documents.delete(locale);
+    }
+    return content;
   }
 
   /**
-   * Check if a translation key exists
-   * @param {string} locale - The locale code
-   * @param {string} path - The dot-separated path
-   * @returns {boolean} True if the key exists
+   * Fingerprint the files of a locale (paths, sizes and modification times)
+   * @private
    */
-  has(locale, path) {
-    return this.get(locale, path) !== null;
+  _getLocaleSignature(locale) {
+    const files = this.layout === 'namespaced'
+      ? this._getNamespaceFiles(locale)
+      : [this._resolveLocaleFile(locale)].filter(Boolean);
+
+    return files.map(file => {
+      const stat = fs.statSync(file.filePath);
+      return `${file.filePath}:${stat.size}:${stat.mtimeMs}`;
+    }).join('|');
   }
 
   /**
-   * Check which locales are missing a translation key
-   * @param {string} path - The dot-separated path
-   * @returns {Array} Array of locale codes that don't have the key
+   * Read and parse the files of a locale, bypassing the cache
+   * @private
    */
-  getMissing(path) {
-    const missing = [];
-    for (const locale of this.locales) {
-      if (!this.has(locale, path)) {
-        missing.push(locale);
-      }
+  _readLocale(locale) {
+    if (this.layout === 'namespaced') {
+      return this._loadNamespacedLocale(locale);
+    }
+
+    const file = this._resolveLocaleFile(locale);
+
+    if (!file) {
+      this.logger.error(`❌ Locale file not found: ${locale}.json, ${locale}.yml or ${locale}.js`);
+      return null;
+    }
+
+    try {
+      return this._readLocaleFile(file, locale);
+    } catch (error) {
+      this.logger.error(`❌ Error parsing ${file.format.label} file ${file.fileName}: ${error.message}`);
+      return null;
     }
-    return missing;
   }
 
   /**
-   * Copy a translation from one locale to others
-   * @param {string} sourceLocale - The source locale
-   * @param {string} path - The dot-separated path
-   * @param {Array} targetLocales - Array of target locale codes (default: all except source)
+   * Load all namespace files of a locale as one tree
+   * @private
    */
-  copy(sourceLocale, path, targetLocales = null) {
-    const sourceValue = this.get(sourceLocale, path);
-    if (sourceValue === null) {
-      console.error(`❌ Source path not found: ${path} in ${sourceLocale}`);
-      return false;
-    }
+  _loadNamespacedLocale(locale) {
+    const files = this._getNamespaceFiles(locale);
 
-    const targets = targetLocales || this.locales.filter(l => l !== sourceLocale);
-    const results = {};
-
-    for (const locale of targets) {
-      results[locale] = this.set(locale, path, sourceValue);
+    if (files.length === 0) {
+      this.logger.error(`❌ Locale directory not found or empty: ${locale}/`);
+      return null;
     }
 
-    return results;
+    const content = {};
+    for (const file of files) {
+      try {
+        content[file.namespace] = this._readLocaleFile(file, locale);
+      } catch (error) {
+        this.logger.error(`❌ Error parsing ${file.format.label} file ${file.fileName}: ${error.message}`);
+        return null;
+      }
+    }
+    return content;
   }
 
   /**
-   * Merge an object of translations into a locale
+   * Save a locale file, keeping the format of the existing file.
+   * JS/TS modules are patched in place so their formatting and comments survive.
+   * New locales are saved in the configured `format` (JSON by default). In the namespaced layout, each top-level
+   * key is written to its own namespace file and unchanged files are left alone.
+   * Inside batch(), the write is deferred until the batch ends.
    * @param {string} locale - The locale code
-   * @param {Object} translations - Object with paths as keys and translations as values
-   * @param {boolean} skipIfExists - Skip if keys already exist
+   * @param {Object} content - The content to save
    */
-  merge(locale, translations, skipIfExists = false) {
-    for (const [path, value] of Object.entries(translations)) {
-      this.set(locale, path, value, skipIfExists);
+  saveLocale(locale, content) {
+    this._documents.set(locale, { content: cloneContent(content), signature: null, dirty: true });
+    if (this._batchDepth === 0) {
+      this.flush();
     }
   }
 
   /**
-   * Batch update multiple locales with different translations
-   * @param {Object} updates - Object with locale codes as keys, each containing path-value pairs
-   * @param {boolean} skipIfExists - Skip if keys already exist
-   *
-   * Example:
-   * helper.batchUpdate({
-   *   'en-US': { 'page.title': 'Title', 'page.desc': 'Description' },
-   *   'zh-hans': { 'page.title': '标题', 'page.desc': '描述' }
-   * })
+   * Write all locales with unsaved changes to disk
+   * @returns {Array<string>} The locales that were written
    */
-  batchUpdate(updates, skipIfExists = false) {
-    for (const [locale, translations] of Object.entries(updates)) {
-      if (this.locales.includes(locale)) {
-        console.log(`📝 Updating ${locale}...`);
-        this.merge(locale, translations, skipIfExists);
-      } else {
-        console.warn(`⚠️  Unknown locale: ${locale}`);
+  flush() {
+    const written = [];
+    try {
+      for (const [locale, document] of this._documents) {
+        if (!document.dirty) continue;
+
+        this._writeLocale(locale, document.content);
+        document.dirty = false;
+        document.signature = this._getLocaleSignature(locale);
+        written.push(locale);
       }
+    } finally {
+      // One snapshot per flush, covering every file it overwrote
+      this._finishSnapshot();
     }
+    return written;
   }
 
   /**
-   * Detect the base locale file automatically
-   * Checks for en, en-US, en-GB in that order
-   * @returns {string|null} The detected base locale or null if none found
+   * Run several updates with one read and one write per locale. Changes made
+   * by set(), merge() and saveLocale() inside fn are kept in memory and
+   * flushed when the outermost batch ends. If fn throws, nothing is written:
+   * the unsaved changes are discarded and the files are re-read on next use.
+   * @param {Function} fn - The updates to run
+   * @returns {*} The return value of fn
+   *
+   * Example:
+   * helper.batch(() => {
+   *   helper.set('en', 'page.title', 'Title');
+   *   helper.set('en', 'page.desc', 'Description');
+   * });
    */
-  detectBaseLocale() {
-    const possibleBaseLocales = ['en', 'en-US', 'en-GB', 'en_US', 'en_GB'];
-
-    for (const locale of possibleBaseLocales) {
-      if (this.locales.includes(locale)) {
-        return locale;
+  batch(fn) {
+    this._batchDepth++;
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      if (--this._batchDepth === 0) {
+        this._discardChanges();
       }
+      throw error;
     }
 
-    // If no English locale found, use the first available locale
-    if (this.locales.length > 0) {
-      console.warn(`⚠️  No English locale found, using ${this.locales[0]} as base`);
-      return this.locales[0];
+    if (--this._batchDepth === 0) {
+      this.flush();
     }
+    return result;
+  }
 
-    return null;
+  /**
+   * Drop the cached documents that have unsaved changes
+   * @private
+   */
+  _discardChanges() {
+    for (const [locale, document] of this._documents) {
+      if (document.dirty) {
+        this._documents.delete(locale);
+      }
+    }
   }
 
   /**
-   * Get statistics about translation completeness
-   * @returns {Object} Statistics for each locale
+   * Write a locale's content to its file(s)
+   * @private
    */
-  getStats() {
-    const baseLocale = this.detectBaseLocale();
-    if (!baseLocale) {
-      console.error('❌ No base locale found');
-      return null;
+  _writeLocale(locale, content) {
+    if (this.layout === 'namespaced') {
+      this._saveNamespacedLocale(locale, content);
+      return;
     }
-    const baseContent = this.loadLocale(baseLocale);
-    if (!baseContent) return null;
 
-    const stats = {};
-    const basePaths = this._getAllPaths(baseContent);
+    const fileName = `${locale}${this.newFileFormat.extensions[0]}`;
+    const file = this._resolveLocaleFile(locale) ||
+      { filePath: path.join(this.localesDir, fileName), fileName, format: this.newFileFormat };
 
-    for (const locale of this.locales) {
-      if (locale === baseLocale) continue;
+    this._writeLocaleFile(file, content, locale);
+  }
 
-      const missing = [];
-      for (const path of basePaths) {
-        if (!this.has(locale, path)) {
-          missing.push(path);
+  /**
+   * Split a locale tree back into its namespace files
+   * @private
+   */
+  _saveNamespacedLocale(locale, content) {
+    const files = this._getNamespaceFiles(locale);
+    const byNamespace = new Map(files.map(file => [file.namespace, file]));
+    // New namespaces follow the format of the locale's existing files, or the configured one
+    const defaultFormat = files.length > 0 ? files[0].format : this.newFileFormat;
+
+    for (const [namespace, value] of Object.entries(content)) {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        this.logger.error(`❌ ${locale}: "${namespace}" is not a namespace object and cannot be saved in the namespaced layout`);
+        // Drop it, so the content matches what is on disk
+        delete content[namespace];
+        continue;
+      }
+
+      let file = byNamespace.get(namespace);
+      if (!file) {
+        const fileName = `${namespace}${defaultFormat.extensions[0]}`;
+        file = { filePath: path.join(this.localesDir, locale, fileName), fileName: `${locale}/${fileName}`, format: defaultFormat, namespace };
+      } else {
+        try {
+          if (JSON.stringify(this._readLocaleFile(file, locale)) === JSON.stringify(value)) continue;
+        } catch {
+          // Rewrite unreadable namespace files
         }
       }
 
-      stats[locale] = {
-        total: basePaths.length,
-        complete: basePaths.length - missing.length,
-        missing: missing.length,
-        percentage: ((basePaths.length - missing.length) / basePaths.length * 100).toFixed(1) + '%',
-        missingPaths: missing
-      };
+      this._writeLocaleFile(file, value, locale);
     }
 
-    return stats;
+    // Namespaces that were removed from the tree are emptied, not deleted
+    for (const file of files) {
+      if (!(file.namespace in content)) {
+        this._writeLocaleFile(file, {}, locale);
+      }
+    }
   }
 
   /**
-   * Check translation completeness with detailed reporting
-   * Enhanced version of check-translations.js functionality
-   * @param {boolean} detailed - Show detailed missing keys breakdown
-   * @returns {Object} Comprehensive check results
+   * Copy a locale file into the current snapshot before it is overwritten.
+   * The manifest is rewritten after every file, so the snapshot stays usable
+   * even if the process dies halfway through a flush.
+   * @private
    */
-  checkTranslations(detailed = false) {
-    console.log('🔍 Checking translation completeness...\n');
-
-    const baseLocale = this.detectBaseLocale();
-    if (!baseLocale) {
-      console.error('❌ No base locale found');
-      return null;
-    }
-    const baseContent = this.loadLocale(baseLocale);
-    if (!baseContent) {
-      console.error(`❌ ${baseLocale}.json not found!`);
-      return null;
+  _backupFile(file, locale) {
+    if (!this.backupDir) return;
+
+    if (!this._snapshot) {
+      const base = new Date().toISOString().replace(/[:.]/g, '-');
+      let id = base;
+      for (let i = 2; fs.existsSync(path.join(this.backupDir, id)); i++) {
+        id = `${base}-${i}`;
+      }
+      this._snapshot = { id, created: new Date().toISOString(), files: [] };
     }
 
-    const basePaths = this._getAllPaths(baseContent);
-    console.log(`📋 Found ${basePaths.length} keys in ${baseLocale}.json\n`);
-
-    const results = {
-      totalKeys: basePaths.length,
-      locales: {},
-      summary: {
-        total: 0,
-        complete: 0,
-        incomplete: 0,
-        totalMissing: 0
-      },
-      sectionsAnalysis: {},
-      suggestions: []
-    };
-
-    const missingByLocale = {};
-    let totalMissing = 0;
+    const snapshot = this._snapshot;
+    if (snapshot.files.some(entry => entry.file === file.fileName)) return;
 
-    // Check each locale
-    for (const locale of this.locales) {
-      if (locale === baseLocale) continue;
+    const snapshotDir = path.join(this.backupDir, snapshot.id);
+    const existed = fs.existsSync(file.filePath);
+    if (existed) {
+      const backupPath = path.join(snapshotDir, file.fileName);
+      fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+      fs.copyFileSync(file.filePath, backupPath);
+    } else {
+      fs.mkdirSync(snapshotDir, { recursive: true });
+    }
 
-      const content = this.loadLocale(locale);
-      if (!content) {
-        console.error(`❌ Error reading ${locale}.json`);
-        continue;
-      }
+    snapshot.files.push({ file: file.fileName, locale, existed });
+    writeFileAtomic(path.join(snapshotDir, BACKUP_MANIFEST),
+      JSON.stringify({ created: snapshot.created, files: snapshot.files }, null, 2) + '\n');
+  }
 
-      const missing = [];
-      for (const path of basePaths) {
-        if (!this.has(locale, path)) {
-          missing.push(path);
-        }
-      }
+  /**
+   * Close the current snapshot and drop the oldest ones beyond maxBackups
+   * @private
+   */
+  _finishSnapshot() {
+    if (!this._snapshot) return;
+    this._snapshot = null;
 
-      results.locales[locale] = {
-        total: basePaths.length,
-        complete: basePaths.length - missing.length,
-        missing: missing.length,
-        percentage: ((basePaths.length - missing.length) / basePaths.length * 100).toFixed(1) + '%',
-        missingPaths: missing
-      };
+    for (const backup of this.listBackups().slice(this.maxBackups)) {
+      fs.rmSync(path.join(this.backupDir, backup.id), { recursive: true, force: true });
+    }
+  }
 
-      if (missing.length > 0) {
-        console.log(`🔴 ${locale}: Missing ${missing.length} keys`);
-        missingByLocale[locale] = missing;
-        totalMissing += missing.length;
+  /**
+   * List the snapshots in the backup directory, newest first
+   * @returns {Array<{id: string, created: string, locales: Array<string>, files: Array<Object>}>}
+   *   Snapshots; `files` lists each saved file and whether it existed before the save
+   */
+  listBackups() {
+    if (!this.backupDir || !fs.existsSync(this.backupDir)) return [];
 
-        if (detailed) {
-          // Group missing keys by section
-          const groupedKeys = {};
-          for (const key of missing) {
-            const section = key.split('.')[0];
-            if (!groupedKeys[section]) {
-              groupedKeys[section] = [];
-            }
-            groupedKeys[section].push(key);
-          }
+    const backups = [];
+    for (const id of fs.readdirSync(this.backupDir)) {
+      const manifestPath = path.join(this.backupDir, id, BACKUP_MANIFEST);
+      if (!fs.existsSync(manifestPath)) continue;
 
-          for (const [section, keys] of Object.entries(groupedKeys)) {
-            console.log(`   📂 ${section}: ${keys.length} missing`);
-            if (detailed) {
-              keys.slice(0, 5).forEach(key => console.log(`      - ${key}`));
-              if (keys.length > 5) {
-                console.log(`      ... and ${keys.length - 5} more`);
-              }
-            }
-          }
-          console.log('');
-        }
-      } else {
-        console.log(`✅ ${locale}: Complete`);
+      try {
+        const { created, files } = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        backups.push({ id, created, locales: [...new Set(files.map(entry => entry.locale))].sort(), files });
+      } catch (error) {
+        this.logger.warn(`⚠️  Skipping unreadable backup ${id}: ${error.message}`);
       }
-
-      results.summary.total++;
     }
 
-    results.summary.complete = results.summary.total - Object.keys(missingByLocale).length;
-    results.summary.incomplete = Object.keys(missingByLocale).length;
-    results.summary.totalMissing = totalMissing;
+    return backups.sort((a, b) => (a.id < b.id ? 1 : -1));
+  }
 
-    // Summary
-    console.log('\n' + '='.repeat(50));
-    console.log('📊 Summary:');
-    console.log(`   Total locales checked: ${results.summary.total}`);
-    console.log(`   Complete locales: ${results.summary.complete}`);
-    console.log(`   Incomplete locales: ${results.summary.incomplete}`);
-    console.log(`   Total missing keys: ${results.summary.totalMissing}`);
+  /**
+   * Roll locale files back to a snapshot. The current files are backed up
+   * first, so a restore can itself be undone.
+   * @param {string|null} id - The snapshot timestamp (default: the latest snapshot)
+   * @param {Object} options - Restore options
+   * @param {Array<string>} options.locales - Only restore these locales (default: all in the snapshot)
+   * @returns {Array<string>|null} The restored file names, or null on error
+   */
+  restoreBackup(id = null, options = {}) {
+    const { locales = null } = options;
+    if (!this.backupDir) {
+      this.logger.error('❌ Backups are not enabled (set a backup directory)');
+      return null;
+    }
 
-    if (totalMissing > 0) {
-      // Most commonly missing sections
-      console.log('\n🔧 Most commonly missing sections:');
-      const sectionCounts = {};
-      Object.values(missingByLocale).flat().forEach(key => {
-        const section = key.split('.')[0];
-        sectionCounts[section] = (sectionCounts[section] || 0) + 1;
-      });
+    const backups = this.listBackups();
+    const backup = id ? backups.find(item => item.id === id) : backups[0];
+    if (!backup) {
+      this.logger.error(id ? `❌ Backup not found: ${id}` : `❌ No backups found in ${this.backupDir}`);
+      return null;
+    }
 
-      const topSections = Object.entries(sectionCounts)
-        .sort(([,a], [,b]) => b - a)
-        .slice(0, 5);
+    const entries = backup.files.filter(entry => !locales || locales.includes(entry.locale));
+    if (entries.length === 0) {
+      this.logger.error(`❌ Backup ${backup.id} has no files for ${locales.join(', ')}`);
+      return null;
+    }
 
-      topSections.forEach(([section, count]) => {
-        console.log(`   ${section}: ${count} missing across locales`);
-      });
+    // Write pending edits first, so they end up in the pre-restore snapshot
+    this.flush();
 
-      results.sectionsAnalysis = sectionCounts;
+    const restored = [];
+    try {
+      for (const entry of entries) {
+        const file = { filePath: path.join(this.localesDir, entry.file), fileName: entry.file };
+        this._backupFile(file, entry.locale);
+
+        if (entry.existed) {
+          fs.mkdirSync(path.dirname(file.filePath), { recursive: true });
+          writeFileAtomic(file.filePath, fs.readFileSync(path.join(this.backupDir, backup.id, entry.file)));
+        } else if (fs.existsSync(file.filePath)) {
+          // The file was created by the save this snapshot precedes
+          fs.unlinkSync(file.filePath);
+        }
+        this._documents.delete(entry.locale);
+        restored.push(entry.file);
+        this.logger.log(`♻️  Restored ${entry.file} from ${backup.id}`);
+      }
+    } finally {
+      this._finishSnapshot();
+      this.locales = this.scanLocales();
+    }
 
-      // Generate suggestions
-      console.log('\n💡 Suggestions:');
-      const prioritySections = ['homepage.seo', 'homepage.cta', 'footer.tools', 'creditsPage'];
+    return restored;
+  }
 
-      for (const section of prioritySections) {
-        const affectedLocales = Object.entries(missingByLocale)
-          .filter(([, keys]) => keys.some(key => key.startsWith(section)))
-          .map(([locale]) => locale);
+  /**
+   * Rewrite locale files with the configured formatting (key order, indent,
+   * line endings, final newline), or only report the ones that differ
+   * @param {Object} options - Format options
+   * @param {boolean} options.check - Only report unformatted files, don't write (default: false)
+   * @param {Array} options.locales - Locales to format (default: all)
+   * @returns {{checked: number, unformatted: Array<string>, errors: Array<string>}} File names
+   *   that are (or were) not formatted, and files that could not be read
+   */
+  format(options = {}) {
+    const { check = false, locales = this.locales } = options;
+    const results = { checked: 0, unformatted: [], errors: [] };
 
-        if (affectedLocales.length > 0) {
-          const suggestion = `${section} missing in: ${affectedLocales.join(', ')}`;
-          console.log(`   🎯 ${suggestion}`);
-          results.suggestions.push(suggestion);
+    // Pending edits are written (and formatted) first
+    this.flush();
+
+    try {
+      for (const locale of locales) {
+        const files = this.layout === 'namespaced'
+          ? this._getNamespaceFiles(locale)
+          : [this._resolveLocaleFile(locale)].filter(Boolean);
+
+        for (const file of files) {
+          results.checked++;
+          let expected;
+          try {
+            expected = this._renderLocaleFile(file, this._readLocaleFile(file, locale), locale);
+          } catch (error) {
+            this.logger.error(`❌ Cannot read ${file.fileName}: ${error.message}`);
+            results.errors.push(file.fileName);
+            continue;
+          }
+          if (fs.readFileSync(file.filePath, 'utf8') === expected) continue;
+
+          results.unformatted.push(file.fileName);
+          if (check) {
+            this.logger.log(`❌ ${file.fileName} is not formatted`);
+          } else {
+            this._backupFile(file, locale);
+            writeFileAtomic(file.filePath, expected);
+            this.logger.log(`✨ Formatted ${file.fileName}`);
+          }
         }
       }
+    } finally {
+      this._finishSnapshot();
+    }
 
-      console.log('\n📝 Next steps:');
-      console.log('   1. Use vibei18n to add missing translations:');
-      console.log('      npx vibei18n set <locale> <path> <value>');
-      console.log('   2. Use batchUpdate for multiple translations');
-      console.log('   3. Re-run check: npx vibei18n check');
+    const { checked, unformatted } = results;
+    if (unformatted.length === 0) {
+      this.logger.log(`✅ All ${checked} locale files are formatted`);
+    } else if (check) {
+      this.logger.log(`\n📊 ${unformatted.length} of ${checked} locale files need formatting (run 'vibei18n format')`);
     } else {
-      console.log('\n🎉 All translations are complete!');
+      this.logger.log(`\n📊 Formatted ${unformatted.length} of ${checked} locale files`);
     }
-
     return results;
   }
 
   /**
-   * Find and report duplicate translation values across locales
-   * @returns {Object} Report of potential duplicates
+   * Get a translation value by path
+   * @param {string} locale - The locale code
+   * @param {string} path - The dot-separated path (e.g., 'compressJpg.hero.title')
+   * @returns {*} The value at the specified path
    */
-  findDuplicates() {
-    console.log('🔍 Checking for duplicate translations...\n');
+  get(locale, path) {
+    const content = this._getDocument(locale);
+    if (!content) return null;
 
-    const baseLocale = this.detectBaseLocale();
-    if (!baseLocale) {
-      console.error('❌ No base locale found');
-      return null;
-    }
-    const baseContent = this.loadLocale(baseLocale);
-    if (!baseContent) return null;
+    const keys = path.split('.');
+    let current = content;
 
-    const basePaths = this._getAllPaths(baseContent);
-    const duplicates = {};
+    for (const key of keys) {
+      if (current && typeof current === 'object' && key in current) {
+        current = current[key];
+      } else {
+        return null;
+      }
+    }
 
-    for (const path of basePaths) {
-      const values = {};
+    // Hand out copies of subtrees so the cached document stays intact
+    return current && typeof current === 'object' ? cloneContent(current) : current;
+  }
 
-      for (const locale of this.locales) {
-        const value = this.get(locale, path);
-        if (value) {
-          if (!values[value]) {
-            values[value] = [];
-          }
-          values[value].push(locale);
-        }
-      }
+  /**
+   * Set a translation value by path
+   * @param {string} locale - The locale code
+   * @param {string} path - The dot-separated path
+   * @param {*} value - The value to set
+   * @param {boolean} skipIfExists - Skip if the key already exists (default: false)
+   * @returns {boolean} Whether the value was set
+   */
+  set(locale, path, value, skipIfExists = false) {
+    const content = this._getDocument(locale);
+    if (!content) return false;
 
-      // Find values shared across multiple locales
-      Object.entries(values).forEach(([value, locales]) => {
-        if (locales.length > 1) {
-          duplicates[path] = { value, locales };
-        }
-      });
+    const keys = path.split('.');
+    if (this.layout === 'namespaced' && keys.length === 1 && (!value || typeof value !== 'object' || Array.isArray(value))) {
+      this.logger.error(`❌ ${locale}: "${path}" is a namespace; set a key inside it, such as ${path}.title`);
+      return false;
     }
+    let current = content;
 
-    if (Object.keys(duplicates).length > 0) {
-      console.log('⚠️  Potential duplicate translations found:');
-      Object.entries(duplicates).forEach(([path, { value, locales }]) => {
-        console.log(`   ${path}:`);
-        console.log(`     Value: "${value.substring(0, 50)}${value.length > 50 ? '...' : ''}"`);
-        console.log(`     Locales: ${locales.join(', ')}\n`);
+    // Navigate to the parent object
+    for (let i = 0; i < keys.length - 1; i++) {
+      const key = keys[i];
+
+      // Check if current[key] exists and is a string (needs conversion to object)
+      if (key in current && typeof current[key] === 'string') {
+        this.logger.warn(`⚠️  ${locale}: Converting "${path.split('.').slice(0, i + 1).join('.')}" from string to object to accommodate nested structure`);
+        current[key] = {};
+      }
+
+      if (!(key in current)) {
+        current[key] = {};
+      } else if (typeof current[key] !== 'object' || current[key] === null) {
+        // Handle other non-object types (numbers, booleans, null, etc.)
+        this.logger.warn(`⚠️  ${locale}: Converting "${path.split('.').slice(0, i + 1).join('.')}" from ${typeof current[key]} to object to accommodate nested structure`);
+        current[key] = {};
+      }
+
+      current = current[key];
+    }
+
+    const lastKey = keys[keys.length - 1];
+
+    // Check if should skip
+    if (skipIfExists && lastKey in current) {
+      this.logger.log(`ℹ️  ${locale}: ${path} already exists, skipping`);
+      return false;
+    }
+
+    // Set the value on the cached document; it is written now, or when the current batch ends
+    current[lastKey] = value && typeof value === 'object' ? cloneContent(value) : value;
+    this._documents.get(locale).dirty = true;
+    if (this._batchDepth === 0) {
+      this.flush();
+    }
+    return true;
+  }
+
+  /**
+   * Set translations for multiple locales at once
+   * @param {Object} translations - Object with locale codes as keys and values to set
+   * @param {string} path - The dot-separated path
+   * @param {boolean} skipIfExists - Skip if the key already exists
+   */
+  setMultiple(translations, path, skipIfExists = false) {
+    const results = {};
+    for (const [locale, value] of Object.entries(translations)) {
+      if (this.locales.includes(locale)) {
+        results[locale] = this.set(locale, path, value, skipIfExists);
+      } else {
+        this.logger.warn(`⚠️  Unknown locale: ${locale}`);
+        results[locale] = false;
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Get translations from all locales for a specific path
+   * @param {string} path - The dot-separated path
+   * @returns {Object} Object with locale codes as keys and translation values
+   */
+  getAll(path) {
+    const results = {};
+    for (const locale of this.locales) {
+      const value = this.get(locale, path);
+      if (value !== null) {
+        results[locale] = value;
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Check if a translation key exists
+   * @param {string} locale - The locale code
+   * @param {string} path - The dot-separated path
+   * @returns {boolean} True if the key exists
+   */
+  has(locale, path) {
+    return this.get(locale, path) !== null;
+  }
+
+  /**
+   * Check which locales are missing a translation key
+   * @param {string} path - The dot-separated path
+   * @returns {Array} Array of locale codes that don't have the key
+   */
+  getMissing(path) {
+    const missing = [];
+    for (const locale of this.locales) {
+      if (!this.has(locale, path)) {
+        missing.push(locale);
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Copy a translation from one locale to others
+   * @param {string} sourceLocale - The source locale
+   * @param {string} path - The dot-separated path
+   * @param {Array} targetLocales - Array of target locale codes (default: all except source)
+   */
+  copy(sourceLocale, path, targetLocales = null) {
+    const sourceValue = this.get(sourceLocale, path);
+    if (sourceValue === null) {
+      this.logger.error(`❌ Source path not found: ${path} in ${sourceLocale}`);
+      return false;
+    }
+
+    const targets = targetLocales || this.locales.filter(l => l !== sourceLocale);
+    const results = {};
+
+    for (const locale of targets) {
+      results[locale] = this.set(locale, path, sourceValue);
+    }
+
+    return results;
+  }
+
+  /**
+   * Delete a translation key (or a whole subtree) from locales. Parents left
+   * empty by the removal are deleted too.
+   * @param {string} keyPath - The dot-separated path
+   * @param {Array} locales - Locales to delete from (default: all)
+   * @param {Object} options - Delete options
+   * @param {boolean} options.dryRun - Report what would be removed without writing (default: false)
+   * @returns {Object} Per locale: {removed, value, pruned}, where `pruned` lists the
+   *   emptied parent paths that are removed as well
+   *
+   * Example:
+   * helper.delete('page.legacyBanner', ['en', 'fr'])
+   * // => { en: { removed: true, value: 'Sale!', pruned: ['page'] }, fr: { removed: false, ... } }
+   */
+  delete(keyPath, locales = null, options = {}) {
+    const { dryRun = false } = options;
+    const results = {};
+
+    this.batch(() => {
+      for (const locale of locales || this.locales) {
+        if (!this.locales.includes(locale)) {
+          this.logger.warn(`⚠️  Unknown locale: ${locale}`);
+          results[locale] = { removed: false, value: undefined, pruned: [] };
+          continue;
+        }
+
+        const content = this._getDocument(locale);
+        const value = content ? this._getPathValue(content, keyPath) : undefined;
+        if (value === undefined) {
+          this.logger.log(`ℹ️  ${locale}: ${keyPath} not found`);
+          results[locale] = { removed: false, value: undefined, pruned: [] };
+          continue;
+        }
+
+        const pruned = this._removePath(content, keyPath, { dryRun: true });
+        const description = value && typeof value === 'object'
+          ? `${keyPath} (${this._getAllPaths(value).length} keys)`
+          : `${keyPath} = ${JSON.stringify(value)}`;
+        const prunedNote = pruned.length > 0 ? `, pruning empty ${pruned.join(', ')}` : '';
+        results[locale] = { removed: true, value: cloneContent(value), pruned };
+
+        if (dryRun) {
+          this.logger.log(`🔍 ${locale}: would remove ${description}${prunedNote}`);
+          continue;
+        }
+
+        this._removePath(content, keyPath);
+        this._documents.get(locale).dirty = true;
+        this.logger.log(`🗑️  ${locale}: removed ${description}${prunedNote}`);
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Remove an existing path from locale content, along with the parents it
+   * leaves empty
+   * @param {Object} content - The locale content (modified in place)
+   * @param {string} keyPath - The dot-separated path; it must exist
+   * @param {Object} options - {dryRun}: only compute the emptied parents
+   * @returns {Array<string>} The emptied parent paths, innermost first
+   * @private
+   */
+  _removePath(content, keyPath, options = {}) {
+    const keys = keyPath.split('.');
+
+    // Parents whose only key is the next one on the path
+    const parents = keys.slice(0, -1).map((key, i) => this._getPathValue(content, keys.slice(0, i + 1).join('.')));
+    const pruned = [];
+    for (let i = parents.length - 1; i >= 0 && Object.keys(parents[i]).length === 1; i--) {
+      pruned.push(keys.slice(0, i + 1).join('.'));
+    }
+
+    if (!options.dryRun) {
+      // Remove the outermost emptied parent, or just the key itself
+      const removeDepth = keys.length - 1 - pruned.length;
+      const holder = removeDepth === 0 ? content : parents[removeDepth - 1];
+      delete holder[keys[removeDepth]];
+    }
+    return pruned;
+  }
+
+  /**
+   * Rename (move) a key or subtree in every locale and rewrite the matching
+   * translation calls in the project's source files
+   * @param {string} oldPath - The current dot-separated path
+   * @param {string} newPath - The new dot-separated path
+   * @param {Object} options - Rename options
+   * @param {string} options.projectDir - Source directory to rewrite (default: cwd)
+   * @param {Array} options.extensions - Source file extensions (default: .vue, .js, .jsx, .ts, .tsx, .svelte, .astro, .html)
+   * @param {Array} options.excludeDirs - Directories to skip
+   * @param {Array} options.functions - Translation function names (default: $t, t, i18n.t, ...)
+   * @returns {{locales: Object, files: Object}|null} Keys moved per locale and the
+   *   rewritten calls per file ({line, from, to}), or null if nothing could be renamed
+   */
+  rename(oldPath, newPath, options = {}) {
+    const {
+      projectDir = this.config.sourceDir || process.cwd(),
+      extensions = DEFAULT_KEY_EXTENSIONS,
+      include = [],
+      excludeDirs = DEFAULT_EXCLUDE_DIRS,
+      functions
+    } = this._commandOptions('rename', options, true);
+
+    if (oldPath === newPath) {
+      this.logger.error('❌ The old and new paths are the same');
+      return null;
+    }
+
+    // Check every locale first, so a conflict leaves all files untouched
+    const moves = [];
+    for (const locale of this.getLocales()) {
+      const content = this._getDocument(locale);
+      const value = content ? this._getPathValue(content, oldPath) : undefined;
+      if (value === undefined) continue;
+
+      const newKeys = newPath.split('.');
+      const blocked = newKeys.some((key, i) => {
+        const existing = this._getPathValue(content, newKeys.slice(0, i + 1).join('.'));
+        return existing !== undefined && (i === newKeys.length - 1 || !existing || typeof existing !== 'object');
+      });
+      if (blocked && !(newPath + '.').startsWith(oldPath + '.')) {
+        this.logger.error(`❌ ${locale}: ${newPath} already exists; nothing was renamed`);
+        return null;
+      }
+      moves.push({ locale, value });
+    }
+
+    if (moves.length === 0) {
+      this.logger.error(`❌ ${oldPath} not found in any locale`);
+      return null;
+    }
+
+    const locales = {};
+    this.batch(() => {
+      for (const { locale, value } of moves) {
+        this._removePath(this._getDocument(locale), oldPath);
+        this.set(locale, newPath, value);
+        locales[locale] = value && typeof value === 'object' ? this._getAllPaths(value).length : 1;
+      }
+    });
+
+    // Rewrite t('oldPath') and t('oldPath.child') uses whose key is written out in full
+    // (not behind a keyPrefix or namespace)
+    const files = {};
+    try {
+      this._walkProjectFiles(projectDir, { extensions, include, excludeDirs }, (fullPath, relativePath) => {
+        const source = fs.readFileSync(fullPath, 'utf8');
+        const calls = this._findTranslationCalls(source, fullPath, functions)
+          .filter(call => !call.dynamic && (call.key === oldPath || call.key.startsWith(oldPath + '.')) &&
+            source.slice(call.start, call.end) === call.key);
+        if (calls.length === 0) return;
+
+        let output = source;
+        for (const call of [...calls].reverse()) {
+          const key = newPath + call.key.slice(oldPath.length);
+          output = output.slice(0, call.start) + key + output.slice(call.end);
+        }
+        writeFileAtomic(fullPath, output);
+        files[relativePath] = calls.map(call => ({ line: call.line, from: call.key, to: newPath + call.key.slice(oldPath.length) }));
+      });
+    } catch (error) {
+      // The locale files are already saved: say which sources still use the old key
+      this.logger.error(`❌ Could not rewrite the source files: ${error.message}`);
+      this.logger.error(`   ${oldPath} was renamed in ${Object.keys(locales).join(', ')}; ` +
+        `${Object.keys(files).length} source file${Object.keys(files).length === 1 ? '' : 's'} rewritten before the error:`);
+      for (const file of Object.keys(files)) {
+        this.logger.error(`   ${file}`);
+      }
+      this.logger.error(`💡 The other source files may still use ${oldPath}; update them once the error is fixed`);
+      return null;
+    }
+
+    this.logger.log(`\n🔀 Renamed ${oldPath} → ${newPath}`);
+    this.logger.log(`\n📚 Locale files (${Object.keys(locales).length}):`);
+    for (const [locale, count] of Object.entries(locales)) {
+      this.logger.log(`   ✅ ${this._getLocaleFileName(locale)}: ${count} key${count === 1 ? '' : 's'} moved`);
+    }
+    const missingLocales = this.getLocales().filter(locale => !(locale in locales));
+    if (missingLocales.length > 0) {
+      this.logger.log(`   ℹ️  Not present in: ${missingLocales.join(', ')}`);
+    }
+
+    const callCount = Object.values(files).reduce((sum, calls) => sum + calls.length, 0);
+    this.logger.log(`\n📝 Source files (${Object.keys(files).length}, ${callCount} call${callCount === 1 ? '' : 's'}):`);
+    for (const [file, calls] of Object.entries(files)) {
+      for (const call of calls) {
+        this.logger.log(`   ${file}:${call.line}  ${call.from} → ${call.to}`);
+      }
+    }
+
+    return { locales, files };
+  }
+
+  /**
+   * Merge an object of translations into a locale
+   * @param {string} locale - The locale code
+   * @param {Object} translations - Object with paths as keys and translations as values
+   * @param {boolean} skipIfExists - Skip if keys already exist
+   */
+  merge(locale, translations, skipIfExists = false) {
+    this.batch(() => {
+      for (const [path, value] of Object.entries(translations)) {
+        this.set(locale, path, value, skipIfExists);
+      }
+    });
+  }
+
+  /**
+   * Batch update multiple locales with different translations
+   * @param {Object} updates - Object with locale codes as keys, each containing path-value pairs
+   * @param {boolean} skipIfExists - Skip if keys already exist
+   *
+   * Example:
+   * helper.batchUpdate({
+   *   'en-US': { 'page.title': 'Title', 'page.desc': 'Description' },
+   *   'zh-hans': { 'page.title': '标题', 'page.desc': '描述' }
+   * })
+   */
+  batchUpdate(updates, skipIfExists = false) {
+    this.batch(() => {
+      for (const [locale, translations] of Object.entries(updates)) {
+        if (this.locales.includes(locale)) {
+          this.logger.log(`📝 Updating ${locale}...`);
+          this.merge(locale, translations, skipIfExists);
+        } else {
+          this.logger.warn(`⚠️  Unknown locale: ${locale}`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Detect the base locale file automatically
+   * Checks for en, en-US, en-GB in that order
+   * @returns {string|null} The detected base locale or null if none found
+   */
+  detectBaseLocale() {
+    const baseLocale = this._findBaseLocale();
+    if (baseLocale && !ENGLISH_BASE_LOCALES.includes(baseLocale) && baseLocale !== this.config.baseLocale) {
+      this.logger.warn(`⚠️  No English locale found, using ${baseLocale} as base`);
+    }
+    return baseLocale;
+  }
+
+  /**
+   * detectBaseLocale() without the warning, for internal lookups
+   * @private
+   */
+  _findBaseLocale() {
+    if (this.config.baseLocale && this.locales.includes(this.config.baseLocale)) {
+      return this.config.baseLocale;
+    }
+    // If no English locale found, use the first available locale
+    return ENGLISH_BASE_LOCALES.find(locale => this.locales.includes(locale)) || this.locales[0] || null;
+  }
+
+  /**
+   * Get statistics about translation completeness
+   * @returns {Object} Statistics for each locale
+   */
+  getStats() {
+    const baseLocale = this.detectBaseLocale();
+    if (!baseLocale) {
+      this.logger.error('❌ No base locale found');
+      return null;
+    }
+    const baseContent = this.loadLocale(baseLocale);
+    if (!baseContent) return null;
+
+    const stats = {};
+    const basePaths = this._getAllPaths(baseContent);
+
+    for (const locale of this.locales) {
+      if (locale === baseLocale) continue;
+
+      const missing = [];
+      for (const path of basePaths) {
+        if (!this.has(locale, path)) {
+          missing.push(path);
+        }
+      }
+
+      stats[locale] = {
+        total: basePaths.length,
+        complete: basePaths.length - missing.length,
+        missing: missing.length,
+        percentage: ((basePaths.length - missing.length) / basePaths.length * 100).toFixed(1) + '%',
+        missingPaths: missing
+      };
+    }
+
+    return stats;
+  }
+
+  /**
+   * Align the key structure of every non-base locale with the base locale:
+   * add the paths a locale lacks, drop the ones the base doesn't have and put
+   * keys in the base file's order, so locale files diff line by line.
+   * Plural forms a language needs beyond the base's (such as Polish `few`) are kept.
+   * @param {Object} options - Sync options
+   * @param {string} options.fill - Value for missing paths: 'empty' (''), 'base' (the base text),
+   *   'todo' ('[TODO] ' + base text) or 'omit' (don't add them) (default: 'empty')
+   * @param {boolean} options.removeExtra - Remove paths the base locale doesn't have (default: true)
+   * @param {Array} options.locales - Locales to sync (default: all except the base)
+   * @param {string} options.baseLocale - The base locale (default: detectBaseLocale())
+   * @param {boolean} options.dryRun - Report the changes without writing (default: false)
+   * @returns {Object|null} {baseLocale, locales: {locale: {added, removed, reordered}}}, or null on error
+   */
+  sync(options = {}) {
+    options = this._commandOptions('sync', options);
+    const { fill = 'empty', removeExtra = true, dryRun = false } = options;
+    if (!SYNC_FILLS.includes(fill)) {
+      this.logger.error(`❌ Unknown fill mode: ${fill} (expected ${SYNC_FILLS.join(', ')})`);
+      return null;
+    }
+
+    const baseLocale = options.baseLocale || this.detectBaseLocale();
+    const baseContent = baseLocale ? this._getDocument(baseLocale) : null;
+    if (!baseContent) {
+      this.logger.error(`❌ Base locale not found: ${baseLocale}`);
+      return null;
+    }
+
+    const fillValue = value => {
+      if (typeof value !== 'string') return cloneContent(value);
+      if (fill === 'base') return value;
+      if (fill === 'todo') return `[TODO] ${value}`;
+      return '';
+    };
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+    // Rebuild target in base order; added/removed collect the changed paths
+    const align = (base, target, prefix, added, removed) => {
+      const result = {};
+      for (const [key, baseValue] of Object.entries(base)) {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        const hasTarget = Object.prototype.hasOwnProperty.call(target, key);
+
+        if (isObject(baseValue)) {
+          if (hasTarget && !isObject(target[key])) removed.push(keyPath);
+          const aligned = align(baseValue, isObject(target[key]) ? target[key] : {}, keyPath, added, removed);
+          if (Object.keys(aligned).length > 0 || isObject(target[key])) result[key] = aligned;
+        } else if (hasTarget && !isObject(target[key])) {
+          result[key] = target[key];
+        } else {
+          if (hasTarget) this._getAllPaths(target[key], keyPath).forEach(item => removed.push(item));
+          if (fill !== 'omit') {
+            result[key] = fillValue(baseValue);
+            added.push(keyPath);
+          }
+        }
+      }
+
+      const pluralBase = isPluralSubtree(base);
+      for (const [key, value] of Object.entries(target)) {
+        if (key in base) continue;
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        if ((pluralBase && PLURAL_CATEGORIES.includes(key)) || !removeExtra) {
+          result[key] = value;
+        } else {
+          (isObject(value) ? this._getAllPaths(value, keyPath) : [keyPath]).forEach(item => removed.push(item));
+        }
+      }
+
+      // Plural forms follow the CLDR order, whatever the base file uses
+      if (pluralBase) {
+        return Object.fromEntries(PLURAL_CATEGORIES.filter(category => category in result).map(category => [category, result[category]]));
+      }
+      return result;
+    };
+
+    const targets = (options.locales || this.locales).filter(locale => locale !== baseLocale);
+    const results = { baseLocale, locales: {} };
+
+    this.batch(() => {
+      for (const locale of targets) {
+        const content = this._getDocument(locale);
+        if (!content) {
+          this.logger.warn(`⚠️  Unknown locale: ${locale}`);
+          continue;
+        }
+
+        const added = [];
+        const removed = [];
+        const aligned = align(baseContent, content, '', added, removed);
+        const changed = JSON.stringify(aligned) !== JSON.stringify(content);
+
+        // Reordered if the paths both versions share come in a different order
+        const alignedPaths = this._getAllPaths(aligned);
+        const contentPaths = this._getAllPaths(content);
+        const alignedSet = new Set(alignedPaths);
+        const contentSet = new Set(contentPaths);
+        const reordered = contentPaths.filter(item => alignedSet.has(item)).join('\n') !==
+          alignedPaths.filter(item => contentSet.has(item)).join('\n');
+        results.locales[locale] = { added, removed, reordered };
+
+        const fileName = this._getLocaleFileName(locale);
+        if (!changed) {
+          this.logger.log(`✅ ${fileName}: already in sync`);
+          continue;
+        }
+
+        const parts = [];
+        if (added.length > 0) parts.push(`+${added.length} added`);
+        if (removed.length > 0) parts.push(`-${removed.length} removed`);
+        if (reordered) parts.push('reordered');
+        this.logger.log(`🔄 ${fileName}: ${dryRun ? 'would be ' : ''}${parts.join(', ')}`);
+
+        if (!dryRun) {
+          this.saveLocale(locale, aligned);
+        }
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Check translation completeness with detailed reporting
+   * Enhanced version of check-translations.js functionality
+   * @param {boolean} detailed - Show detailed missing keys breakdown
+   * @returns {Object} Comprehensive check results
+   */
+  checkTranslations(detailed = false) {
+    this.logger.log('🔍 Checking translation completeness...\n');
+
+    const baseLocale = this.detectBaseLocale();
+    if (!baseLocale) {
+      this.logger.error('❌ No base locale found');
+      return null;
+    }
+    const baseContent = this.loadLocale(baseLocale);
+    if (!baseContent) {
+      this.logger.error(`❌ ${this._getLocaleFileName(baseLocale)} not found!`);
+      return null;
+    }
+
+    const basePaths = this._getAllPaths(baseContent);
+    this.logger.log(`📋 Found ${basePaths.length} keys in ${this._getLocaleFileName(baseLocale)}\n`);
+
+    const results = {
+      totalKeys: basePaths.length,
+      locales: {},
+      summary: {
+        total: 0,
+        complete: 0,
+        incomplete: 0,
+        totalMissing: 0
+      },
+      sectionsAnalysis: {},
+      suggestions: []
+    };
+
+    const missingByLocale = {};
+    let totalMissing = 0;
+
+    // Check each locale
+    for (const locale of this.locales) {
+      if (locale === baseLocale) continue;
+
+      const content = this.loadLocale(locale);
+      if (!content) {
+        this.logger.error(`❌ Error reading ${this._getLocaleFileName(locale)}`);
+        continue;
+      }
+
+      const missing = [];
+      for (const path of basePaths) {
+        if (!this.has(locale, path)) {
+          missing.push(path);
+        }
+      }
+
+      results.locales[locale] = {
+        total: basePaths.length,
+        complete: basePaths.length - missing.length,
+        missing: missing.length,
+        percentage: ((basePaths.length - missing.length) / basePaths.length * 100).toFixed(1) + '%',
+        missingPaths: missing
+      };
+
+      if (missing.length > 0) {
+        this.logger.log(`🔴 ${locale}: Missing ${missing.length} keys`);
+        missingByLocale[locale] = missing;
+        totalMissing += missing.length;
+
+        if (detailed) {
+          // Group missing keys by section
+          const groupedKeys = {};
+          for (const key of missing) {
+            const section = key.split('.')[0];
+            if (!groupedKeys[section]) {
+              groupedKeys[section] = [];
+            }
+            groupedKeys[section].push(key);
+          }
+
+          for (const [section, keys] of Object.entries(groupedKeys)) {
+            this.logger.log(`   📂 ${section}: ${keys.length} missing`);
+            if (detailed) {
+              keys.slice(0, 5).forEach(key => this.logger.log(`      - ${key}`));
+              if (keys.length > 5) {
+                this.logger.log(`      ... and ${keys.length - 5} more`);
+              }
+            }
+          }
+          this.logger.log('');
+        }
+      } else {
+        this.logger.log(`✅ ${locale}: Complete`);
+      }
+
+      results.summary.total++;
+    }
+
+    results.summary.complete = results.summary.total - Object.keys(missingByLocale).length;
+    results.summary.incomplete = Object.keys(missingByLocale).length;
+    results.summary.totalMissing = totalMissing;
+
+    // Summary
+    this.logger.log('\n' + '='.repeat(50));
+    this.logger.log('📊 Summary:');
+    this.logger.log(`   Total locales checked: ${results.summary.total}`);
+    this.logger.log(`   Complete locales: ${results.summary.complete}`);
+    this.logger.log(`   Incomplete locales: ${results.summary.incomplete}`);
+    this.logger.log(`   Total missing keys: ${results.summary.totalMissing}`);
+
+    if (totalMissing > 0) {
+      // Most commonly missing sections
+      this.logger.log('\n🔧 Most commonly missing sections:');
+      const sectionCounts = {};
+      Object.values(missingByLocale).flat().forEach(key => {
+        const section = key.split('.')[0];
+        sectionCounts[section] = (sectionCounts[section] || 0) + 1;
+      });
+
+      const topSections = Object.entries(sectionCounts)
+        .sort(([,a], [,b]) => b - a)
+        .slice(0, 5);
+
+      topSections.forEach(([section, count]) => {
+        this.logger.log(`   ${section}: ${count} missing across locales`);
+      });
+
+      results.sectionsAnalysis = sectionCounts;
+
+      // Generate suggestions
+      this.logger.log('\n💡 Suggestions:');
+      const prioritySections = ['homepage.seo', 'homepage.cta', 'footer.tools', 'creditsPage'];
+
+      for (const section of prioritySections) {
+        const affectedLocales = Object.entries(missingByLocale)
+          .filter(([, keys]) => keys.some(key => key.startsWith(section)))
+          .map(([locale]) => locale);
+
+        if (affectedLocales.length > 0) {
+          const suggestion = `${section} missing in: ${affectedLocales.join(', ')}`;
+          this.logger.log(`   🎯 ${suggestion}`);
+          results.suggestions.push(suggestion);
+        }
+      }
+
+      this.logger.log('\n📝 Next steps:');
+      this.logger.log('   1. Use vibei18n to add missing translations:');
+      this.logger.log('      npx vibei18n set <locale> <path> <value>');
+      this.logger.log('   2. Use batchUpdate for multiple translations');
+      this.logger.log('   3. Re-run check: npx vibei18n check');
+    } else {
+      this.logger.log('\n🎉 All translations are complete!');
+    }
+
+    return results;
+  }
+
+  /**
+   * Find and report duplicate translation values across locales
+   * @returns {Object} Report of potential duplicates
+   */
+  findDuplicates() {
+    this.logger.log('🔍 Checking for duplicate translations...\n');
+
+    const baseLocale = this.detectBaseLocale();
+    if (!baseLocale) {
+      this.logger.error('❌ No base locale found');
+      return null;
+    }
+    const baseContent = this.loadLocale(baseLocale);
+    if (!baseContent) return null;
+
+    const basePaths = this._getAllPaths(baseContent);
+    const duplicates = {};
+
+    for (const path of basePaths) {
+      const values = {};
+
+      for (const locale of this.locales) {
+        const value = this.get(locale, path);
+        if (value) {
+          if (!values[value]) {
+            values[value] = [];
+          }
+          values[value].push(locale);
+        }
+      }
+
+      // Find values shared across multiple locales
+      Object.entries(values).forEach(([value, locales]) => {
+        if (locales.length > 1) {
+          duplicates[path] = { value, locales };
+        }
+      });
+    }
+
+    if (Object.keys(duplicates).length > 0) {
+      this.logger.log('⚠️  Potential duplicate translations found:');
+      Object.entries(duplicates).forEach(([path, { value, locales }]) => {
+        this.logger.log(`   ${path}:`);
+        this.logger.log(`     Value: "${value.substring(0, 50)}${value.length > 50 ? '...' : ''}"`);
+        this.logger.log(`     Locales: ${locales.join(', ')}\n`);
+      });
+    } else {
+      this.logger.log('✅ No duplicate translations found.');
+    }
+
+    return duplicates;
+  }
+
+  /**
+   * Export translations for translators. Keys are taken from the base locale.
+   * - po: a `messages.pot` template plus one `<locale>.po` per locale, with the
+   *   dotted key path as msgctxt and the base text as msgid
+   * - xliff: one `<locale>.xlf` per target locale, with the base text as source
+   *   and the state 'new' for untranslated units, 'final' for translations signed
+   *   off in an earlier import, 'translated' otherwise
+   * - csv: one `translations.csv` with a row per key and a column per locale
+   *   (base locale first)
+   * - android: `values[-<qualifier>]/strings.xml` per locale
+   * - ios: `<locale>.lproj/Localizable.strings` (and `.stringsdict` for plurals) per locale
+   * - arb: `app_<locale>.arb` per locale; the base locale file carries placeholder metadata
+   * In the mobile formats, subtrees of plural categories (zero/one/two/few/many/other)
+   * become plural resources, and untranslated keys are left out so the apps fall back
+   * to the base locale.
+   * @param {string} outputDir - Directory to write the files to
+   * @param {Object} options - Export options
+   * @param {string} options.format - Exchange format: 'po', 'xliff', 'csv', 'android', 'ios' or 'arb' (default: 'po')
+   * @param {string} options.xliffVersion - XLIFF version: '1.2' or '2.0' (default: '1.2')
+   * @param {string} options.keyStyle - Resource names for the mobile formats: 'dot', 'snake' or 'camel'
+   *   (default: 'snake' for android, 'dot' for ios, 'camel' for arb)
+   * @param {Array<string>} options.locales - Locales to export (default: all locales)
+   * @returns {Array<string>|null} Paths of the written files, or null on error
+   */
+  exportTranslations(outputDir, options = {}) {
+    options = this._commandOptions('export', options);
+    const { format = 'po', xliffVersion = '1.2', locales = this.locales, keyStyle = DEFAULT_KEY_STYLES[format] } = options;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      this.logger.error(`❌ Unsupported export format: ${format} (expected ${EXPORT_FORMATS.join(' or ')})`);
+      return null;
+    }
+    if (format === 'xliff' && !['1.2', '2.0'].includes(xliffVersion)) {
+      this.logger.error(`❌ Unsupported XLIFF version: ${xliffVersion} (expected 1.2 or 2.0)`);
+      return null;
+    }
+    if (keyStyle && !['dot', 'snake', 'camel'].includes(keyStyle)) {
+      this.logger.error(`❌ Unsupported key style: ${keyStyle} (expected dot, snake or camel)`);
+      return null;
+    }
+
+    const baseLocale = this.detectBaseLocale();
+    if (!baseLocale) {
+      this.logger.error('❌ No locales found to export');
+      return null;
+    }
+
+    const baseContent = this.loadLocale(baseLocale);
+    if (!baseContent) return null;
+
+    // Resource names must be unique, or the apps see one string where the locales have two
+    if (['android', 'ios', 'arb'].includes(format)) {
+      const collisions = [...this._getResourceNames(baseContent, keyStyle)].filter(([, keys]) => keys.length > 1);
+      if (collisions.length > 0) {
+        for (const [name, keys] of collisions) {
+          this.logger.error(`❌ Keys ${keys.join(', ')} all become the resource name "${name}" (${keyStyle} style)`);
+        }
+        this.logger.error('   Rename one of them, or export with another --key-style');
+        return null;
+      }
+    }
+
+    // Only string leaves are translatable
+    const baseStrings = this._getAllPaths(baseContent)
+      .map(keyPath => ({ key: keyPath, source: this._getPathValue(baseContent, keyPath) }))
+      .filter(({ source }) => typeof source === 'string');
+
+    const files = [];
+    const unknown = locales.filter(locale => !this.locales.includes(locale));
+    if (unknown.length > 0) {
+      this.logger.warn(`⚠️  Unknown locale(s) skipped: ${unknown.join(', ')}`);
+    }
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    const write = (fileName, output) => {
+      const filePath = path.join(outputDir, fileName);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      writeFileAtomic(filePath, output);
+      files.push(filePath);
+      this.logger.log(`✅ Exported ${fileName}`);
+    };
+
+    switch (format) {
+      case 'po': {
+        const headers = {
+          'MIME-Version': '1.0',
+          'Content-Type': 'text/plain; charset=UTF-8',
+          'Content-Transfer-Encoding': '8bit',
+          'X-Generator': 'vibei18n',
+          'X-Source-Language': baseLocale
+        };
+
+        write('messages.pot', stringifyPo(baseStrings.map(({ key, source }) => ({ msgctxt: key, msgid: source, msgstr: '' })), headers));
+
+        for (const locale of locales.filter(item => this.locales.includes(item))) {
+          const content = this.loadLocale(locale);
+          if (!content) continue;
+
+          const entries = baseStrings.map(({ key, source }) => {
+            const value = this._getPathValue(content, key);
+            return { msgctxt: key, msgid: source, msgstr: typeof value === 'string' ? value : '' };
+          });
+          write(`${locale}.po`, stringifyPo(entries, { Language: locale, ...headers }));
+        }
+        break;
+      }
+
+      case 'xliff': {
+        // XLIFF files describe a source -> target pair, so the base locale gets no file of its own
+        const reviewStates = this._loadReviewStates();
+        for (const locale of locales.filter(item => this.locales.includes(item) && item !== baseLocale)) {
+          const content = this.loadLocale(locale);
+          if (!content) continue;
+
+          const units = baseStrings.map(({ key, source }) => {
+            const value = this._getPathValue(content, key);
+            const target = typeof value === 'string' && value !== '' ? value : null;
+            return { id: key, source, target, state: xliffState(reviewStates[locale], key, value) };
+          });
+          write(`${locale}.xlf`, stringifyXliff(units, { version: xliffVersion, sourceLanguage: baseLocale, targetLanguage: locale }));
+        }
+        break;
+      }
+
+      case 'csv': {
+        const columns = [baseLocale, ...locales.filter(item => this.locales.includes(item) && item !== baseLocale)];
+        const contents = columns.map(locale => (locale === baseLocale ? baseContent : this.loadLocale(locale) || {}));
+
+        const rows = [['key', ...columns]];
+        for (const { key } of baseStrings) {
+          rows.push([key, ...contents.map(content => {
+            const value = this._getPathValue(content, key);
+            return typeof value === 'string' ? value : '';
+          })]);
+        }
+        write('translations.csv', stringifyCsv(rows));
+        break;
+      }
+
+      case 'android':
+      case 'ios':
+      case 'arb': {
+        for (const locale of locales.filter(item => this.locales.includes(item))) {
+          const content = locale === baseLocale ? baseContent : this.loadLocale(locale);
+          if (!content) continue;
+
+          const resources = this._getResources(baseContent, content, keyStyle);
+          if (format === 'android') {
+            // The base locale is the default resource set
+            const dir = locale === baseLocale ? 'values' : `values-${androidQualifier(locale)}`;
+            write(`${dir}/strings.xml`, stringifyAndroidStrings(resources));
+          } else if (format === 'ios') {
+            write(`${locale}.lproj/Localizable.strings`, stringifyStrings(resources.filter(resource => !resource.plural)));
+            const plurals = resources.filter(resource => resource.plural);
+            if (plurals.length > 0) {
+              write(`${locale}.lproj/Localizable.stringsdict`, stringifyStringsdict(plurals));
+            }
+          } else {
+            const arbLocale = locale.replace(/-/g, '_');
+            write(`app_${arbLocale}.arb`, stringifyArb(resources, { locale: arbLocale, metadata: locale === baseLocale }));
+          }
+        }
+        break;
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Import translated files back into the locales. Values are merged through
+   * batchUpdate(); entries that match the current translation are left alone,
+   * and keys that no longer exist in the base locale are reported, not written.
+   * XLIFF units are imported only when their state differs from the one the
+   * export gives them; units set to 'final' are remembered as signed off, so
+   * the next export marks them 'final' while their text is unchanged.
+   * @param {string|Array<string>} inputs - Files or directories to import (.po, .xlf/.xliff, .csv,
+   *   Android strings.xml, .strings/.stringsdict, .arb); directories are searched recursively
+   * @param {Object} options - Import options
+   * @param {boolean} options.includeFuzzy - Import fuzzy entries instead of skipping them;
+   *   imported fuzzy keys are listed in the result so they can be reviewed (default: false)
+   * @param {string} options.keyStyle - Resource name style of mobile files, as used for the export
+   * @returns {Object|null} Per-locale summary ({added, changed, unchanged, untranslated, fuzzy, skipped, orphaned, reviewed, edited}),
+   *   or null on error; `reviewed` lists the XLIFF units newly signed off, and `edited` the units whose
+   *   target was changed without a state change, which are not imported
+   */
+  importTranslations(inputs, options = {}) {
+    options = this._commandOptions('import', options);
+    const { includeFuzzy = false, keyStyle = null } = options;
+
+    const files = [];
+    const collect = dir => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+        const fullPath = path.join(dir, entry.name);
+        const ext = path.extname(entry.name).toLowerCase();
+        if (entry.isDirectory()) {
+          collect(fullPath);
+        } else if (IMPORT_EXTENSIONS.includes(ext) && (ext !== '.xml' || path.basename(dir).startsWith('values'))) {
+          // Only XML files in Android values directories are string resources
+          files.push(fullPath);
+        }
+      }
+    };
+    for (const input of Array.isArray(inputs) ? inputs : [inputs]) {
+      if (!fs.existsSync(input)) {
+        this.logger.error(`❌ Import file not found: ${input}`);
+        return null;
+      }
+      if (fs.statSync(input).isDirectory()) {
+        collect(input);
+      } else {
+        files.push(input);
+      }
+    }
+
+    const baseLocale = this.detectBaseLocale();
+    const baseContent = baseLocale ? this.loadLocale(baseLocale) : null;
+    if (!baseContent) {
+      this.logger.error('❌ Cannot import without a readable base locale');
+      return null;
+    }
+    const baseKeys = new Set(this._getAllPaths(baseContent));
+    // Plural subtrees may gain categories the base language does not use (e.g. 'few')
+    const isBaseKey = key => baseKeys.has(key) || (PLURAL_CATEGORIES.includes(key.split('.').pop()) &&
+      isPluralSubtree(this._getPathValue(baseContent, key.split('.').slice(0, -1).join('.'))));
+
+    // Resource names of the mobile formats, mapped back to dotted keys
+    const nameIndexes = {};
+    const resolveName = (name, format) => {
+      const style = keyStyle || DEFAULT_KEY_STYLES[format];
+      if (!nameIndexes[style]) {
+        nameIndexes[style] = this._getResourceNames(baseContent, style);
+      }
+      const keys = nameIndexes[style].get(name);
+      if (keys && keys.length > 1) {
+        throw new Error(`Resource name "${name}" is ambiguous: it stands for ${keys.join(' and ')}`);
+      }
+      return keys ? keys[0] : name;
+    };
+
+    const updates = {};
+    const summary = {};
+    const reviewStates = this._loadReviewStates();
+    let reviewChanged = false;
+
+    for (const filePath of files) {
+      let parsed;
+      try {
+        parsed = this._readImportFile(filePath, { baseLocale, resolveName });
+      } catch (error) {
+        this.logger.error(`❌ Error parsing ${path.basename(filePath)}: ${error.message}`);
+        return null;
+      }
+
+      for (const { locale, entries } of parsed) {
+        if (!this.locales.includes(locale)) {
+          this.logger.warn(`⚠️  Unknown locale: ${locale} (${path.basename(filePath)}), skipping`);
+          continue;
+        }
+
+        const content = this.loadLocale(locale);
+        if (!content) continue;
+
+        const result = summary[locale] ||
+          (summary[locale] = { added: 0, changed: 0, unchanged: 0, untranslated: 0, fuzzy: [], skipped: [], orphaned: [], reviewed: [], edited: [] });
+        updates[locale] = updates[locale] || {};
+        const reviewed = reviewStates[locale] || (reviewStates[locale] = {});
+
+        for (const entry of entries) {
+          const current = this._getPathValue(content, entry.key);
+          if (!isBaseKey(entry.key)) {
+            result.orphaned.push(entry.key);
+          } else if (!entry.value) {
+            result.untranslated++;
+          } else if (entry.state && entry.state === xliffState(reviewed, entry.key, current)) {
+            // XLIFF units whose state the CAT tool did not change; an edited target is reported, not lost silently
+            if (current === entry.value) {
+              result.unchanged++;
+            } else {
+              result.edited.push(entry.key);
+            }
+          } else if (entry.fuzzy && !includeFuzzy) {
+            result.skipped.push(entry.key);
+          } else {
+            if (entry.state === 'final') {
+              reviewed[entry.key] = entry.value;
+              result.reviewed.push(entry.key);
+              reviewChanged = true;
+            } else if (entry.state && entry.key in reviewed) {
+              delete reviewed[entry.key];
+              reviewChanged = true;
+            }
+            if (current === entry.value) {
+              result.unchanged++;
+              continue;
+            }
+
+            updates[locale][entry.key] = entry.value;
+            if (typeof current === 'string' && current !== '') {
+              result.changed++;
+            } else {
+              result.added++;
+            }
+            if (entry.fuzzy) result.fuzzy.push(entry.key);
+          }
+        }
+      }
+    }
+
+    this.batchUpdate(Object.fromEntries(Object.entries(updates).filter(([, values]) => Object.keys(values).length > 0)));
+    if (reviewChanged) {
+      this._saveReviewStates(reviewStates);
+    }
+
+    for (const [locale, result] of Object.entries(summary)) {
+      this.logger.log(`📥 ${locale}: ${result.added} added, ${result.changed} changed, ${result.unchanged} unchanged, ${result.untranslated} untranslated`);
+      if (result.reviewed.length > 0) {
+        this.logger.log(`✅ ${locale}: ${result.reviewed.length} units signed off`);
+      }
+      if (result.skipped.length > 0) {
+        this.logger.warn(`⚠️  ${locale}: ${result.skipped.length} fuzzy entries skipped (use --include-fuzzy to import them)`);
+      }
+      if (result.edited.length > 0) {
+        this.logger.warn(`⚠️  ${locale}: ${result.edited.length} XLIFF units were edited without a state change and were not imported (change their state to import them): ${result.edited.join(', ')}`);
+      }
+      if (result.fuzzy.length > 0) {
+        this.logger.warn(`⚠️  ${locale}: ${result.fuzzy.length} fuzzy entries imported, please review: ${result.fuzzy.join(', ')}`);
+      }
+      if (result.orphaned.length > 0) {
+        this.logger.warn(`⚠️  ${locale}: ${result.orphaned.length} keys no longer exist in ${baseLocale} and were not imported: ${result.orphaned.join(', ')}`);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Read the signed-off translations ({locale: {key: text}}) from the review state file
+   * @private
+   */
+  _loadReviewStates() {
+    const filePath = path.join(this.config.rootDir || process.cwd(), REVIEW_STATE_FILE);
+    if (!fs.existsSync(filePath)) return {};
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      this.logger.warn(`⚠️  Ignoring unreadable ${REVIEW_STATE_FILE}: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Write the signed-off translations, leaving out locales without any
+   * @private
+   */
+  _saveReviewStates(states) {
+    const filePath = path.join(this.config.rootDir || process.cwd(), REVIEW_STATE_FILE);
+    const kept = Object.fromEntries(Object.entries(states).filter(([, keys]) => Object.keys(keys).length > 0));
+    writeFileAtomic(filePath, JSON.stringify(kept, null, 2) + '\n');
+  }
+
+  /**
+   * Read a translated file into import entries, grouped by locale
+   * @param {string} filePath - The file to read
+   * @param {Object} context - The base locale and a resolveName(name, format) function for resource names
+   * @returns {Array<{locale: string, entries: Array<{key: string, value: string, fuzzy: boolean, state?: string}>}>}
+   *   The entries; XLIFF entries carry the unit's state
+   * @throws {SyntaxError} If the file cannot be parsed
+   * @private
+   */
+  _readImportFile(filePath, context) {
+    const ext = path.extname(filePath).toLowerCase();
+    const text = readTextFile(filePath);
+    const dirName = path.basename(path.dirname(filePath));
+
+    // Mobile resources become one entry per string, or per plural category
+    const toEntries = (resources, format) => resources.flatMap(resource => {
+      const key = context.resolveName(resource.name, format);
+      return resource.plural
+        ? Object.entries(resource.plural).map(([category, value]) => ({ key: `${key}.${category}`, value, fuzzy: false }))
+        : [{ key, value: resource.value, fuzzy: false }];
+    });
+
+    switch (ext) {
+      case '.po': {
+        const { headers, entries } = parsePo(text);
+        // The Language header may use gettext's underscore style (fr_FR)
+        const locale = headers.Language ? this._matchLocale(headers.Language) : path.basename(filePath, ext);
+
+        return [{
+          locale,
+          entries: entries
+            // Entries without a key path, plural forms and obsolete entries cannot be mapped back
+            .filter(entry => entry.msgctxt && !entry.obsolete && !Array.isArray(entry.msgstr))
+            .map(entry => ({ key: entry.msgctxt, value: entry.msgstr, fuzzy: entry.flags.includes('fuzzy') }))
+        }];
+      }
+
+      case '.xlf':
+      case '.xliff': {
+        const { targetLanguage, units } = parseXliff(text);
+        return [{
+          locale: this._matchLocale(targetLanguage || path.basename(filePath, ext)),
+          // Units still in the 'new' state have nothing to write back
+          entries: units
+            .filter(unit => unit.id)
+            .map(unit => ({ key: unit.id, value: unit.state === 'new' ? '' : unit.target, fuzzy: false, state: unit.state }))
+        }];
+      }
+
+      case '.csv': {
+        const [header, ...rows] = parseCsv(text);
+        if (!header || header[0].trim().toLowerCase() !== 'key') {
+          throw new SyntaxError('The first column must be "key"');
+        }
+
+        // One entry list per locale column; a cell left empty is not a translation
+        return header.slice(1).map((column, index) => ({
+          locale: column.trim(),
+          entries: rows
+            .filter(row => row[0] && row[0].trim())
+            .map(row => ({ key: row[0].trim(), value: row[index + 1] || '', fuzzy: false }))
+        }));
+      }
+
+      case '.xml': {
+        // values/ holds the default (base locale) resources
+        const locale = localeFromAndroidDir(dirName);
+        return [{
+          locale: locale ? this._matchLocale(locale) : context.baseLocale,
+          entries: toEntries(parseAndroidStrings(text), 'android')
+        }];
+      }
+
+      case '.strings':
+      case '.stringsdict': {
+        const lproj = dirName.endsWith('.lproj') ? dirName.slice(0, -'.lproj'.length) : null;
+        const resources = ext === '.strings' ? parseStrings(text) : parseStringsdict(text);
+        return [{
+          locale: !lproj || lproj === 'Base' ? context.baseLocale : this._matchLocale(lproj),
+          entries: toEntries(resources, 'ios')
+        }];
+      }
+
+      case '.arb': {
+        const { locale, resources } = parseArb(text);
+        // Without @@locale, try the end of the file name (app_en_US.arb)
+        const parts = path.basename(filePath, ext).split('_');
+        const fromName = parts.map((_, index) => this._matchLocale(parts.slice(index).join('-')))
+          .find(code => this.locales.includes(code));
+        return [{
+          locale: locale ? this._matchLocale(locale) : fromName || parts[parts.length - 1],
+          entries: toEntries(resources, 'arb')
+        }];
+      }
+
+      default:
+        this.logger.warn(`⚠️  Unsupported import file: ${path.basename(filePath)}`);
+        return [];
+    }
+  }
+
+  /**
+   * Find the known locale for a code written in another convention
+   * ('fr_FR' or 'fr-fr' for 'fr-FR')
+   * @private
+   */
+  _matchLocale(code) {
+    const normalize = value => value.toLowerCase().replace(/_/g, '-');
+    return this.locales.find(locale => normalize(locale) === normalize(code)) || code;
+  }
+
+  /**
+   * List the translatable resources of a locale in base locale order: strings
+   * and plural subtrees. Untranslated keys are left out.
+   * @param {Object} baseContent - The base locale content (defines the keys)
+   * @param {Object} content - The locale content
+   * @param {string} keyStyle - Resource name style (see toResourceName)
+   * @returns {Array<Object>} Resources ({key, name, value} or {key, name, plural})
+   * @private
+   */
+  _getResources(baseContent, content, keyStyle) {
+    const resources = [];
+
+    const walk = (node, prefix) => {
+      for (const [key, value] of Object.entries(node)) {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        const localized = this._getPathValue(content, keyPath);
+
+        if (isPluralSubtree(value)) {
+          if (isPluralSubtree(localized)) {
+            resources.push({ key: keyPath, name: toResourceName(keyPath, keyStyle), plural: localized });
+          }
+        } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+          walk(value, keyPath);
+        } else if (typeof value === 'string' && typeof localized === 'string' && localized !== '') {
+          resources.push({ key: keyPath, name: toResourceName(keyPath, keyStyle), value: localized });
+        }
+      }
+    };
+
+    walk(baseContent, '');
+    return resources;
+  }
+
+  /**
+   * Map the resource names of the base locale's strings and plural subtrees
+   * to their keys. Names that several keys share list all of them.
+   * @param {Object} baseContent - The base locale content
+   * @param {string} keyStyle - Resource name style (see toResourceName)
+   * @returns {Map<string, Array<string>>} The keys per resource name
+   * @private
+   */
+  _getResourceNames(baseContent, keyStyle) {
+    const keysByName = new Map();
+
+    const walk = (node, prefix) => {
+      for (const [key, value] of Object.entries(node)) {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        if (isPluralSubtree(value) || typeof value === 'string') {
+          const name = toResourceName(keyPath, keyStyle);
+          keysByName.set(name, [...(keysByName.get(name) || []), keyPath]);
+        } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+          walk(value, keyPath);
+        }
+      }
+    };
+
+    walk(baseContent, '');
+    return keysByName;
+  }
+
+  /**
+   * Check for hardcoded strings in Vue, Svelte, Astro, HTML (Angular) and JSX files
+   * @param {string} projectDir - The project directory to scan (defaults to current working directory)
+   * @param {Object} options - Options for the scan
+   * @param {Array} options.attributes - Attributes and props whose literal values are reported in the
+   *   `attribute` category (default: placeholder, title, alt, label and the text aria-* attributes)
+   * @returns {Array} Array of hardcoded string findings
+   */
+  checkHardcodedStrings(projectDir = null, options = {}) {
+    const { findings, suppressed, verbose } = this._scanHardcodedStrings(projectDir, options);
+    this._reportHardcodedFindings(findings, verbose);
+    this._reportSuppressedFindings(suppressed, verbose);
+    return findings;
+  }
+
+  /**
+   * Check for hardcoded strings, reporting only findings that are not in the
+   * baseline file, and list baseline entries that have been fixed since
+   * @param {string} projectDir - The project directory to scan (defaults to current working directory)
+   * @param {Object} options - Options for the scan, as for checkHardcodedStrings()
+   * @param {string} options.baseline - The baseline file (default: config `baseline`, or
+   *   vibei18n.baseline.json next to the config file or in the current directory)
+   * @returns {{findings: Array, baselined: number, fixed: Array, suppressed: Array, baselinePath: string|null}|null}
+   *   New findings, the number of known ones, fixed entries ({file, text, count}, with `file`
+   *   relative to the baseline's directory) and findings
+   *   silenced by vibei18n-ignore/disable comments ({file, line, text, directive});
+   *   `baselinePath` is null when there is no baseline file. null if the baseline can't be read.
+   */
+  compareHardcodedBaseline(projectDir = null, options = {}) {
+    const baselinePath = this._getBaselinePath(options);
+    let baseline;
+    try {
+      baseline = readBaseline(baselinePath);
+    } catch (error) {
+      this.logger.error(`❌ Invalid baseline: ${error.message}`);
+      return null;
+    }
+
+    const { findings, suppressed, verbose } = this._scanHardcodedStrings(projectDir, options);
+    if (!baseline) {
+      this._reportHardcodedFindings(findings, verbose);
+      this._reportSuppressedFindings(suppressed, verbose);
+      return { findings, baselined: 0, fixed: [], suppressed, baselinePath: null };
+    }
+
+    const result = compareBaseline(baseline, findings, this._baselineLocation(projectDir, baselinePath));
+    this._reportHardcodedFindings(result.findings, verbose);
+    this._reportSuppressedFindings(suppressed, verbose);
+
+    const baselineName = path.relative(process.cwd(), baselinePath) || baselinePath;
+    this.logger.log(`ℹ️  ${result.baselined} known finding${result.baselined === 1 ? '' : 's'} in ${baselineName} not reported`);
+    if (result.fixed.length > 0) {
+      this.logger.log(`\n🎉 Fixed since the baseline (run with --update-baseline to remove them):`);
+      result.fixed.forEach(entry => {
+        this.logger.log(`   ✅ ${entry.file}: "${entry.text}"${entry.count > 1 ? ` (${entry.count}×)` : ''}`);
       });
-    } else {
-      console.log('✅ No duplicate translations found.');
     }
 
-    return duplicates;
+    return { ...result, suppressed, baselinePath };
+  }
+
+  /**
+   * Record the current hardcoded string findings in the baseline file, so later
+   * checks report only new ones. Findings are fingerprinted by file, text and
+   * the line's content rather than its number.
+   * @param {string} projectDir - The project directory to scan (defaults to current working directory)
+   * @param {Object} options - Options for the scan, and `baseline` as for compareHardcodedBaseline()
+   * @returns {{baselinePath: string, findings: number, entries: number}} What was written
+   */
+  updateHardcodedBaseline(projectDir = null, options = {}) {
+    const baselinePath = this._getBaselinePath(options);
+    const { findings } = this._scanHardcodedStrings(projectDir, options);
+    const baseline = createBaseline(findings, this._baselineLocation(projectDir, baselinePath));
+
+    fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+    writeFileAtomic(baselinePath, JSON.stringify(baseline, null, 2) + '\n');
+    this.logger.log(`📌 Recorded ${findings.length} finding${findings.length === 1 ? '' : 's'} in ${path.relative(process.cwd(), baselinePath) || baselinePath}`);
+
+    return { baselinePath, findings: findings.length, entries: baseline.entries.length };
+  }
+
+  /**
+   * Resolve the baseline file: the `baseline` option, the config's, or the default name
+   * next to the config file (or in the current directory)
+   * @private
+   */
+  _getBaselinePath(options) {
+    const { baseline } = this._commandOptions('hardcode-check', options);
+    return path.resolve(baseline || this.config.baseline || path.join(this.config.rootDir || process.cwd(), BASELINE_FILE_NAME));
+  }
+
+  /**
+   * Baseline entries name files relative to the baseline's directory, whichever
+   * directory was scanned
+   * @private
+   */
+  _baselineLocation(projectDir, baselinePath) {
+    return {
+      scanDir: path.resolve(projectDir || this.config.sourceDir || process.cwd()),
+      baseDir: path.dirname(baselinePath)
+    };
+  }
+
+  /**
+   * Scan a project for hardcoded strings, sorted by file and line
+   * @returns {{findings: Array, suppressed: Array, verbose: boolean}} The findings, those silenced
+   *   by suppression comments, and whether to report verbosely
+   * @private
+   */
+  _scanHardcodedStrings(projectDir, options) {
+    projectDir = projectDir || this.config.sourceDir || process.cwd();
+    const {
+      extensions = DEFAULT_HARDCODE_EXTENSIONS,
+      include = [],
+      excludeDirs = DEFAULT_EXCLUDE_DIRS,
+      excludeFiles = [],
+      minLength = 2,
+      maxLength = 200,
+      includeComments = false,
+      attributes = DEFAULT_TRANSLATABLE_ATTRIBUTES,
+      verbose = false
+    } = this._commandOptions('hardcode-check', options, true);
+
+    this.logger.log('🔍 Scanning for hardcoded strings...');
+    this.logger.log(`📁 Directory: ${projectDir}`);
+    this.logger.log(`📄 Extensions: ${extensions.join(', ')}`);
+
+    const findings = [];
+    const suppressed = [];
+
+    this._walkProjectFiles(projectDir, { extensions, include, excludeDirs, excludeFiles, verbose }, (fullPath, relativePath) => {
+      this._scanFile(fullPath, relativePath, findings, { minLength, maxLength, includeComments, attributes, verbose }, suppressed);
+    });
+
+    // Sort findings by file and position
+    const byLocation = (a, b) => {
+      if (a.file !== b.file) return a.file.localeCompare(b.file);
+      return a.line - b.line || (a.column || 0) - (b.column || 0);
+    };
+    findings.sort(byLocation);
+    suppressed.sort(byLocation);
+
+    return { findings, suppressed, verbose };
+  }
+
+  /**
+   * Helper function to get all paths in an object
+   * @private
+   */
+  _getAllPaths(obj, prefix = '') {
+    const paths = [];
+
+    for (const [key, value] of Object.entries(obj)) {
+      const path = prefix ? `${prefix}.${key}` : key;
+
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        paths.push(...this._getAllPaths(value, path));
+      } else {
+        paths.push(path);
+      }
+    }
+
+    return paths;
+  }
+
+  /**
+   * Read a value from a locale object by dot-separated path
+   * @private
+   */
+  _getPathValue(obj, keyPath) {
+    let current = obj;
+    for (const key of keyPath.split('.')) {
+      if (!current || typeof current !== 'object' || !(key in current)) return undefined;
+      current = current[key];
+    }
+    return current;
+  }
+
+  /**
+   * Scan a single file for hardcoded strings. Findings silenced by suppression
+   * comments go to `suppressed`, with the directive that silenced them.
+   * @private
+   */
+  _scanFile(filePath, relativePath, findings, options, suppressed = []) {
+    const { verbose } = options;
+
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      const lines = content.split('\n');
+      const { suppressedBy, directiveLines } = this._readSuppressionComments(lines);
+      const fileFindings = this._scanRegions(content, lines, relativePath, options);
+
+      for (const finding of fileFindings) {
+        if (directiveLines.has(finding.line)) continue;
+
+        // A finding is suppressed when any line it spans is
+        let directive = null;
+        for (let line = finding.line; line <= finding.endLine && !directive; line++) {
+          directive = suppressedBy.get(line) || null;
+        }
+
+        if (directive) {
+          suppressed.push({ file: finding.file, line: finding.line, text: finding.text, directive });
+        } else {
+          findings.push(finding);
+        }
+      }
+    } catch (error) {
+      if (verbose) {
+        this.logger.warn(`⚠️  Could not read file ${filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Find the lines silenced by vibei18n suppression comments. A vibei18n-disable
+   * line is suppressed, its vibei18n-enable line is not.
+   * @returns {{suppressedBy: Map, directiveLines: Set}} The directive silencing each line, and
+   *   the lines that hold nothing but a directive comment
+   * @private
+   */
+  _readSuppressionComments(lines) {
+    const suppressedBy = new Map();
+    const directiveLines = new Set();
+    let disabled = false;
+    let ignoredLine = 0;
+    let ignoredBy = null;
+
+    lines.forEach((line, index) => {
+      const lineNumber = index + 1;
+      if (!line.trim()) return;
+
+      let directiveName = disabled ? 'vibei18n-disable' : lineNumber === ignoredLine ? ignoredBy : null;
+      const directive = line.match(SUPPRESSION_PATTERN);
+      if (directive) {
+        const commentOnly = line.replace(directive[0], '').trim() === '';
+        if (directive[1] === 'disable') {
+          disabled = true;
+          directiveName = 'vibei18n-disable';
+        } else if (directive[1] === 'enable') {
+          disabled = false;
+          directiveName = null;
+        } else if (directive[1] === 'ignore-next-line' || commentOnly) {
+          ignoredLine = lineNumber + 1;
+          ignoredBy = `vibei18n-${directive[1]}`;
+        } else {
+          directiveName = 'vibei18n-ignore';
+        }
+        if (commentOnly) directiveLines.add(lineNumber);
+      }
+
+      if (directiveName) suppressedBy.set(lineNumber, directiveName);
+    });
+
+    return { suppressedBy, directiveLines };
+  }
+
+  /**
+   * Scan lines of code one by one
+   * @param {Array<string>} lines - The lines
+   * @param {number} firstLine - Line number of the first line
+   * @param {number} firstColumn - Columns before the first line's text (it may start after a tag)
+   * @private
+   */
+  _scanLines(lines, firstLine, firstColumn, relativePath, options) {
+    const { minLength, maxLength, includeComments, attributes } = options;
+    const findings = [];
+
+    lines.forEach((line, index) => {
+      // Skip empty lines
+      if (!line.trim()) return;
+
+      const lineFindings = this._extractStringsFromLine(line, firstLine + index, relativePath, {
+        minLength,
+        maxLength,
+        includeComments,
+        attributes
+      });
+      if (index === 0 && firstColumn > 0) {
+        lineFindings.forEach(finding => {
+          finding.column += firstColumn;
+          finding.endColumn += firstColumn;
+        });
+      }
+      findings.push(...lineFindings);
+    });
+
+    return findings;
   }
 
   /**
-   * Check for hardcoded strings in Vue and JS files
-   * @param {string} projectDir - The project directory to scan (defaults to current working directory)
-   * @param {Object} options - Options for the scan
-   * @returns {Array} Array of hardcoded string findings
+   * Scan a file region by region, as its source extractor splits it: markup
+   * (a Vue <template>, a Svelte, Astro or HTML file) as a whole, so text and
+   * tags may span lines, and script code line by line. Script files are a
+   * single script region, with any inline component templates as markup.
+   * @private
    */
-  checkHardcodedStrings(projectDir = process.cwd(), options = {}) {
-    const {
-      extensions = ['.vue', '.jsx'],
-      excludeDirs = ['node_modules', '.git', 'dist', 'build', '.nuxt', '.output'],
-      excludeFiles = [],
-      minLength = 2,
-      maxLength = 200,
-      includeComments = false,
-      verbose = false
-    } = options;
+  _scanRegions(content, lines, relativePath, options) {
+    const extractor = getSourceExtractor(relativePath, this.extractors);
+    const locate = createLocator(content);
+    const findings = [];
+    const regions = extractor.regions ? extractor.regions(content) : [{ type: 'script', start: 0, end: content.length }];
+    const markup = regions.filter(region => region.type === 'markup');
+
+    for (const region of regions) {
+      if (region.type === 'markup') {
+        const syntax = region.syntax || extractor.syntax || 'vue';
+        findings.push(...this._extractTemplateText(content, lines, region, locate, relativePath, { ...options, syntax }));
+      } else if (region.type === 'script') {
+        // Markup nested in the script (an inline template) is scanned as markup only
+        let start = region.start;
+        const nested = markup.filter(range => range.start >= region.start && range.end <= region.end)
+          .sort((a, b) => a.start - b.start);
+        for (const range of [...nested, { start: region.end, end: region.end }]) {
+          const { line, column } = locate(start);
+          const regionLines = content.slice(start, range.start).split('\n');
+          findings.push(...this._scanLines(regionLines, line, column - 1, relativePath, options));
+          start = range.end;
+        }
+      }
+    }
 
-    console.log('🔍 Scanning for hardcoded strings...');
-    console.log(`📁 Directory: ${projectDir}`);
-    console.log(`📄 Extensions: ${extensions.join(', ')}`);
+    return findings;
+  }
 
+  /**
+   * Extract the text nodes of a template that look user-facing, and the literal
+   * values of translatable attributes. Anything inside <code> or <pre> is
+   * skipped, whichever line the element was opened on, as is the content of
+   * <script> and <style> elements and, in Angular templates, anything marked
+   * for translation with `i18n` or `translate`.
+   * @private
+   */
+  _extractTemplateText(content, lines, block, locate, filePath, options) {
+    const { minLength, maxLength, syntax = 'vue', attributes = DEFAULT_TRANSLATABLE_ATTRIBUTES } = options;
     const findings = [];
 
-    const scanDirectory = (dir) => {
-      try {
-        const items = fs.readdirSync(dir);
+    for (const node of parseTemplate(content, block.start, block.end)) {
+      if (node.parents.includes('code') || node.parents.includes('pre')) continue;
 
-        for (const item of items) {
-          const fullPath = path.join(dir, item);
-          const relativePath = path.relative(projectDir, fullPath);
+      if (node.type === 'tag') {
+        const names = node.attributes.map(attribute => attribute.name);
 
-          // Skip excluded directories
-          if (excludeDirs.some(excluded => relativePath.includes(excluded))) {
-            continue;
-          }
+        // Bound values (:placeholder="...", [title]="...", title={...}) are expressions, not text
+        for (const attribute of node.attributes) {
+          if (attribute.value === null || attribute.braced || !attributes.includes(attribute.name)) continue;
+          if (syntax === 'angular' && names.includes(`i18n-${attribute.name}`)) continue;
 
-          const stat = fs.statSync(fullPath);
+          const textContent = attribute.value.trim().replace(/\s+/g, ' ');
+          if (this._hasInterpolation(textContent, syntax) || !this._isTranslatableAttributeValue(textContent, options)) continue;
 
-          if (stat.isDirectory()) {
-            scanDirectory(fullPath);
-          } else if (stat.isFile()) {
-            // Check if file has target extension
-            const ext = path.extname(item);
-            if (extensions.includes(ext) && !excludeFiles.includes(item)) {
-              this._scanFile(fullPath, relativePath, findings, { minLength, maxLength, includeComments, verbose });
-            }
-          }
-        }
-      } catch (error) {
-        if (verbose) {
-          console.warn(`⚠️  Could not scan directory ${dir}: ${error.message}`);
+          const from = locate(attribute.valueStart);
+          const to = locate(attribute.valueEnd);
+          findings.push({
+            file: filePath,
+            line: from.line,
+            column: from.column,
+            endLine: to.line,
+            endColumn: to.column,
+            text: textContent,
+            fullMatch: content.slice(attribute.start, attribute.valueEnd + 1),
+            context: lines[from.line - 1].trim(),
+            category: 'attribute',
+            severity: 'high',
+            attribute: attribute.name
+          });
         }
+        continue;
       }
-    };
 
-    scanDirectory(projectDir);
+      if (node.parentTag && ['script', 'style'].includes(node.parentTag.name.toLowerCase())) continue;
+      if (syntax === 'angular' && node.parentTag &&
+        node.parentTag.attributes.some(attribute => ['i18n', 'translate', '[translate]'].includes(attribute.name))) {
+        continue;
+      }
 
-    // Sort findings by file and line number
-    findings.sort((a, b) => {
-      if (a.file !== b.file) return a.file.localeCompare(b.file);
-      return a.line - b.line;
-    });
+      for (const segment of this._splitTemplateText(content, node, syntax)) {
+        // Text that wraps across lines is reported with single spaces
+        const textContent = segment.value.trim().replace(/\s+/g, ' ');
+        if (!textContent || textContent.length < minLength || textContent.length > maxLength) {
+          continue;
+        }
 
-    this._reportHardcodedFindings(findings, verbose);
+        // Skip template expressions
+        if (this._hasInterpolation(textContent, syntax)) {
+          continue;
+        }
+
+        if (!this._isUserFacingText(textContent)) {
+          continue;
+        }
+
+        const start = segment.start + segment.value.length - segment.value.trimStart().length;
+        const end = segment.start + segment.value.trimEnd().length;
+        const from = locate(start);
+        const to = locate(end);
+        findings.push({
+          file: filePath,
+          line: from.line,
+          column: from.column,
+          endLine: to.line,
+          endColumn: to.column,
+          text: textContent,
+          fullMatch: content.slice(start, end),
+          context: lines[from.line - 1].trim(),
+          category: 'template-content',
+          severity: 'high'
+        });
+      }
+    }
 
     return findings;
   }
 
   /**
-   * Helper function to get all paths in an object
+   * Split a text node of Svelte or Astro markup around block tags, so each
+   * branch of `{#if}...{:else}...{/if}` is checked on its own
+   * @returns {Array<{value: string, start: number}>} The pieces of text
    * @private
    */
-  _getAllPaths(obj, prefix = '') {
-    const paths = [];
-
-    for (const [key, value] of Object.entries(obj)) {
-      const path = prefix ? `${prefix}.${key}` : key;
-
-      if (value && typeof value === 'object' && !Array.isArray(value)) {
-        paths.push(...this._getAllPaths(value, path));
-      } else {
-        paths.push(path);
-      }
+  _splitTemplateText(content, node, syntax) {
+    if (syntax !== 'braces') return [{ value: node.value, start: node.start }];
+
+    const segments = [];
+    let start = node.start;
+    for (const expression of findBracedExpressions(content, node.start, node.end)) {
+      if (!/^\s*[#:/@]/.test(content.slice(expression.start, expression.end))) continue;
+      segments.push({ value: content.slice(start, expression.start - 1), start });
+      start = expression.end + 1;
     }
-
-    return paths;
+    segments.push({ value: content.slice(start, node.end), start });
+    return segments;
   }
 
   /**
-   * Scan a single file for hardcoded strings
+   * Whether template text holds expressions: `{{ }}`, or `{ }` in Svelte and Astro
    * @private
    */
-  _scanFile(filePath, relativePath, findings, options) {
-    const { minLength, maxLength, includeComments, verbose } = options;
-
-    try {
-      const content = fs.readFileSync(filePath, 'utf8');
-      const lines = content.split('\n');
-
-      for (let lineNum = 0; lineNum < lines.length; lineNum++) {
-        const line = lines[lineNum];
-        const lineNumber = lineNum + 1;
-
-        // Skip empty lines
-        if (!line.trim()) continue;
-
-        // Find hardcoded strings
-        const stringFindings = this._extractStringsFromLine(line, lineNumber, relativePath, {
-          minLength,
-          maxLength,
-          includeComments
-        });
-
-        findings.push(...stringFindings);
-      }
-    } catch (error) {
-      if (verbose) {
-        console.warn(`⚠️  Could not read file ${filePath}: ${error.message}`);
-      }
-    }
+  _hasInterpolation(text, syntax) {
+    return syntax === 'braces' ? /[{}]/.test(text) : text.includes('{{') || text.includes('}}');
   }
 
   /**
@@ -723,8 +2735,9 @@ export class I18nHelper {
       return findings;
     }
 
-    // For Vue files and JSX/TSX files, focus on template content between tags
-    if (filePath.endsWith('.vue') || filePath.endsWith('.jsx') || filePath.endsWith('.tsx')) {
+    // For JSX/TSX files, focus on template content between tags (.vue templates are
+    // parsed as a whole, and their script lines end up below)
+    if (filePath.endsWith('.jsx') || filePath.endsWith('.tsx')) {
       return this._extractVueTemplateContent(line, lineNumber, filePath, options);
     }
 
@@ -738,7 +2751,7 @@ export class I18nHelper {
    */
   _extractVueTemplateContent(line, lineNumber, filePath, options) {
     const { minLength, maxLength } = options;
-    const findings = [];
+    const findings = this._extractAttributeValues(line, lineNumber, filePath, options);
 
     // Pattern to match text content between HTML tags
     // This captures text that's not inside attribute quotes
@@ -753,7 +2766,7 @@ export class I18nHelper {
       let match;
       while ((match = pattern.exec(line)) !== null) {
         const textContent = match[1].trim();
-        const startCol = match.index + 1;
+        const startCol = match.index + 1 + (match[1].length - match[1].trimStart().length);
 
         // Skip empty content or whitespace
         if (!textContent || textContent.length < minLength || textContent.length > maxLength) {
@@ -775,7 +2788,9 @@ export class I18nHelper {
           findings.push({
             file: filePath,
             line: lineNumber,
-            column: startCol,
+            column: startCol + 1,
+            endLine: lineNumber,
+            endColumn: startCol + 1 + textContent.length,
             text: textContent,
             fullMatch: match[0],
             context: line.trim(),
@@ -789,6 +2804,59 @@ export class I18nHelper {
     return findings;
   }
 
+  /**
+   * Extract the quoted literal values of translatable attributes from a line of
+   * markup, e.g. `<Button label="Save">`. Values in braces (JSX expressions) are skipped.
+   * @private
+   */
+  _extractAttributeValues(line, lineNumber, filePath, options) {
+    const { attributes = DEFAULT_TRANSLATABLE_ATTRIBUTES } = options;
+    const findings = [];
+    const pattern = /(^|[\s<])([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+      const name = match[2];
+      const value = match[3] !== undefined ? match[3] : match[4];
+      if (!attributes.includes(name)) continue;
+
+      const textContent = value.trim().replace(/\s+/g, ' ');
+      const valueIndex = match.index + match[0].length - 1 - value.length;
+      if (!this._isTranslatableAttributeValue(textContent, options) || this._isInsideCodeOrPreTag(line, valueIndex)) {
+        continue;
+      }
+
+      findings.push({
+        file: filePath,
+        line: lineNumber,
+        column: valueIndex + 1,
+        endLine: lineNumber,
+        endColumn: valueIndex + 1 + value.length,
+        text: textContent,
+        fullMatch: match[0].slice(match[1].length),
+        context: line.trim(),
+        category: 'attribute',
+        severity: 'high',
+        attribute: name
+      });
+    }
+
+    return findings;
+  }
+
+  /**
+   * Whether the literal value of a translatable attribute needs translating: it
+   * has letters and is not a technical value such as a URL or a constant
+   * @private
+   */
+  _isTranslatableAttributeValue(value, options) {
+    const { minLength = 2, maxLength = 200 } = options;
+    if (value.length < minLength || value.length > maxLength) return false;
+    if (value.includes('{{')) return false;
+    if (!/[a-zA-Z\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff\uac00-\ud7af]/.test(value)) return false;
+    return !this._shouldSkipString(value, '');
+  }
+
   /**
    * Extract content from JS/TS files
    * @private
@@ -839,6 +2907,8 @@ export class I18nHelper {
             file: filePath,
             line: lineNumber,
             column: startCol + 1,
+            endLine: lineNumber,
+            endColumn: startCol + 1 + match[0].length,
             text: stringContent,
             fullMatch: match[0],
             context: line.trim(),
@@ -864,6 +2934,7 @@ export class I18nHelper {
       /\.t\s*\(/,           // .t()
       /i18n\./,             // i18n.
       /\$i18n\./,           // $i18n.
+      /\$_\s*\(/,           // $_() (svelte-i18n)
       /t\s*\(/              // t() function
     ];
 
@@ -1091,79 +3162,45 @@ export class I18nHelper {
    * Check for missing translations by comparing $t() usage with locale files
    * @param {string} projectDir - The project directory to scan
    * @param {Object} options - Options for the check
-   * @returns {Object} Results of the missing translation check
+   * @returns {Object} Results of the missing translation check. `missingUsages` lists every
+   *   call of a missing key as {key, file, line, column}, and of a dynamic key whose pattern
+   *   matches no base locale key as {pattern, expression, file, line, column}. `dynamicKeys`
+   *   lists every call with a key built at runtime (see _matchDynamicKeys()), and
+   *   `missingPatterns` the patterns that match nothing.
    */
-  checkMissingTranslations(projectDir = process.cwd(), options = {}) {
+  checkMissingTranslations(projectDir = null, options = {}) {
+    projectDir = projectDir || this.config.sourceDir || process.cwd();
     const {
-      extensions = ['.vue', '.jsx', '.tsx'],
-      excludeDirs = ['node_modules', '.git', 'dist', 'build', '.nuxt', '.output'],
+      extensions = DEFAULT_KEY_EXTENSIONS,
+      include = [],
+      excludeDirs = DEFAULT_EXCLUDE_DIRS,
       baseLocale = null,
+      functions,
       verbose = false
-    } = options;
+    } = this._commandOptions('missing-translations', options, true);
 
-    console.log('🔍 Checking for missing translations...');
-    console.log(`📁 Directory: ${projectDir}`);
-    console.log(`📄 Extensions: ${extensions.join(', ')}`);
+    this.logger.log('🔍 Checking for missing translations...');
+    this.logger.log(`📁 Directory: ${projectDir}`);
+    this.logger.log(`📄 Extensions: ${extensions.join(', ')}`);
 
     // 1. Extract all $t() keys from project files
-    const allKeys = new Set();
-    const fileKeyMap = {};
-
-    const scanDirectory = (dir) => {
-      try {
-        const items = fs.readdirSync(dir);
-
-        for (const item of items) {
-          const fullPath = path.join(dir, item);
-          const relativePath = path.relative(projectDir, fullPath);
-
-          // Skip excluded directories
-          if (excludeDirs.some(excluded => relativePath.includes(excluded))) {
-            continue;
-          }
-
-          const stat = fs.statSync(fullPath);
-
-          if (stat.isDirectory()) {
-            scanDirectory(fullPath);
-          } else if (stat.isFile()) {
-            // Check if file has target extension
-            const ext = path.extname(item);
-            if (extensions.includes(ext)) {
-              const keys = this._extractTranslationKeys(fullPath, relativePath);
-              if (keys.length > 0) {
-                fileKeyMap[relativePath] = keys;
-                keys.forEach(key => allKeys.add(key));
-              }
-            }
-          }
-        }
-      } catch (error) {
-        if (verbose) {
-          console.warn(`⚠️  Could not scan directory ${dir}: ${error.message}`);
-        }
-      }
-    };
-
-    scanDirectory(projectDir);
-
-    const allKeysArray = Array.from(allKeys).sort();
-    console.log(`🔑 Found ${allKeysArray.length} unique translation keys in ${Object.keys(fileKeyMap).length} files`);
+    const { keys: allKeysArray, fileKeyMap, usages, dynamicUsages } = this._collectTranslationKeys(projectDir, { extensions, include, excludeDirs, functions, verbose });
+    this.logger.log(`🔑 Found ${allKeysArray.length} unique translation keys in ${Object.keys(fileKeyMap).length} files`);
 
     // 2. Load base locale file
     const detectedBaseLocale = baseLocale || this.detectBaseLocale();
     if (!detectedBaseLocale) {
-      console.error('❌ No base locale found');
+      this.logger.error('❌ No base locale found');
       return null;
     }
     const baseContent = this.loadLocale(detectedBaseLocale);
     if (!baseContent) {
-      console.error(`❌ Base locale file not found: ${detectedBaseLocale}`);
+      this.logger.error(`❌ Base locale file not found: ${detectedBaseLocale}`);
       return null;
     }
 
     const availableKeys = this._getAllPaths(baseContent);
-    console.log(`📚 Found ${availableKeys.length} keys in ${detectedBaseLocale}.json`);
+    this.logger.log(`📚 Found ${availableKeys.length} keys in ${this._getLocaleFileName(detectedBaseLocale)}`);
 
     // 3. Compare keys
     const missingKeys = [];
@@ -1177,63 +3214,346 @@ export class I18nHelper {
       }
     }
 
+    // Keys built at runtime need at least one matching subtree in the base locale
+    const dynamicKeys = this._matchDynamicKeys(dynamicUsages, availableKeys);
+    const missingDynamic = dynamicKeys.filter(usage => usage.matches === 0);
+    const missingPatterns = [...new Set(missingDynamic.map(usage => usage.pattern))].sort();
+
     // 4. Report results
-    this._reportMissingTranslations(missingKeys, foundKeys, fileKeyMap, allKeysArray, detectedBaseLocale, verbose);
+    this._reportMissingTranslations(missingKeys, foundKeys, fileKeyMap, allKeysArray, detectedBaseLocale, verbose, dynamicKeys);
 
     return {
+      baseLocale: detectedBaseLocale,
       totalKeys: allKeysArray.length,
       foundKeys: foundKeys.length,
       missingKeys: missingKeys.length,
       missingKeysList: missingKeys,
+      missingPatterns,
+      missingUsages: [
+        ...usages.filter(usage => missingKeys.includes(usage.key)),
+        ...missingDynamic.map(({ matches, ...usage }) => usage)
+      ].sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column),
+      dynamicKeys,
       fileKeyMap
     };
   }
 
   /**
-   * Extract $t() translation keys from a file
+   * Find keys defined in the locale files that no $t() call in the project uses.
+   * A key counts as used when it, or one of its parent paths, is passed to $t(),
+   * or matches the pattern of a key built at runtime (`` $t(`errors.${code}`) ``).
+   * @param {string} projectDir - The project directory to scan
+   * @param {Object} options - Options for the check
+   * @param {Array} options.extensions - Source file extensions (default: .vue, .js, .jsx, .ts, .tsx, .svelte, .astro, .html)
+   * @param {Array} options.excludeDirs - Directories to skip
+   * @param {Array} options.allow - Glob patterns for keys built at runtime, which are
+   *   never reported (`*` matches one path segment, `**` any number of segments)
+   * @param {Array} options.functions - Translation function names (default: $t, t, i18n.t, ...)
+   * @param {boolean} options.verbose - List every unused key
+   * @returns {Object} {totalKeys, usedKeys, allowedKeys, unusedKeys, unusedByLocale, dynamicKeys}
+   */
+  findUnusedKeys(projectDir = null, options = {}) {
+    projectDir = projectDir || this.config.sourceDir || process.cwd();
+    const {
+      extensions = DEFAULT_KEY_EXTENSIONS,
+      include = [],
+      excludeDirs = DEFAULT_EXCLUDE_DIRS,
+      allow = [],
+      functions,
+      verbose = false
+    } = this._commandOptions('unused', options, true);
+
+    this.logger.log('🔍 Checking for unused translation keys...');
+    this.logger.log(`📁 Directory: ${projectDir}`);
+    this.logger.log(`📄 Extensions: ${extensions.join(', ')}`);
+
+    const { keys: usedKeys, dynamicUsages } = this._collectTranslationKeys(projectDir, { extensions, include, excludeDirs, functions, verbose });
+    const used = new Set(usedKeys);
+    const allowPatterns = allow.map(pattern => globToRegExp(pattern));
+    const dynamicPatterns = [...new Set(dynamicUsages.map(usage => usage.pattern).filter(Boolean))]
+      .map(pattern => globToRegExp(pattern));
+
+    // Every key defined in any locale, with the locales defining it
+    const keyLocales = new Map();
+    for (const locale of this.locales) {
+      const content = this._getDocument(locale);
+      if (!content) continue;
+      for (const key of this._getAllPaths(content)) {
+        if (!keyLocales.has(key)) keyLocales.set(key, []);
+        keyLocales.get(key).push(locale);
+      }
+    }
+
+    const isUsed = key => {
+      const segments = key.split('.');
+      return segments.some((segment, i) => {
+        const prefix = segments.slice(0, i + 1).join('.');
+        return used.has(prefix) || dynamicPatterns.some(pattern => pattern.test(prefix));
+      });
+    };
+
+    const allowedKeys = [];
+    const unusedKeys = [];
+    const unusedByLocale = Object.fromEntries(this.locales.map(locale => [locale, []]));
+    for (const key of [...keyLocales.keys()].sort()) {
+      if (isUsed(key)) continue;
+      if (allowPatterns.some(pattern => pattern.test(key))) {
+        allowedKeys.push(key);
+        continue;
+      }
+      unusedKeys.push(key);
+      keyLocales.get(key).forEach(locale => unusedByLocale[locale].push(key));
+    }
+
+    const results = {
+      totalKeys: keyLocales.size,
+      usedKeys: keyLocales.size - unusedKeys.length - allowedKeys.length,
+      allowedKeys,
+      unusedKeys,
+      unusedByLocale,
+      dynamicKeys: this._matchDynamicKeys(dynamicUsages, [...keyLocales.keys()])
+    };
+    this._reportUnusedKeys(results, keyLocales, verbose);
+    return results;
+  }
+
+  /**
+   * Delete the keys reported by findUnusedKeys() from every locale. Runs as a
+   * dry run unless `apply` is set. Calls whose key has no static part, such as
+   * `$t(item.label)`, may read any key, so keys are only deleted while there are
+   * none, when an `allow` list keeps the keys they read, or with `force`.
+   * @param {string} projectDir - The project directory to scan
+   * @param {Object} options - findUnusedKeys() options, plus:
+   * @param {boolean} options.apply - Delete the keys (default: false, only report them)
+   * @param {boolean} options.force - Delete the keys even if calls with fully dynamic keys
+   *   exist and no `allow` list is given (default: false)
+   * @returns {Object|null} The findUnusedKeys() results, plus `removedByLocale` (keys removed,
+   *   or that would be removed, per locale), or null if `apply` was refused
+   */
+  prune(projectDir = null, options = {}) {
+    options = this._commandOptions('prune', options);
+    const { apply = false, force = false } = options;
+    const results = this.findUnusedKeys(projectDir, options);
+
+    const unresolved = results.dynamicKeys.filter(usage => usage.pattern === null);
+    const allowed = this._commandOptions('unused', options, true).allow || [];
+    if (apply && unresolved.length > 0 && allowed.length === 0 && !force) {
+      this.logger.error(`\n❌ Not pruning: these calls build the whole key at runtime and may read any of the ${results.unusedKeys.length} unused keys:`);
+      unresolved.forEach(usage => this.logger.error(`   ${usage.file}:${usage.line} ${usage.expression}`));
+      this.logger.error('💡 Keep the keys they read with --allow, or pass --force to delete anyway');
+      return null;
+    }
+
+    const removedByLocale = {};
+    this.batch(() => {
+      for (const [locale, keys] of Object.entries(results.unusedByLocale)) {
+        if (keys.length === 0) continue;
+        removedByLocale[locale] = keys.length;
+        if (!apply) continue;
+
+        const content = this._getDocument(locale);
+        keys.forEach(key => this._removePath(content, key));
+        this._documents.get(locale).dirty = true;
+      }
+    });
+
+    this.logger.log(`\n✂️  ${apply ? 'PRUNED' : 'PRUNE PREVIEW (dry run)'}:`);
+    this.logger.log('-'.repeat(40));
+    if (Object.keys(removedByLocale).length === 0) {
+      this.logger.log('   Nothing to prune');
+    }
+    for (const [locale, count] of Object.entries(removedByLocale)) {
+      this.logger.log(`   ${this._getLocaleFileName(locale)}: ${apply ? 'removed' : 'would remove'} ${count} key${count === 1 ? '' : 's'}`);
+    }
+    if (!apply && results.unusedKeys.length > 0) {
+      this.logger.log('\n💡 Run again with --apply to delete these keys');
+    }
+
+    return { ...results, removedByLocale };
+  }
+
+  /**
+   * Collect the $t() keys used in a project
+   * @returns {{keys: Array<string>, fileKeyMap: Object, usages: Array<Object>, dynamicUsages: Array<Object>}}
+   *   Sorted unique keys, the keys used by each file, every call of a literal key as
+   *   {key, file, line, column}, and every call of a key built at runtime as
+   *   {pattern, expression, file, line, column}
    * @private
    */
-  _extractTranslationKeys(filePath, relativePath) {
-    try {
-      const content = fs.readFileSync(filePath, 'utf8');
-      const keys = new Set();
-
-      // Match $t('key'), $t("key"), and {{ $t('key') }} patterns
-      const patterns = [
-        /\$t\s*\(\s*['"](.*?)['"]\s*\)/g,
-        /\{\{\s*\$t\s*\(\s*['"](.*?)['"]\s*\)\s*\}\}/g
-      ];
-
-      for (const pattern of patterns) {
-        let match;
-        while ((match = pattern.exec(content)) !== null) {
-          keys.add(match[1]);
-        }
+  _collectTranslationKeys(projectDir, options) {
+    const allKeys = new Set();
+    const fileKeyMap = {};
+    const usages = [];
+    const dynamicUsages = [];
+
+    this._walkProjectFiles(projectDir, options, (fullPath, relativePath) => {
+      const calls = this._extractTranslationCalls(fullPath, options.functions);
+      const staticCalls = calls.filter(call => !call.dynamic);
+      if (staticCalls.length > 0) {
+        const keys = [...new Set(staticCalls.map(call => call.key))];
+        fileKeyMap[relativePath] = keys;
+        keys.forEach(key => allKeys.add(key));
+        staticCalls.forEach(call => usages.push({ key: call.key, file: relativePath, line: call.line, column: call.column }));
+      }
+      calls.filter(call => call.dynamic).forEach(call => dynamicUsages.push({
+        pattern: call.pattern,
+        expression: call.expression,
+        file: relativePath,
+        line: call.line,
+        column: call.column
+      }));
+    });
+
+    return { keys: Array.from(allKeys).sort(), fileKeyMap, usages, dynamicUsages };
+  }
+
+  /**
+   * Count the keys matched by the pattern of each call with a key built at runtime.
+   * A key matches when it or one of its parent paths does, so 'plan.*' matches
+   * 'plan.pro.name'.
+   * @param {Array<Object>} dynamicUsages - Calls as {pattern, expression, file, line, column}
+   * @param {Array<string>} keys - The locale keys
+   * @returns {Array<Object>} The calls with `matches`: the number of matching keys, or null
+   *   when the pattern is null (no part of the key is static)
+   * @private
+   */
+  _matchDynamicKeys(dynamicUsages, keys) {
+    const counts = new Map();
+    return dynamicUsages.map(usage => {
+      if (usage.pattern === null) {
+        return { ...usage, matches: null };
+      }
+      if (!counts.has(usage.pattern)) {
+        const pattern = globToRegExp(usage.pattern);
+        counts.set(usage.pattern, keys.filter(key => {
+          const segments = key.split('.');
+          return segments.some((segment, i) => pattern.test(segments.slice(0, i + 1).join('.')));
+        }).length);
       }
+      return { ...usage, matches: counts.get(usage.pattern) };
+    });
+  }
 
-      return Array.from(keys);
+  /**
+   * Extract the translation calls from a file
+   * @private
+   */
+  _extractTranslationCalls(filePath, functions) {
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      return this._findTranslationCalls(content, filePath, functions);
     } catch (error) {
-      console.warn(`⚠️  Could not read file ${filePath}: ${error.message}`);
+      this.logger.warn(`⚠️  Could not read file ${filePath}: ${error.message}`);
       return [];
     }
   }
 
+  /**
+   * Find the uses of literal translation keys in a source file: calls of the
+   * translation functions in script code and templates, `<i18n-t keypath>`,
+   * `v-t`, `<Trans i18nKey>` and Angular translation pipes and directives
+   * @param {string} content - The file content
+   * @param {string} filePath - The file path, which selects how the file is read (see SOURCE_EXTRACTORS)
+   * @param {Array<string>} functions - Translation function names (default: $t, t, $tc, tc,
+   *   $i18n.t, i18n.t, i18n.global.t, $_, translate.instant, ...)
+   * @returns {Array<{key: string, start: number, end: number, line: number, column: number}>} Uses,
+   *   where `start`/`end` delimit the key's text and line/column locate the call
+   * @private
+   */
+  _findTranslationCalls(content, filePath = '', functions = undefined) {
+    const { namespaceSeparator = '' } = this.config;
+    return extractTranslationCalls(content, { fileName: filePath, functions, namespaceSeparator, extractors: this.extractors });
+  }
+
+  /**
+   * Walk a project directory and call visit(fullPath, relativePath) for each
+   * file with one of the given extensions
+   * @param {string} projectDir - The directory to walk
+   * @param {Object} options - {extensions, include, excludeDirs, excludeFiles, verbose}. `include`
+   *   globs limit the files visited; `excludeDirs` entries are names, or globs matched against
+   *   relative paths
+   * @param {Function} visit - Called for each matching file
+   * @private
+   */
+  _walkProjectFiles(projectDir, options, visit) {
+    const { extensions, include = [], excludeDirs, excludeFiles = [], verbose = false } = options;
+    const includePatterns = include.map(pattern => globToRegExp(pattern, { separator: '/' }));
+    const excludePatterns = excludeDirs.filter(isGlob).map(pattern => globToRegExp(pattern, { separator: '/' }));
+    const excludeNames = excludeDirs.filter(excluded => !isGlob(excluded));
+
+    // Unreadable directories and entries are skipped; errors thrown by visit() propagate
+    const scanDirectory = (dir) => {
+      let items;
+      try {
+        items = fs.readdirSync(dir);
+      } catch (error) {
+        if (verbose) {
+          this.logger.warn(`⚠️  Could not scan directory ${dir}: ${error.message}`);
+        }
+        return;
+      }
+
+      for (const item of items) {
+        const fullPath = path.join(dir, item);
+        const relativePath = path.relative(projectDir, fullPath);
+
+        // Skip excluded directories
+        const globPath = relativePath.split(path.sep).join('/');
+        if (excludeNames.some(excluded => isExcludedPath(globPath, excluded)) ||
+          excludePatterns.some(pattern => pattern.test(globPath))) {
+          continue;
+        }
+
+        let stat;
+        try {
+          stat = fs.statSync(fullPath);
+        } catch (error) {
+          if (verbose) {
+            this.logger.warn(`⚠️  Could not read ${fullPath}: ${error.message}`);
+          }
+          continue;
+        }
+
+        if (stat.isDirectory()) {
+          scanDirectory(fullPath);
+        } else if (stat.isFile()) {
+          // Check if file has target extension
+          const ext = path.extname(item);
+          if (extensions.includes(ext) && !excludeFiles.includes(item) &&
+            (includePatterns.length === 0 || includePatterns.some(pattern => pattern.test(globPath)))) {
+            visit(fullPath, relativePath);
+          }
+        }
+      }
+    };
+
+    scanDirectory(projectDir);
+  }
+
   /**
    * Report missing translations
    * @private
    */
-  _reportMissingTranslations(missingKeys, foundKeys, fileKeyMap, allKeys, baseLocale, verbose) {
-    console.log('\n' + '='.repeat(60));
-    console.log('📊 MISSING TRANSLATIONS REPORT');
-    console.log('='.repeat(60));
+  _reportMissingTranslations(missingKeys, foundKeys, fileKeyMap, allKeys, baseLocale, verbose, dynamicKeys = []) {
+    const baseFileName = this._getLocaleFileName(baseLocale);
+    const unmatched = dynamicKeys.filter(usage => usage.matches === 0);
+
+    this.logger.log('\n' + '='.repeat(60));
+    this.logger.log('📊 MISSING TRANSLATIONS REPORT');
+    this.logger.log('='.repeat(60));
+
+    this.logger.log(`\n✅ Keys found in ${baseFileName}: ${foundKeys.length}`);
+    this.logger.log(`❌ Keys missing in ${baseFileName}: ${missingKeys.length}`);
+    this.logger.log(`📝 Total keys used in project: ${allKeys.length}`);
+    if (dynamicKeys.length > 0) {
+      this.logger.log(`🧩 Dynamic keys: ${dynamicKeys.length} call${dynamicKeys.length === 1 ? '' : 's'} (${unmatched.length} without a matching key in ${baseFileName})`);
+    }
 
-    console.log(`\n✅ Keys found in ${baseLocale}.json: ${foundKeys.length}`);
-    console.log(`❌ Keys missing in ${baseLocale}.json: ${missingKeys.length}`);
-    console.log(`📝 Total keys used in project: ${allKeys.length}`);
+    this._reportDynamicKeys(dynamicKeys);
 
     if (missingKeys.length > 0) {
-      console.log('\n🔴 MISSING TRANSLATION KEYS:');
-      console.log('-'.repeat(40));
+      this.logger.log('\n🔴 MISSING TRANSLATION KEYS:');
+      this.logger.log('-'.repeat(40));
 
       // Group missing keys by file
       const missingByFile = {};
@@ -1245,40 +3565,40 @@ export class I18nHelper {
       }
 
       for (const [file, keys] of Object.entries(missingByFile)) {
-        console.log(`\n📄 ${file}:`);
+        this.logger.log(`\n📄 ${file}:`);
         for (const key of keys.slice(0, verbose ? keys.length : 5)) {
-          console.log(`   ❌ ${key}`);
+          this.logger.log(`   ❌ ${key}`);
         }
         if (!verbose && keys.length > 5) {
-          console.log(`   ... and ${keys.length - 5} more`);
+          this.logger.log(`   ... and ${keys.length - 5} more`);
         }
       }
 
-      console.log('\n📋 JSON FORMAT (for easy copy-paste):');
-      console.log('-'.repeat(40));
-      console.log('{');
+      this.logger.log('\n📋 JSON FORMAT (for easy copy-paste):');
+      this.logger.log('-'.repeat(40));
+      this.logger.log('{');
       missingKeys.slice(0, 20).forEach((key, index) => {
         const comma = index < Math.min(19, missingKeys.length - 1) ? ',' : '';
-        console.log(`  "${key}": ""${comma}`);
+        this.logger.log(`  "${key}": ""${comma}`);
       });
       if (missingKeys.length > 20) {
-        console.log(`  // ... and ${missingKeys.length - 20} more keys`);
+        this.logger.log(`  // ... and ${missingKeys.length - 20} more keys`);
       }
-      console.log('}');
-
-      console.log('\n💡 SUGGESTIONS:');
-      console.log('-'.repeat(40));
-      console.log(`1. Add missing keys to your ${baseLocale}.json file`);
-      console.log('2. Use vibei18n to add translations:');
-      console.log('   npx vibei18n set en "key.path" "Translation value"');
-      console.log('3. Run this check again after adding translations');
-    } else {
-      console.log('\n🎉 All translation keys are properly defined!');
+      this.logger.log('}');
+
+      this.logger.log('\n💡 SUGGESTIONS:');
+      this.logger.log('-'.repeat(40));
+      this.logger.log(`1. Add missing keys to your ${baseFileName} file`);
+      this.logger.log('2. Use vibei18n to add translations:');
+      this.logger.log('   npx vibei18n set en "key.path" "Translation value"');
+      this.logger.log('3. Run this check again after adding translations');
+    } else if (unmatched.length === 0) {
+      this.logger.log('\n🎉 All translation keys are properly defined!');
     }
 
     // Statistics by section
-    console.log('\n📈 STATISTICS BY SECTION:');
-    console.log('-'.repeat(40));
+    this.logger.log('\n📈 STATISTICS BY SECTION:');
+    this.logger.log('-'.repeat(40));
 
     const sectionStats = {};
     allKeys.forEach(key => {
@@ -1297,7 +3617,62 @@ export class I18nHelper {
 
     for (const [section, stats] of sortedSections) {
       const status = stats.missing > 0 ? `(${stats.missing} missing)` : '✅';
-      console.log(`   ${section}: ${stats.total} keys ${status}`);
+      this.logger.log(`   ${section}: ${stats.total} keys ${status}`);
+    }
+  }
+
+  /**
+   * List every call with a key built at runtime, for review
+   * @private
+   */
+  _reportDynamicKeys(dynamicKeys) {
+    if (dynamicKeys.length === 0) return;
+
+    this.logger.log('\n🧩 DYNAMIC KEYS (built at runtime, review these calls):');
+    this.logger.log('-'.repeat(40));
+    for (const usage of dynamicKeys) {
+      const where = `${usage.file}:${usage.line}`;
+      if (usage.matches === null) {
+        this.logger.log(`   ❔ ${where}  ${usage.expression} (no static part to match)`);
+      } else {
+        const status = usage.matches > 0 ? '✅' : '❌';
+        this.logger.log(`   ${status} ${usage.pattern} → ${usage.matches} key${usage.matches === 1 ? '' : 's'}  ${where}  ${usage.expression}`);
+      }
+    }
+  }
+
+  /**
+   * Report unused translation keys
+   * @private
+   */
+  _reportUnusedKeys(results, keyLocales, verbose) {
+    const { totalKeys, usedKeys, allowedKeys, unusedKeys } = results;
+
+    this.logger.log('\n' + '='.repeat(60));
+    this.logger.log('📊 UNUSED TRANSLATION KEYS REPORT');
+    this.logger.log('='.repeat(60));
+
+    this.logger.log(`\n✅ Keys used in project: ${usedKeys}`);
+    this.logger.log(`🛡️  Keys kept by allow-list: ${allowedKeys.length}`);
+    this.logger.log(`🗑️  Unused keys: ${unusedKeys.length}`);
+    this.logger.log(`📝 Total keys in locale files: ${totalKeys}`);
+
+    this._reportDynamicKeys(results.dynamicKeys);
+
+    if (unusedKeys.length === 0) {
+      this.logger.log('\n🎉 Every translation key is used!');
+      return;
+    }
+
+    this.logger.log('\n🟡 UNUSED KEYS:');
+    this.logger.log('-'.repeat(40));
+    for (const key of unusedKeys.slice(0, verbose ? unusedKeys.length : 20)) {
+      const locales = keyLocales.get(key);
+      const where = locales.length === this.locales.length ? '' : ` (${locales.join(', ')})`;
+      this.logger.log(`   🗑️  ${key}${where}`);
+    }
+    if (!verbose && unusedKeys.length > 20) {
+      this.logger.log(`   ... and ${unusedKeys.length - 20} more (use --verbose to list all)`);
     }
   }
 
@@ -1307,11 +3682,11 @@ export class I18nHelper {
    */
   _reportHardcodedFindings(findings, verbose) {
     if (findings.length === 0) {
-      console.log('✅ No hardcoded strings found!');
+      this.logger.log('✅ No hardcoded strings found!');
       return;
     }
 
-    console.log(`\n🔴 Found ${findings.length} potential hardcoded strings:\n`);
+    this.logger.log(`\n🔴 Found ${findings.length} potential hardcoded strings:\n`);
 
     // Group by file
     const fileGroups = {};
@@ -1331,7 +3706,7 @@ export class I18nHelper {
     };
 
     for (const [file, fileFindings] of Object.entries(fileGroups)) {
-      console.log(`📄 ${file}:`);
+      this.logger.log(`📄 ${file}:`);
 
       const sortedFindings = fileFindings.sort((a, b) => {
         const aIndex = severityOrder.indexOf(a.severity);
@@ -1342,13 +3717,15 @@ export class I18nHelper {
 
       for (const finding of sortedFindings) {
         const icon = severityColors[finding.severity] || '⚪';
-        console.log(`   ${icon} Line ${finding.line}:${finding.column} [${finding.category}] "${finding.text}"`);
+        const range = finding.endLine > finding.line ? `-${finding.endLine}:${finding.endColumn}` : '';
+        const category = finding.attribute ? `${finding.category} ${finding.attribute}` : finding.category;
+        this.logger.log(`   ${icon} Line ${finding.line}:${finding.column}${range} [${category}] "${finding.text}"`);
 
         if (verbose) {
-          console.log(`      Context: ${finding.context}`);
+          this.logger.log(`      Context: ${finding.context}`);
         }
       }
-      console.log('');
+      this.logger.log('');
     }
 
     // Summary
@@ -1357,19 +3734,35 @@ export class I18nHelper {
       return acc;
     }, {});
 
-    console.log('📊 Summary:');
+    this.logger.log('📊 Summary:');
     for (const severity of severityOrder) {
       if (summary[severity]) {
         const icon = severityColors[severity];
-        console.log(`   ${icon} ${severity}: ${summary[severity]} items`);
+        this.logger.log(`   ${icon} ${severity}: ${summary[severity]} items`);
       }
     }
 
-    console.log('\n💡 Suggestions:');
-    console.log('   1. Convert high priority items to i18n first');
-    console.log('   2. Use $t() or {{ $t() }} for Vue templates');
-    console.log('   3. Use t() function in script sections');
-    console.log('   4. Add translations to locale files');
+    this.logger.log('\n💡 Suggestions:');
+    this.logger.log('   1. Convert high priority items to i18n first');
+    this.logger.log('   2. Use $t() or {{ $t() }} for Vue templates');
+    this.logger.log('   3. Use t() function in script sections');
+    this.logger.log('   4. Add translations to locale files');
+  }
+
+  /**
+   * Report findings silenced by suppression comments
+   * @private
+   */
+  _reportSuppressedFindings(suppressed, verbose) {
+    if (suppressed.length === 0) return;
+
+    this.logger.log(`\n🔕 ${suppressed.length} finding${suppressed.length === 1 ? '' : 's'} suppressed by vibei18n comments:`);
+    for (const entry of suppressed.slice(0, verbose ? suppressed.length : 10)) {
+      this.logger.log(`   ${entry.file}:${entry.line} "${entry.text}" (${entry.directive})`);
+    }
+    if (!verbose && suppressed.length > 10) {
+      this.logger.log(`   ... and ${suppressed.length - 10} more (use --verbose to list all)`);
+    }
   }
 }
 
@@ -0,0 +1,116 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+/**
+ * Default baseline file name, next to the config file (or in the current directory)
+ */
+export const BASELINE_FILE_NAME = 'vibei18n.baseline.json';
+
+const BASELINE_VERSION = 1;
+
+/**
+ * The path a baseline records for a finding: relative to the baseline file's
+ * directory, so the same baseline matches whichever directory is scanned
+ * @param {Object} finding - A checkHardcodedStrings() finding
+ * @param {Object} options - {scanDir, baseDir}: the directory `finding.file` is relative to,
+ *   and the baseline file's directory. Without them the finding's own path is used.
+ * @returns {string} The path, with '/' separators
+ */
+export function baselineFilePath(finding, options = {}) {
+  const { scanDir, baseDir } = options;
+  const file = scanDir && baseDir ? path.relative(baseDir, path.resolve(scanDir, finding.file)) : finding.file;
+  return file.split('\\').join('/');
+}
+
+/**
+ * Fingerprint a hardcoded string finding by its file, text and the line it
+ * sits on (whitespace-normalized), so it survives edits elsewhere in the file
+ * @param {Object} finding - A checkHardcodedStrings() finding
+ * @param {Object} options - {scanDir, baseDir}, as for baselineFilePath()
+ * @returns {string} A 16-character hex fingerprint
+ */
+export function fingerprintFinding(finding, options = {}) {
+  const file = baselineFilePath(finding, options);
+  const context = String(finding.context || '').replace(/\s+/g, ' ').trim();
+  return createHash('sha1').update(`${file}\0${finding.text}\0${context}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Build a baseline from findings. Identical findings share one entry with a count.
+ * @param {Array<Object>} findings - The findings to accept
+ * @param {Object} options - {scanDir, baseDir}, as for baselineFilePath()
+ * @returns {Object} The baseline: {version, entries: [{fingerprint, file, text, count}]}
+ */
+export function createBaseline(findings, options = {}) {
+  const entries = new Map();
+  for (const finding of findings) {
+    const fingerprint = fingerprintFinding(finding, options);
+    const entry = entries.get(fingerprint);
+    if (entry) {
+      entry.count++;
+    } else {
+      entries.set(fingerprint, { fingerprint, file: baselineFilePath(finding, options), text: finding.text, count: 1 });
+    }
+  }
+
+  // Sorted, so that the committed file diffs cleanly
+  const sorted = [...entries.values()].sort((a, b) =>
+    a.file.localeCompare(b.file) || a.text.localeCompare(b.text) || a.fingerprint.localeCompare(b.fingerprint));
+  return { version: BASELINE_VERSION, entries: sorted };
+}
+
+/**
+ * Read a baseline file
+ * @param {string} filePath - The baseline file
+ * @returns {Object|null} The baseline, or null if the file doesn't exist
+ * @throws {Error} If the file is not a valid baseline
+ */
+export function readBaseline(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+  if (!baseline || !Array.isArray(baseline.entries)) {
+    throw new Error(`${filePath}: not a vibei18n baseline (missing "entries")`);
+  }
+  if (baseline.version !== BASELINE_VERSION) {
+    throw new Error(`${filePath}: unsupported baseline version ${baseline.version}`);
+  }
+  return baseline;
+}
+
+/**
+ * Split findings into new ones and ones the baseline accepts
+ * @param {Object} baseline - The baseline
+ * @param {Array<Object>} findings - Current findings
+ * @param {Object} options - {scanDir, baseDir}, as for baselineFilePath()
+ * @returns {{findings: Array<Object>, baselined: number, fixed: Array<Object>}} The new findings,
+ *   the number of findings matched by the baseline, and the baseline entries no longer found
+ *   ({file, text, count} with the number of occurrences that are gone)
+ */
+export function compareBaseline(baseline, findings, options = {}) {
+  const remaining = new Map(baseline.entries.map(entry => [entry.fingerprint, entry.count || 1]));
+  const newFindings = [];
+  let baselined = 0;
+
+  for (const finding of findings) {
+    const fingerprint = fingerprintFinding(finding, options);
+    if (remaining.get(fingerprint) > 0) {
+      remaining.set(fingerprint, remaining.get(fingerprint) - 1);
+      baselined++;
+    } else {
+      newFindings.push(finding);
+    }
+  }
+
+  const fixed = baseline.entries
+    .filter(entry => remaining.get(entry.fingerprint) > 0)
+    .map(entry => ({ file: entry.file, text: entry.text, count: remaining.get(entry.fingerprint) }));
+
+  return { findings: newFindings, baselined, fixed };
+}
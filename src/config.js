@@ -0,0 +1,113 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { LOCALE_FORMATS } from './formats/index.js';
+
+/**
+ * Config file names, in lookup order within a directory
+ */
+export const CONFIG_FILE_NAMES = ['vibei18n.config.js', 'vibei18n.config.mjs', 'vibei18n.config.json'];
+
+// Config keys and the type each must have
+const CONFIG_SCHEMA = {
+  localesDir: 'string',
+  layout: 'string',
+  format: 'string',
+  baseLocale: 'string',
+  sourceDir: 'string',
+  extensions: 'array',
+  include: 'array',
+  exclude: 'array',
+  functions: 'array',
+  extractors: 'array',
+  namespaceSeparator: 'string',
+  formatting: 'object',
+  backup: ['boolean', 'string'],
+  baseline: 'string',
+  maxBackups: 'number',
+  commands: 'object'
+};
+
+/**
+ * Find the nearest config file, walking up from a directory
+ * @param {string} startDir - The directory to start from (default: cwd)
+ * @returns {string|null} The config file path, or null if there is none
+ */
+export function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    for (const name of CONFIG_FILE_NAMES) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Check a config object and resolve its paths against the config file's directory
+ * @param {Object} config - The raw config
+ * @param {string} configPath - The file it came from
+ * @returns {Object} The config, with absolute `localesDir`, `sourceDir`, `backup` and `baseline` paths
+ *   and `configPath`/`rootDir` set
+ * @throws {Error} If a key is unknown or has the wrong type, or `format` names no locale format
+ */
+export function normalizeConfig(config, configPath) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${configPath}: the config must be an object`);
+  }
+
+  for (const [key, value] of Object.entries(config)) {
+    const expected = CONFIG_SCHEMA[key];
+    if (!expected) {
+      throw new Error(`${configPath}: unknown option "${key}" (expected one of ${Object.keys(CONFIG_SCHEMA).join(', ')})`);
+    }
+    const type = Array.isArray(value) ? 'array' : typeof value;
+    if (![].concat(expected).includes(type)) {
+      throw new Error(`${configPath}: "${key}" must be ${[].concat(expected).join(' or ')}, got ${type}`);
+    }
+  }
+  if (config.format !== undefined && !LOCALE_FORMATS.some(format => format.name === config.format)) {
+    const names = LOCALE_FORMATS.map(format => format.name).join(', ');
+    throw new Error(`${configPath}: unknown locale format "${config.format}" (expected one of ${names})`);
+  }
+
+  const rootDir = path.dirname(path.resolve(configPath));
+  const resolve = value => (value ? path.resolve(rootDir, value) : value);
+  return {
+    ...config,
+    localesDir: resolve(config.localesDir),
+    sourceDir: resolve(config.sourceDir),
+    backup: typeof config.backup === 'string' ? resolve(config.backup) : config.backup,
+    baseline: resolve(config.baseline),
+    commands: config.commands || {},
+    configPath: path.resolve(configPath),
+    rootDir
+  };
+}
+
+/**
+ * Load a config file (`export default {...}` for .js/.mjs, an object for .json)
+ * @param {string|null} configPath - The file to load (default: findConfigFile())
+ * @returns {Promise<Object|null>} The normalized config, or null if no file was found
+ * @throws {Error} If the file cannot be read or is invalid
+ */
+export async function loadConfig(configPath = findConfigFile()) {
+  if (!configPath) return null;
+
+  let config;
+  if (path.extname(configPath) === '.json') {
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`${configPath}: ${error.message}`);
+    }
+  } else {
+    const module = await import(pathToFileURL(path.resolve(configPath)).href);
+    config = module.default;
+  }
+
+  return normalizeConfig(config, configPath);
+}
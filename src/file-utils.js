@@ -0,0 +1,43 @@
+import fs from 'fs';
+import path from 'path';
+
+let tempCounter = 0;
+
+/**
+ * Write a file atomically: the data goes to a temporary file in the same
+ * directory, which is flushed to disk and then renamed over the target.
+ * Readers see either the old or the new content, never a truncated file.
+ * @param {string} filePath - The file to write
+ * @param {string|Buffer} data - The content
+ * @param {string} encoding - Encoding for string data (default: 'utf8')
+ * @throws {Error} If the file cannot be written; the target is left untouched
+ */
+export function writeFileAtomic(filePath, data, encoding = 'utf8') {
+  const dir = path.dirname(filePath);
+  const tempPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${++tempCounter}.tmp`);
+
+  let mode;
+  try {
+    mode = fs.statSync(filePath).mode;
+  } catch {
+    // New file: use the default mode
+  }
+
+  try {
+    const fd = fs.openSync(tempPath, 'w', mode);
+    try {
+      fs.writeFileSync(fd, data, typeof data === 'string' ? encoding : undefined);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    try {
+      fs.unlinkSync(tempPath);
+    } catch {
+      // The temporary file was never created
+    }
+    throw error;
+  }
+}
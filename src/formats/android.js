@@ -0,0 +1,149 @@
+/**
+ * Android string resources (res/values/strings.xml).
+ *
+ * Resources are `{name, value}` for `<string>` and `{name, plural}` for
+ * `<plurals>`, where `plural` maps CLDR categories to text.
+ */
+
+import { parseXml, escapeXml, childElements, textContent } from './xml.js';
+import { PLURAL_CATEGORIES } from './plurals.js';
+
+/**
+ * Escape text for an Android string resource
+ * @private
+ */
+function escapeAndroid(text) {
+  let escaped = escapeXml(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, '\\\'')
+    .replace(/&quot;/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')
+    .replace(/^([@?])/, '\\$1');
+
+  // aapt collapses runs of whitespace outside double quotes
+  if (/^\s|\s$|\s\s/.test(text)) {
+    escaped = `"${escaped}"`;
+  }
+  return escaped;
+}
+
+/**
+ * Decode the text of an Android string resource, applying aapt's quoting
+ * and whitespace rules
+ * @private
+ */
+function unescapeAndroid(raw) {
+  let result = '';
+  let inQuotes = false;
+  let pendingSpace = false;
+
+  for (let i = 0; i < raw.length; i++) {
+    const ch = raw[i];
+
+    if (ch === '\\') {
+      const next = raw[++i];
+      if (pendingSpace) result += ' ';
+      pendingSpace = false;
+      if (next === 'n') result += '\n';
+      else if (next === 't') result += '\t';
+      else if (next === 'u') {
+        result += String.fromCharCode(parseInt(raw.slice(i + 1, i + 5), 16));
+        i += 4;
+      } else if (next !== undefined) result += next;
+    } else if (ch === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && /\s/.test(ch)) {
+      pendingSpace = result !== '';
+    } else {
+      if (pendingSpace) result += ' ';
+      pendingSpace = false;
+      result += ch;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse an Android strings.xml file. Untranslatable strings and string arrays are skipped.
+ * @param {string} text - The XML source
+ * @returns {Array<Object>} Resources ({name, value} or {name, plural})
+ * @throws {SyntaxError} If the file is not a valid resources file
+ */
+export function parseAndroidStrings(text) {
+  const root = parseXml(text);
+  if (root.name !== 'resources') {
+    throw new SyntaxError(`Expected a <resources> root element, found <${root.name}>`);
+  }
+
+  const resources = [];
+  for (const element of childElements(root)) {
+    const { name, translatable } = element.attributes;
+    if (!name || translatable === 'false') continue;
+
+    if (element.name === 'string') {
+      resources.push({ name, value: unescapeAndroid(textContent(element)), line: element.line });
+    } else if (element.name === 'plurals') {
+      const plural = {};
+      for (const item of childElements(element, 'item')) {
+        if (PLURAL_CATEGORIES.includes(item.attributes.quantity)) {
+          plural[item.attributes.quantity] = unescapeAndroid(textContent(item));
+        }
+      }
+      resources.push({ name, plural, line: element.line });
+    }
+  }
+  return resources;
+}
+
+/**
+ * Serialize resources as an Android strings.xml file
+ * @param {Array<Object>} resources - Resources ({name, value} or {name, plural})
+ * @returns {string} The XML source
+ */
+export function stringifyAndroidStrings(resources) {
+  const lines = ['<?xml version="1.0" encoding="utf-8"?>', '<resources>'];
+
+  for (const resource of resources) {
+    if (resource.plural) {
+      lines.push(`    <plurals name="${escapeXml(resource.name)}">`);
+      for (const category of PLURAL_CATEGORIES.filter(item => item in resource.plural)) {
+        lines.push(`        <item quantity="${category}">${escapeAndroid(resource.plural[category])}</item>`);
+      }
+      lines.push('    </plurals>');
+    } else {
+      lines.push(`    <string name="${escapeXml(resource.name)}">${escapeAndroid(resource.value)}</string>`);
+    }
+  }
+
+  lines.push('</resources>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Get the resource directory qualifier for a locale ('fr-FR' -> 'fr-rFR', 'zh-Hans' -> 'b+zh+Hans')
+ * @param {string} locale - The locale code
+ * @returns {string} The qualifier
+ */
+export function androidQualifier(locale) {
+  const [language, ...rest] = locale.split(/[-_]/);
+  if (rest.length === 0) return language.toLowerCase();
+  if (rest.length === 1 && /^([A-Za-z]{2}|\d{3})$/.test(rest[0])) {
+    return `${language.toLowerCase()}-r${rest[0].toUpperCase()}`;
+  }
+  // BCP 47 tags with scripts or variants need the b+ syntax
+  return ['b', language.toLowerCase(), ...rest.map(part => (part.length === 4 ? part[0].toUpperCase() + part.slice(1).toLowerCase() : part))].join('+');
+}
+
+/**
+ * Get the locale code of a resource directory ('values-fr-rFR' -> 'fr-FR')
+ * @param {string} dirName - The directory name
+ * @returns {string|null} The locale code, or null for the default `values` directory
+ */
+export function localeFromAndroidDir(dirName) {
+  const qualifier = dirName.replace(/^values-?/, '');
+  if (!qualifier) return null;
+  if (qualifier.startsWith('b+')) return qualifier.slice(2).split('+').join('-');
+  return qualifier.replace(/-r([A-Z]{2}|\d{3})(?=-|$)/, '-$1').split('-').slice(0, 2).join('-');
+}
@@ -0,0 +1,225 @@
+/**
+ * Apple localization files: `Localizable.strings` and `Localizable.stringsdict`.
+ *
+ * Uses the same resource shape as the Android format: `{name, value}` for
+ * strings (.strings) and `{name, plural}` for plural rules (.stringsdict).
+ */
+
+import { parseXml, escapeXml, childElements, textContent } from './xml.js';
+import { PLURAL_CATEGORIES } from './plurals.js';
+
+const STRINGS_ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', '0': '\0' };
+
+/**
+ * Parse a `.strings` file (`"key" = "value";` pairs with C-style comments)
+ * @param {string} text - The file content
+ * @returns {Array<{name: string, value: string, line: number}>} The strings
+ * @throws {SyntaxError} If the file is malformed
+ */
+export function parseStrings(text) {
+  const source = text.replace(/^\ufeff/, '');
+  const resources = [];
+  let pos = 0;
+  let line = 1;
+
+  const fail = message => {
+    throw new SyntaxError(`${message} (line ${line})`);
+  };
+
+  const skipTrivia = () => {
+    while (pos < source.length) {
+      if (source[pos] === '\n') {
+        line++;
+        pos++;
+      } else if (/\s/.test(source[pos])) {
+        pos++;
+      } else if (source.startsWith('/*', pos)) {
+        const end = source.indexOf('*/', pos + 2);
+        if (end === -1) fail('Unterminated comment');
+        line += source.slice(pos, end).split('\n').length - 1;
+        pos = end + 2;
+      } else if (source.startsWith('//', pos)) {
+        const end = source.indexOf('\n', pos);
+        pos = end === -1 ? source.length : end;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const readString = () => {
+    if (source[pos] !== '"') {
+      // Old-style plists allow unquoted alphanumeric strings
+      const match = /[\w.$:/-]+/y;
+      match.lastIndex = pos;
+      const found = match.exec(source);
+      if (!found) fail(`Unexpected character: ${source[pos]}`);
+      pos = match.lastIndex;
+      return found[0];
+    }
+
+    let value = '';
+    pos++;
+    while (pos < source.length && source[pos] !== '"') {
+      const ch = source[pos];
+      if (ch === '\n') line++;
+      if (ch !== '\\') {
+        value += ch;
+        pos++;
+        continue;
+      }
+
+      const next = source[pos + 1];
+      if (next === 'U' || next === 'u') {
+        value += String.fromCharCode(parseInt(source.slice(pos + 2, pos + 6), 16));
+        pos += 6;
+      } else {
+        value += next in STRINGS_ESCAPES ? STRINGS_ESCAPES[next] : next;
+        pos += 2;
+      }
+    }
+    if (pos >= source.length) fail('Unterminated string');
+    pos++;
+    return value;
+  };
+
+  while (true) {
+    skipTrivia();
+    if (pos >= source.length) break;
+
+    const startLine = line;
+    const name = readString();
+    skipTrivia();
+    let value = name;
+    if (source[pos] === '=') {
+      pos++;
+      skipTrivia();
+      value = readString();
+      skipTrivia();
+    }
+    if (source[pos] !== ';') fail('Expected ";"');
+    pos++;
+    resources.push({ name, value, line: startLine });
+  }
+
+  return resources;
+}
+
+/**
+ * Serialize strings as a `.strings` file
+ * @param {Array<{name: string, value: string}>} resources - The strings
+ * @returns {string} The file content (UTF-8, which Xcode accepts)
+ */
+export function stringifyStrings(resources) {
+  const quote = text => `"${String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')}"`;
+
+  return resources.map(({ name, value }) => `${quote(name)} = ${quote(value)};`).join('\n') + '\n';
+}
+
+/**
+ * Read a property list value element
+ * @private
+ */
+function readPlistValue(element) {
+  switch (element.name) {
+    case 'dict': {
+      const dict = {};
+      const children = childElements(element);
+      for (let i = 0; i < children.length; i += 2) {
+        if (children[i].name !== 'key' || !children[i + 1]) {
+          throw new SyntaxError(`Malformed <dict> (line ${children[i].line})`);
+        }
+        dict[textContent(children[i])] = readPlistValue(children[i + 1]);
+      }
+      return dict;
+    }
+    case 'array':
+      return childElements(element).map(readPlistValue);
+    case 'true':
+      return true;
+    case 'false':
+      return false;
+    case 'integer':
+    case 'real':
+      return Number(textContent(element));
+    default:
+      return textContent(element);
+  }
+}
+
+/**
+ * Parse a `.stringsdict` file. Each entry's format string is expanded, so
+ * `You have %#@files@` with a `files` rule gives one text per plural category.
+ * @param {string} text - The property list source
+ * @returns {Array<{name: string, plural: Object}>} The plural rules
+ * @throws {SyntaxError} If the file is not a valid property list
+ */
+export function parseStringsdict(text) {
+  const root = parseXml(text);
+  const [dictElement] = root.name === 'plist' ? childElements(root, 'dict') : [root];
+  if (!dictElement || dictElement.name !== 'dict') {
+    throw new SyntaxError('Expected a property list with a top-level <dict>');
+  }
+
+  const resources = [];
+  for (const [name, entry] of Object.entries(readPlistValue(dictElement))) {
+    if (!entry || typeof entry !== 'object') continue;
+
+    const format = entry.NSStringLocalizedFormatKey || '';
+    const variable = Object.keys(entry).find(key => entry[key] && entry[key].NSStringFormatSpecTypeKey === 'NSStringPluralRuleType');
+    if (!variable) continue;
+
+    const plural = {};
+    for (const category of PLURAL_CATEGORIES) {
+      if (typeof entry[variable][category] === 'string') {
+        plural[category] = format.split(`%#@${variable}@`).join(entry[variable][category]);
+      }
+    }
+    resources.push({ name, plural });
+  }
+  return resources;
+}
+
+/**
+ * Serialize plural rules as a `.stringsdict` file
+ * @param {Array<{name: string, plural: Object}>} resources - The plural rules
+ * @param {Object} options - Writer options
+ * @param {string} options.variable - Name of the plural variable (default: 'count')
+ * @returns {string} The property list source
+ */
+export function stringifyStringsdict(resources, options = {}) {
+  const { variable = 'count' } = options;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+    '<plist version="1.0">',
+    '<dict>'
+  ];
+
+  for (const { name, plural } of resources) {
+    lines.push(`\t<key>${escapeXml(name)}</key>`);
+    lines.push('\t<dict>');
+    lines.push('\t\t<key>NSStringLocalizedFormatKey</key>');
+    lines.push(`\t\t<string>%#@${variable}@</string>`);
+    lines.push(`\t\t<key>${variable}</key>`);
+    lines.push('\t\t<dict>');
+    lines.push('\t\t\t<key>NSStringFormatSpecTypeKey</key>');
+    lines.push('\t\t\t<string>NSStringPluralRuleType</string>');
+    lines.push('\t\t\t<key>NSStringFormatValueTypeKey</key>');
+    lines.push('\t\t\t<string>d</string>');
+    for (const category of PLURAL_CATEGORIES.filter(item => item in plural)) {
+      lines.push(`\t\t\t<key>${category}</key>`);
+      lines.push(`\t\t\t<string>${escapeXml(plural[category])}</string>`);
+    }
+    lines.push('\t\t</dict>');
+    lines.push('\t</dict>');
+  }
+
+  lines.push('</dict>', '</plist>');
+  return lines.join('\n') + '\n';
+}
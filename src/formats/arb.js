@@ -0,0 +1,121 @@
+/**
+ * Flutter Application Resource Bundle (.arb) files.
+ *
+ * ARB files are JSON with ICU messages. Plural resources are written as
+ * `{count, plural, one{...} other{...}}` and read back into plural forms.
+ */
+
+import { PLURAL_CATEGORIES } from './plurals.js';
+
+// ICU exact-match selectors that correspond to a plural category
+const EXACT_SELECTORS = { '=0': 'zero', '=1': 'one', '=2': 'two' };
+
+/**
+ * Split a top-level ICU plural message into its forms
+ * @param {string} message - The ICU message
+ * @returns {{variable: string, plural: Object}|null} The plural forms, or null
+ *   if the message is not a single plural argument
+ * @private
+ */
+function parseIcuPlural(message) {
+  const header = /^\s*\{\s*([A-Za-z_]\w*)\s*,\s*plural\s*,/.exec(message);
+  if (!header) return null;
+
+  const plural = {};
+  let pos = header[0].length;
+  const selector = /\s*(=\d+|zero|one|two|few|many|other|offset:\d+)\s*/y;
+
+  while (true) {
+    selector.lastIndex = pos;
+    const match = selector.exec(message);
+    if (!match) break;
+    pos = selector.lastIndex;
+    if (match[1].startsWith('offset:')) continue;
+    if (message[pos] !== '{') return null;
+
+    // Find the matching brace; forms may contain nested {placeholders}
+    let depth = 0;
+    let end = pos;
+    for (; end < message.length; end++) {
+      if (message[end] === '{') depth++;
+      else if (message[end] === '}' && --depth === 0) break;
+    }
+    if (depth !== 0) return null;
+
+    const category = EXACT_SELECTORS[match[1]] || match[1];
+    if (PLURAL_CATEGORIES.includes(category) && !(category in plural)) {
+      plural[category] = message.slice(pos + 1, end);
+    }
+    pos = end + 1;
+  }
+
+  // Only the closing brace of the argument may follow
+  if (!/^\s*\}\s*$/.test(message.slice(pos)) || !('other' in plural)) return null;
+  return { variable: header[1], plural };
+}
+
+/**
+ * Parse an ARB file
+ * @param {string} text - The file content
+ * @returns {{locale: string|null, resources: Array<Object>}} The `@@locale` and the
+ *   resources ({name, value} or {name, plural}); metadata entries are skipped
+ * @throws {SyntaxError} If the file is not a JSON object
+ */
+export function parseArb(text) {
+  const data = JSON.parse(text.replace(/^\ufeff/, ''));
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new SyntaxError('ARB files must contain a JSON object');
+  }
+
+  const resources = [];
+  for (const [name, value] of Object.entries(data)) {
+    if (name.startsWith('@') || typeof value !== 'string') continue;
+
+    const icuPlural = parseIcuPlural(value);
+    resources.push(icuPlural ? { name, plural: icuPlural.plural } : { name, value });
+  }
+  return { locale: typeof data['@@locale'] === 'string' ? data['@@locale'] : null, resources };
+}
+
+/**
+ * Serialize resources as an ARB file
+ * @param {Array<Object>} resources - Resources ({name, value} or {name, plural})
+ * @param {Object} options - Writer options
+ * @param {string} options.locale - Value of `@@locale`
+ * @param {boolean} options.metadata - Write `@name` placeholder metadata, as the
+ *   template ARB needs (default: false)
+ * @returns {string} The ARB content
+ */
+export function stringifyArb(resources, options = {}) {
+  const { locale, metadata = false } = options;
+  const data = {};
+  if (locale) data['@@locale'] = locale;
+
+  for (const resource of resources) {
+    const text = resource.plural ? Object.values(resource.plural).join(' ') : resource.value;
+    const placeholders = [...new Set([...text.matchAll(/\{([A-Za-z_]\w*)\}/g)].map(match => match[1]))];
+
+    if (resource.plural) {
+      // Reuse a placeholder from the forms as the plural argument, so {count} works in the text
+      const variable = placeholders.find(name => ['count', 'n', 'num', 'number'].includes(name)) || 'count';
+      const forms = PLURAL_CATEGORIES
+        .filter(category => category in resource.plural)
+        .map(category => `${category === 'zero' ? '=0' : category}{${resource.plural[category]}}`);
+      data[resource.name] = `{${variable}, plural, ${forms.join(' ')}}`;
+
+      if (metadata) {
+        data[`@${resource.name}`] = {
+          placeholders: Object.fromEntries([variable, ...placeholders.filter(name => name !== variable)]
+            .map(name => [name, name === variable ? { type: 'num' } : {}]))
+        };
+      }
+    } else {
+      data[resource.name] = resource.value;
+      if (metadata && placeholders.length > 0) {
+        data[`@${resource.name}`] = { placeholders: Object.fromEntries(placeholders.map(name => [name, {}])) };
+      }
+    }
+  }
+
+  return JSON.stringify(data, null, 2) + '\n';
+}
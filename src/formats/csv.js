@@ -0,0 +1,111 @@
+/**
+ * CSV reader and writer (RFC 4180), as produced and read by spreadsheet apps.
+ */
+
+/**
+ * Parse CSV text into rows. Handles a UTF-8 BOM, quoted cells with embedded
+ * delimiters, quotes and line breaks, and CRLF or LF line endings. The
+ * delimiter is detected from the first line unless given (`,`, `;` or tab,
+ * as spreadsheet apps write them depending on the system locale).
+ * @param {string} text - The CSV content
+ * @param {Object} options - Parser options
+ * @param {string} options.delimiter - Cell delimiter (default: auto-detect)
+ * @returns {Array<Array<string>>} The rows
+ * @throws {SyntaxError} If a quoted cell is not terminated
+ */
+export function parseCsv(text, options = {}) {
+  const source = text.replace(/^\ufeff/, '');
+  const delimiter = options.delimiter || detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let line = 1;
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (ch === '"' && cell === '') {
+      const startLine = line;
+      i++;
+      while (true) {
+        if (i >= source.length) {
+          throw new SyntaxError(`Unterminated quoted cell (line ${startLine})`);
+        }
+        if (source[i] === '"') {
+          if (source[i + 1] === '"') {
+            cell += '"';
+            i += 2;
+            continue;
+          }
+          i++;
+          break;
+        }
+        if (source[i] === '\n') line++;
+        cell += source[i++];
+      }
+      // Normalize line breaks inside cells
+      cell = cell.replace(/\r\n/g, '\n');
+      continue;
+    }
+
+    if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+      i++;
+    } else if (ch === '\r' || ch === '\n') {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+      i += ch === '\r' && source[i + 1] === '\n' ? 2 : 1;
+      line++;
+    } else {
+      cell += ch;
+      i++;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Spreadsheet apps often leave fully empty rows behind
+  return rows.filter(cells => cells.some(value => value !== ''));
+}
+
+/**
+ * Pick the delimiter that occurs most often outside quotes in the first line
+ * @private
+ */
+function detectDelimiter(source) {
+  let firstLine = '';
+  let inQuotes = false;
+  for (const ch of source) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === '\n' || ch === '\r')) break;
+    else if (!inQuotes) firstLine += ch;
+  }
+
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length - 1]);
+  const [best] = counts.sort((a, b) => b[1] - a[1]);
+  return best[1] > 0 ? best[0] : ',';
+}
+
+/**
+ * Serialize rows as CSV with CRLF line endings. Cells are quoted only when needed.
+ * @param {Array<Array<string>>} rows - The rows
+ * @param {Object} options - Writer options
+ * @param {boolean} options.bom - Start with a UTF-8 BOM so Excel detects the encoding (default: true)
+ * @returns {string} The CSV content
+ */
+export function stringifyCsv(rows, options = {}) {
+  const { bom = true } = options;
+  const formatCell = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",;\t\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return (bom ? '\ufeff' : '') + rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
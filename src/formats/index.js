@@ -0,0 +1,77 @@
+import path from 'path';
+import { parseYaml, stringifyYaml, readYamlComments } from './yaml.js';
+import { parseJsModule, updateJsModule, stringifyJsModule } from './js-module.js';
+import { parsePo, stringifyPo } from './po.js';
+import { parseXliff, stringifyXliff } from './xliff.js';
+import { parseCsv, stringifyCsv } from './csv.js';
+import { parseAndroidStrings, stringifyAndroidStrings, androidQualifier, localeFromAndroidDir } from './android.js';
+import { parseStrings, stringifyStrings, parseStringsdict, stringifyStringsdict } from './apple.js';
+import { parseArb, stringifyArb } from './arb.js';
+import { PLURAL_CATEGORIES, isPluralSubtree } from './plurals.js';
+import {
+  REPORT_RULES, hardcodedStringIssues, missingTranslationIssues, stringifySarif, stringifyGithubAnnotations
+} from './report.js';
+
+/**
+ * Locale file formats, in lookup order. When a locale exists in several
+ * formats, the first match wins for both reading and writing.
+ *
+ * `wrapsLocaleRoot` marks formats whose files conventionally nest every key
+ * under the locale code (Rails-style `en: { ... }`). Formats with an `update`
+ * function are given the existing file to rewrite, so they can keep what the
+ * data doesn't hold (comments, code around the messages).
+ * `stringify` and `update` take an optional `{indent}` (a number of spaces, or '\t').
+ */
+export const LOCALE_FORMATS = [
+  {
+    name: 'json',
+    label: 'JSON',
+    extensions: ['.json'],
+    parse: text => JSON.parse(text),
+    stringify: (data, options = {}) => JSON.stringify(data, null, options.indent ?? 2)
+  },
+  {
+    name: 'yaml',
+    label: 'YAML',
+    extensions: ['.yml', '.yaml'],
+    wrapsLocaleRoot: true,
+    parse: text => parseYaml(text) || {},
+    // YAML can't be indented with tabs
+    stringify: (data, options = {}) => stringifyYaml(data, { indent: typeof options.indent === 'number' ? options.indent : 2 }),
+    update: (source, data, options = {}) => stringifyYaml(data, {
+      indent: typeof options.indent === 'number' ? options.indent : 2,
+      comments: readYamlComments(source)
+    })
+  },
+  {
+    name: 'js',
+    label: 'JavaScript',
+    extensions: ['.js', '.mjs', '.cjs', '.ts'],
+    parse: text => parseJsModule(text),
+    update: (source, data) => updateJsModule(source, data),
+    stringify: (data, options = {}) => stringifyJsModule(data, options)
+  }
+];
+
+/**
+ * Find the locale format for a file name
+ * @param {string} fileName - File name or path
+ * @returns {Object|null} The matching format, or null if unsupported
+ */
+export function getLocaleFormat(fileName) {
+  const ext = path.extname(fileName).toLowerCase();
+  return LOCALE_FORMATS.find(format => format.extensions.includes(ext)) || null;
+}
+
+export {
+  parseYaml, stringifyYaml, readYamlComments,
+  parseJsModule, updateJsModule, stringifyJsModule,
+  parsePo, stringifyPo,
+  parseXliff, stringifyXliff,
+  parseCsv, stringifyCsv,
+  parseAndroidStrings, stringifyAndroidStrings, androidQualifier, localeFromAndroidDir,
+  parseStrings, stringifyStrings, parseStringsdict, stringifyStringsdict,
+  parseArb, stringifyArb,
+  PLURAL_CATEGORIES, isPluralSubtree,
+  REPORT_RULES, hardcodedStringIssues, missingTranslationIssues, stringifySarif, stringifyGithubAnnotations
+};
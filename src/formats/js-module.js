@@ -0,0 +1,668 @@
+/**
+ * Reader/writer for JavaScript and TypeScript locale modules.
+ *
+ * Understands the shapes locale modules are written in:
+ *   module.exports = { ... }
+ *   export default { ... }
+ *   export default defineI18nLocale({ ... })            (or any wrapper call)
+ *   export default defineI18nLocale(async () => ({ ... }))
+ *   const messages = { ... }; export default messages
+ *
+ * Object keys may be unquoted or quoted with either quote style; comments,
+ * trailing commas and TypeScript suffixes (`as const`, `satisfies T`) are
+ * allowed. Values that are not plain data (function calls, identifiers,
+ * interpolated template literals, spreads) are left out of the parsed data
+ * and are never touched when the module is written back.
+ *
+ * Writing patches the original source: changed values are replaced in place,
+ * new keys are appended using the file's indentation, quote and comma style,
+ * so formatting and comments elsewhere in the file survive.
+ */
+
+import { tokenize } from '../parsers/js-tokenizer.js';
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return Number.isNaN(a) && Number.isNaN(b);
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every((key, i) => key === keysB[i] && deepEqual(a[key], b[key]));
+}
+
+class ModuleParser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source).tokens;
+    this.pos = 0;
+  }
+
+  error(message) {
+    const token = this.tokens[this.pos];
+    const offset = token ? token.start : this.source.length;
+    const line = this.source.slice(0, offset).split('\n').length;
+    return new SyntaxError(`${message} (line ${line})`);
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  is(value, offset = 0) {
+    const token = this.peek(offset);
+    return Boolean(token) && (token.type === 'punct' || token.type === 'identifier') && token.value === value;
+  }
+
+  expect(value) {
+    if (!this.is(value)) {
+      throw this.error(`Expected "${value}"`);
+    }
+    return this.tokens[this.pos++];
+  }
+
+  /**
+   * Locate the exported messages object
+   * @returns {Object} The object literal node
+   */
+  parseModule() {
+    for (let i = 0; i < this.tokens.length; i++) {
+      this.pos = i;
+      if (this.is('module') && this.is('.', 1) && this.is('exports', 2) && this.is('=', 3)) {
+        this.pos += 4;
+        return this.parseExportedExpression(new Set());
+      }
+      if (this.is('export') && this.is('default', 1) && !this.is('.', -1)) {
+        this.pos += 2;
+        return this.parseExportedExpression(new Set());
+      }
+    }
+
+    this.pos = this.tokens.length;
+    throw this.error('Could not find `export default` or `module.exports`');
+  }
+
+  /**
+   * Resolve the expression after `export default`/`module.exports =` to an object literal
+   */
+  parseExportedExpression(seen) {
+    const token = this.peek();
+    if (!token) throw this.error('Unexpected end of module');
+
+    if (this.is('{')) {
+      return this.parseObject();
+    }
+
+    if (this.is('async') || this.is('function') || this.isArrowFunction()) {
+      return this.parseFunctionBody(seen);
+    }
+
+    if (this.is('(')) {
+      this.pos++;
+      return this.parseExportedExpression(seen);
+    }
+
+    if (token.type === 'identifier') {
+      // Wrapper call such as defineI18nLocale({ ... }) or defineMessages<T>({ ... })
+      let cursor = this.pos + 1;
+      while (this.is('.', cursor - this.pos) && this.tokens[cursor + 1] && this.tokens[cursor + 1].type === 'identifier') {
+        cursor += 2;
+      }
+      if (this.tokens[cursor] && this.tokens[cursor].value === '<') {
+        cursor = this.skipBalanced(cursor, '<', '>');
+      }
+      if (this.tokens[cursor] && this.tokens[cursor].value === '(') {
+        this.pos = cursor + 1;
+        return this.parseExportedExpression(seen);
+      }
+
+      // Reference to a variable declared elsewhere in the module
+      return this.resolveIdentifier(token.value, seen);
+    }
+
+    throw this.error('Default export is not an object literal');
+  }
+
+  isArrowFunction() {
+    if (this.peek().type === 'identifier' && this.is('=>', 1)) return true;
+    if (this.is('(')) {
+      const close = this.skipBalanced(this.pos, '(', ')');
+      return Boolean(this.tokens[close]) && this.tokens[close].value === '=>';
+    }
+    return false;
+  }
+
+  parseFunctionBody(seen) {
+    if (this.is('async')) this.pos++;
+    if (this.is('function')) {
+      this.pos++;
+      if (this.peek() && this.peek().type === 'identifier') this.pos++;
+    }
+    if (this.is('(')) {
+      this.pos = this.skipBalanced(this.pos, '(', ')');
+    } else {
+      this.pos++;
+    }
+    while (this.peek() && !this.is('=>') && !this.is('{')) this.pos++;
+    if (this.is('=>')) this.pos++;
+
+    if (this.is('{')) {
+      // Block body: use the first `return` at the top level of the function
+      const close = this.skipBalanced(this.pos, '{', '}');
+      let depth = 0;
+      for (let i = this.pos + 1; i < close - 1; i++) {
+        const value = this.tokens[i].value;
+        if (value === '{' || value === '(' || value === '[') depth++;
+        if (value === '}' || value === ')' || value === ']') depth--;
+        if (depth === 0 && this.tokens[i].type === 'identifier' && value === 'return') {
+          this.pos = i + 1;
+          return this.parseExportedExpression(seen);
+        }
+      }
+      throw this.error('Locale function does not return an object');
+    }
+
+    return this.parseExportedExpression(seen);
+  }
+
+  resolveIdentifier(name, seen) {
+    if (seen.has(name)) throw this.error(`Circular reference to "${name}"`);
+    seen.add(name);
+
+    for (let i = 0; i < this.tokens.length - 2; i++) {
+      const token = this.tokens[i];
+      if (token.type === 'identifier' && ['const', 'let', 'var'].includes(token.value) &&
+          this.tokens[i + 1].type === 'identifier' && this.tokens[i + 1].value === name) {
+        // Skip an optional TypeScript annotation up to the initializer
+        let cursor = i + 2;
+        let depth = 0;
+        while (this.tokens[cursor]) {
+          const value = this.tokens[cursor].value;
+          if (value === '<' || value === '{' || value === '(' || value === '[') depth++;
+          if (value === '>' || value === '}' || value === ')' || value === ']') depth--;
+          if (depth === 0 && value === '=') break;
+          cursor++;
+        }
+        this.pos = cursor + 1;
+        return this.parseExportedExpression(seen);
+      }
+    }
+
+    throw this.error(`Could not find the declaration of "${name}"`);
+  }
+
+  /**
+   * Return the index after the token that closes the bracket at `index`
+   */
+  skipBalanced(index, open, close) {
+    let depth = 0;
+    for (let i = index; i < this.tokens.length; i++) {
+      const value = this.tokens[i].value;
+      if (value === open) depth++;
+      if (value === close && --depth === 0) return i + 1;
+    }
+    return this.tokens.length;
+  }
+
+  parseObject() {
+    const open = this.expect('{');
+    const node = { type: 'object', start: open.start, end: null, properties: [], trailingComma: false };
+
+    while (!this.is('}')) {
+      if (!this.peek()) throw this.error('Unterminated object literal');
+      node.properties.push(this.parseProperty());
+
+      if (this.is(',')) {
+        node.properties[node.properties.length - 1].comma = this.peek().start;
+        this.pos++;
+        node.trailingComma = this.is('}');
+      } else if (!this.is('}')) {
+        throw this.error('Expected "," or "}" in object literal');
+      }
+    }
+
+    node.end = this.expect('}').end;
+    return node;
+  }
+
+  parseProperty() {
+    const token = this.peek();
+    const property = { key: null, start: token.start, end: null, value: null, comma: -1 };
+
+    if (this.is('...') || this.is('[')) {
+      // Spread or computed key: keep as an opaque entry
+      property.value = this.parseOpaque();
+      property.end = property.value.end;
+      return property;
+    }
+
+    if (token.type === 'string' || token.type === 'identifier' || token.type === 'number') {
+      property.key = token.type === 'number' ? String(Number(token.value)) : token.value;
+      property.quotedKey = token.type === 'string';
+      this.pos++;
+    } else {
+      throw this.error('Unexpected token in object literal');
+    }
+
+    if (this.is(':')) {
+      this.pos++;
+      property.value = this.parseValue();
+    } else {
+      // Shorthand property or method: not plain data
+      this.pos--;
+      property.key = null;
+      property.value = this.parseOpaque();
+    }
+
+    property.end = property.value.end;
+    return property;
+  }
+
+  parseValue() {
+    const token = this.peek();
+    let node;
+
+    if (this.is('{')) {
+      node = this.parseObject();
+    } else if (this.is('[')) {
+      node = this.parseArray();
+    } else if (token.type === 'string' || (token.type === 'template' && token.value !== null)) {
+      this.pos++;
+      node = { type: 'literal', value: token.value, start: token.start, end: token.end };
+    } else if (token.type === 'number' && !token.value.endsWith('n')) {
+      this.pos++;
+      node = { type: 'literal', value: Number(token.value.replace(/_/g, '')), start: token.start, end: token.end };
+    } else if (this.is('-') && this.peek(1) && this.peek(1).type === 'number') {
+      this.pos += 2;
+      node = { type: 'literal', value: -Number(this.peek(-1).value.replace(/_/g, '')), start: token.start, end: this.peek(-1).end };
+    } else if (token.type === 'identifier' && ['true', 'false', 'null'].includes(token.value) && this.isValueEnd(1)) {
+      this.pos++;
+      node = { type: 'literal', value: token.value === 'null' ? null : token.value === 'true', start: token.start, end: token.end };
+    } else {
+      return this.parseOpaque();
+    }
+
+    if (!this.isValueEnd(0)) {
+      // TypeScript suffixes (`as const`, `satisfies T`) keep the value; anything else makes it opaque
+      if (this.is('as') || this.is('satisfies')) {
+        this.skipToValueEnd();
+        return node;
+      }
+      this.pos = this.tokens.indexOf(token);
+      return this.parseOpaque();
+    }
+
+    return node;
+  }
+
+  isValueEnd(offset) {
+    return this.is(',', offset) || this.is('}', offset) || this.is(']', offset);
+  }
+
+  skipToValueEnd() {
+    let depth = 0;
+    while (this.peek()) {
+      const value = this.peek().value;
+      if (depth === 0 && (value === ',' || value === '}' || value === ']')) break;
+      if (value === '{' || value === '(' || value === '[') depth++;
+      if (value === '}' || value === ')' || value === ']') depth--;
+      this.pos++;
+    }
+  }
+
+  parseOpaque() {
+    const start = this.peek().start;
+    this.skipToValueEnd();
+    return { type: 'opaque', start, end: this.peek(-1).end };
+  }
+
+  parseArray() {
+    const open = this.expect('[');
+    const node = { type: 'array', start: open.start, end: null, elements: [] };
+
+    while (!this.is(']')) {
+      if (!this.peek()) throw this.error('Unterminated array literal');
+      node.elements.push(this.parseValue());
+      if (this.is(',')) {
+        this.pos++;
+      } else if (!this.is(']')) {
+        throw this.error('Expected "," or "]" in array literal');
+      }
+    }
+
+    node.end = this.expect(']').end;
+    return node;
+  }
+}
+
+/**
+ * Convert a parsed node to plain data
+ * @returns {*} The value, or undefined for opaque nodes
+ */
+function toData(node) {
+  if (node.type === 'literal') return node.value;
+  if (node.type === 'array') {
+    const values = node.elements.map(toData);
+    return values.includes(undefined) ? undefined : values;
+  }
+  if (node.type === 'object') {
+    const result = {};
+    for (const property of node.properties) {
+      if (property.key === null) continue;
+      const value = toData(property.value);
+      if (value !== undefined) {
+        Object.defineProperty(result, property.key, { value, enumerable: true, writable: true, configurable: true });
+      }
+    }
+    return result;
+  }
+  return undefined;
+}
+
+/**
+ * Parse a locale module and return its messages object
+ * @param {string} source - Module source code
+ * @returns {Object} The exported messages
+ * @throws {SyntaxError} If no exported object literal can be found
+ */
+export function parseJsModule(source) {
+  return toData(new ModuleParser(source).parseModule());
+}
+
+/**
+ * Detect the formatting conventions of a module
+ * @private
+ */
+function detectStyle(source, root) {
+  const { tokens } = tokenize(source);
+  const strings = tokens.filter(token => token.type === 'string');
+  const singles = strings.filter(token => token.quote === '\'').length;
+
+  const keys = [];
+  const collectKeys = node => {
+    if (node.type !== 'object') return;
+    for (const property of node.properties) {
+      if (property.key !== null) keys.push(property);
+      if (property.value) collectKeys(property.value);
+    }
+  };
+  collectKeys(root);
+
+  const identifierKeys = keys.filter(property => IDENTIFIER.test(property.key));
+  const quotedIdentifierKeys = identifierKeys.filter(property => property.quotedKey).length;
+
+  let indentUnit = '  ';
+  const firstProperty = root.properties[0];
+  if (firstProperty) {
+    const rootIndent = lineIndent(source, root.start);
+    const propertyIndent = lineIndent(source, firstProperty.start);
+    if (propertyIndent.length > rootIndent.length && propertyIndent.startsWith(rootIndent)) {
+      indentUnit = propertyIndent.slice(rootIndent.length);
+    }
+  }
+
+  let trailingComma = false;
+  const findTrailingComma = node => {
+    if (node.type !== 'object') return;
+    if (node.trailingComma && isMultiLine(source, node)) trailingComma = true;
+    node.properties.forEach(property => property.value && findTrailingComma(property.value));
+  };
+  findTrailingComma(root);
+
+  return {
+    quote: strings.length > 0 && singles * 2 < strings.length ? '"' : '\'',
+    quoteKeys: identifierKeys.length > 0 && quotedIdentifierKeys * 2 > identifierKeys.length,
+    indentUnit,
+    trailingComma,
+    newline: source.includes('\r\n') ? '\r\n' : '\n'
+  };
+}
+
+function lineStart(source, offset) {
+  return source.lastIndexOf('\n', offset - 1) + 1;
+}
+
+function lineIndent(source, offset) {
+  return /^[ \t]*/.exec(source.slice(lineStart(source, offset), offset))[0];
+}
+
+function isMultiLine(source, node) {
+  return source.slice(node.start, node.end).includes('\n');
+}
+
+/**
+ * End of the line containing `offset`, skipping over a trailing comment
+ * @returns {number} Offset of the line break, or -1 if code follows on the same line
+ */
+function lineEndAfter(source, offset) {
+  const newline = source.indexOf('\n', offset);
+  const end = newline === -1 ? source.length : newline;
+  const rest = source.slice(offset, end).replace(/\r$/, '');
+  if (/^\s*(?:\/\/.*|\/\*.*?\*\/\s*)?$/.test(rest)) {
+    return end > 0 && source[end - 1] === '\r' ? end - 1 : end;
+  }
+  return -1;
+}
+
+function quoteString(value, preferredQuote) {
+  // Switch quotes rather than escaping, as formatters like Prettier do
+  const alternate = preferredQuote === '\'' ? '"' : '\'';
+  const quote = value.includes(preferredQuote) && !value.includes(alternate) ? alternate : preferredQuote;
+  let result = quote;
+  for (const ch of value) {
+    const code = ch.codePointAt(0);
+    if (ch === quote || ch === '\\') result += '\\' + ch;
+    else if (ch === '\n') result += '\\n';
+    else if (ch === '\r') result += '\\r';
+    else if (ch === '\t') result += '\\t';
+    else if (code < 0x20 || code === 0x2028 || code === 0x2029) result += '\\u' + code.toString(16).padStart(4, '0');
+    else result += ch;
+  }
+  return result + quote;
+}
+
+function formatKey(key, style) {
+  return IDENTIFIER.test(key) && !style.quoteKeys ? key : quoteString(key, style.quote);
+}
+
+/**
+ * Serialize a value as JavaScript source
+ * @param {*} value - The value
+ * @param {Object} style - Detected module style
+ * @param {string} indent - Indentation of the line the value starts on
+ * @param {boolean} inline - Keep objects and arrays on a single line
+ */
+function formatValue(value, style, indent, inline = false) {
+  if (typeof value === 'string') return quoteString(value, style.quote);
+  if (value === null || value === undefined) return 'null';
+  if (typeof value !== 'object') return String(value);
+
+  if (inline) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => formatValue(item, style, indent, true)).join(', ')}]`;
+    }
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    if (entries.length === 0) return '{}';
+    return `{ ${entries.map(([key, item]) => `${formatKey(key, style)}: ${formatValue(item, style, indent, true)}`).join(', ')} }`;
+  }
+
+  const inner = indent + style.indentUnit;
+  const { newline } = style;
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    if (value.every(item => item === null || typeof item !== 'object')) {
+      return `[${value.map(item => formatValue(item, style, indent)).join(', ')}]`;
+    }
+    const items = value.map(item => inner + formatValue(item, style, inner));
+    return `[${newline}${items.join(',' + newline)}${style.trailingComma ? ',' : ''}${newline}${indent}]`;
+  }
+
+  const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+  if (entries.length === 0) return '{}';
+  const lines = entries.map(([key, item]) => `${inner}${formatKey(key, style)}: ${formatValue(item, style, inner)}`);
+  return `{${newline}${lines.join(',' + newline)}${style.trailingComma ? ',' : ''}${newline}${indent}}`;
+}
+
+/**
+ * Range to delete when removing a property, including its comma and, when the
+ * property sits on its own line(s), the whole line
+ * @private
+ */
+function removalRange(source, property, multiLine) {
+  const start = property.start;
+  const end = property.comma !== -1 ? property.comma + 1 : property.end;
+  const startOfLine = lineStart(source, start);
+
+  if (multiLine && /^[ \t]*$/.test(source.slice(startOfLine, start))) {
+    const lineEnd = lineEndAfter(source, end);
+    if (lineEnd !== -1) {
+      const newline = source.indexOf('\n', lineEnd);
+      return { start: startOfLine, end: newline === -1 ? source.length : newline + 1 };
+    }
+  }
+
+  if (property.comma !== -1) {
+    let inlineEnd = end;
+    while (source[inlineEnd] === ' ' || source[inlineEnd] === '\t') inlineEnd++;
+    return { start, end: inlineEnd };
+  }
+
+  let inlineStart = start;
+  while (source[inlineStart - 1] === ' ' || source[inlineStart - 1] === '\t') inlineStart--;
+  return { start: inlineStart, end };
+}
+
+/**
+ * Collect the source edits that turn an object literal into `target`
+ * @private
+ */
+function diffObject(source, node, target, style, edits) {
+  const indent = lineIndent(source, node.start);
+  const multiLine = isMultiLine(source, node);
+  const targetKeys = Object.keys(target).filter(key => target[key] !== undefined);
+
+  // Keyed properties whose value is plain data, plus opaque ones the caller overwrites
+  const tracked = node.properties.filter(property => property.key !== null &&
+    (property.value.type !== 'opaque' || targetKeys.includes(property.key)));
+  const trackedKeys = new Set(tracked.map(property => property.key));
+  const survivors = tracked.filter(property => targetKeys.includes(property.key));
+  const removed = tracked.filter(property => !targetKeys.includes(property.key));
+  const added = targetKeys.filter(key => !trackedKeys.has(key));
+  const kept = node.properties.filter(property => !removed.includes(property));
+  const lastKept = kept[kept.length - 1];
+
+  // Existing keys must keep their order and new keys may only be appended
+  const expectedOrder = [...survivors.map(property => property.key), ...added];
+  const patchable = lastKept && expectedOrder.every((key, i) => key === targetKeys[i]);
+
+  if (!patchable) {
+    const opaque = node.properties.filter(property => !tracked.includes(property));
+    const inner = indent + style.indentUnit;
+    let text = formatValue(target, style, indent);
+    if (opaque.length > 0) {
+      const preserved = opaque.map(property => inner + source.slice(property.start, property.end));
+      text = text === '{}'
+        ? `{${style.newline}${preserved.join(',' + style.newline)}${style.newline}${indent}}`
+        : text.replace(/^\{/, `{${style.newline}${preserved.join(',' + style.newline)},`);
+    }
+    edits.push({ start: node.start, end: node.end, text });
+    return;
+  }
+
+  // Changed values
+  for (const property of survivors) {
+    const next = target[property.key];
+    if (property.value.type === 'object' && isPlainObject(next)) {
+      diffObject(source, property.value, next, style, edits);
+    } else if (property.value.type === 'opaque' || !deepEqual(toData(property.value), next)) {
+      edits.push({
+        start: property.value.start,
+        end: property.value.end,
+        text: formatValue(next, style, lineIndent(source, property.start))
+      });
+    }
+  }
+
+  // Removed properties
+  for (const property of removed) {
+    edits.push({ ...removalRange(source, property, multiLine), text: '' });
+  }
+
+  const lastKeptIndex = node.properties.indexOf(lastKept);
+  const tailRemoved = removed.some(property => node.properties.indexOf(property) > lastKeptIndex);
+  if (tailRemoved && added.length === 0 && lastKept.comma !== -1 && !node.trailingComma) {
+    // The new last property must not keep a comma the original style did not have
+    edits.push({ start: lastKept.comma, end: lastKept.comma + 1, text: '' });
+  }
+
+  if (added.length === 0) return;
+
+  // Appended properties go after the last property that is kept
+  const hasComma = lastKept.comma !== -1;
+  const anchor = hasComma ? lastKept.comma + 1 : lastKept.end;
+
+  if (!multiLine) {
+    const entries = added.map(key => `${formatKey(key, style)}: ${formatValue(target[key], style, indent, true)}`);
+    const text = hasComma ? ` ${entries.join(', ')}${node.trailingComma ? ',' : ''}` : `, ${entries.join(', ')}`;
+    edits.push({ start: anchor, end: anchor, text });
+    return;
+  }
+
+  const ownLine = /^[ \t]*$/.test(source.slice(lineStart(source, lastKept.start), lastKept.start));
+  const propertyIndent = ownLine ? lineIndent(source, lastKept.start) : indent + style.indentUnit;
+  const lines = added.map(key => `${propertyIndent}${formatKey(key, style)}: ${formatValue(target[key], style, propertyIndent)}`);
+  const block = style.newline + lines.join(',' + style.newline) + (node.trailingComma ? ',' : '');
+  const lineEnd = lineEndAfter(source, anchor);
+
+  if (lineEnd === -1 || (!hasComma && lineEnd === lastKept.end)) {
+    edits.push({ start: anchor, end: anchor, text: (hasComma ? '' : ',') + block });
+  } else {
+    if (!hasComma) {
+      edits.push({ start: lastKept.end, end: lastKept.end, text: ',' });
+    }
+    edits.push({ start: lineEnd, end: lineEnd, text: block });
+  }
+}
+
+/**
+ * Write new messages into an existing locale module, preserving its formatting
+ * @param {string} source - Current module source code
+ * @param {Object} data - The complete new messages object
+ * @returns {string} The updated module source
+ */
+export function updateJsModule(source, data) {
+  const root = new ModuleParser(source).parseModule();
+  const style = detectStyle(source, root);
+  const edits = [];
+
+  diffObject(source, root, data, style, edits);
+
+  edits.sort((a, b) => b.start - a.start || b.end - a.end);
+  let result = source;
+  for (const edit of edits) {
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+  }
+  return result;
+}
+
+/**
+ * Serialize messages as a new ES module
+ * @param {Object} data - The messages object
+ * @param {Object} options - Writer options
+ * @param {number|string} options.indent - Spaces per level, or '\t' (default: 2)
+ * @returns {string} Module source
+ */
+export function stringifyJsModule(data, options = {}) {
+  const { indent = 2 } = options;
+  const indentUnit = typeof indent === 'number' ? ' '.repeat(indent) : indent;
+  const style = { quote: '\'', quoteKeys: false, indentUnit, trailingComma: false, newline: '\n' };
+  return `export default ${formatValue(data, style, '')};\n`;
+}
@@ -0,0 +1,18 @@
+/**
+ * CLDR plural categories, in the order platforms list them
+ */
+export const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/**
+ * Whether a locale subtree holds the plural forms of one message, such as
+ * `{ one: '1 item', other: '{count} items' }`
+ * @param {*} value - The subtree
+ * @returns {boolean} True if every key is a plural category and 'other' is present
+ */
+export function isPluralSubtree(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+
+  const keys = Object.keys(value);
+  return keys.includes('other') &&
+    keys.every(key => PLURAL_CATEGORIES.includes(key) && typeof value[key] === 'string');
+}
@@ -0,0 +1,183 @@
+/**
+ * Gettext PO/POT reader and writer.
+ *
+ * Only what translation exchange needs: header, msgctxt/msgid/msgstr,
+ * plural forms, flags and comments. Obsolete (`#~`) entries are parsed but
+ * marked so callers can ignore them.
+ */
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', a: '\x07', b: '\b', f: '\f', v: '\v' };
+
+/**
+ * Decode a quoted PO string (`"..."`)
+ * @private
+ */
+function unquote(text, lineNumber) {
+  const match = text.match(/^"((?:[^"\\]|\\.)*)"\s*$/);
+  if (!match) {
+    throw new SyntaxError(`Invalid PO string: ${text} (line ${lineNumber})`);
+  }
+  return match[1].replace(/\\(.)/g, (_, ch) => (ch in ESCAPES ? ESCAPES[ch] : ch));
+}
+
+/**
+ * Escape a string for use inside PO quotes
+ * @private
+ */
+function escape(str) {
+  return str
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Encode a string as one or more quoted PO lines. Multi-line strings start
+ * with an empty string and break after each newline, as msgmerge does.
+ * @private
+ */
+function quote(keyword, value) {
+  const lines = value.split(/(?<=\n)/);
+  if (lines.length === 1) {
+    return `${keyword} "${escape(value)}"`;
+  }
+  return [`${keyword} ""`, ...lines.map(line => `"${escape(line)}"`)].join('\n');
+}
+
+/**
+ * Parse a PO or POT file
+ * @param {string} text - The file content
+ * @returns {{headers: Object, entries: Array<Object>}} Header fields and the
+ *   translation entries ({msgctxt, msgid, msgidPlural, msgstr, flags,
+ *   comments, references, obsolete, line})
+ * @throws {SyntaxError} If the file is malformed
+ */
+export function parsePo(text) {
+  const lines = text.replace(/^\ufeff/, '').split(/\r?\n/);
+  const entries = [];
+  let entry = null;
+  let field = null;
+
+  const newEntry = lineNumber => ({
+    msgctxt: null,
+    msgid: null,
+    msgidPlural: null,
+    msgstr: null,
+    flags: [],
+    comments: [],
+    references: [],
+    obsolete: false,
+    line: lineNumber
+  });
+
+  const finish = () => {
+    if (entry && entry.msgid !== null) entries.push(entry);
+    entry = null;
+    field = null;
+  };
+
+  lines.forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    let line = rawLine.trim();
+
+    if (line === '') {
+      finish();
+      return;
+    }
+
+    let obsolete = false;
+    if (line.startsWith('#~')) {
+      obsolete = true;
+      line = line.slice(2).trim();
+    } else if (line.startsWith('#')) {
+      // A comment after a complete entry starts the next one
+      if (entry && entry.msgstr !== null) finish();
+      if (!entry) entry = newEntry(lineNumber);
+
+      if (line.startsWith('#,')) {
+        entry.flags.push(...line.slice(2).split(',').map(flag => flag.trim()).filter(Boolean));
+      } else if (line.startsWith('#:')) {
+        entry.references.push(...line.slice(2).trim().split(/\s+/).filter(Boolean));
+      } else if (line.startsWith('#.') || line.startsWith('# ') || line === '#') {
+        entry.comments.push(line.replace(/^#\.?\s?/, ''));
+      }
+      return;
+    }
+
+    if (line.startsWith('"')) {
+      if (!entry || !field) {
+        throw new SyntaxError(`Unexpected string continuation (line ${lineNumber})`);
+      }
+      const value = unquote(line, lineNumber);
+      if (field.index === undefined) {
+        entry[field.name] += value;
+      } else {
+        entry.msgstr[field.index] += value;
+      }
+      return;
+    }
+
+    const match = line.match(/^(msgctxt|msgid_plural|msgid|msgstr)(?:\[(\d+)\])?\s+(.*)$/);
+    if (!match) {
+      throw new SyntaxError(`Unrecognized PO line: ${line} (line ${lineNumber})`);
+    }
+
+    const [, keyword, pluralIndex, rest] = match;
+    // msgctxt or msgid after a msgstr begins a new entry, even without a blank line
+    if (entry && entry.msgstr !== null && (keyword === 'msgctxt' || keyword === 'msgid')) finish();
+    if (!entry) entry = newEntry(lineNumber);
+    entry.obsolete = entry.obsolete || obsolete;
+
+    const value = unquote(rest, lineNumber);
+    if (keyword === 'msgstr' && pluralIndex !== undefined) {
+      if (!Array.isArray(entry.msgstr)) entry.msgstr = [];
+      entry.msgstr[Number(pluralIndex)] = value;
+      field = { name: 'msgstr', index: Number(pluralIndex) };
+    } else {
+      const name = keyword === 'msgid_plural' ? 'msgidPlural' : keyword;
+      entry[name] = value;
+      field = { name };
+    }
+  });
+  finish();
+
+  const headers = {};
+  const headerIndex = entries.findIndex(item => item.msgid === '' && item.msgctxt === null && !item.obsolete);
+  if (headerIndex !== -1) {
+    const [header] = entries.splice(headerIndex, 1);
+    for (const line of String(header.msgstr || '').split('\n')) {
+      const colon = line.indexOf(':');
+      if (colon > 0) headers[line.slice(0, colon).trim()] = line.slice(colon + 1).trim();
+    }
+  }
+
+  return { headers, entries };
+}
+
+/**
+ * Serialize entries as a PO or POT file
+ * @param {Array<Object>} entries - Entries with msgctxt, msgid, msgstr and optional flags/comments
+ * @param {Object} headers - Header fields, written in the given order
+ * @returns {string} The PO file content
+ */
+export function stringifyPo(entries, headers = {}) {
+  const blocks = [];
+
+  const headerLines = Object.entries(headers).map(([name, value]) => `"${escape(`${name}: ${value}\n`)}"`);
+  blocks.push(['msgid ""', 'msgstr ""', ...headerLines].join('\n'));
+
+  for (const entry of entries) {
+    const lines = [];
+    for (const comment of entry.comments || []) lines.push(`#. ${comment}`);
+    if (entry.references && entry.references.length > 0) lines.push(`#: ${entry.references.join(' ')}`);
+    if (entry.flags && entry.flags.length > 0) lines.push(`#, ${entry.flags.join(', ')}`);
+    if (entry.msgctxt !== null && entry.msgctxt !== undefined) lines.push(quote('msgctxt', entry.msgctxt));
+    lines.push(quote('msgid', entry.msgid));
+    lines.push(quote('msgstr', entry.msgstr || ''));
+    blocks.push(lines.join('\n'));
+  }
+
+  return blocks.join('\n\n') + '\n';
+}
@@ -0,0 +1,171 @@
+/**
+ * Report formats for scan findings: SARIF 2.1.0 for code-scanning UIs, and
+ * GitHub Actions workflow commands (`::warning file=...::`) for inline annotations.
+ *
+ * Both take issues of the shape {ruleId, level, message, file, line, column},
+ * optionally with the end of the range as `endLine`/`endColumn` (the column
+ * after the last character), where `level` is 'error', 'warning' or 'note' and
+ * `file` is relative to the repository root.
+ */
+import path from 'path';
+
+/**
+ * Rules reported by vibei18n, keyed by rule id
+ */
+export const REPORT_RULES = {
+  'hardcoded-string': {
+    name: 'HardcodedString',
+    description: 'User-facing text is hardcoded instead of going through $t()',
+    level: 'warning'
+  },
+  'missing-translation': {
+    name: 'MissingTranslation',
+    description: 'A $t() key is not defined in the base locale',
+    level: 'error'
+  }
+};
+
+// SARIF levels of hardcoded string severities
+const SEVERITY_LEVELS = { high: 'warning', medium: 'warning', low: 'note' };
+
+// GitHub workflow command for each SARIF level
+const GITHUB_COMMANDS = { error: 'error', warning: 'warning', note: 'notice' };
+
+/**
+ * Make a scanned file's path relative to the root, with '/' separators
+ */
+function toReportPath(file, baseDir, root) {
+  return path.relative(root, path.resolve(baseDir, file)).split(path.sep).join('/');
+}
+
+/**
+ * Turn checkHardcodedStrings() findings into report issues
+ * @param {Array<Object>} findings - Findings with file, line, column, text, category and severity,
+ *   and optionally endLine and endColumn
+ * @param {Object} options - Path options
+ * @param {string} options.baseDir - Directory the finding paths are relative to (default: cwd)
+ * @param {string} options.root - Directory the issue paths are made relative to (default: cwd)
+ * @returns {Array<Object>} The issues
+ */
+export function hardcodedStringIssues(findings, options = {}) {
+  const { baseDir = process.cwd(), root = process.cwd() } = options;
+  return findings.map(finding => ({
+    ruleId: 'hardcoded-string',
+    level: SEVERITY_LEVELS[finding.severity] || 'warning',
+    message: `Hardcoded string "${finding.text}" (${finding.category}, ${finding.severity} severity)`,
+    file: toReportPath(finding.file, baseDir, root),
+    line: finding.line,
+    column: finding.column,
+    ...(finding.endLine ? { endLine: finding.endLine, endColumn: finding.endColumn } : {})
+  }));
+}
+
+/**
+ * Turn the usages of missing keys (checkMissingTranslations().missingUsages) into report issues
+ * @param {Array<Object>} usages - Usages with key (or pattern and expression, for keys built at
+ *   runtime), file, line and column
+ * @param {Object} options - Path and message options
+ * @param {string} options.baseDir - Directory the usage paths are relative to (default: cwd)
+ * @param {string} options.root - Directory the issue paths are made relative to (default: cwd)
+ * @param {string} options.baseLocale - Base locale named in the messages
+ * @returns {Array<Object>} The issues
+ */
+export function missingTranslationIssues(usages, options = {}) {
+  const { baseDir = process.cwd(), root = process.cwd(), baseLocale = null } = options;
+  const where = baseLocale ? ` (${baseLocale})` : '';
+  return usages.map(usage => ({
+    ruleId: 'missing-translation',
+    level: 'error',
+    message: usage.key === undefined
+      ? `No key in the base locale${where} matches "${usage.pattern}", built at runtime by ${usage.expression}`
+      : `Translation key "${usage.key}" is missing from the base locale${where}`,
+    file: toReportPath(usage.file, baseDir, root),
+    line: usage.line,
+    column: usage.column
+  }));
+}
+
+/**
+ * Serialize issues as a SARIF 2.1.0 log with one run
+ * @param {Array<Object>} issues - The issues
+ * @param {Object} options - Tool information
+ * @param {string} options.version - The vibei18n version
+ * @param {Array<string>} options.errors - Errors that stopped the scan; the run is then
+ *   marked unsuccessful and lists them as notifications (default: none)
+ * @returns {string} The SARIF JSON
+ */
+export function stringifySarif(issues, options = {}) {
+  const ruleIds = Object.keys(REPORT_RULES);
+  const driver = {
+    name: 'vibei18n',
+    informationUri: 'https://github.com/becoolme/vibe-i18n',
+    rules: ruleIds.map(id => ({
+      id,
+      name: REPORT_RULES[id].name,
+      shortDescription: { text: REPORT_RULES[id].description },
+      defaultConfiguration: { level: REPORT_RULES[id].level }
+    }))
+  };
+  if (options.version) {
+    driver.version = options.version;
+  }
+
+  const results = issues.map(issue => ({
+    ruleId: issue.ruleId,
+    ruleIndex: ruleIds.indexOf(issue.ruleId),
+    level: issue.level,
+    message: { text: issue.message },
+    locations: [{
+      physicalLocation: {
+        artifactLocation: { uri: issue.file },
+        region: {
+          startLine: issue.line,
+          ...(issue.column ? { startColumn: issue.column } : {}),
+          ...(issue.endLine ? { endLine: issue.endLine } : {}),
+          ...(issue.endLine && issue.endColumn ? { endColumn: issue.endColumn } : {})
+        }
+      }
+    }]
+  }));
+
+  const errors = options.errors || [];
+  const invocation = { executionSuccessful: errors.length === 0 };
+  if (errors.length > 0) {
+    invocation.toolExecutionNotifications = errors.map(message => ({ level: 'error', message: { text: message } }));
+  }
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{ tool: { driver }, invocations: [invocation], results }]
+  }, null, 2) + '\n';
+}
+
+/**
+ * Serialize issues as GitHub Actions workflow commands, one per line
+ * @param {Array<Object>} issues - The issues
+ * @param {Object} options - Annotation options
+ * @param {Array<string>} options.errors - Errors that stopped the scan, written first as
+ *   `::error title=vibei18n::message` (default: none)
+ * @returns {string} The commands (`::warning file=...,line=...,endLine=...,col=...,endColumn=...,title=...::message`)
+ */
+export function stringifyGithubAnnotations(issues, options = {}) {
+  const escapeData = value => String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+  const escapeProperty = value => escapeData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+
+  const errors = (options.errors || []).map(message => `::error title=vibei18n::${escapeData(message)}\n`);
+  return errors.join('') + issues.map(issue => {
+    const properties = [`file=${escapeProperty(issue.file)}`, `line=${issue.line}`];
+    if (issue.endLine) {
+      properties.push(`endLine=${issue.endLine}`);
+    }
+    if (issue.column) {
+      properties.push(`col=${issue.column}`);
+    }
+    if (issue.endLine && issue.endColumn) {
+      properties.push(`endColumn=${issue.endColumn}`);
+    }
+    properties.push(`title=${escapeProperty(REPORT_RULES[issue.ruleId].name)}`);
+    return `::${GITHUB_COMMANDS[issue.level]} ${properties.join(',')}::${escapeData(issue.message)}\n`;
+  }).join('');
+}
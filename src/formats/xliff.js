@@ -0,0 +1,152 @@
+/**
+ * XLIFF 1.2 and 2.0 reader and writer.
+ *
+ * Units are keyed by the dotted translation key. States are normalized to
+ * vibei18n's three states: 'new', 'translated' and 'final'.
+ */
+
+import { parseXml, escapeXml, childElements, textContent } from './xml.js';
+
+const XLIFF_NAMESPACES = {
+  '1.2': 'urn:oasis:names:tc:xliff:document:1.2',
+  '2.0': 'urn:oasis:names:tc:xliff:document:2.0'
+};
+
+// XLIFF 1.2 and 2.0 state values, mapped onto vibei18n's states
+const STATE_MAP = {
+  new: 'new',
+  'needs-translation': 'new',
+  initial: 'new',
+  final: 'final',
+  'signed-off': 'final'
+};
+
+// 2.0 has a fixed state list in which 'new' is called 'initial'
+const XLIFF2_STATES = { new: 'initial', translated: 'translated', final: 'final' };
+
+/**
+ * Normalize an XLIFF state attribute
+ * @private
+ */
+function normalizeState(state, hasTarget) {
+  if (!state) return hasTarget ? 'translated' : 'new';
+  return STATE_MAP[state] || 'translated';
+}
+
+/**
+ * Parse an XLIFF 1.2 or 2.0 document
+ * @param {string} text - The XLIFF source
+ * @returns {{version: string, sourceLanguage: string|null, targetLanguage: string|null,
+ *   units: Array<{id: string, source: string, target: string|null, state: string, line: number}>}}
+ * @throws {SyntaxError} If the document is not well-formed XLIFF
+ */
+export function parseXliff(text) {
+  const root = parseXml(text);
+  if (root.name !== 'xliff' && !root.name.endsWith(':xliff')) {
+    throw new SyntaxError(`Expected an <xliff> root element, found <${root.name}>`);
+  }
+
+  const version = root.attributes.version || (root.attributes.srcLang ? '2.0' : '1.2');
+  const units = [];
+  let sourceLanguage = root.attributes.srcLang || null;
+  let targetLanguage = root.attributes.trgLang || null;
+
+  const collect = (element, match, read) => {
+    for (const child of childElements(element)) {
+      if (match(child)) {
+        units.push(read(child));
+      } else {
+        collect(child, match, read);
+      }
+    }
+  };
+
+  for (const file of childElements(root, 'file')) {
+    if (version.startsWith('1')) {
+      sourceLanguage = sourceLanguage || file.attributes['source-language'] || null;
+      targetLanguage = targetLanguage || file.attributes['target-language'] || null;
+
+      // trans-units may be nested in <group> elements
+      collect(file, element => /(^|:)trans-unit$/.test(element.name), unit => {
+        const [source] = childElements(unit, 'source');
+        const [target] = childElements(unit, 'target');
+        return {
+          id: unit.attributes.resname || unit.attributes.id,
+          source: source ? textContent(source) : '',
+          target: target ? textContent(target) : null,
+          state: normalizeState(target && target.attributes.state, Boolean(target)),
+          line: unit.line
+        };
+      });
+    } else {
+      collect(file, element => /(^|:)unit$/.test(element.name), unit => {
+        // Multi-segment units are joined back into one string
+        const segments = childElements(unit, 'segment');
+        const targets = segments.map(segment => childElements(segment, 'target')[0]).filter(Boolean);
+        const states = segments.map(segment => normalizeState(segment.attributes.state, childElements(segment, 'target').length > 0));
+        return {
+          id: unit.attributes.name || unit.attributes.id,
+          source: segments.map(segment => {
+            const [source] = childElements(segment, 'source');
+            return source ? textContent(source) : '';
+          }).join(''),
+          target: targets.length > 0 ? targets.map(textContent).join('') : null,
+          // A unit is only as far along as its least advanced segment
+          state: ['new', 'translated', 'final'].find(state => states.includes(state)) || 'new',
+          line: unit.line
+        };
+      });
+    }
+  }
+
+  return { version, sourceLanguage, targetLanguage, units };
+}
+
+/**
+ * Serialize units as an XLIFF document
+ * @param {Array<{id: string, source: string, target: string|null, state: string}>} units - Translation units
+ * @param {Object} options - Document options
+ * @param {string} options.version - '1.2' or '2.0' (default: '1.2')
+ * @param {string} options.sourceLanguage - Source locale code
+ * @param {string} options.targetLanguage - Target locale code
+ * @returns {string} The XLIFF document
+ */
+export function stringifyXliff(units, options = {}) {
+  const { version = '1.2', sourceLanguage, targetLanguage } = options;
+  if (!XLIFF_NAMESPACES[version]) {
+    throw new Error(`Unsupported XLIFF version: ${version} (expected 1.2 or 2.0)`);
+  }
+
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+
+  if (version === '1.2') {
+    lines.push(`<xliff version="1.2" xmlns="${XLIFF_NAMESPACES[version]}">`);
+    lines.push(`  <file original="vibei18n" datatype="plaintext" source-language="${escapeXml(sourceLanguage)}" target-language="${escapeXml(targetLanguage)}">`);
+    lines.push('    <body>');
+    for (const unit of units) {
+      lines.push(`      <trans-unit id="${escapeXml(unit.id)}" resname="${escapeXml(unit.id)}">`);
+      lines.push(`        <source>${escapeXml(unit.source)}</source>`);
+      lines.push(`        <target state="${unit.state}">${escapeXml(unit.target || '')}</target>`);
+      lines.push('      </trans-unit>');
+    }
+    lines.push('    </body>');
+    lines.push('  </file>');
+  } else {
+    lines.push(`<xliff version="2.0" xmlns="${XLIFF_NAMESPACES[version]}" srcLang="${escapeXml(sourceLanguage)}" trgLang="${escapeXml(targetLanguage)}">`);
+    lines.push('  <file id="vibei18n">');
+    for (const unit of units) {
+      lines.push(`    <unit id="${escapeXml(unit.id)}">`);
+      lines.push(`      <segment state="${XLIFF2_STATES[unit.state]}">`);
+      lines.push(`        <source>${escapeXml(unit.source)}</source>`);
+      if (unit.target !== null && unit.target !== undefined) {
+        lines.push(`        <target>${escapeXml(unit.target)}</target>`);
+      }
+      lines.push('      </segment>');
+      lines.push('    </unit>');
+    }
+    lines.push('  </file>');
+  }
+
+  lines.push('</xliff>');
+  return lines.join('\n') + '\n';
+}
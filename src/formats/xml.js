@@ -0,0 +1,160 @@
+/**
+ * Minimal XML reader and escaping helpers for the XML-based exchange formats.
+ *
+ * Supports elements, attributes, text, CDATA, comments, processing
+ * instructions and the predefined/numeric entities. DTDs are skipped, not
+ * interpreted.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+/**
+ * Decode XML entity references
+ * @param {string} text - Raw XML text
+ * @returns {string} The decoded text
+ */
+export function decodeXmlEntities(text) {
+  return text.replace(/&(#x[\da-fA-F]+|#\d+|\w+);/g, (match, name) => {
+    if (name[0] === '#') {
+      return String.fromCodePoint(name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+    }
+    return name in ENTITIES ? ENTITIES[name] : match;
+  });
+}
+
+/**
+ * Escape text for use in XML content or attribute values
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse an XML document
+ * @param {string} text - The XML source
+ * @returns {Object} The root element ({name, attributes, children, line}); children
+ *   are elements or text nodes ({text}); CDATA sections become text nodes
+ * @throws {SyntaxError} If the document is not well-formed
+ */
+export function parseXml(text) {
+  const source = text.replace(/^\ufeff/, '');
+  // Offsets only move forward, so line numbers are counted incrementally
+  let lineOffset = 0;
+  let line = 1;
+  const lineAt = offset => {
+    for (; lineOffset < offset; lineOffset++) {
+      if (source[lineOffset] === '\n') line++;
+    }
+    return line;
+  };
+  const fail = (message, offset) => {
+    throw new SyntaxError(`${message} (line ${lineAt(offset)})`);
+  };
+
+  const root = { name: null, attributes: {}, children: [] };
+  const stack = [root];
+  let pos = 0;
+
+  const addText = value => {
+    if (value === '') return;
+    const { children } = stack[stack.length - 1];
+    const last = children[children.length - 1];
+    if (last && last.text !== undefined) {
+      last.text += value;
+    } else {
+      children.push({ text: value });
+    }
+  };
+
+  while (pos < source.length) {
+    const lt = source.indexOf('<', pos);
+    if (lt === -1) {
+      addText(decodeXmlEntities(source.slice(pos)));
+      break;
+    }
+    addText(decodeXmlEntities(source.slice(pos, lt)));
+
+    if (source.startsWith('<!--', lt)) {
+      const end = source.indexOf('-->', lt + 4);
+      if (end === -1) fail('Unterminated comment', lt);
+      pos = end + 3;
+    } else if (source.startsWith('<![CDATA[', lt)) {
+      const end = source.indexOf(']]>', lt + 9);
+      if (end === -1) fail('Unterminated CDATA section', lt);
+      addText(source.slice(lt + 9, end));
+      pos = end + 3;
+    } else if (source.startsWith('<?', lt)) {
+      const end = source.indexOf('?>', lt + 2);
+      if (end === -1) fail('Unterminated processing instruction', lt);
+      pos = end + 2;
+    } else if (source.startsWith('<!', lt)) {
+      // <!DOCTYPE ...>, possibly with an internal subset in brackets
+      const match = /<![^[>]*(?:\[[\s\S]*?\])?\s*>/y;
+      match.lastIndex = lt;
+      if (!match.exec(source)) fail('Unterminated declaration', lt);
+      pos = match.lastIndex;
+    } else if (source[lt + 1] === '/') {
+      const end = source.indexOf('>', lt);
+      if (end === -1) fail('Unterminated closing tag', lt);
+      const name = source.slice(lt + 2, end).trim();
+      const element = stack.pop();
+      if (stack.length === 0 || element.name !== name) {
+        fail(`Unexpected closing tag </${name}>`, lt);
+      }
+      pos = end + 1;
+    } else {
+      const tag = /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+      tag.lastIndex = lt;
+      const match = tag.exec(source);
+      if (!match) fail('Malformed tag', lt);
+
+      const attributes = {};
+      const attribute = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attr;
+      while ((attr = attribute.exec(match[2])) !== null) {
+        attributes[attr[1]] = decodeXmlEntities(attr[2] !== undefined ? attr[2] : attr[3]);
+      }
+
+      const element = { name: match[1], attributes, children: [], line: lineAt(lt) };
+      stack[stack.length - 1].children.push(element);
+      if (!match[3]) stack.push(element);
+      pos = tag.lastIndex;
+    }
+  }
+
+  if (stack.length > 1) {
+    fail(`Unclosed element <${stack[stack.length - 1].name}>`, source.length);
+  }
+
+  const documentElement = root.children.find(child => child.name);
+  if (!documentElement) {
+    throw new SyntaxError('Missing root element');
+  }
+  return documentElement;
+}
+
+/**
+ * Get the child elements of an element, optionally by name (ignoring any namespace prefix)
+ * @param {Object} element - The parent element
+ * @param {string} name - Local element name to match
+ * @returns {Array<Object>} Matching child elements
+ */
+export function childElements(element, name = null) {
+  return element.children.filter(child => child.name &&
+    (name === null || child.name === name || child.name.endsWith(`:${name}`)));
+}
+
+/**
+ * Get the text content of an element, including nested elements
+ * @param {Object} element - The element
+ * @returns {string} The concatenated text
+ */
+export function textContent(element) {
+  return element.children.map(child => (child.name ? textContent(child) : child.text)).join('');
+}
@@ -0,0 +1,986 @@
+/**
+ * Minimal YAML reader/writer for locale files.
+ *
+ * Covers the subset of YAML 1.2 that translation files actually use: block
+ * mappings and sequences, flow collections, plain and quoted scalars, block
+ * scalars (`|` and `>`) and comments. Anchors, aliases, tags and multi-document
+ * streams are rejected with a SyntaxError instead of being silently misread.
+ *
+ * Comments are not part of the parsed data. readYamlComments() collects the
+ * ones attached to mapping entries so stringifyYaml() can write them back.
+ */
+
+const PLAIN_NULL = /^(?:~|null|Null|NULL)?$/;
+const PLAIN_TRUE = /^(?:true|True|TRUE)$/;
+const PLAIN_FALSE = /^(?:false|False|FALSE)$/;
+const PLAIN_INT = /^[-+]?[0-9]+$/;
+const PLAIN_HEX = /^0x[0-9a-fA-F]+$/;
+const PLAIN_OCT = /^0o[0-7]+$/;
+const PLAIN_FLOAT = /^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/;
+const PLAIN_INF = /^[-+]?\.(?:inf|Inf|INF)$/;
+const PLAIN_NAN = /^\.(?:nan|NaN|NAN)$/;
+
+// Booleans and nulls in YAML 1.1, which many parsers (PyYAML, Ruby's Psych, go-yaml v2)
+// still read: strings spelled like these are always quoted
+const YAML11_RESERVED = /^(?:y|yes|n|no|true|false|on|off|null|~)$/i;
+
+const DOUBLE_QUOTE_ESCAPES = {
+  '0': '\0', 'a': '\x07', 'b': '\b', 't': '\t', '\t': '\t', 'n': '\n', 'v': '\v',
+  'f': '\f', 'r': '\r', 'e': '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\',
+  'N': '\x85', '_': '\xa0', 'L': '\u2028', 'P': '\u2029'
+};
+
+/**
+ * Resolve a plain (unquoted) scalar using the YAML 1.2 core schema
+ * @param {string} text - The scalar text
+ * @returns {*} The resolved value
+ */
+function resolvePlainScalar(text) {
+  if (PLAIN_NULL.test(text)) return null;
+  if (PLAIN_TRUE.test(text)) return true;
+  if (PLAIN_FALSE.test(text)) return false;
+  if (PLAIN_INT.test(text)) return parseInt(text, 10);
+  if (PLAIN_HEX.test(text)) return parseInt(text.slice(2), 16);
+  if (PLAIN_OCT.test(text)) return parseInt(text.slice(2), 8);
+  if (PLAIN_FLOAT.test(text)) return parseFloat(text);
+  if (PLAIN_INF.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+  if (PLAIN_NAN.test(text)) return NaN;
+  return text;
+}
+
+function setOwn(obj, key, value) {
+  Object.defineProperty(obj, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Find the closing quote of a quoted scalar
+ * @returns {number} Index of the closing quote in `text` (searching from `start`), or -1
+ */
+function findClosingQuote(text, start, quote) {
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (quote === '"' && ch === '\\') {
+      i++;
+    } else if (ch === quote) {
+      if (quote === '\'' && text[i + 1] === '\'') {
+        i++;
+      } else {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+function unescapeDoubleQuoted(text) {
+  let result = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch !== '\\') {
+      result += ch;
+      continue;
+    }
+
+    const next = text[++i];
+    const hexLength = { x: 2, u: 4, U: 8 }[next];
+    if (hexLength) {
+      const hex = text.slice(i + 1, i + 1 + hexLength);
+      if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== hexLength) {
+        throw new SyntaxError(`Invalid escape sequence "\\${next}${hex}"`);
+      }
+      result += String.fromCodePoint(parseInt(hex, 16));
+      i += hexLength;
+    } else if (next in DOUBLE_QUOTE_ESCAPES) {
+      result += DOUBLE_QUOTE_ESCAPES[next];
+    } else {
+      throw new SyntaxError(`Invalid escape sequence "\\${next}"`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Apply YAML line folding to the raw lines of a multi-line quoted scalar
+ * @returns {string} The folded text
+ */
+function foldQuotedLines(rawLines, quote) {
+  let result = rawLines[0].replace(/[ \t]+$/, '');
+  let emptyLines = 0;
+  let joinWithoutSpace = false;
+
+  for (let i = 1; i < rawLines.length; i++) {
+    const isLast = i === rawLines.length - 1;
+    let line = rawLines[i].replace(/^[ \t]+/, '');
+    if (!isLast) line = line.replace(/[ \t]+$/, '');
+
+    if (line === '' && !isLast) {
+      emptyLines++;
+      continue;
+    }
+
+    if (quote === '"' && /(^|[^\\])(\\\\)*\\$/.test(result)) {
+      // An escaped line break joins the lines without any separator
+      result = result.slice(0, -1);
+      joinWithoutSpace = true;
+    }
+
+    if (emptyLines > 0) {
+      result += '\n'.repeat(emptyLines);
+    } else if (!joinWithoutSpace) {
+      result += ' ';
+    }
+
+    result += line;
+    emptyLines = 0;
+    joinWithoutSpace = false;
+  }
+
+  return result;
+}
+
+/**
+ * Fold the content lines of a `>` block scalar
+ * @returns {string} The folded text
+ */
+function foldBlockLines(lines) {
+  let result = '';
+  let started = false;
+  let emptyLines = 0;
+  let previousMoreIndented = false;
+
+  for (const line of lines) {
+    if (line === '') {
+      emptyLines++;
+      continue;
+    }
+
+    const moreIndented = /^[ \t]/.test(line);
+    if (started) {
+      const keepBreak = moreIndented || previousMoreIndented;
+      if (emptyLines === 0) {
+        result += keepBreak ? '\n' : ' ';
+      } else {
+        result += '\n'.repeat(keepBreak ? emptyLines + 1 : emptyLines);
+      }
+    } else if (emptyLines > 0) {
+      result += '\n'.repeat(emptyLines);
+    }
+
+    result += line;
+    started = true;
+    emptyLines = 0;
+    previousMoreIndented = moreIndented;
+  }
+
+  return result;
+}
+
+function stripPlainComment(text) {
+  const match = /[ \t]#/.exec(text);
+  return (match ? text.slice(0, match.index) : text).trim();
+}
+
+function isSequenceEntry(content) {
+  return content === '-' || content.startsWith('- ') || content.startsWith('-\t');
+}
+
+function isDocumentMarker(line) {
+  return /^(?:---|\.\.\.)(?:[ \t]|$)/.test(line);
+}
+
+/**
+ * Find the comment that ends the line of a mapping entry
+ * @param {string} rest - The line after the mapping colon
+ * @returns {string|null} The comment, from its '#', or null
+ */
+function inlineComment(rest) {
+  const trimmed = rest.trim();
+  if (trimmed.startsWith('#')) return trimmed;
+  if (trimmed[0] === '"' || trimmed[0] === '\'') {
+    const end = findClosingQuote(trimmed, 1, trimmed[0]);
+    const remainder = end === -1 ? '' : trimmed.slice(end + 1).trim();
+    return remainder.startsWith('#') ? remainder : null;
+  }
+  if (trimmed[0] === '[' || trimmed[0] === '{') return null;
+  const match = /[ \t](#.*)$/.exec(trimmed);
+  return match ? match[1] : null;
+}
+
+class YamlParser {
+  constructor(text) {
+    this.lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    if (this.lines[this.lines.length - 1] === '') {
+      this.lines.pop();
+    }
+    this.pos = 0;
+    // Path of the mapping entry being parsed, and the line of every entry
+    // outside sequences, for readYamlComments()
+    this.path = [];
+    this.sequenceDepth = 0;
+    this.entries = [];
+  }
+
+  error(message, lineIndex = this.pos) {
+    return new SyntaxError(`${message} (line ${lineIndex + 1})`);
+  }
+
+  parse() {
+    this.skipInsignificant();
+
+    if (this.pos < this.lines.length && /^---(?:[ \t]|$)/.test(this.lines[this.pos])) {
+      const inline = this.lines[this.pos].slice(3).trim();
+      if (inline && !inline.startsWith('#')) {
+        this.lines[this.pos] = inline;
+      } else {
+        this.pos++;
+      }
+      this.skipInsignificant();
+    }
+
+    if (this.pos >= this.lines.length || isDocumentMarker(this.lines[this.pos])) {
+      this.skipTrailer();
+      return null;
+    }
+
+    const value = this.parseBlock(this.indentOf(this.pos), -1);
+    this.skipTrailer();
+    return value;
+  }
+
+  skipTrailer() {
+    this.skipInsignificant();
+    if (this.pos < this.lines.length && /^\.\.\.(?:[ \t]|$)/.test(this.lines[this.pos])) {
+      this.pos++;
+      this.skipInsignificant();
+    }
+    if (this.pos < this.lines.length) {
+      if (/^---(?:[ \t]|$)/.test(this.lines[this.pos])) {
+        throw this.error('Multiple YAML documents are not supported');
+      }
+      throw this.error('Unexpected content');
+    }
+  }
+
+  isInsignificant(line) {
+    const trimmed = line.trim();
+    return trimmed === '' || trimmed.startsWith('#');
+  }
+
+  skipInsignificant() {
+    while (this.pos < this.lines.length && this.isInsignificant(this.lines[this.pos])) {
+      this.pos++;
+    }
+  }
+
+  indentOf(lineIndex) {
+    const line = this.lines[lineIndex];
+    const indent = /^ */.exec(line)[0].length;
+    if (line[indent] === '\t') {
+      throw this.error('Tabs are not allowed for indentation', lineIndex);
+    }
+    return indent;
+  }
+
+  /**
+   * Find the colon that separates a mapping key from its value
+   * @returns {number} Index of the colon, or -1 if the content is not a mapping entry
+   */
+  findMappingColon(content) {
+    let start = 0;
+
+    if (content.startsWith('? ')) {
+      throw this.error('Complex mapping keys are not supported');
+    }
+
+    if (content[0] === '"' || content[0] === '\'') {
+      const end = findClosingQuote(content, 1, content[0]);
+      if (end === -1) return -1;
+      start = end + 1;
+      while (content[start] === ' ' || content[start] === '\t') start++;
+      if (content[start] !== ':') return -1;
+      return /^:(?:[ \t]|$)/.test(content.slice(start)) ? start : -1;
+    }
+
+    if (content[0] === '[' || content[0] === '{' || content[0] === '#') {
+      return -1;
+    }
+
+    for (let i = start; i < content.length; i++) {
+      const ch = content[i];
+      if (ch === '#' && (content[i - 1] === ' ' || content[i - 1] === '\t')) {
+        return -1;
+      }
+      if (ch === ':' && (i + 1 === content.length || content[i + 1] === ' ' || content[i + 1] === '\t')) {
+        return i;
+      }
+    }
+
+    return -1;
+  }
+
+  parseKey(raw) {
+    if (raw[0] === '"') return unescapeDoubleQuoted(raw.slice(1, -1));
+    if (raw[0] === '\'') return raw.slice(1, -1).replace(/''/g, '\'');
+    this.rejectUnsupported(raw[0]);
+    return raw;
+  }
+
+  rejectUnsupported(indicator) {
+    if (indicator === '&' || indicator === '*') {
+      throw this.error('Anchors and aliases are not supported');
+    }
+    if (indicator === '!') {
+      throw this.error('Tags are not supported');
+    }
+  }
+
+  /**
+   * Parse the block node that starts on the current line
+   */
+  parseBlock(indent, parentIndent) {
+    const content = this.lines[this.pos].slice(indent);
+
+    if (isSequenceEntry(content)) {
+      return this.parseSequence(indent);
+    }
+    if (this.findMappingColon(content) !== -1) {
+      return this.parseMapping(indent);
+    }
+    return this.parseValue(content, parentIndent, false);
+  }
+
+  parseMapping(indent) {
+    const result = {};
+
+    while (true) {
+      this.skipInsignificant();
+      if (this.pos >= this.lines.length || isDocumentMarker(this.lines[this.pos])) break;
+
+      const lineIndent = this.indentOf(this.pos);
+      if (lineIndent < indent) break;
+      if (lineIndent > indent) {
+        throw this.error('Bad indentation of a mapping entry');
+      }
+
+      const content = this.lines[this.pos].slice(indent);
+      if (isSequenceEntry(content)) {
+        throw this.error('Unexpected sequence entry inside a mapping');
+      }
+
+      const colon = this.findMappingColon(content);
+      if (colon === -1) {
+        throw this.error('Expected a mapping entry ("key: value")');
+      }
+
+      const key = this.parseKey(content.slice(0, colon).trim());
+      if (Object.prototype.hasOwnProperty.call(result, key)) {
+        throw this.error(`Duplicate key "${key}"`);
+      }
+
+      const line = this.pos;
+      const rest = content.slice(colon + 1);
+      this.path.push(key);
+      setOwn(result, key, this.parseValue(rest, indent, true));
+      this.path.pop();
+      if (this.sequenceDepth === 0) {
+        // A comment after a value that spans several lines can't be told apart from the value
+        const singleLine = this.pos === line + 1 || /^\s*(?:#|$)/.test(rest) || /^\s*[|>]/.test(rest);
+        this.entries.push({ path: [...this.path, key], line, indent, inline: singleLine ? inlineComment(rest) : null });
+      }
+    }
+
+    return result;
+  }
+
+  parseSequence(indent) {
+    const result = [];
+    this.sequenceDepth++;
+
+    while (true) {
+      this.skipInsignificant();
+      if (this.pos >= this.lines.length || isDocumentMarker(this.lines[this.pos])) break;
+
+      const lineIndent = this.indentOf(this.pos);
+      if (lineIndent < indent) break;
+
+      const content = this.lines[this.pos].slice(indent);
+      if (lineIndent > indent) {
+        throw this.error('Bad indentation of a sequence entry');
+      }
+      if (!isSequenceEntry(content)) break;
+
+      const rest = content.slice(1);
+      const offset = rest.length - rest.replace(/^[ \t]+/, '').length + 1;
+      const inline = rest.trim();
+
+      if (inline && !inline.startsWith('#') &&
+          (isSequenceEntry(inline) || this.findMappingColon(inline) !== -1)) {
+        // Compact nested collection ("- key: value" or "- - item"): re-read the
+        // rest of the line as if it started a block at its own column
+        this.lines[this.pos] = ' '.repeat(indent + offset) + inline;
+        result.push(this.parseBlock(indent + offset, indent));
+      } else {
+        result.push(this.parseValue(rest, indent, false));
+      }
+    }
+
+    this.sequenceDepth--;
+    return result;
+  }
+
+  /**
+   * Parse the value that follows a mapping colon or sequence dash
+   * @param {string} rest - The remainder of the current line
+   * @param {number} parentIndent - Indentation of the owning mapping/sequence
+   * @param {boolean} inMapping - Whether the value belongs to a mapping entry
+   */
+  parseValue(rest, parentIndent, inMapping) {
+    const trimmed = rest.trim();
+
+    if (trimmed === '' || trimmed.startsWith('#')) {
+      this.pos++;
+      this.skipInsignificant();
+      if (this.pos >= this.lines.length || isDocumentMarker(this.lines[this.pos])) {
+        return null;
+      }
+
+      const nextIndent = this.indentOf(this.pos);
+      if (nextIndent > parentIndent) {
+        return this.parseBlock(nextIndent, parentIndent);
+      }
+      if (inMapping && nextIndent === parentIndent && isSequenceEntry(this.lines[this.pos].slice(nextIndent))) {
+        return this.parseSequence(nextIndent);
+      }
+      return null;
+    }
+
+    const first = trimmed[0];
+    this.rejectUnsupported(first);
+
+    if (first === '|' || first === '>') {
+      return this.parseBlockScalar(trimmed, parentIndent);
+    }
+    if (first === '"' || first === '\'') {
+      return this.parseQuoted(trimmed);
+    }
+    if (first === '[' || first === '{') {
+      return this.parseFlow(trimmed);
+    }
+    return this.parsePlain(trimmed, parentIndent);
+  }
+
+  parsePlain(text, parentIndent) {
+    const startLine = this.pos;
+    let value = stripPlainComment(text);
+    let multiLine = false;
+    let emptyLines = 0;
+    let cursor = this.pos + 1;
+    this.pos = cursor;
+
+    if (this.findMappingColon(value) !== -1) {
+      throw this.error('Mapping values are not allowed here', startLine);
+    }
+
+    while (cursor < this.lines.length) {
+      const line = this.lines[cursor];
+      const trimmed = line.trim();
+
+      if (trimmed === '') {
+        emptyLines++;
+        cursor++;
+        continue;
+      }
+
+      const indent = /^[ \t]*/.exec(line)[0].length;
+      if (indent <= parentIndent || trimmed.startsWith('#') || isDocumentMarker(line)) break;
+
+      const part = stripPlainComment(trimmed);
+      if (this.findMappingColon(part) !== -1) {
+        throw this.error('Mapping values are not allowed here', cursor);
+      }
+
+      value += emptyLines > 0 ? '\n'.repeat(emptyLines) : ' ';
+      value += part;
+      multiLine = true;
+      emptyLines = 0;
+      cursor++;
+      this.pos = cursor;
+    }
+
+    return multiLine ? value : resolvePlainScalar(value);
+  }
+
+  parseQuoted(text) {
+    const startLine = this.pos;
+    const quote = text[0];
+    let buffer = text;
+    let end = findClosingQuote(buffer, 1, quote);
+
+    while (end === -1) {
+      this.pos++;
+      if (this.pos >= this.lines.length) {
+        throw this.error('Unterminated quoted string', startLine);
+      }
+      buffer += '\n' + this.lines[this.pos];
+      end = findClosingQuote(buffer, 1, quote);
+    }
+
+    const remainder = buffer.slice(end + 1).trim();
+    if (remainder && !remainder.startsWith('#')) {
+      throw this.error('Unexpected content after quoted string');
+    }
+    this.pos++;
+
+    const rawLines = buffer.slice(1, end).split('\n');
+    const folded = rawLines.length > 1 ? foldQuotedLines(rawLines, quote) : rawLines[0];
+    if (quote === '\'') {
+      return folded.replace(/''/g, '\'');
+    }
+    try {
+      return unescapeDoubleQuoted(folded);
+    } catch (error) {
+      throw this.error(error.message, startLine);
+    }
+  }
+
+  parseBlockScalar(header, parentIndent) {
+    const headerLine = this.pos;
+    const match = /^([|>])([1-9][+-]?|[+-][1-9]?)?(?:[ \t]+#.*)?$/.exec(header);
+    if (!match) {
+      throw this.error('Invalid block scalar header');
+    }
+
+    const style = match[1];
+    const indicators = match[2] || '';
+    const chomping = indicators.includes('-') ? 'strip' : indicators.includes('+') ? 'keep' : 'clip';
+    const explicitIndent = parseInt(indicators.replace(/[+-]/, ''), 10);
+    this.pos++;
+
+    let contentIndent;
+    if (explicitIndent) {
+      contentIndent = Math.max(parentIndent, 0) + explicitIndent;
+    } else {
+      contentIndent = parentIndent + 1;
+      for (let i = this.pos; i < this.lines.length; i++) {
+        if (this.lines[i].trim() !== '') {
+          contentIndent = Math.max(this.indentOf(i), parentIndent + 1);
+          break;
+        }
+      }
+    }
+
+    const lines = [];
+    while (this.pos < this.lines.length) {
+      const line = this.lines[this.pos];
+      if (line.trim() === '') {
+        lines.push(line.length > contentIndent ? line.slice(contentIndent) : '');
+      } else if (/^ */.exec(line)[0].length >= contentIndent && !(contentIndent === 0 && isDocumentMarker(line))) {
+        lines.push(line.slice(contentIndent));
+      } else {
+        break;
+      }
+      this.pos++;
+    }
+
+    let lastContent = lines.length - 1;
+    while (lastContent >= 0 && lines[lastContent] === '') lastContent--;
+
+    // Trailing empty lines that precede a dedented line belong to chomping,
+    // not to the document, so they are only counted here
+    const core = lines.slice(0, lastContent + 1);
+    const trailing = lines.length - core.length;
+    const text = style === '|' ? core.join('\n') : foldBlockLines(core);
+
+    if (core.length === 0) {
+      if (lines.length === 0 && this.pos === headerLine + 1) return '';
+      return chomping === 'keep' ? '\n'.repeat(trailing) : '';
+    }
+    if (chomping === 'strip') return text;
+    if (chomping === 'clip') return text + '\n';
+    return text + '\n' + '\n'.repeat(trailing);
+  }
+
+  parseFlow(text) {
+    const startLine = this.pos;
+    let buffer = text;
+    let end = this.findFlowEnd(buffer);
+
+    while (end === -1) {
+      this.pos++;
+      if (this.pos >= this.lines.length) {
+        throw this.error('Unterminated flow collection', startLine);
+      }
+      buffer += '\n' + this.lines[this.pos];
+      end = this.findFlowEnd(buffer);
+    }
+
+    const remainder = buffer.slice(end + 1).trim();
+    if (remainder && !remainder.startsWith('#')) {
+      throw this.error('Unexpected content after flow collection');
+    }
+    this.pos++;
+
+    try {
+      return new FlowParser(buffer.slice(0, end + 1)).parse();
+    } catch (error) {
+      throw this.error(error.message, startLine);
+    }
+  }
+
+  findFlowEnd(text) {
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (ch === '"' || ch === '\'') {
+        const close = findClosingQuote(text, i + 1, ch);
+        if (close === -1) return -1;
+        i = close;
+      } else if (ch === '#' && /\s/.test(text[i - 1] || '')) {
+        const newline = text.indexOf('\n', i);
+        if (newline === -1) return -1;
+        i = newline;
+      } else if (ch === '[' || ch === '{') {
+        depth++;
+      } else if (ch === ']' || ch === '}') {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+    return -1;
+  }
+}
+
+class FlowParser {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  parse() {
+    const value = this.parseNode();
+    this.skipSpace();
+    if (this.pos < this.text.length) {
+      throw new SyntaxError('Unexpected content in flow collection');
+    }
+    return value;
+  }
+
+  skipSpace() {
+    while (this.pos < this.text.length) {
+      const ch = this.text[this.pos];
+      if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r') {
+        this.pos++;
+      } else if (ch === '#') {
+        const newline = this.text.indexOf('\n', this.pos);
+        this.pos = newline === -1 ? this.text.length : newline;
+      } else {
+        break;
+      }
+    }
+  }
+
+  expect(ch) {
+    this.skipSpace();
+    if (this.text[this.pos] !== ch) {
+      throw new SyntaxError(`Expected "${ch}" in flow collection`);
+    }
+    this.pos++;
+  }
+
+  parseNode() {
+    this.skipSpace();
+    const ch = this.text[this.pos];
+    if (ch === '[') return this.parseSequence();
+    if (ch === '{') return this.parseMapping();
+    if (ch === '"' || ch === '\'') return this.parseQuoted();
+    if (ch === '&' || ch === '*' || ch === '!') {
+      throw new SyntaxError('Anchors, aliases and tags are not supported');
+    }
+    return resolvePlainScalar(this.parsePlain());
+  }
+
+  parseSequence() {
+    const result = [];
+    this.pos++;
+    this.skipSpace();
+    while (this.text[this.pos] !== ']') {
+      result.push(this.parseNode());
+      this.skipSpace();
+      if (this.text[this.pos] === ',') {
+        this.pos++;
+        this.skipSpace();
+      } else if (this.text[this.pos] !== ']') {
+        throw new SyntaxError('Expected "," or "]" in flow sequence');
+      }
+    }
+    this.pos++;
+    return result;
+  }
+
+  parseMapping() {
+    const result = {};
+    this.pos++;
+    this.skipSpace();
+    while (this.text[this.pos] !== '}') {
+      const ch = this.text[this.pos];
+      const key = ch === '"' || ch === '\'' ? this.parseQuoted() : this.parsePlain();
+      this.skipSpace();
+
+      let value = null;
+      if (this.text[this.pos] === ':') {
+        this.pos++;
+        this.skipSpace();
+        if (this.text[this.pos] !== ',' && this.text[this.pos] !== '}') {
+          value = this.parseNode();
+        }
+      }
+      setOwn(result, String(key), value);
+
+      this.skipSpace();
+      if (this.text[this.pos] === ',') {
+        this.pos++;
+        this.skipSpace();
+      } else if (this.text[this.pos] !== '}') {
+        throw new SyntaxError('Expected "," or "}" in flow mapping');
+      }
+    }
+    this.pos++;
+    return result;
+  }
+
+  parseQuoted() {
+    const quote = this.text[this.pos];
+    const end = findClosingQuote(this.text, this.pos + 1, quote);
+    if (end === -1) {
+      throw new SyntaxError('Unterminated quoted string');
+    }
+    const rawLines = this.text.slice(this.pos + 1, end).split('\n');
+    const folded = rawLines.length > 1 ? foldQuotedLines(rawLines, quote) : rawLines[0];
+    this.pos = end + 1;
+    return quote === '\'' ? folded.replace(/''/g, '\'') : unescapeDoubleQuoted(folded);
+  }
+
+  parsePlain() {
+    const start = this.pos;
+    while (this.pos < this.text.length) {
+      const ch = this.text[this.pos];
+      const next = this.text[this.pos + 1];
+      if (ch === ',' || ch === '[' || ch === ']' || ch === '{' || ch === '}') break;
+      if (ch === ':' && (next === undefined || /[\s,[\]{}]/.test(next))) break;
+      if (ch === '#' && /\s/.test(this.text[this.pos - 1] || '')) break;
+      this.pos++;
+    }
+    return this.text.slice(start, this.pos).trim().replace(/\s*\n\s*/g, ' ');
+  }
+}
+
+/**
+ * Parse a YAML document
+ * @param {string} text - The YAML source
+ * @returns {*} The parsed value (null for an empty document)
+ * @throws {SyntaxError} If the document is malformed or uses unsupported features
+ */
+export function parseYaml(text) {
+  return new YamlParser(text).parse();
+}
+
+/**
+ * Collect the comments of a YAML document that stringifyYaml() can write back:
+ * the comment lines right above a mapping entry, the comment at the end of its
+ * line, and the comments that open and close the document. Comments inside
+ * sequences and flow collections, and those separated from the next entry by a
+ * blank line in the middle of the document, are not kept.
+ * @param {string} text - The YAML source
+ * @returns {{header: string[], entries: Map, trailer: string[]}|null} The comments, where
+ *   `entries` maps JSON-encoded key paths to {before, inline}; null if the document can't be parsed
+ */
+export function readYamlComments(text) {
+  const parser = new YamlParser(text);
+  try {
+    parser.parse();
+  } catch {
+    return null;
+  }
+
+  const { lines } = parser;
+  const isComment = index => /^\s*#/.test(lines[index]);
+  const claimed = new Set();
+  const entries = new Map();
+
+  for (const { path, line, indent, inline } of parser.entries) {
+    // Comment lines more indented than the entry belong to a block scalar above it
+    const before = [];
+    for (let i = line - 1; i >= 0 && isComment(i) && /^ */.exec(lines[i])[0].length <= indent; i--) {
+      before.unshift(lines[i].trim());
+      claimed.add(i);
+    }
+    if (before.length > 0 || inline) {
+      entries.set(JSON.stringify(path), { before, inline });
+    }
+  }
+
+  const header = [];
+  for (let i = 0; i < lines.length && parser.isInsignificant(lines[i]) && !claimed.has(i); i++) {
+    if (isComment(i)) header.push(lines[i].trim());
+  }
+
+  let lastContent = lines.length - 1;
+  while (lastContent >= 0 && parser.isInsignificant(lines[lastContent])) lastContent--;
+  const trailer = [];
+  for (let i = lastContent + 1; i < lines.length; i++) {
+    if (isComment(i) && /^#/.test(lines[i])) trailer.push(lines[i]);
+  }
+
+  return { header, entries, trailer };
+}
+
+/**
+ * Check whether a string can be written as a plain scalar and read back unchanged
+ * @private
+ */
+function isPlainSafe(str) {
+  if (str === '' || str.trim() !== str) return false;
+  if (/[\x00-\x1f\x7f\x85\u2028\u2029]/.test(str)) return false;
+  if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(str)) return false;
+  if (/:(?:\s|$)|\s#/.test(str)) return false;
+  if (isDocumentMarker(str) || YAML11_RESERVED.test(str)) return false;
+  return resolvePlainScalar(str) === str;
+}
+
+function quoteDouble(str) {
+  let result = '"';
+  for (const ch of str) {
+    const code = ch.codePointAt(0);
+    if (ch === '"' || ch === '\\') {
+      result += '\\' + ch;
+    } else if (ch === '\n') {
+      result += '\\n';
+    } else if (ch === '\t') {
+      result += '\\t';
+    } else if (ch === '\r') {
+      result += '\\r';
+    } else if (code < 0x20 || code === 0x7f || code === 0x85 || code === 0x2028 || code === 0x2029) {
+      result += '\\u' + code.toString(16).padStart(4, '0');
+    } else {
+      result += ch;
+    }
+  }
+  return result + '"';
+}
+
+function formatScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return '.nan';
+    if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+    return String(value);
+  }
+  const str = String(value);
+  return isPlainSafe(str) ? str : quoteDouble(str);
+}
+
+/**
+ * Whether a string should be written as a literal block scalar (`|`)
+ * @private
+ */
+function useLiteralBlock(str) {
+  return str.includes('\n') &&
+    !/^\n*[ \t]/.test(str) &&
+    !/[\x00-\x08\x0b-\x1f\x7f\x85\u2028\u2029]/.test(str);
+}
+
+function literalBlock(str, pad) {
+  const trailing = /\n*$/.exec(str)[0].length;
+  const body = str.slice(0, str.length - trailing);
+  const header = trailing === 0 ? '|-' : trailing === 1 ? '|' : '|+';
+  const lines = body.split('\n').map(line => (line ? pad + line : ''));
+  for (let i = 1; i < trailing; i++) {
+    lines.push('');
+  }
+  return { header, lines };
+}
+
+/**
+ * Serialize a value to YAML
+ * @param {*} data - The value to serialize (normally a nested object of translations)
+ * @param {Object} options - Serialization options
+ * @param {number} options.indent - Spaces per indentation level (default: 2)
+ * @param {Object} options.comments - Comments to write back, as readYamlComments() returns them
+ * @returns {string} The YAML document, terminated by a newline
+ */
+export function stringifyYaml(data, options = {}) {
+  const unit = Math.max(2, options.indent || 2);
+  const padFor = level => ' '.repeat(unit * level);
+  const comments = options.comments || { header: [], entries: new Map(), trailer: [] };
+
+  const renderEntry = (prefix, value, level, path = null) => {
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      return [prefix.trimEnd(), ...renderMapping(value, level + 1, path)];
+    }
+    if (Array.isArray(value) && value.length > 0) {
+      return [prefix.trimEnd(), ...renderSequence(value, level + 1)];
+    }
+    if (typeof value === 'string' && useLiteralBlock(value)) {
+      const { header, lines } = literalBlock(value, padFor(level + 1));
+      return [prefix + header, ...lines];
+    }
+    if (isPlainObject(value)) return [prefix + '{}'];
+    if (Array.isArray(value)) return [prefix + '[]'];
+    return [prefix + formatScalar(value)];
+  };
+
+  // `path` is null inside sequences, where comments aren't kept
+  const renderMapping = (obj, level, path = null) => {
+    const lines = [];
+    for (const [key, value] of Object.entries(obj)) {
+      if (value === undefined || typeof value === 'function') continue;
+      const keyPath = path && [...path, key];
+      const entryLines = renderEntry(`${padFor(level)}${formatScalar(key)}: `, value, level, keyPath);
+      const comment = keyPath && comments.entries.get(JSON.stringify(keyPath));
+      if (comment) {
+        lines.push(...comment.before.map(line => padFor(level) + line));
+        if (comment.inline) entryLines[0] += ' ' + comment.inline;
+      }
+      lines.push(...entryLines);
+    }
+    return lines;
+  };
+
+  const renderSequence = (arr, level) => {
+    const lines = [];
+    const dash = '-' + ' '.repeat(unit - 1);
+    for (const item of arr) {
+      const nested = isPlainObject(item) && Object.keys(item).length > 0
+        ? renderMapping(item, level + 1)
+        : Array.isArray(item) && item.length > 0
+          ? renderSequence(item, level + 1)
+          : null;
+
+      if (nested) {
+        nested[0] = padFor(level) + dash + nested[0].slice(padFor(level + 1).length);
+        lines.push(...nested);
+      } else {
+        lines.push(...renderEntry(padFor(level) + dash, item === undefined ? null : item, level));
+      }
+    }
+    return lines;
+  };
+
+  let lines;
+  if (isPlainObject(data)) {
+    lines = Object.keys(data).length > 0 ? renderMapping(data, 0, []) : ['{}'];
+  } else if (Array.isArray(data)) {
+    lines = data.length > 0 ? renderSequence(data, 0) : ['[]'];
+  } else {
+    lines = renderEntry('', data, -1);
+  }
+
+  if (comments.header.length > 0) lines.unshift(...comments.header, '');
+  lines.push(...comments.trailer);
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,79 @@
+/**
+ * Glob matching for translation keys and project paths.
+ *
+ * `*` matches within one segment, `**` matches any number of segments,
+ * `?` matches one character and `{a,b}` matches either alternative. A
+ * backslash makes the next character literal.
+ */
+
+/**
+ * Escape the glob syntax in literal text, so it only matches itself
+ * @param {string} text - The text
+ * @returns {string} The text with `\`, `*`, `?`, `{`, `}` and `,` escaped
+ */
+export function escapeGlob(text) {
+  return text.replace(/[\\*?{},]/g, '\\$&');
+}
+
+/**
+ * Whether a string contains glob syntax
+ * @param {string} pattern - The string to test
+ * @returns {boolean} True if it has `*`, `?` or `{...}`
+ */
+export function isGlob(pattern) {
+  return /[*?{]/.test(pattern);
+}
+
+/**
+ * Compile a glob into a regular expression
+ * @param {string} pattern - The glob (e.g. 'errors.*', 'status.**', 'src/**\/*.{vue,tsx}')
+ * @param {Object} options - Matching options
+ * @param {string} options.separator - Segment separator: '.' for keys, '/' for paths (default: '.')
+ * @returns {RegExp} A regular expression matching the whole string
+ */
+export function globToRegExp(pattern, options = {}) {
+  const { separator = '.' } = options;
+  const sep = separator.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  const segment = `[^${sep}]`;
+
+  let source = '';
+  let braceDepth = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+
+    if (ch === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else if (ch === '*' && pattern[i + 1] === '*') {
+      const before = i === 0 || pattern[i - 1] === separator;
+      const after = pattern[i + 2] === separator;
+      if (before && after) {
+        // '**/' or '**.' also matches zero segments
+        source += `(?:${segment}+${sep})*`;
+        i += 2;
+      } else if (before && i + 2 === pattern.length && i > 0) {
+        // Trailing '/**' or '.**' also matches the parent itself
+        source = source.slice(0, -sep.length) + `(?:${sep}.*)?`;
+        i += 1;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (ch === '*') {
+      source += `${segment}*`;
+    } else if (ch === '?') {
+      source += segment;
+    } else if (ch === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (ch === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (ch === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += ch.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
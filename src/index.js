@@ -7,4 +7,9 @@ export { I18nHelper };
 export default I18nHelper;
 
 // Export additional utilities if needed in the future
-export * from './I18nHelper.js';
\ No newline at end of file
+export * from './I18nHelper.js';
+export { loadConfig, findConfigFile } from './config.js';
+export {
+  LOCALE_FORMATS, hardcodedStringIssues, missingTranslationIssues, stringifySarif, stringifyGithubAnnotations
+} from './formats/index.js';
+export { SOURCE_EXTRACTORS, getSourceExtractor, defineSourceExtractor } from './parsers/extractors.js';
\ No newline at end of file
@@ -0,0 +1,158 @@
+import path from 'path';
+import { splitSfcBlocks, findScriptElements } from './markup.js';
+import { tokenize } from './js-tokenizer.js';
+
+/**
+ * Template syntaxes of markup regions
+ */
+export const MARKUP_SYNTAXES = ['vue', 'braces', 'angular'];
+
+/**
+ * The markup part of a file, followed by its `<script>` elements
+ */
+function markupWithScripts(source, start = 0) {
+  return [
+    { type: 'markup', start, end: source.length },
+    ...findScriptElements(source, start).map(script => ({ type: 'script', start: script.start, end: script.end }))
+  ];
+}
+
+/**
+ * Find the inline templates of Angular components: the `template` string of
+ * each `@Component({ ... })` decorator, as 'angular' markup regions
+ */
+function findInlineTemplates(source) {
+  if (!source.includes('@Component')) return [];
+
+  const { tokens } = tokenize(source);
+  const templates = [];
+  for (let i = 0; i + 2 < tokens.length; i++) {
+    if (tokens[i].value !== '@' || tokens[i + 1].value !== 'Component' || tokens[i + 2].value !== '(') continue;
+
+    // `template:` is a property of the decorator's object argument, two levels deep
+    let depth = 0;
+    for (let j = i + 2; j < tokens.length; j++) {
+      const { type, value } = tokens[j];
+      if (type === 'punct' && (value === '(' || value === '{' || value === '[')) {
+        depth++;
+      } else if (type === 'punct' && (value === ')' || value === '}' || value === ']')) {
+        if (--depth === 0) break;
+      } else if (depth === 2 && type === 'identifier' && value === 'template' && tokens[j + 1] && tokens[j + 1].value === ':') {
+        const literal = tokens[j + 2];
+        const closed = literal && ((literal.type === 'string' && literal.terminated) ||
+          (literal.type === 'template' && literal.value !== null && source[literal.end - 1] === '`'));
+        if (closed) {
+          templates.push({ type: 'markup', syntax: 'angular', start: literal.start + 1, end: literal.end - 1 });
+        }
+      }
+    }
+  }
+  return templates;
+}
+
+/**
+ * Built-in source file types, in lookup order. `regions(source)` splits a file
+ * into the ranges the scanners read: 'script' ranges are JavaScript or TypeScript,
+ * 'markup' ranges are templates whose expressions are written in `syntax`:
+ *
+ * - 'vue': `{{ }}` mustaches, and directive or `:bound` attribute values
+ * - 'braces': `{ }` expressions in text and attribute values (Svelte, Astro)
+ * - 'angular': `{{ }}` interpolations and `[bound]`/`(event)` attribute values,
+ *   with the `translate` pipe and directive (ngx-translate, Transloco)
+ *
+ * `syntax` defaults to 'vue', and a region's own `syntax` overrides the
+ * extractor's. `<script>` and `<style>` elements inside markup are not read
+ * as markup. Files with other extensions are read as script code.
+ */
+export const SOURCE_EXTRACTORS = [
+  {
+    name: 'vue',
+    label: 'Vue single-file component',
+    extensions: ['.vue'],
+    syntax: 'vue',
+    regions: source => splitSfcBlocks(source)
+      .filter(block => block.type === 'template' || block.type === 'script')
+      .map(block => ({ type: block.type === 'template' ? 'markup' : 'script', start: block.start, end: block.end }))
+  },
+  {
+    name: 'svelte',
+    label: 'Svelte component',
+    extensions: ['.svelte'],
+    syntax: 'braces',
+    regions: source => markupWithScripts(source)
+  },
+  {
+    name: 'astro',
+    label: 'Astro component',
+    extensions: ['.astro'],
+    syntax: 'braces',
+    // The `---` fenced frontmatter is the component script
+    regions: source => {
+      const frontmatter = /^(\s*---[^\S\r\n]*\r?\n)([\s\S]*?\n)?---[^\S\r\n]*(?=\r?\n|$)/.exec(source);
+      if (!frontmatter) return markupWithScripts(source);
+
+      const scriptStart = frontmatter[1].length;
+      return [
+        { type: 'script', start: scriptStart, end: scriptStart + (frontmatter[2] || '').length },
+        ...markupWithScripts(source, frontmatter[0].length)
+      ];
+    }
+  },
+  {
+    name: 'html',
+    label: 'HTML or Angular template',
+    extensions: ['.html', '.htm'],
+    syntax: 'angular',
+    regions: source => markupWithScripts(source)
+  },
+  {
+    name: 'script',
+    label: 'JavaScript or TypeScript',
+    extensions: ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'],
+    // Angular components may hold their template inline
+    regions: source => [{ type: 'script', start: 0, end: source.length }, ...findInlineTemplates(source)]
+  }
+];
+
+/**
+ * Find the source extractor for a file name
+ * @param {string} fileName - File name or path
+ * @param {Array<Object>} extractors - Extractors to look up before the built-in ones, as
+ *   defineSourceExtractor() returns them (default: none)
+ * @returns {Object} The matching extractor; files of unknown types are read as script code
+ */
+export function getSourceExtractor(fileName, extractors = []) {
+  const ext = path.extname(fileName).toLowerCase();
+  return extractors.find(extractor => extractor.extensions.includes(ext)) ||
+    SOURCE_EXTRACTORS.find(extractor => extractor.extensions.includes(ext)) ||
+    SOURCE_EXTRACTORS.find(extractor => extractor.name === 'script');
+}
+
+/**
+ * Check a source extractor for more file types, or to replace a built-in one.
+ * Pass it to I18nHelper with the `extractors` option (or the config's), which
+ * looks it up before the built-in extractors.
+ *
+ * An extractor has `regions(source)`, as in SOURCE_EXTRACTORS, or
+ * `extract(source, reader)` to find the keys itself, or both: `extract` then
+ * finds the keys and `regions` tells hardcode-check what to scan (without it,
+ * the file is scanned as script code). `extract` returns the uses of keys as
+ * {key, start, end} with `start`/`end` delimiting the key's text, or
+ * {dynamic: true, pattern, expression, start, end} for keys built at runtime.
+ * `reader.script(start, end)` and `reader.markup(syntax, start, end)` return
+ * the uses the built-in scanners find in a range of the file.
+ * @param {Object} extractor - {name, label, extensions, syntax, regions, extract}
+ * @returns {Object} The extractor, with lower-case extensions
+ * @throws {TypeError} If the extractor is incomplete or names an unknown syntax
+ */
+export function defineSourceExtractor(extractor) {
+  const { name, extensions, regions, extract } = extractor || {};
+  if (!name || !Array.isArray(extensions) || (typeof regions !== 'function' && typeof extract !== 'function')) {
+    throw new TypeError('A source extractor needs a name, an extensions array and a regions() or extract() function');
+  }
+  if (extractor.syntax !== undefined && !MARKUP_SYNTAXES.includes(extractor.syntax)) {
+    throw new TypeError(`Unknown template syntax "${extractor.syntax}" (expected ${MARKUP_SYNTAXES.join(', ')})`);
+  }
+
+  return { ...extractor, extensions: extensions.map(ext => ext.toLowerCase()) };
+}
@@ -0,0 +1,336 @@
+/**
+ * Lightweight JavaScript/TypeScript tokenizer.
+ *
+ * Produces a flat token list with source offsets, which is all the locale
+ * module parser and the translation key extractors need. It is deliberately
+ * forgiving: unterminated strings end at the line break instead of throwing,
+ * so it can be pointed at arbitrary project files.
+ */
+
+const PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+  '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>'
+];
+
+const REGEX_PRECEDING_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+const SIMPLE_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', '0': '\0' };
+
+const IDENTIFIER_START = /[A-Za-z_$\u0080-\uffff]/;
+const IDENTIFIER_PART = /[\w$\u0080-\uffff]/;
+const NUMBER = /(?:0[xXoObB][\da-fA-F_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)n?/y;
+
+/**
+ * Decode the escape sequences of a string or template literal body
+ * @param {string} raw - The literal body without quotes
+ * @returns {string} The cooked string
+ */
+export function cookString(raw) {
+  let result = '';
+  for (let i = 0; i < raw.length; i++) {
+    const ch = raw[i];
+    if (ch !== '\\') {
+      result += ch;
+      continue;
+    }
+
+    const next = raw[++i];
+    if (next === undefined) break;
+    if (next in SIMPLE_ESCAPES && !(next === '0' && /\d/.test(raw[i + 1] || ''))) {
+      result += SIMPLE_ESCAPES[next];
+    } else if (next === 'x') {
+      result += String.fromCharCode(parseInt(raw.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else if (next === 'u' && raw[i + 1] === '{') {
+      const close = raw.indexOf('}', i);
+      result += String.fromCodePoint(parseInt(raw.slice(i + 2, close), 16));
+      i = close;
+    } else if (next === 'u') {
+      result += String.fromCharCode(parseInt(raw.slice(i + 1, i + 5), 16));
+      i += 4;
+    } else if (next === '\r') {
+      if (raw[i + 1] === '\n') i++;
+    } else if (next !== '\n' && next !== '\u2028' && next !== '\u2029') {
+      result += next;
+    }
+  }
+  return result;
+}
+
+// A JSX element or fragment where an expression may start: `<div`, `<Trans.Item`, `<>`,
+// but not a TSX generic arrow function such as `<T,>` or `<T extends U>`
+const JSX_START = /<(?:>|[A-Za-z_$][\w$.:-]*(?![\w$.:-]|\s*,|\s+extends\b))/y;
+
+class Tokenizer {
+  constructor(source, offset = 0, end = source.length, jsx = false) {
+    this.source = source;
+    this.pos = offset;
+    this.end = end;
+    this.jsx = jsx;
+    this.tokens = [];
+    this.comments = [];
+  }
+
+  tokenize(stopAtUnmatchedBrace = false) {
+    let depth = 0;
+
+    while (true) {
+      this.skipTrivia();
+      if (this.pos >= this.end) break;
+
+      const ch = this.source[this.pos];
+      if (stopAtUnmatchedBrace) {
+        if (ch === '{') depth++;
+        if (ch === '}' && depth-- === 0) break;
+      }
+
+      if (ch === '<' && this.jsx && this.regexAllowed() && this.atJsxStart()) {
+        this.readJsxElement();
+        continue;
+      }
+
+      this.tokens.push(this.readToken());
+    }
+
+    return this.tokens;
+  }
+
+  atJsxStart() {
+    JSX_START.lastIndex = this.pos;
+    return JSX_START.test(this.source);
+  }
+
+  pushPunct(value) {
+    this.tokens.push({ type: 'punct', value, start: this.pos, end: this.pos + value.length });
+    this.pos += value.length;
+  }
+
+  /**
+   * Read a `{...}` attribute value or child of a JSX element as code
+   */
+  readJsxExpression() {
+    this.pushPunct('{');
+    const inner = new Tokenizer(this.source, this.pos, this.end, this.jsx);
+    this.tokens.push(...inner.tokenize(true));
+    this.comments.push(...inner.comments);
+    this.pos = inner.pos;
+    if (this.source[this.pos] === '}') this.pushPunct('}');
+  }
+
+  /**
+   * Read a JSX element, from its `<` to the end of its closing tag. Tags and
+   * `{...}` expressions give the usual tokens; text between tags is a single
+   * 'jsx-text' token, so apostrophes and quotes in it don't start strings.
+   */
+  readJsxElement() {
+    const { source } = this;
+    this.pushPunct('<');
+
+    // The start tag
+    while (true) {
+      this.skipTrivia();
+      if (this.pos >= this.end) return;
+
+      const ch = source[this.pos];
+      if (ch === '>') {
+        this.pushPunct('>');
+        break;
+      }
+      if (ch === '/' && source[this.pos + 1] === '>') {
+        this.pushPunct('/>');
+        return;
+      }
+      if (ch === '{') {
+        this.readJsxExpression();
+      } else {
+        this.tokens.push(this.readToken());
+      }
+    }
+
+    // Children, up to the closing tag
+    while (this.pos < this.end) {
+      const ch = source[this.pos];
+      if (ch === '{') {
+        this.readJsxExpression();
+      } else if (ch === '<' && source[this.pos + 1] === '/') {
+        this.pushPunct('<');
+        this.pushPunct('/');
+        while (this.pos < this.end && source[this.pos] !== '>') {
+          this.skipTrivia();
+          if (source[this.pos] !== '>') this.tokens.push(this.readToken());
+        }
+        if (this.pos < this.end) this.pushPunct('>');
+        return;
+      } else if (ch === '<' && this.atJsxStart()) {
+        this.readJsxElement();
+      } else {
+        const start = this.pos;
+        while (this.pos < this.end && !['{', '<'].includes(source[this.pos])) this.pos++;
+        if (this.pos === start) this.pos++;
+        this.tokens.push({ type: 'jsx-text', value: source.slice(start, this.pos), start, end: this.pos });
+      }
+    }
+  }
+
+  skipTrivia() {
+    const { source } = this;
+    while (this.pos < this.end) {
+      const ch = source[this.pos];
+      if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r' || ch === '\ufeff' || ch === '\u00a0') {
+        this.pos++;
+      } else if (ch === '/' && source[this.pos + 1] === '/') {
+        const start = this.pos;
+        const newline = source.indexOf('\n', start);
+        this.pos = newline === -1 || newline > this.end ? this.end : newline;
+        this.comments.push({ type: 'line', value: source.slice(start + 2, this.pos), start, end: this.pos });
+      } else if (ch === '/' && source[this.pos + 1] === '*') {
+        const start = this.pos;
+        const close = source.indexOf('*/', start + 2);
+        this.pos = close === -1 || close + 2 > this.end ? this.end : close + 2;
+        this.comments.push({ type: 'block', value: source.slice(start + 2, Math.max(start + 2, this.pos - 2)), start, end: this.pos });
+      } else {
+        break;
+      }
+    }
+  }
+
+  readToken() {
+    const { source } = this;
+    const start = this.pos;
+    const ch = source[start];
+
+    if (ch === '"' || ch === '\'') {
+      return this.readString(ch);
+    }
+    if (ch === '`') {
+      return this.readTemplate();
+    }
+    if (IDENTIFIER_START.test(ch) || (ch === '#' && IDENTIFIER_START.test(source[start + 1] || ''))) {
+      this.pos++;
+      while (this.pos < this.end && IDENTIFIER_PART.test(source[this.pos])) this.pos++;
+      return { type: 'identifier', value: source.slice(start, this.pos), start, end: this.pos };
+    }
+    if (/\d/.test(ch) || (ch === '.' && /\d/.test(source[start + 1] || ''))) {
+      NUMBER.lastIndex = start;
+      const match = NUMBER.exec(source);
+      this.pos = start + match[0].length;
+      return { type: 'number', value: match[0], start, end: this.pos };
+    }
+    if (ch === '/' && this.regexAllowed()) {
+      return this.readRegex();
+    }
+
+    const punct = PUNCTUATORS.find(p => source.startsWith(p, start)) || ch;
+    this.pos += punct.length;
+    return { type: 'punct', value: punct, start, end: this.pos };
+  }
+
+  regexAllowed() {
+    const previous = this.tokens[this.tokens.length - 1];
+    if (!previous) return true;
+    if (previous.type === 'identifier') return REGEX_PRECEDING_KEYWORDS.has(previous.value);
+    if (previous.type === 'punct') return ![')', ']', '}', '++', '--'].includes(previous.value);
+    return false;
+  }
+
+  readString(quote) {
+    const { source } = this;
+    const start = this.pos;
+    let i = start + 1;
+
+    while (i < this.end && source[i] !== quote && source[i] !== '\n') {
+      i += source[i] === '\\' ? 2 : 1;
+    }
+
+    const terminated = source[i] === quote;
+    this.pos = terminated ? i + 1 : i;
+    return {
+      type: 'string',
+      value: cookString(source.slice(start + 1, i)),
+      quote,
+      terminated,
+      start,
+      end: this.pos
+    };
+  }
+
+  readTemplate() {
+    const { source } = this;
+    const start = this.pos;
+    const quasis = [];
+    const expressions = [];
+    let chunkStart = start + 1;
+    let i = chunkStart;
+
+    while (i < this.end && source[i] !== '`') {
+      if (source[i] === '\\') {
+        i += 2;
+      } else if (source[i] === '$' && source[i + 1] === '{') {
+        quasis.push(cookString(source.slice(chunkStart, i)));
+        const inner = new Tokenizer(source, i + 2, this.end, this.jsx);
+        const tokens = inner.tokenize(true);
+        this.comments.push(...inner.comments);
+        expressions.push({ start: i + 2, end: inner.pos, tokens });
+        i = inner.pos + 1;
+        chunkStart = i;
+      } else {
+        i++;
+      }
+    }
+
+    quasis.push(cookString(source.slice(chunkStart, Math.min(i, this.end))));
+    this.pos = Math.min(i + 1, this.end);
+    return {
+      type: 'template',
+      value: expressions.length === 0 ? quasis[0] : null,
+      quasis,
+      expressions,
+      start,
+      end: this.pos
+    };
+  }
+
+  readRegex() {
+    const { source } = this;
+    const start = this.pos;
+    let i = start + 1;
+    let inClass = false;
+
+    while (i < this.end && source[i] !== '\n') {
+      const ch = source[i];
+      if (ch === '\\') {
+        i += 2;
+        continue;
+      }
+      if (ch === '[') inClass = true;
+      else if (ch === ']') inClass = false;
+      else if (ch === '/' && !inClass) break;
+      i++;
+    }
+
+    i++;
+    while (i < this.end && IDENTIFIER_PART.test(source[i])) i++;
+    this.pos = Math.min(i, this.end);
+    return { type: 'regex', value: source.slice(start, this.pos), start, end: this.pos };
+  }
+}
+
+/**
+ * Tokenize JavaScript/TypeScript source
+ * @param {string} source - The source text
+ * @param {Object} options - Tokenizer options
+ * @param {number} options.start - Offset to start at (default: 0)
+ * @param {number} options.end - Offset to stop at (default: end of source)
+ * @param {boolean} options.jsx - Read JSX elements, so the text between their tags gives
+ *   'jsx-text' tokens instead of being lexed as code (default: false)
+ * @returns {{tokens: Array<Object>, comments: Array<Object>}} Tokens and comments with source offsets
+ */
+export function tokenize(source, options = {}) {
+  const tokenizer = new Tokenizer(source, options.start || 0, options.end === undefined ? source.length : options.end, Boolean(options.jsx));
+  const tokens = tokenizer.tokenize();
+  return { tokens, comments: tokenizer.comments };
+}
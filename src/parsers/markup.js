@@ -0,0 +1,239 @@
+/**
+ * HTML-like markup: the top-level blocks of a Vue single-file component, and
+ * the tags and text of a template (Vue, Svelte, Astro, Angular or plain HTML).
+ * Offsets index into the whole file, so tags and text may span lines and still
+ * map back to exact positions.
+ */
+
+// Elements that have no content and no closing tag
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// Elements whose content is not markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+// A `{...}` expression (Svelte, Astro, JSX) with one level of nested braces
+const BRACED = String.raw`\{(?:[^{}]|\{[^{}]*\})*\}`;
+
+// Comments, and start or end tags; quoted or braced attribute values may contain '>' and newlines
+const MARKUP_PATTERN = new RegExp(String.raw`<!--[\s\S]*?(?:-->|$)|<(\/?)([A-Za-z][\w.:-]*)((?:[^>"'{]|"[^"]*"|'[^']*'|${BRACED}|\{)*)>`, 'g');
+
+// One attribute of a start tag: a name, optionally `=` and a quoted, braced or bare value
+const ATTRIBUTE_PATTERN = new RegExp(String.raw`([^\s"'=<>/{]+)(?:(\s*=\s*)("[^"]*"|'[^']*'|${BRACED}|[^\s"'=<>\x60]+))?|${BRACED}`, 'g');
+
+/**
+ * Parse the attributes of a start tag
+ * @param {string} text - The text between the tag name and '>'
+ * @param {number} offset - Offset of `text` in the file
+ * @returns {Array<{name: string, value: string|null, braced: boolean, start: number, valueStart: number, valueEnd: number}>}
+ *   The attributes; `value` is null for a boolean attribute, `braced` marks `name={expression}`
+ *   values, and `valueStart`/`valueEnd` delimit the value without its quotes or braces
+ */
+export function parseAttributes(text, offset = 0) {
+  const attributes = [];
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = ATTRIBUTE_PATTERN.exec(text)) !== null) {
+    const [, name, equals, rawValue] = match;
+    const start = offset + match.index;
+
+    // Spread or shorthand attributes: {...props}, {value}
+    if (name === undefined) continue;
+
+    if (rawValue === undefined) {
+      attributes.push({ name, value: null, braced: false, start, valueStart: start + name.length, valueEnd: start + name.length });
+      continue;
+    }
+
+    const delimited = rawValue[0] === '"' || rawValue[0] === '\'' || rawValue[0] === '{';
+    const valueStart = start + name.length + equals.length + (delimited ? 1 : 0);
+    const value = delimited ? rawValue.slice(1, -1) : rawValue;
+    attributes.push({ name, value, braced: rawValue[0] === '{', start, valueStart, valueEnd: valueStart + value.length });
+  }
+  return attributes;
+}
+
+/**
+ * Find where a top-level template's content ends, skipping nested `<template>` tags
+ */
+function findTemplateEnd(source, start) {
+  const pattern = /<!--[\s\S]*?(?:-->|$)|<(\/?)template\b((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  pattern.lastIndex = start;
+  let depth = 1;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    if (match[2] === undefined || /\/\s*$/.test(match[2])) continue;
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) return { end: match.index, next: match.index + match[0].length };
+  }
+  return { end: source.length, next: source.length };
+}
+
+/**
+ * Find the closing tag of an element whose content is not markup
+ */
+function findClosingTag(source, name, start) {
+  const close = new RegExp(`</${name}\\s*>`, 'gi');
+  close.lastIndex = start;
+  const match = close.exec(source);
+  return match
+    ? { end: match.index, next: match.index + match[0].length }
+    : { end: source.length, next: source.length };
+}
+
+/**
+ * Split a single-file component into its top-level blocks
+ * @param {string} source - The `.vue` file content
+ * @returns {Array<{type: string, attributes: string, start: number, end: number}>} The blocks in
+ *   file order: `type` is the tag name ('template', 'script', 'style' or a custom block such as
+ *   'i18n'), and `start`/`end` delimit the block's content
+ */
+export function splitSfcBlocks(source) {
+  const blocks = [];
+  const pattern = /<!--[\s\S]*?(?:-->|$)|<([A-Za-z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    if (match[1] === undefined || /\/\s*$/.test(match[2])) continue;
+
+    const type = match[1];
+    const start = match.index + match[0].length;
+    const range = type === 'template' ? findTemplateEnd(source, start) : findClosingTag(source, type, start);
+
+    blocks.push({ type, attributes: match[2].trim(), start, end: range.end });
+    pattern.lastIndex = range.next;
+  }
+  return blocks;
+}
+
+/**
+ * Find the `<script>` elements of a markup file that hold JavaScript or TypeScript
+ * @param {string} source - The file content
+ * @param {number} start - Offset to search from (default: 0)
+ * @returns {Array<{attributes: string, start: number, end: number}>} The scripts, where
+ *   `start`/`end` delimit the element's content
+ */
+export function findScriptElements(source, start = 0) {
+  const scripts = [];
+  const pattern = /<!--[\s\S]*?(?:-->|$)|<script\b((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+  pattern.lastIndex = start;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    if (match[1] === undefined) continue;
+
+    const range = findClosingTag(source, 'script', match.index + match[0].length);
+    pattern.lastIndex = range.next;
+
+    // JSON data, HTML templates and the like
+    const type = parseAttributes(match[1]).find(attribute => attribute.name.toLowerCase() === 'type');
+    if (type && type.value && !/^(?:module|(?:text|application)\/(?:java|type|ecma)script)$/i.test(type.value)) continue;
+
+    scripts.push({ attributes: match[1].trim(), start: match.index + match[0].length, end: range.end });
+  }
+  return scripts;
+}
+
+/**
+ * Read the tags and text of a template, skipping comments. The content of
+ * `<script>` and `<style>` elements is a single text node.
+ * @param {string} source - The file content
+ * @param {number} start - Offset where the template content starts (default: 0)
+ * @param {number} end - Offset where it ends (default: the end of the source)
+ * @returns {Array<Object>} The nodes in order. Text is {type: 'text', value, start, end, parents, parentTag}
+ *   and tags are {type: 'tag', name, attributes, closing, selfClosing, start, end, parents}, where
+ *   `attributes` is as parseAttributes() returns, `parents` lists the names of the elements
+ *   that enclose the node, outermost first, and `parentTag` is the innermost enclosing tag node
+ */
+export function parseTemplate(source, start = 0, end = source.length) {
+  const nodes = [];
+  const openTags = [];
+  let textStart = start;
+
+  const parents = () => openTags.map(tag => tag.name);
+  const pushText = textEnd => {
+    if (textEnd > textStart) {
+      nodes.push({
+        type: 'text',
+        value: source.slice(textStart, textEnd),
+        start: textStart,
+        end: textEnd,
+        parents: parents(),
+        parentTag: openTags[openTags.length - 1] || null
+      });
+    }
+  };
+
+  MARKUP_PATTERN.lastIndex = start;
+  let match;
+  while ((match = MARKUP_PATTERN.exec(source)) !== null && match.index + match[0].length <= end) {
+    pushText(match.index);
+    textStart = match.index + match[0].length;
+    if (match[2] === undefined) continue;
+
+    const [, slash, name, attributes] = match;
+    if (slash) {
+      const index = openTags.map(tag => tag.name).lastIndexOf(name);
+      if (index !== -1) openTags.length = index;
+      nodes.push({ type: 'tag', name, attributes: [], closing: true, selfClosing: false, start: match.index, end: textStart, parents: parents() });
+      continue;
+    }
+
+    const selfClosing = /\/\s*$/.test(attributes);
+    const tag = {
+      type: 'tag',
+      name,
+      attributes: parseAttributes(attributes, match.index + 1 + name.length),
+      closing: false,
+      selfClosing,
+      start: match.index,
+      end: textStart,
+      parents: parents()
+    };
+    nodes.push(tag);
+    if (selfClosing || VOID_ELEMENTS.has(name.toLowerCase())) continue;
+
+    openTags.push(tag);
+    if (RAW_TEXT_ELEMENTS.has(name.toLowerCase())) {
+      const range = findClosingTag(source, name, textStart);
+      pushText(Math.min(range.end, end));
+      openTags.pop();
+      textStart = Math.min(range.end, end);
+      MARKUP_PATTERN.lastIndex = textStart;
+    }
+  }
+  pushText(end);
+
+  return nodes;
+}
+
+/**
+ * Find the `{...}` expressions in a piece of Svelte or Astro markup
+ * @param {string} source - The file content
+ * @param {number} start - Offset where the markup starts
+ * @param {number} end - Offset where it ends
+ * @returns {Array<{start: number, end: number}>} The expressions, where `start`/`end` delimit
+ *   the code between the braces
+ */
+export function findBracedExpressions(source, start, end) {
+  const expressions = [];
+  let depth = 0;
+  let expressionStart = -1;
+  let quote = null;
+
+  for (let i = start; i < end; i++) {
+    const ch = source[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (depth > 0 && (ch === '"' || ch === '\'' || ch === '`')) {
+      quote = ch;
+    } else if (ch === '{') {
+      if (depth === 0) expressionStart = i + 1;
+      depth++;
+    } else if (ch === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) expressions.push({ start: expressionStart, end: i });
+    }
+  }
+  return expressions;
+}
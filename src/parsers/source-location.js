@@ -0,0 +1,21 @@
+/**
+ * Map 0-based offsets in a source text to 1-based lines and columns
+ * @param {string} source - The source text
+ * @returns {Function} (offset) => {line, column}
+ */
+export function createLocator(source) {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') lineStarts.push(i + 1);
+  }
+  return offset => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
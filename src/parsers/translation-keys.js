@@ -0,0 +1,553 @@
+/**
+ * Translation key extraction from source files.
+ *
+ * Script code is tokenized, so calls are found whatever their formatting,
+ * quotes or further arguments: `$t('a.b')`, `t("a.b", { n })`,
+ * `i18n.global.t('a.b')`. Files are split into script and markup regions by
+ * their source extractor (see extractors.js), and markup is read in the
+ * template syntax of its framework:
+ *
+ * - Vue: mustaches, directive values, `<i18n-t keypath>` and `v-t`
+ * - Svelte and Astro: `{ }` expressions, e.g. `{$_('a.b')}`
+ * - Angular and HTML: `{{ }}` interpolations and bound attributes, where
+ *   `'a.b' | translate` and `[translate]="'a.b'"` are keys, as are the text of
+ *   an element with a `translate` attribute and the custom id of an `i18n`
+ *   attribute (`i18n="meaning|description@@a.b"`). The inline `template` of
+ *   an Angular component is read the same way.
+ *
+ * JSX `<Trans i18nKey>` is recognized in script code. Extractors passed in
+ * `extractors` may read other file types, or find the keys themselves.
+ *
+ * Keys built at runtime are reported as dynamic calls with a wildcard pattern:
+ * `` $t(`errors.${code}`) `` gives 'errors.*' and `$t('plan.' + tier + '.name')`
+ * gives 'plan.*.name'.
+ */
+import { tokenize } from './js-tokenizer.js';
+import { escapeGlob } from '../glob.js';
+import { parseTemplate, findBracedExpressions } from './markup.js';
+import { getSourceExtractor, MARKUP_SYNTAXES } from './extractors.js';
+import { createLocator } from './source-location.js';
+
+/**
+ * Translation functions recognized by default. A plain name (`t`) matches only
+ * that identifier (or `this.t`); a dotted or `$`-prefixed name also matches as
+ * the end of a member chain, so `$t` covers `this.$t` and `vm.$t`.
+ */
+export const DEFAULT_TRANSLATION_FUNCTIONS = [
+  '$t', 't', '$tc', 'tc', '$i18n.t', 'i18n.t', 'i18n.global.t', '$_',
+  // ngx-translate's TranslateService and Transloco's TranslocoService, as usually injected
+  'translate.instant', 'translate.get', 'translate.stream', 'transloco.translate'
+];
+
+// Components whose `keypath`/`path` attribute is a key (vue-i18n)
+const I18N_COMPONENTS = ['i18n-t', 'I18nT', 'i18n', 'Translation'];
+const I18N_KEY_ATTRIBUTES = ['keypath', 'path'];
+
+// Angular pipes whose input is a key (ngx-translate, Transloco, angular-i18next)
+const TRANSLATION_PIPES = ['translate', 'transloco', 'i18next'];
+
+// Angular attribute names whose value is an expression rather than text
+const ANGULAR_BINDING = /^(?:\[|\(|\*|bind-|on-|bindon-)/;
+
+// Elements whose content is not markup
+const RAW_TEXT_ELEMENTS = ['script', 'style'];
+
+// Template constructs: comments, mustaches and start tags with their attributes
+const TEMPLATE_PATTERN = /<!--[\s\S]*?-->|\{\{([\s\S]*?)\}\}|<([A-Za-z][\w.:-]*)((?:\s+[^\s"'=<>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'=<>/]+)(?:(\s*=\s*)("[^"]*"|'[^']*'|[^\s"'=<>`]+))?/g;
+
+/**
+ * Build a matcher for callee names like 'this.$t' or 'i18n.global.t'
+ * @param {Array<string>} functions - The translation function names
+ * @returns {Function} (callee) => boolean
+ */
+function createCalleeMatcher(functions) {
+  const exact = new Set(functions);
+  const suffixes = functions.filter(name => name.startsWith('$') || name.includes('.')).map(name => '.' + name);
+  return callee => {
+    const name = callee.startsWith('this.') ? callee.slice(5) : callee;
+    return exact.has(name) || suffixes.some(suffix => callee.endsWith(suffix));
+  };
+}
+
+/**
+ * The value of a string or substitution-free template literal token, or null
+ */
+function literalValue(token) {
+  if (!token) return null;
+  if (token.type === 'string' && token.terminated) return token.value;
+  if (token.type === 'template' && token.value !== null) return token.value;
+  return null;
+}
+
+/**
+ * Build a wildcard pattern from a key argument built at runtime: each
+ * interpolation or non-literal operand of `+` becomes `*`, and glob syntax in
+ * the static parts is escaped
+ * @param {Array<Object>} tokens - The tokens
+ * @param {number} index - Index of the argument's first token
+ * @returns {{pattern: string|null, end: number}|null} The pattern (null when no part of the key
+ *   is static) and the argument's end offset, or null if there is no argument to read
+ */
+function readDynamicKey(tokens, index) {
+  const operands = [[]];
+  let depth = 0;
+  let i = index;
+  for (; i < tokens.length; i++) {
+    const { type, value } = tokens[i];
+    if (type === 'punct') {
+      if (depth === 0 && (value === ',' || value === ')')) break;
+      if (value === '(' || value === '[' || value === '{') depth++;
+      if (value === ')' || value === ']' || value === '}') depth--;
+      if (depth === 0 && value === '+') {
+        operands.push([]);
+        continue;
+      }
+    }
+    operands[operands.length - 1].push(tokens[i]);
+  }
+
+  // `t()` has no argument, and `t(key) { ... }` is a method definition
+  const methodDefinition = tokens[i] && tokens[i].value === ')' && tokens[i + 1] && tokens[i + 1].value === '{';
+  if (i === index || methodDefinition) return null;
+
+  const end = tokens[i - 1].end;
+  const single = operands.length === 1 ? operands[0] : null;
+  if (single && !(single.length === 1 && single[0].type === 'template')) {
+    return { pattern: null, end };
+  }
+
+  const pattern = operands.map(operand => {
+    const [token] = operand;
+    if (operand.length !== 1) return '*';
+    if (token.type === 'template') return token.quasis.map(escapeGlob).join('*');
+    const value = literalValue(token);
+    return value === null ? '*' : escapeGlob(value);
+  }).join('').replace(/\*+/g, '*');
+
+  return { pattern: /[^*.]/.test(pattern) ? pattern : null, end };
+}
+
+/**
+ * Read the member chain that ends at tokens[index - 1], e.g. `i18n.global.t`
+ * @returns {{name: string, start: number}|null} The callee, or null if there is none
+ */
+function readCallee(tokens, index) {
+  let j = index - 1;
+  if (!tokens[j] || tokens[j].type !== 'identifier') return null;
+
+  let name = tokens[j].value;
+  while (j >= 2 && (tokens[j - 1].value === '.' || tokens[j - 1].value === '?.') && tokens[j - 2].type === 'identifier') {
+    name = `${tokens[j - 2].value}.${name}`;
+    j -= 2;
+  }
+
+  // Declarations such as `function t(key) {}` are not calls
+  const previous = tokens[j - 1];
+  if (previous && previous.type === 'identifier' && previous.value === 'function') return null;
+  if (previous && (previous.value === '.' || previous.value === '?.')) return null;
+
+  return { name, start: tokens[j].start };
+}
+
+/**
+ * Find the `keyPrefix` passed to `useTranslation(ns, { keyPrefix })` (react-i18next)
+ * @returns {string} The prefix with a trailing dot, or ''
+ */
+function findKeyPrefix(tokens) {
+  for (let i = 0; i < tokens.length - 1; i++) {
+    if (tokens[i].value !== 'useTranslation' || tokens[i + 1].value !== '(') continue;
+
+    let depth = 0;
+    for (let j = i + 1; j < tokens.length; j++) {
+      const { value } = tokens[j];
+      if (value === '(' || value === '{' || value === '[') depth++;
+      if (value === ')' || value === '}' || value === ']') depth--;
+      if (depth === 0) break;
+      if (value === 'keyPrefix' && tokens[j + 1] && tokens[j + 1].value === ':') {
+        const prefix = literalValue(tokens[j + 2]);
+        if (prefix) return prefix + '.';
+      }
+    }
+  }
+  return '';
+}
+
+/**
+ * Read the input of a translation pipe that starts at tokens[index]: `'a.b' | translate`,
+ * or a key built at runtime, `('errors.' + code) | translate`
+ */
+function readPipeInput(tokens, index, context, calls) {
+  const previous = tokens[index - 1];
+  const key = literalValue(previous);
+  if (key !== null) {
+    // `x + 'a' | translate` pipes the whole sum, not the literal
+    const before = tokens[index - 2];
+    if (!before || (before.type === 'punct' && ['(', '[', '{', ',', '?', ':'].includes(before.value))) {
+      calls.push({ key, start: previous.start + 1, end: previous.end - 1, offset: previous.start });
+    }
+    return;
+  }
+
+  let first = index - 1;
+  let last = index;
+  if (previous && previous.type === 'punct' && previous.value === ')') {
+    let depth = 0;
+    for (; first >= 0; first--) {
+      if (tokens[first].type !== 'punct') continue;
+      if (tokens[first].value === ')') depth++;
+      if (tokens[first].value === '(') depth--;
+      if (depth === 0) break;
+    }
+    // `format(x) | translate` pipes the result of a call
+    if (first < 0 || (tokens[first - 1] && tokens[first - 1].type === 'identifier')) return;
+    first++;
+    last--;
+  } else if (!previous || previous.type !== 'template') {
+    return;
+  }
+
+  const dynamic = readDynamicKey(tokens.slice(first, last), 0);
+  if (dynamic) {
+    const start = tokens[first].start;
+    calls.push({ dynamic: true, pattern: dynamic.pattern, expression: context.source.slice(start, dynamic.end), start, end: dynamic.end, offset: start });
+  }
+}
+
+/**
+ * Collect calls of translation functions, JSX `i18nKey` attributes and, where
+ * `context.pipes` lists them, inputs of translation pipes from tokens
+ */
+function scanTokens(tokens, context, calls) {
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.type === 'template') {
+      token.expressions.forEach(expression => scanTokens(expression.tokens, context, calls));
+      continue;
+    }
+
+    if (context.pipes && token.value === '|' && token.type === 'punct' &&
+      tokens[i + 1] && tokens[i + 1].type === 'identifier' && context.pipes.includes(tokens[i + 1].value)) {
+      readPipeInput(tokens, i, context, calls);
+      continue;
+    }
+
+    if (token.value === '(' && token.type === 'punct') {
+      const callee = readCallee(tokens, i);
+      if (!callee || !context.isTranslationFunction(callee.name)) continue;
+
+      const argument = tokens[i + 1];
+      const next = tokens[i + 2];
+      const key = next && (next.value === ',' || next.value === ')') ? literalValue(argument) : null;
+      const prefix = callee.name === 't' ? context.keyPrefix : '';
+      if (key !== null) {
+        calls.push({ key: prefix + key, start: argument.start + 1, end: argument.end - 1, offset: callee.start });
+        continue;
+      }
+
+      const dynamic = readDynamicKey(tokens, i + 1);
+      if (dynamic) {
+        const expression = context.source.slice(argument.start, dynamic.end);
+        const pattern = dynamic.pattern === null ? null : prefix + dynamic.pattern;
+        calls.push({ dynamic: true, pattern, expression, start: argument.start, end: dynamic.end, offset: callee.start });
+      }
+      continue;
+    }
+
+    // <Trans i18nKey="a.b" /> and <Trans i18nKey={'a.b'} />
+    if (token.type === 'identifier' && token.value === 'i18nKey' && tokens[i + 1] && tokens[i + 1].value === '=') {
+      const valueToken = tokens[i + 2] && tokens[i + 2].value === '{' ? tokens[i + 3] : tokens[i + 2];
+      const key = literalValue(valueToken);
+      if (key !== null) {
+        calls.push({ key, start: valueToken.start + 1, end: valueToken.end - 1, offset: token.start });
+      }
+    }
+  }
+}
+
+/**
+ * Extract the calls in a range of script code
+ */
+function extractFromScript(source, start, end, context, calls) {
+  const { tokens } = tokenize(source, { start, end, jsx: context.jsx });
+  scanTokens(tokens, { ...context, keyPrefix: findKeyPrefix(tokens) }, calls);
+}
+
+/**
+ * Extract the keys of a `v-t` directive value: `'a.b'` or `{ path: 'a.b', ... }`
+ */
+function extractVueDirective(source, start, end, offset, calls) {
+  const { tokens } = tokenize(source, { start, end });
+  let keyToken = null;
+  if (literalValue(tokens[0]) !== null) {
+    keyToken = tokens[0];
+  } else if (tokens[0] && tokens[0].value === '{') {
+    const index = tokens.findIndex((token, i) => token.value === 'path' && tokens[i + 1] && tokens[i + 1].value === ':');
+    keyToken = index === -1 ? null : tokens[index + 2];
+  }
+
+  const key = literalValue(keyToken);
+  if (key !== null) {
+    calls.push({ key, start: keyToken.start + 1, end: keyToken.end - 1, offset });
+  }
+}
+
+/**
+ * Extract the calls in a Vue template: mustaches, directive and bound attribute
+ * values, `v-t`, and the key attribute of the vue-i18n components
+ */
+function extractFromTemplate(source, start, end, context, calls) {
+  TEMPLATE_PATTERN.lastIndex = start;
+  let match;
+  while ((match = TEMPLATE_PATTERN.exec(source)) !== null && match.index < end) {
+    if (match[1] !== undefined) {
+      const expressionStart = match.index + 2;
+      extractFromScript(source, expressionStart, expressionStart + match[1].length, context, calls);
+      continue;
+    }
+    if (match[2] === undefined) continue;
+
+    const tagName = match[2];
+    const attributesStart = match.index + 1 + tagName.length;
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    let attribute;
+    while ((attribute = ATTRIBUTE_PATTERN.exec(match[3])) !== null) {
+      const [, name, equals, rawValue] = attribute;
+      if (rawValue === undefined) continue;
+
+      const quoted = rawValue[0] === '"' || rawValue[0] === '\'';
+      const nameStart = attributesStart + attribute.index;
+      const valueStart = nameStart + name.length + equals.length + (quoted ? 1 : 0);
+      const valueEnd = valueStart + rawValue.length - (quoted ? 2 : 0);
+      const boundName = name.replace(/^(?::|v-bind:)/, '');
+
+      if (I18N_COMPONENTS.includes(tagName) && I18N_KEY_ATTRIBUTES.includes(name)) {
+        calls.push({ key: source.slice(valueStart, valueEnd), start: valueStart, end: valueEnd, offset: nameStart });
+      } else if (name === 'v-t' || (I18N_COMPONENTS.includes(tagName) && I18N_KEY_ATTRIBUTES.includes(boundName) && boundName !== name)) {
+        extractVueDirective(source, valueStart, valueEnd, nameStart, calls);
+      } else if (/^(?::|@|#|v-)/.test(name)) {
+        extractFromScript(source, valueStart, valueEnd, context, calls);
+      }
+    }
+  }
+}
+
+/**
+ * Whether a text node is the content of a `<script>` or `<style>` element
+ */
+function isRawText(node) {
+  return Boolean(node.parentTag) && RAW_TEXT_ELEMENTS.includes(node.parentTag.name.toLowerCase());
+}
+
+/**
+ * Extract the calls in the `{ }` expressions of a range of Svelte or Astro markup
+ */
+function extractBracedExpressions(source, start, end, context, calls) {
+  for (const expression of findBracedExpressions(source, start, end)) {
+    // Svelte blocks and tags: {#if ...}, {:else if ...}, {/if}, {@html ...}
+    const block = /^\s*[#:/@][\w-]*/.exec(source.slice(expression.start, expression.end));
+    extractFromScript(source, expression.start + (block ? block[0].length : 0), expression.end, context, calls);
+  }
+}
+
+/**
+ * Extract the calls in Svelte or Astro markup: `{ }` expressions in text, and
+ * `name={...}` or `name="text {...}"` attribute values
+ */
+function extractFromBracedTemplate(source, start, end, context, calls) {
+  for (const node of parseTemplate(source, start, end)) {
+    if (node.type === 'text') {
+      if (!isRawText(node)) extractBracedExpressions(source, node.start, node.end, context, calls);
+      continue;
+    }
+
+    for (const attribute of node.attributes) {
+      if (attribute.braced) {
+        extractFromScript(source, attribute.valueStart, attribute.valueEnd, context, calls);
+      } else if (attribute.value !== null) {
+        extractBracedExpressions(source, attribute.valueStart, attribute.valueEnd, context, calls);
+      }
+    }
+  }
+}
+
+/**
+ * Extract the calls in the `{{ }}` interpolations of a range of Angular markup
+ */
+function extractInterpolations(source, start, end, context, calls) {
+  const pattern = /\{\{([\s\S]*?)\}\}/g;
+  const text = source.slice(start, end);
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const expressionStart = start + match.index + 2;
+    extractFromScript(source, expressionStart, expressionStart + match[1].length, context, calls);
+  }
+}
+
+/**
+ * Extract the key bound to a `[translate]` or `[transloco]` directive: a literal
+ * or, for a key built at runtime, a pattern
+ */
+function extractBoundKey(source, start, end, offset, context, calls) {
+  const { tokens } = tokenize(source, { start, end });
+  const key = tokens.length === 1 ? literalValue(tokens[0]) : null;
+  if (key !== null) {
+    calls.push({ key, start: tokens[0].start + 1, end: tokens[0].end - 1, offset });
+    return;
+  }
+
+  const dynamic = readDynamicKey(tokens, 0);
+  if (dynamic) {
+    calls.push({ dynamic: true, pattern: dynamic.pattern, expression: source.slice(tokens[0].start, dynamic.end), start: tokens[0].start, end: dynamic.end, offset });
+  }
+}
+
+/**
+ * Extract the calls in an Angular template (or plain HTML): interpolations,
+ * bound attribute values, translation pipes, the `[translate]` and
+ * `transloco` directives, and the text of elements with a `translate` attribute
+ */
+function extractFromAngularTemplate(source, start, end, context, calls) {
+  const angularContext = { ...context, pipes: TRANSLATION_PIPES };
+
+  for (const node of parseTemplate(source, start, end)) {
+    if (node.type === 'text') {
+      if (isRawText(node)) continue;
+
+      // <span translate>a.b</span> (ngx-translate)
+      const directive = node.parentTag && node.parentTag.attributes.find(attribute => attribute.name === 'translate');
+      const key = node.value.trim();
+      if (directive && directive.value === null && key && !key.includes('{{')) {
+        const keyStart = node.start + node.value.length - node.value.trimStart().length;
+        calls.push({ key, start: keyStart, end: keyStart + key.length, offset: keyStart });
+        continue;
+      }
+
+      extractInterpolations(source, node.start, node.end, angularContext, calls);
+      continue;
+    }
+
+    for (const attribute of node.attributes) {
+      const { name, value, valueStart, valueEnd } = attribute;
+      if (value === null) continue;
+
+      // Angular i18n: i18n="meaning|description@@custom.id", also i18n-title="@@custom.id"
+      if (name === 'i18n' || name.startsWith('i18n-')) {
+        const idIndex = value.indexOf('@@');
+        const id = idIndex === -1 ? '' : value.slice(idIndex + 2).trimEnd();
+        if (id) {
+          calls.push({ key: id, start: valueStart + idIndex + 2, end: valueStart + idIndex + 2 + id.length, offset: attribute.start });
+        }
+        continue;
+      }
+
+      if (name === '[translate]' || name === '[transloco]') {
+        extractBoundKey(source, valueStart, valueEnd, attribute.start, angularContext, calls);
+      } else if (name === 'transloco') {
+        calls.push({ key: value, start: valueStart, end: valueEnd, offset: attribute.start });
+      } else if (ANGULAR_BINDING.test(name)) {
+        extractFromScript(source, valueStart, valueEnd, angularContext, calls);
+      } else {
+        extractInterpolations(source, valueStart, valueEnd, angularContext, calls);
+      }
+    }
+  }
+}
+
+// Markup extraction by template syntax (see SOURCE_EXTRACTORS)
+const MARKUP_EXTRACTORS = {
+  vue: extractFromTemplate,
+  braces: extractFromBracedTemplate,
+  angular: extractFromAngularTemplate
+};
+
+/**
+ * Extract the calls in a markup range written in a template syntax
+ */
+function extractFromMarkup(syntax, source, start, end, context, calls) {
+  if (!MARKUP_SYNTAXES.includes(syntax)) {
+    throw new TypeError(`Unknown template syntax "${syntax}" (expected ${MARKUP_SYNTAXES.join(', ')})`);
+  }
+  MARKUP_EXTRACTORS[syntax](source, start, end, context, calls);
+}
+
+/**
+ * Let an extractor's extract() find the calls, with the built-in scanners at hand
+ */
+function extractWithExtractor(extractor, source, context, calls) {
+  const reader = {
+    fileName: context.fileName,
+    script: (start, end) => {
+      const found = [];
+      extractFromScript(source, start, end, context, found);
+      return found;
+    },
+    markup: (syntax, start, end) => {
+      const found = [];
+      extractFromMarkup(syntax, source, start, end, context, found);
+      return found;
+    }
+  };
+
+  for (const call of extractor.extract(source, reader) || []) {
+    if (call.dynamic || typeof call.key === 'string') {
+      calls.push({ ...call, offset: call.offset ?? call.start });
+    }
+  }
+}
+
+/**
+ * Extract the translation keys a source file uses
+ * @param {string} source - The file content
+ * @param {Object} options - Extraction options
+ * @param {string} options.fileName - The file name, which selects the source extractor (`.vue`,
+ *   `.svelte`, `.astro`, `.html` or script code)
+ * @param {Array<string>} options.functions - Translation function names (default: DEFAULT_TRANSLATION_FUNCTIONS)
+ * @param {string} options.namespaceSeparator - Separator of i18next namespaces, e.g. ':' to read
+ *   `ns:key` as `ns.key`; '' keeps keys as written (default: '')
+ * @param {Array<Object>} options.extractors - Source extractors to look up before the built-in
+ *   ones, as defineSourceExtractor() returns them (default: none)
+ * @returns {Array<Object>} The uses in source order. Literal keys are {key, start, end, line, column},
+ *   where `start`/`end` delimit the key's text and line/column locate the call. Keys built at runtime
+ *   are {dynamic: true, pattern, expression, start, end, line, column}, where `pattern` is a glob
+ *   ('errors.*'), or null when no part of the key is static, and `expression` is the argument's source
+ */
+export function extractTranslationCalls(source, options = {}) {
+  const { fileName = '', functions = DEFAULT_TRANSLATION_FUNCTIONS, namespaceSeparator = '', extractors = [] } = options;
+  const extractor = getSourceExtractor(fileName, extractors);
+  const calls = [];
+  const context = {
+    source,
+    fileName,
+    isTranslationFunction: createCalleeMatcher(functions),
+    // Script files may hold JSX, except plain TypeScript, where `<T>value` is a type assertion
+    jsx: extractor.name === 'script' && !/\.[mc]?ts$/i.test(fileName)
+  };
+
+  if (extractor.extract) {
+    extractWithExtractor(extractor, source, context, calls);
+  } else {
+    for (const region of extractor.regions(source)) {
+      if (region.type === 'script') {
+        extractFromScript(source, region.start, region.end, context, calls);
+      } else if (region.type === 'markup') {
+        extractFromMarkup(region.syntax || extractor.syntax || 'vue', source, region.start, region.end, context, calls);
+      }
+    }
+  }
+
+  const locate = createLocator(source);
+  const withoutNamespace = key => {
+    const separatorIndex = namespaceSeparator ? key.indexOf(namespaceSeparator) : -1;
+    return separatorIndex > 0 ? `${key.slice(0, separatorIndex)}.${key.slice(separatorIndex + namespaceSeparator.length)}` : key;
+  };
+  return calls
+    .sort((a, b) => a.start - b.start)
+    .map(({ offset, ...call }) => {
+      if (call.dynamic) {
+        return { ...call, pattern: call.pattern === null ? null : withoutNamespace(call.pattern), ...locate(offset) };
+      }
+      return { ...call, key: withoutNamespace(call.key), ...locate(offset) };
+    });
+}
@@ -4,6 +4,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { I18nHelper } from '../src/I18nHelper.js';
+import { loadConfig, findConfigFile } from '../src/config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -421,6 +422,1406 @@ describe('I18nHelper', () => {
     }
   });
 
+  test('should read and write YAML locale files in place', () => {
+    const testLocaleDir = path.join(__dirname, 'yaml-locale-test');
+    const testLocalesDir = path.join(testLocaleDir, 'locales');
+
+    if (fs.existsSync(testLocaleDir)) {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+    fs.mkdirSync(testLocalesDir, { recursive: true });
+
+    // Rails-style file nested under the locale code
+    fs.writeFileSync(path.join(testLocalesDir, 'en.yml'), [
+      '# Base locale',
+      'en:',
+      '  common:',
+      '    loading: Loading...',
+      '    error: "An error occurred"',
+      '  navigation:',
+      '    home: Home',
+      ''
+    ].join('\n'));
+    fs.writeFileSync(path.join(testLocalesDir, 'zh-hans.yaml'), [
+      'common:',
+      '  loading: 加载中...',
+      ''
+    ].join('\n'));
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir));
+      assert.deepStrictEqual(testHelper.getLocales(), ['en', 'zh-hans']);
+      assert.strictEqual(testHelper.get('en', 'common.error'), 'An error occurred');
+      assert.strictEqual(testHelper.get('zh-hans', 'common.loading'), '加载中...');
+
+      suppressConsoleOutput(() => testHelper.set('en', 'navigation.about', 'About: us'));
+      suppressConsoleOutput(() => testHelper.set('zh-hans', 'common.error', '发生错误'));
+
+      // Files keep their format and location, no .json siblings are created
+      assert.deepStrictEqual(fs.readdirSync(testLocalesDir).sort(), ['en.yml', 'zh-hans.yaml']);
+      const enSource = fs.readFileSync(path.join(testLocalesDir, 'en.yml'), 'utf8');
+      assert.ok(enSource.startsWith('# Base locale\nen:\n  common:\n'), 'comments are kept');
+      assert.ok(enSource.includes('    about: "About: us"\n'));
+      assert.strictEqual(testHelper.get('en', 'navigation.about'), 'About: us');
+      assert.strictEqual(testHelper.get('zh-hans', 'common.error'), '发生错误');
+
+      const stats = testHelper.getStats();
+      assert.strictEqual(stats['zh-hans'].total, 4);
+      assert.deepStrictEqual(stats['zh-hans'].missingPaths, ['navigation.home', 'navigation.about']);
+    } finally {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+  });
+
+  test('should read and write JS/TS locale modules in place', () => {
+    const testLocaleDir = path.join(__dirname, 'js-locale-test');
+    const testLocalesDir = path.join(testLocaleDir, 'locales');
+
+    if (fs.existsSync(testLocaleDir)) {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+    fs.mkdirSync(testLocalesDir, { recursive: true });
+
+    fs.writeFileSync(path.join(testLocalesDir, 'en.js'), [
+      '// English messages',
+      'export default {',
+      '  common: {',
+      "    loading: 'Loading...', // shown while fetching",
+      '    error: "An error occurred",',
+      '  },',
+      '}',
+      ''
+    ].join('\n'));
+    fs.writeFileSync(path.join(testLocalesDir, 'fr.ts'), [
+      "export default defineI18nLocale(async () => ({",
+      "  common: { loading: 'Chargement...' }",
+      '}))',
+      ''
+    ].join('\n'));
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir));
+      assert.deepStrictEqual(testHelper.getLocales(), ['en', 'fr']);
+      assert.strictEqual(testHelper.get('en', 'common.error'), 'An error occurred');
+      assert.strictEqual(testHelper.get('fr', 'common.loading'), 'Chargement...');
+
+      suppressConsoleOutput(() => testHelper.batchUpdate({
+        en: { 'common.loading': 'Loading…', 'nav.home': 'Home' },
+        fr: { 'common.error': "Une erreur s'est produite" }
+      }));
+
+      // No .json siblings, and untouched lines keep their formatting and comments
+      assert.deepStrictEqual(fs.readdirSync(testLocalesDir).sort(), ['en.js', 'fr.ts']);
+      assert.strictEqual(fs.readFileSync(path.join(testLocalesDir, 'en.js'), 'utf8'), [
+        '// English messages',
+        'export default {',
+        '  common: {',
+        "    loading: 'Loading…', // shown while fetching",
+        '    error: "An error occurred",',
+        '  },',
+        '  nav: {',
+        "    home: 'Home',",
+        '  },',
+        '}',
+        ''
+      ].join('\n'));
+      assert.strictEqual(testHelper.get('fr', 'common.error'), "Une erreur s'est produite");
+    } finally {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+  });
+
+  test('should read and write namespaced locale directories', () => {
+    const testLocaleDir = path.join(__dirname, 'namespaced-locale-test');
+    const testLocalesDir = path.join(testLocaleDir, 'locales');
+
+    if (fs.existsSync(testLocaleDir)) {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+    fs.mkdirSync(path.join(testLocalesDir, 'en'), { recursive: true });
+    fs.mkdirSync(path.join(testLocalesDir, 'fr'), { recursive: true });
+
+    fs.writeFileSync(path.join(testLocalesDir, 'en', 'common.json'), JSON.stringify({ buttons: { save: 'Save' } }, null, 2));
+    fs.writeFileSync(path.join(testLocalesDir, 'en', 'auth.json'), JSON.stringify({ login: 'Log in' }, null, 2));
+    fs.writeFileSync(path.join(testLocalesDir, 'fr', 'common.yml'), 'buttons:\n  save: Enregistrer\n');
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir));
+      assert.strictEqual(testHelper.getLayout(), 'namespaced');
+      assert.deepStrictEqual(testHelper.getLocales(), ['en', 'fr']);
+      assert.deepStrictEqual(testHelper.loadLocale('en'), {
+        auth: { login: 'Log in' },
+        common: { buttons: { save: 'Save' } }
+      });
+      assert.strictEqual(testHelper.get('fr', 'common.buttons.save'), 'Enregistrer');
+
+      const authSource = fs.readFileSync(path.join(testLocalesDir, 'en', 'auth.json'), 'utf8');
+      suppressConsoleOutput(() => testHelper.set('en', 'common.buttons.cancel', 'Cancel'));
+      suppressConsoleOutput(() => testHelper.set('fr', 'auth.login', 'Se connecter'));
+
+      // Only the touched namespace is rewritten; new namespaces use the locale's format
+      assert.strictEqual(fs.readFileSync(path.join(testLocalesDir, 'en', 'auth.json'), 'utf8'), authSource);
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(testLocalesDir, 'en', 'common.json'), 'utf8')), {
+        buttons: { save: 'Save', cancel: 'Cancel' }
+      });
+      assert.deepStrictEqual(fs.readdirSync(path.join(testLocalesDir, 'fr')).sort(), ['auth.yml', 'common.yml']);
+      assert.strictEqual(testHelper.get('fr', 'auth.login'), 'Se connecter');
+
+      // Top-level values must be namespaces
+      assert.strictEqual(suppressConsoleOutput(() => testHelper.set('en', 'title', 'Home')), false);
+      assert.strictEqual(suppressConsoleOutput(() => testHelper.set('en', 'auth', 'Auth')), false);
+      assert.strictEqual(testHelper.get('en', 'title'), null);
+      assert.deepStrictEqual(testHelper.get('en', 'auth'), { login: 'Log in' });
+      assert.deepStrictEqual(fs.readdirSync(path.join(testLocalesDir, 'en')).sort(), ['auth.json', 'common.json']);
+
+      const flatHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir, { layout: 'flat' }));
+      assert.deepStrictEqual(flatHelper.getLocales(), []);
+    } finally {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+  });
+
+  test('should export and import gettext PO files', () => {
+    const testLocaleDir = path.join(__dirname, 'po-locale-test');
+    const testLocalesDir = path.join(testLocaleDir, 'locales');
+    const exportDir = path.join(testLocaleDir, 'export');
+
+    if (fs.existsSync(testLocaleDir)) {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+    fs.mkdirSync(testLocalesDir, { recursive: true });
+    fs.writeFileSync(path.join(testLocalesDir, 'en.json'), JSON.stringify({
+      common: { save: 'Save', cancel: 'Cancel', count: 3 },
+      home: { title: 'Welcome' }
+    }, null, 2));
+    fs.writeFileSync(path.join(testLocalesDir, 'fr.json'), JSON.stringify({ common: { save: 'Enregistrer' } }, null, 2));
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir));
+      const files = suppressConsoleOutput(() => testHelper.exportTranslations(exportDir, { format: 'po' }));
+      assert.deepStrictEqual(files.map(file => path.basename(file)), ['messages.pot', 'en.po', 'fr.po']);
+
+      const frSource = fs.readFileSync(path.join(exportDir, 'fr.po'), 'utf8');
+      assert.ok(frSource.includes('"Language: fr\\n"'));
+      assert.ok(frSource.includes('msgctxt "common.save"\nmsgid "Save"\nmsgstr "Enregistrer"\n'));
+      assert.ok(frSource.includes('msgctxt "home.title"\nmsgid "Welcome"\nmsgstr ""\n'));
+      assert.ok(!frSource.includes('common.count'), 'non-string values are not exported');
+
+      // The translator fills in one entry and marks another as fuzzy
+      fs.writeFileSync(path.join(exportDir, 'fr.po'), frSource
+        .replace('msgid "Welcome"\nmsgstr ""', 'msgid "Welcome"\nmsgstr "Bienvenue"')
+        .replace('msgctxt "common.cancel"\nmsgid "Cancel"\nmsgstr ""', '#, fuzzy\nmsgctxt "common.cancel"\nmsgid "Cancel"\nmsgstr "Annuler"'));
+
+      const summary = suppressConsoleOutput(() => testHelper.importTranslations(path.join(exportDir, 'fr.po')));
+      assert.deepStrictEqual(summary.fr, { added: 1, changed: 0, unchanged: 1, untranslated: 0, fuzzy: [], skipped: ['common.cancel'], orphaned: [], reviewed: [], edited: [] });
+      assert.strictEqual(testHelper.get('fr', 'home.title'), 'Bienvenue');
+      assert.strictEqual(testHelper.get('fr', 'common.cancel'), null);
+
+      const fuzzySummary = suppressConsoleOutput(() => testHelper.importTranslations([exportDir], { includeFuzzy: true }));
+      assert.deepStrictEqual(fuzzySummary.fr.fuzzy, ['common.cancel']);
+      assert.strictEqual(testHelper.get('fr', 'common.cancel'), 'Annuler');
+      assert.strictEqual(testHelper.get('en', 'common.save'), 'Save');
+    } finally {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+  });
+
+  test('should round-trip XLIFF files', () => {
+    const testLocaleDir = path.join(__dirname, 'xliff-locale-test');
+    const testLocalesDir = path.join(testLocaleDir, 'locales');
+    const exportDir = path.join(testLocaleDir, 'export');
+
+    if (fs.existsSync(testLocaleDir)) {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+    fs.mkdirSync(testLocalesDir, { recursive: true });
+    fs.writeFileSync(path.join(testLocalesDir, 'en.json'), JSON.stringify({
+      common: { save: 'Save', cancel: 'Cancel' }
+    }, null, 2));
+    fs.writeFileSync(path.join(testLocalesDir, 'de.json'), JSON.stringify({ common: { save: 'Speichern' } }, null, 2));
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir, { config: { rootDir: testLocaleDir, commands: {} } }));
+      const files = suppressConsoleOutput(() => testHelper.exportTranslations(exportDir, { format: 'xliff', xliffVersion: '2.0' }));
+      assert.deepStrictEqual(files.map(file => path.basename(file)), ['de.xlf']);
+
+      const source = fs.readFileSync(files[0], 'utf8');
+      assert.ok(source.includes('srcLang="en" trgLang="de"'));
+      assert.ok(source.includes('<segment state="translated">\n        <source>Save</source>\n        <target>Speichern</target>'));
+      assert.ok(source.includes('<segment state="initial">\n        <source>Cancel</source>\n      </segment>'));
+
+      // The CAT tool translates one unit; another key was removed from the base locale meanwhile
+      fs.writeFileSync(files[0], source
+        .replace('<segment state="initial">\n        <source>Cancel</source>', '<segment state="final">\n        <source>Cancel</source>\n        <target>Abbrechen</target>')
+        .replace('</file>', '<unit id="common.old"><segment state="translated"><source>Old</source><target>Alt</target></segment></unit>\n  </file>'));
+
+      const summary = suppressConsoleOutput(() => testHelper.importTranslations(exportDir));
+      assert.deepStrictEqual(summary.de, {
+        added: 1, changed: 0, unchanged: 1, untranslated: 0, fuzzy: [], skipped: [], orphaned: ['common.old'], reviewed: ['common.cancel'], edited: []
+      });
+      assert.deepStrictEqual(testHelper.loadLocale('de'), { common: { save: 'Speichern', cancel: 'Abbrechen' } });
+
+      // The signed-off unit is exported as final; units are imported only when their state changes
+      const [xliff12] = suppressConsoleOutput(() => testHelper.exportTranslations(exportDir, { format: 'xliff' }));
+      const exported = fs.readFileSync(xliff12, 'utf8');
+      assert.ok(exported.includes('<target state="final">Abbrechen</target>'));
+      assert.ok(exported.includes('<target state="translated">Speichern</target>'));
+
+      fs.writeFileSync(xliff12, exported
+        .replace('<target state="final">Abbrechen</target>', '<target state="final">Abbrechen!</target>')
+        .replace('<target state="translated">Speichern</target>', '<target state="signed-off">Sichern</target>'));
+      const second = suppressConsoleOutput(() => testHelper.importTranslations(exportDir));
+      assert.deepStrictEqual(second.de, {
+        added: 0, changed: 1, unchanged: 0, untranslated: 0, fuzzy: [], skipped: [], orphaned: [], reviewed: ['common.save'], edited: ['common.cancel']
+      });
+      assert.deepStrictEqual(testHelper.loadLocale('de'), { common: { save: 'Sichern', cancel: 'Abbrechen' } });
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(testLocaleDir, '.vibei18n-review.json'), 'utf8')), {
+        de: { 'common.cancel': 'Abbrechen', 'common.save': 'Sichern' }
+      });
+    } finally {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+  });
+
+  test('should export and import CSV spreadsheets', () => {
+    const testLocaleDir = path.join(__dirname, 'csv-locale-test');
+    const testLocalesDir = path.join(testLocaleDir, 'locales');
+    const exportDir = path.join(testLocaleDir, 'export');
+
+    if (fs.existsSync(testLocaleDir)) {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+    fs.mkdirSync(testLocalesDir, { recursive: true });
+    fs.writeFileSync(path.join(testLocalesDir, 'en.json'), JSON.stringify({
+      common: { save: 'Save', cancel: 'Cancel' },
+      home: { intro: 'Hello' }
+    }, null, 2));
+    fs.writeFileSync(path.join(testLocalesDir, 'de.json'), JSON.stringify({ common: { save: 'Speichern' } }, null, 2));
+    fs.writeFileSync(path.join(testLocalesDir, 'fr.json'), JSON.stringify({ common: { save: 'Enregistrer' } }, null, 2));
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir));
+      const [csvPath] = suppressConsoleOutput(() => testHelper.exportTranslations(exportDir, { format: 'csv' }));
+      assert.strictEqual(fs.readFileSync(csvPath, 'utf8'), [
+        '\ufeffkey,en,de,fr',
+        'common.save,Save,Speichern,Enregistrer',
+        'common.cancel,Cancel,,',
+        'home.intro,Hello,,',
+        ''
+      ].join('\r\n'));
+
+      // Edited in a spreadsheet: a multi-line cell, a changed cell and an added cell
+      fs.writeFileSync(csvPath, [
+        '\ufeffkey,en,de,fr',
+        'common.save,Save,Sichern,Enregistrer',
+        'common.cancel,Cancel,Abbrechen,',
+        'home.intro,"Hello,\r\nworld",,',
+        ''
+      ].join('\r\n'));
+
+      const summary = suppressConsoleOutput(() => testHelper.importTranslations(csvPath));
+      assert.deepStrictEqual(
+        Object.fromEntries(Object.entries(summary).map(([locale, result]) => [locale, [result.added, result.changed, result.unchanged]])),
+        { en: [0, 1, 2], de: [1, 1, 0], fr: [0, 0, 1] }
+      );
+      assert.strictEqual(testHelper.get('en', 'home.intro'), 'Hello,\nworld');
+      assert.deepStrictEqual(testHelper.loadLocale('de'), { common: { save: 'Sichern', cancel: 'Abbrechen' } });
+    } finally {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+  });
+
+  test('should export and import Android, iOS and Flutter resources', () => {
+    const testLocaleDir = path.join(__dirname, 'mobile-locale-test');
+    const testLocalesDir = path.join(testLocaleDir, 'locales');
+    const exportDir = path.join(testLocaleDir, 'export');
+
+    if (fs.existsSync(testLocaleDir)) {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+    fs.mkdirSync(testLocalesDir, { recursive: true });
+    fs.writeFileSync(path.join(testLocalesDir, 'en.json'), JSON.stringify({
+      home: { title: 'Home', cart: { one: '{count} item', other: '{count} items' } }
+    }, null, 2));
+    fs.writeFileSync(path.join(testLocalesDir, 'pl-PL.json'), JSON.stringify({
+      home: { cart: { one: '{count} produkt', other: '{count} produktu' } }
+    }, null, 2));
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir));
+      for (const format of ['android', 'ios', 'arb']) {
+        suppressConsoleOutput(() => testHelper.exportTranslations(path.join(exportDir, format), { format }));
+      }
+
+      const androidPl = path.join(exportDir, 'android', 'values-pl-rPL', 'strings.xml');
+      assert.strictEqual(fs.readFileSync(androidPl, 'utf8'), [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<resources>',
+        '    <plurals name="home_cart">',
+        '        <item quantity="one">{count} produkt</item>',
+        '        <item quantity="other">{count} produktu</item>',
+        '    </plurals>',
+        '</resources>',
+        ''
+      ].join('\n'));
+      assert.ok(fs.existsSync(path.join(exportDir, 'ios', 'pl-PL.lproj', 'Localizable.stringsdict')));
+      assert.strictEqual(JSON.parse(fs.readFileSync(path.join(exportDir, 'arb', 'app_en.arb'), 'utf8')).homeTitle, 'Home');
+
+      // Translators add a title and the Polish 'few' form, which English does not have
+      fs.writeFileSync(androidPl, fs.readFileSync(androidPl, 'utf8')
+        .replace('<resources>', '<resources>\n    <string name="home_title">Strona główna</string>')
+        .replace('<item quantity="other">', '<item quantity="few">{count} produkty</item>\n        <item quantity="other">'));
+      fs.writeFileSync(path.join(exportDir, 'arb', 'app_pl_PL.arb'), JSON.stringify({ '@@locale': 'pl_PL', homeOld: 'Stary' }));
+
+      const summary = suppressConsoleOutput(() => testHelper.importTranslations([path.join(exportDir, 'android'), path.join(exportDir, 'arb')]));
+      assert.strictEqual(summary['pl-PL'].added, 2);
+      assert.deepStrictEqual(summary['pl-PL'].orphaned, ['homeOld']);
+      assert.deepStrictEqual(testHelper.loadLocale('pl-PL'), {
+        home: {
+          cart: { one: '{count} produkt', other: '{count} produktu', few: '{count} produkty' },
+          title: 'Strona główna'
+        }
+      });
+
+      // Keys that share a resource name are neither exported nor resolved on import
+      suppressConsoleOutput(() => testHelper.batchUpdate({ en: { 'a.b_c': 'One', 'a_b.c': 'Two' } }));
+      assert.strictEqual(suppressConsoleOutput(() => testHelper.exportTranslations(path.join(exportDir, 'clash'), { format: 'android' })), null);
+      assert.ok(!fs.existsSync(path.join(exportDir, 'clash')));
+
+      fs.writeFileSync(androidPl, '<resources>\n    <string name="a_b_c">Jeden</string>\n</resources>\n');
+      assert.strictEqual(suppressConsoleOutput(() => testHelper.importTranslations(path.join(exportDir, 'android'))), null);
+      assert.strictEqual(testHelper.get('pl-PL', 'a'), null);
+      assert.strictEqual(testHelper.get('en', 'a_b.c'), 'Two');
+    } finally {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+  });
+
+  test('should cache locale documents and batch writes', () => {
+    const testLocaleDir = path.join(__dirname, 'cache-locale-test');
+    const testLocalesDir = path.join(testLocaleDir, 'locales');
+
+    if (fs.existsSync(testLocaleDir)) {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+    fs.mkdirSync(testLocalesDir, { recursive: true });
+    fs.writeFileSync(path.join(testLocalesDir, 'en.json'), JSON.stringify({ a: { b: 'B' } }, null, 2));
+    fs.writeFileSync(path.join(testLocalesDir, 'fr.json'), JSON.stringify({ a: { b: 'B (fr)' } }, null, 2));
+
+    const originalReadFileSync = fs.readFileSync;
+    const originalRenameSync = fs.renameSync;
+    const originalStatSync = fs.statSync;
+    const reads = [];
+    const writes = [];
+    let stats = 0;
+    fs.readFileSync = (file, ...args) => {
+      reads.push(path.basename(String(file)));
+      return originalReadFileSync(file, ...args);
+    };
+    // Locale files are written to a temporary file and renamed into place
+    fs.renameSync = (from, to) => {
+      writes.push(path.basename(to));
+      return originalRenameSync(from, to);
+    };
+    fs.statSync = (...args) => {
+      stats++;
+      return originalStatSync(...args);
+    };
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir));
+      assert.strictEqual(testHelper.get('en', 'a.b'), 'B');
+      stats = 0;
+      for (let i = 0; i < 20; i++) {
+        assert.strictEqual(testHelper.get('en', 'a.b'), 'B');
+      }
+      assert.strictEqual(stats, 20, 'a cached document is checked with one stat per read');
+      suppressConsoleOutput(() => testHelper.getStats());
+      assert.deepStrictEqual(reads, ['en.json', 'fr.json']);
+
+      // Copies are handed out, so callers can't corrupt the cache
+      testHelper.loadLocale('en').a.b = 'changed';
+      testHelper.get('en', 'a').b = 'changed';
+      assert.strictEqual(testHelper.get('en', 'a.b'), 'B');
+
+      // One write per locale for a batch of updates
+      suppressConsoleOutput(() => testHelper.batchUpdate({
+        en: { 'a.c': 'C', 'a.d': 'D', 'e.f': 'F' },
+        fr: { 'a.c': 'C (fr)', 'a.d': 'D (fr)' }
+      }));
+      assert.deepStrictEqual(writes.sort(), ['en.json', 'fr.json']);
+
+      writes.length = 0;
+      const result = suppressConsoleOutput(() => testHelper.batch(() => {
+        testHelper.set('en', 'x', 'X');
+        testHelper.set('en', 'y', 'Y');
+        assert.deepStrictEqual(writes, [], 'nothing is written before the batch ends');
+        return testHelper.get('en', 'y');
+      }));
+      assert.strictEqual(result, 'Y');
+      assert.deepStrictEqual(writes, ['en.json']);
+      assert.strictEqual(JSON.parse(originalReadFileSync(path.join(testLocalesDir, 'en.json'), 'utf8')).x, 'X');
+
+      // A batch that throws writes nothing and leaves the cache as on disk
+      writes.length = 0;
+      assert.throws(() => suppressConsoleOutput(() => testHelper.batch(() => {
+        testHelper.set('en', 'x', 'Partial');
+        testHelper.set('fr', 'x', 'Partiel');
+        throw new Error('validation failed');
+      })), /validation failed/);
+      assert.deepStrictEqual(writes, []);
+      assert.strictEqual(testHelper.get('en', 'x'), 'X');
+      assert.strictEqual(testHelper.get('fr', 'x'), null);
+
+      // Files changed on disk are re-read
+      fs.writeFileSync(path.join(testLocalesDir, 'fr.json'), JSON.stringify({ a: { b: 'Modifié ailleurs' } }));
+      assert.strictEqual(testHelper.get('fr', 'a.b'), 'Modifié ailleurs');
+    } finally {
+      fs.readFileSync = originalReadFileSync;
+      fs.renameSync = originalRenameSync;
+      fs.statSync = originalStatSync;
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+  });
+
+  test('should write atomically and restore backups', () => {
+    const testRoot = path.join(__dirname, 'backup-locale-test');
+    const testLocalesDir = path.join(testRoot, 'locales');
+
+    if (fs.existsSync(testRoot)) {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+    fs.mkdirSync(testLocalesDir, { recursive: true });
+    fs.writeFileSync(path.join(testLocalesDir, 'en.json'), JSON.stringify({ title: 'v1' }, null, 2));
+
+    const originalFsyncSync = fs.fsyncSync;
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir, { backupDir: true, maxBackups: 3, config: { rootDir: testRoot, commands: {} } }));
+      assert.strictEqual(testHelper.backupDir, path.join(testRoot, '.vibei18n-backups'));
+      const noConfigHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir, { backupDir: true }));
+      assert.strictEqual(noConfigHelper.backupDir, path.join(process.cwd(), '.vibei18n-backups'), 'without a config, backups stay in the current directory');
+
+      // A failed write leaves the old file and no temporary file behind
+      fs.fsyncSync = () => {
+        throw new Error('ENOSPC: no space left on device');
+      };
+      assert.throws(() => suppressConsoleOutput(() => testHelper.set('en', 'title', 'broken')), /ENOSPC/);
+      fs.fsyncSync = originalFsyncSync;
+      assert.deepStrictEqual(fs.readdirSync(testLocalesDir), ['en.json']);
+      assert.strictEqual(JSON.parse(fs.readFileSync(path.join(testLocalesDir, 'en.json'), 'utf8')).title, 'v1');
+
+      const fresh = suppressConsoleOutput(() => new I18nHelper(testLocalesDir, { backupDir: true, maxBackups: 3, config: { rootDir: testRoot, commands: {} } }));
+      suppressConsoleOutput(() => {
+        fresh.set('en', 'title', 'v2');
+        fresh.batchUpdate({ en: { title: 'v3', subtitle: 'new' } });
+        fresh.saveLocale('fr', { title: 'v1 (fr)' });
+      });
+
+      const backups = fresh.listBackups();
+      assert.strictEqual(backups.length, 3, 'the oldest snapshot is pruned');
+      assert.deepStrictEqual(backups.map(backup => backup.locales), [['fr'], ['en'], ['en']]);
+      assert.deepStrictEqual(backups[0].files, [{ file: 'fr.json', locale: 'fr', existed: false }]);
+
+      // Roll en back to before the batch update
+      const restored = suppressConsoleOutput(() => fresh.restoreBackup(backups[1].id, { locales: ['en'] }));
+      assert.deepStrictEqual(restored, ['en.json']);
+      assert.strictEqual(fresh.get('en', 'title'), 'v2');
+      assert.strictEqual(fresh.get('en', 'subtitle'), null);
+
+      // The restore was backed up too, and undoing the fr snapshot removes the new file
+      assert.deepStrictEqual(fresh.listBackups()[0].locales, ['en']);
+      suppressConsoleOutput(() => fresh.restoreBackup(backups[0].id));
+      assert.deepStrictEqual(fresh.getLocales(), ['en']);
+
+      assert.strictEqual(suppressConsoleOutput(() => fresh.restoreBackup('1999-01-01T00-00-00-000Z')), null);
+    } finally {
+      fs.fsyncSync = originalFsyncSync;
+      fs.rmSync(testRoot, { recursive: true });
+    }
+  });
+
+  test('should delete keys and prune emptied parents', () => {
+    const testLocaleDir = path.join(__dirname, 'delete-locale-test');
+    const testLocalesDir = path.join(testLocaleDir, 'locales');
+
+    if (fs.existsSync(testLocaleDir)) {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+    fs.mkdirSync(testLocalesDir, { recursive: true });
+    const content = { page: { banner: { text: 'Sale!' }, title: 'Title' }, promo: { spring: { headline: 'Spring' } } };
+    fs.writeFileSync(path.join(testLocalesDir, 'en.json'), JSON.stringify(content, null, 2));
+    fs.writeFileSync(path.join(testLocalesDir, 'fr.json'), JSON.stringify({ page: { title: 'Titre' } }, null, 2));
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir));
+
+      const preview = suppressConsoleOutput(() => testHelper.delete('page.banner.text', null, { dryRun: true }));
+      assert.deepStrictEqual(preview.en, { removed: true, value: 'Sale!', pruned: ['page.banner'] });
+      assert.strictEqual(preview.fr.removed, false);
+      assert.strictEqual(testHelper.get('en', 'page.banner.text'), 'Sale!', 'dry runs do not write');
+
+      suppressConsoleOutput(() => testHelper.delete('page.banner.text'));
+      suppressConsoleOutput(() => testHelper.delete('promo.spring.headline', ['en']));
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(testLocalesDir, 'en.json'), 'utf8')), { page: { title: 'Title' } });
+
+      // Subtrees can be deleted too, and other locales are left alone when a list is given
+      const results = suppressConsoleOutput(() => testHelper.delete('page', ['fr', 'de']));
+      assert.deepStrictEqual(results.fr, { removed: true, value: { title: 'Titre' }, pruned: [] });
+      assert.strictEqual(results.de.removed, false);
+      assert.deepStrictEqual(testHelper.loadLocale('fr'), {});
+      assert.strictEqual(testHelper.get('en', 'page.title'), 'Title');
+    } finally {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+  });
+
+  test('should rename keys in locales and source files', () => {
+    const testRoot = path.join(__dirname, 'rename-locale-test');
+    const testLocalesDir = path.join(testRoot, 'locales');
+    const srcDir = path.join(testRoot, 'src');
+
+    if (fs.existsSync(testRoot)) {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+    fs.mkdirSync(testLocalesDir, { recursive: true });
+    fs.mkdirSync(path.join(srcDir, 'node_modules'), { recursive: true });
+    fs.writeFileSync(path.join(testLocalesDir, 'en.json'), JSON.stringify({
+      homepage: { hero: { title: 'Welcome', cta: 'Start' } },
+      landing: { footer: 'Footer' }
+    }, null, 2));
+    fs.writeFileSync(path.join(testLocalesDir, 'fr.json'), JSON.stringify({ homepage: { hero: { title: 'Bienvenue' }, intro: 'Salut' } }, null, 2));
+    fs.writeFileSync(path.join(srcDir, 'Hero.vue'), [
+      '<template>',
+      '  <h1>{{ $t(\'homepage.hero.title\') }}</h1>',
+      '  <button :title="$t(\'homepage.hero.cta\')">{{ $t("homepage.heroes") }}</button>',
+      '</template>'
+    ].join('\n'));
+    fs.writeFileSync(path.join(srcDir, 'node_modules', 'Lib.vue'), '{{ $t(\'homepage.hero.title\') }}');
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir));
+      const result = suppressConsoleOutput(() => testHelper.rename('homepage.hero', 'landing.hero', { projectDir: srcDir }));
+
+      assert.deepStrictEqual(result.locales, { en: 2, fr: 1 });
+      assert.deepStrictEqual(result.files, {
+        'Hero.vue': [
+          { line: 2, from: 'homepage.hero.title', to: 'landing.hero.title' },
+          { line: 3, from: 'homepage.hero.cta', to: 'landing.hero.cta' }
+        ]
+      });
+      assert.deepStrictEqual(testHelper.loadLocale('en'), {
+        landing: { footer: 'Footer', hero: { title: 'Welcome', cta: 'Start' } }
+      });
+      assert.deepStrictEqual(testHelper.loadLocale('fr'), { homepage: { intro: 'Salut' }, landing: { hero: { title: 'Bienvenue' } } });
+
+      const source = fs.readFileSync(path.join(srcDir, 'Hero.vue'), 'utf8');
+      assert.ok(source.includes('{{ $t(\'landing.hero.title\') }}'));
+      assert.ok(source.includes('$t("homepage.heroes")'), 'keys that only share a prefix are left alone');
+      assert.ok(fs.readFileSync(path.join(srcDir, 'node_modules', 'Lib.vue'), 'utf8').includes('homepage.hero.title'));
+
+      // An existing target aborts the rename before anything is written
+      assert.strictEqual(suppressConsoleOutput(() => testHelper.rename('homepage.intro', 'landing.hero.title', { projectDir: srcDir })), null);
+      assert.strictEqual(testHelper.get('fr', 'homepage.intro'), 'Salut');
+      assert.strictEqual(suppressConsoleOutput(() => testHelper.rename('nope', 'other', { projectDir: srcDir })), null);
+
+      // Entries that cannot be read are skipped, but errors from the visitor are not swallowed
+      fs.symlinkSync(path.join(srcDir, 'missing.vue'), path.join(srcDir, 'Broken.vue'));
+      const walkOptions = { extensions: ['.vue'], excludeDirs: ['node_modules'] };
+      const visited = [];
+      testHelper._walkProjectFiles(srcDir, walkOptions, (fullPath, relativePath) => visited.push(relativePath));
+      assert.deepStrictEqual(visited, ['Hero.vue']);
+      assert.throws(() => testHelper._walkProjectFiles(srcDir, walkOptions, () => {
+        throw new Error('disk full');
+      }), /disk full/);
+    } finally {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+  });
+
+  test('should find and prune unused keys', () => {
+    const testRoot = path.join(__dirname, 'unused-locale-test');
+    const testLocalesDir = path.join(testRoot, 'locales');
+    const srcDir = path.join(testRoot, 'src');
+
+    if (fs.existsSync(testRoot)) {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+    fs.mkdirSync(testLocalesDir, { recursive: true });
+    fs.mkdirSync(srcDir, { recursive: true });
+    fs.writeFileSync(path.join(testLocalesDir, 'en.json'), JSON.stringify({
+      nav: { home: 'Home', legacy: 'Old' },
+      errors: { network: 'Network error', timeout: 'Timeout' },
+      status: { order: { paid: 'Paid' } },
+      cart: { items: { one: '1 item', other: '{count} items' }, total: 'Total' },
+      promo: { spring: 'Spring sale' }
+    }, null, 2));
+    fs.writeFileSync(path.join(testLocalesDir, 'fr.json'), JSON.stringify({
+      nav: { home: 'Accueil', legacy: 'Ancien' },
+      obsolete: 'Only in fr'
+    }, null, 2));
+    fs.writeFileSync(path.join(srcDir, 'App.vue'), [
+      '<template>',
+      '  <a>{{ $t(\'nav.home\') }}</a>',
+      '  <span>{{ $t(\'cart.items\', { count }) }}</span>',
+      '</template>'
+    ].join('\n'));
+    // Keys used only in script modules count, and 'dist' excludes only directories of that name
+    fs.mkdirSync(path.join(srcDir, 'distribution'));
+    fs.writeFileSync(path.join(srcDir, 'distribution', 'useCart.ts'), 'export const total = () => t(\'cart.total\');\n');
+    fs.mkdirSync(path.join(srcDir, 'dist'));
+    fs.writeFileSync(path.join(srcDir, 'dist', 'bundle.js'), 'console.log(t(\'promo.spring\'));\n');
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir));
+      const allow = ['errors.*', 'status.**'];
+      const results = suppressConsoleOutput(() => testHelper.findUnusedKeys(srcDir, { allow }));
+
+      assert.deepStrictEqual(results.unusedKeys, ['nav.legacy', 'obsolete', 'promo.spring']);
+      assert.deepStrictEqual(results.allowedKeys, ['errors.network', 'errors.timeout', 'status.order.paid']);
+      assert.deepStrictEqual(results.unusedByLocale, { en: ['nav.legacy', 'promo.spring'], fr: ['nav.legacy', 'obsolete'] });
+      assert.strictEqual(results.usedKeys, 4, 'nav.home, cart.total and both plural forms of cart.items');
+
+      // Dry run by default
+      const preview = suppressConsoleOutput(() => testHelper.prune(srcDir, { allow }));
+      assert.deepStrictEqual(preview.removedByLocale, { en: 2, fr: 2 });
+      assert.strictEqual(testHelper.get('en', 'promo.spring'), 'Spring sale');
+
+      suppressConsoleOutput(() => testHelper.prune(srcDir, { allow, apply: true }));
+      assert.deepStrictEqual(testHelper.loadLocale('fr'), { nav: { home: 'Accueil' } });
+      assert.deepStrictEqual(Object.keys(testHelper.loadLocale('en')), ['nav', 'errors', 'status', 'cart']);
+    } finally {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+  });
+
+  test('should sync locale structure with the base locale', () => {
+    const testLocaleDir = path.join(__dirname, 'sync-locale-test');
+    const testLocalesDir = path.join(testLocaleDir, 'locales');
+
+    if (fs.existsSync(testLocaleDir)) {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+    fs.mkdirSync(testLocalesDir, { recursive: true });
+    fs.writeFileSync(path.join(testLocalesDir, 'en.json'), JSON.stringify({
+      nav: { home: 'Home', about: 'About' },
+      cart: { items: { one: '1 item', other: '{count} items' } },
+      footer: 'Footer'
+    }, null, 2));
+    fs.writeFileSync(path.join(testLocalesDir, 'pl.json'), JSON.stringify({
+      footer: 'Stopka',
+      cart: { items: { other: '{count} produktów', few: '{count} produkty', one: '1 produkt' } },
+      nav: { home: 'Start', legacy: 'Stare' }
+    }, null, 2));
+    fs.writeFileSync(path.join(testLocalesDir, 'de.json'), JSON.stringify({
+      nav: { home: 'Start', about: 'Über' },
+      cart: { items: { one: '1 Artikel', other: '{count} Artikel' } },
+      footer: 'Fußzeile'
+    }, null, 2));
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir));
+
+      const preview = suppressConsoleOutput(() => testHelper.sync({ fill: 'todo', dryRun: true }));
+      assert.strictEqual(preview.baseLocale, 'en');
+      assert.deepStrictEqual(preview.locales.pl, { added: ['nav.about'], removed: ['nav.legacy'], reordered: true });
+      assert.deepStrictEqual(preview.locales.de, { added: [], removed: [], reordered: false });
+      assert.strictEqual(testHelper.get('pl', 'nav.legacy'), 'Stare', 'dry runs do not write');
+
+      suppressConsoleOutput(() => testHelper.sync({ fill: 'todo' }));
+      const pl = JSON.parse(fs.readFileSync(path.join(testLocalesDir, 'pl.json'), 'utf8'));
+      assert.deepStrictEqual(pl, {
+        nav: { home: 'Start', about: '[TODO] About' },
+        cart: { items: { one: '1 produkt', few: '{count} produkty', other: '{count} produktów' } },
+        footer: 'Stopka'
+      });
+      assert.deepStrictEqual(Object.keys(pl), ['nav', 'cart', 'footer'], 'keys follow the base order');
+
+      // Other fill modes, and keeping extra keys
+      fs.writeFileSync(path.join(testLocalesDir, 'de.json'), JSON.stringify({ extra: 'Extra', nav: { about: 'Über' } }));
+      assert.strictEqual(suppressConsoleOutput(() => testHelper.sync({ fill: 'bogus' })), null);
+      suppressConsoleOutput(() => testHelper.sync({ fill: 'omit', removeExtra: false, locales: ['de'] }));
+      assert.deepStrictEqual(testHelper.loadLocale('de'), { nav: { about: 'Über' }, extra: 'Extra' });
+      suppressConsoleOutput(() => testHelper.sync({ fill: 'base', locales: ['de'] }));
+      assert.deepStrictEqual(testHelper.loadLocale('de'), {
+        nav: { home: 'Home', about: 'Über' },
+        cart: { items: { one: '1 item', other: '{count} items' } },
+        footer: 'Footer'
+      });
+      suppressConsoleOutput(() => testHelper.sync({ locales: ['de'] }));
+      assert.strictEqual(testHelper.get('de', 'footer'), 'Footer', 'existing values are never overwritten');
+    } finally {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+  });
+
+  test('should format locale files deterministically', () => {
+    const testLocaleDir = path.join(__dirname, 'format-locale-test');
+    const testLocalesDir = path.join(testLocaleDir, 'locales');
+
+    if (fs.existsSync(testLocaleDir)) {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+    fs.mkdirSync(testLocalesDir, { recursive: true });
+    fs.writeFileSync(path.join(testLocalesDir, 'en.json'), JSON.stringify({ nav: { home: 'Home', about: 'About' }, cart: 'Cart' }, null, 2) + '\n');
+    fs.writeFileSync(path.join(testLocalesDir, 'fr.json'), JSON.stringify({
+      cart: 'Panier',
+      nav: { about: 'À propos', home: 'Accueil' },
+      items: { other: 'articles', one: 'article' }
+    }));
+
+    try {
+      assert.throws(() => new I18nHelper(testLocalesDir, { formatting: { sortKeys: 'random' } }), /Unknown key order/);
+
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir, { formatting: { sortKeys: 'base', indent: 4, eol: 'crlf' } }));
+      const check = suppressConsoleOutput(() => testHelper.format({ check: true }));
+      assert.deepStrictEqual(check, { checked: 2, unformatted: ['en.json', 'fr.json'], errors: [] });
+      assert.ok(!fs.readFileSync(path.join(testLocalesDir, 'fr.json'), 'utf8').includes('\r\n'), 'check mode does not write');
+
+      suppressConsoleOutput(() => testHelper.format());
+      const fr = fs.readFileSync(path.join(testLocalesDir, 'fr.json'), 'utf8');
+      assert.strictEqual(fr, [
+        '{',
+        '    "nav": {',
+        '        "home": "Accueil",',
+        '        "about": "À propos"',
+        '    },',
+        '    "cart": "Panier",',
+        '    "items": {',
+        '        "one": "article",',
+        '        "other": "articles"',
+        '    }',
+        '}',
+        ''
+      ].join('\r\n'));
+      assert.deepStrictEqual(suppressConsoleOutput(() => testHelper.format({ check: true })).unformatted, []);
+
+      // Every save uses the same settings
+      const alphaHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir, { formatting: { sortKeys: 'alpha', indent: 'tab', finalNewline: false } }));
+      suppressConsoleOutput(() => alphaHelper.set('en', 'nav.contact', 'Contact'));
+      assert.strictEqual(
+        fs.readFileSync(path.join(testLocalesDir, 'en.json'), 'utf8'),
+        '{\n\t"cart": "Cart",\n\t"nav": {\n\t\t"about": "About",\n\t\t"contact": "Contact",\n\t\t"home": "Home"\n\t}\n}'
+      );
+
+      // Rails-style YAML files keep their locale root and are sorted inside it
+      const railsLocalesDir = path.join(testLocaleDir, 'rails');
+      fs.mkdirSync(railsLocalesDir);
+      fs.writeFileSync(path.join(railsLocalesDir, 'en.yml'), 'en:\n  zeta: Z\n  alpha: A\n');
+      const railsHelper = suppressConsoleOutput(() => new I18nHelper(railsLocalesDir, { formatting: { sortKeys: 'alpha' } }));
+      assert.deepStrictEqual(suppressConsoleOutput(() => railsHelper.format({ check: true })).unformatted, ['en.yml']);
+      suppressConsoleOutput(() => railsHelper.format());
+      assert.strictEqual(fs.readFileSync(path.join(railsLocalesDir, 'en.yml'), 'utf8'), 'en:\n  alpha: A\n  zeta: Z\n');
+    } finally {
+      fs.rmSync(testLocaleDir, { recursive: true });
+    }
+  });
+
+  test('should honour the project config file', async () => {
+    const testRoot = path.join(__dirname, 'config-locale-test');
+    const testLocalesDir = path.join(testRoot, 'app', 'locales');
+    const srcDir = path.join(testRoot, 'app', 'src');
+
+    if (fs.existsSync(testRoot)) {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+    fs.mkdirSync(testLocalesDir, { recursive: true });
+    fs.mkdirSync(path.join(srcDir, 'legacy'), { recursive: true });
+    fs.mkdirSync(path.join(srcDir, 'components'), { recursive: true });
+    fs.writeFileSync(path.join(testLocalesDir, 'fr.json'), JSON.stringify({ nav: { home: 'Accueil', about: 'À propos' } }));
+    fs.writeFileSync(path.join(testLocalesDir, 'en.json'), JSON.stringify({ nav: { home: 'Home' } }));
+    fs.writeFileSync(path.join(srcDir, 'components', 'Nav.vue'), '<template>{{ $t(\'nav.home\') }}</template>');
+    fs.writeFileSync(path.join(srcDir, 'legacy', 'Old.vue'), '<template>{{ $t(\'nav.about\') }}</template>');
+    fs.writeFileSync(path.join(testRoot, 'vibei18n.config.json'), JSON.stringify({
+      localesDir: 'app/locales',
+      baseLocale: 'fr',
+      sourceDir: 'app/src',
+      exclude: ['node_modules', '**/legacy/**'],
+      formatting: { indent: 4 },
+      format: 'yaml',
+      commands: { sync: { fill: 'todo' } }
+    }));
+
+    try {
+      assert.strictEqual(findConfigFile(srcDir), path.join(testRoot, 'vibei18n.config.json'));
+
+      const config = await loadConfig(findConfigFile(srcDir));
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(null, { config }));
+      assert.strictEqual(testHelper.getLocalesDir(), testLocalesDir);
+      assert.strictEqual(testHelper.detectBaseLocale(), 'fr');
+
+      // Source settings: the legacy directory is excluded, so nav.about is unused
+      const unused = suppressConsoleOutput(() => testHelper.findUnusedKeys());
+      assert.deepStrictEqual(unused.unusedKeys, ['nav.about']);
+
+      // Per-command defaults, and explicit options win over them
+      suppressConsoleOutput(() => testHelper.sync({ dryRun: false }));
+      assert.strictEqual(testHelper.get('en', 'nav.about'), '[TODO] À propos');
+      assert.ok(fs.readFileSync(path.join(testLocalesDir, 'en.json'), 'utf8').includes('\n        "about"'));
+      suppressConsoleOutput(() => testHelper.delete('nav.about', ['en']));
+      suppressConsoleOutput(() => testHelper.sync({ fill: 'base' }));
+      assert.strictEqual(testHelper.get('en', 'nav.about'), 'À propos');
+
+      const overridden = suppressConsoleOutput(() => new I18nHelper(null, { config, formatting: { indent: 2 } }));
+      assert.strictEqual(overridden.formatting.indent, 2);
+
+      // New locales and namespaces are created in the configured format; existing files keep theirs
+      suppressConsoleOutput(() => testHelper.saveLocale('de', { nav: { home: 'Start' } }));
+      assert.strictEqual(fs.readFileSync(path.join(testLocalesDir, 'de.yml'), 'utf8'), 'nav:\n    home: Start\n');
+      assert.ok(fs.existsSync(path.join(testLocalesDir, 'en.json')));
+      const namespacedDir = path.join(testRoot, 'namespaced');
+      const namespacedHelper = suppressConsoleOutput(() => new I18nHelper(namespacedDir, { config, layout: 'namespaced' }));
+      suppressConsoleOutput(() => namespacedHelper.saveLocale('de', { common: { save: 'Speichern' } }));
+      assert.deepStrictEqual(fs.readdirSync(path.join(namespacedDir, 'de')), ['common.yml']);
+
+      fs.writeFileSync(path.join(testRoot, 'vibei18n.config.json'), JSON.stringify({ format: 'toml' }));
+      await assert.rejects(() => I18nHelper.fromConfig({ configPath: path.join(testRoot, 'vibei18n.config.json') }), /unknown locale format "toml"/);
+
+      fs.writeFileSync(path.join(testRoot, 'vibei18n.config.json'), JSON.stringify({ localesDirectory: 'x' }));
+      await assert.rejects(() => I18nHelper.fromConfig({ configPath: path.join(testRoot, 'vibei18n.config.json') }), /unknown option "localesDirectory"/);
+    } finally {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+  });
+
+  test('should report only hardcoded strings missing from the baseline', () => {
+    const testRoot = path.join(__dirname, 'baseline-locale-test');
+    const srcDir = path.join(testRoot, 'src');
+    const baselinePath = path.join(testRoot, 'vibei18n.baseline.json');
+
+    if (fs.existsSync(testRoot)) {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+    fs.mkdirSync(path.join(testRoot, 'locales'), { recursive: true });
+    fs.mkdirSync(srcDir, { recursive: true });
+    fs.writeFileSync(path.join(testRoot, 'locales', 'en.json'), JSON.stringify({ title: 'Title' }));
+    fs.writeFileSync(path.join(srcDir, 'Legacy.vue'), [
+      '<template>',
+      '  <h1>Welcome to our site</h1>',
+      '  <p>Contact our team</p>',
+      '  <p>Contact our team</p>',
+      '</template>'
+    ].join('\n'));
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(path.join(testRoot, 'locales')));
+      const recorded = suppressConsoleOutput(() => testHelper.updateHardcodedBaseline(srcDir, { baseline: baselinePath }));
+      assert.deepStrictEqual(recorded, { baselinePath, findings: 3, entries: 2 });
+      const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+      assert.deepStrictEqual(baseline.entries.map(entry => [entry.file, entry.text, entry.count]), [
+        ['src/Legacy.vue', 'Contact our team', 2],
+        ['src/Legacy.vue', 'Welcome to our site', 1]
+      ]);
+
+      // Moved lines still match; a new string and a third copy are reported; a removed one is fixed
+      fs.writeFileSync(path.join(srcDir, 'Legacy.vue'), [
+        '<template>',
+        '  <div>',
+        '    <p>Contact our team</p>',
+        '    <p>Contact our team</p>',
+        '    <p>Contact our team</p>',
+        '    <p>Brand new text here</p>',
+        '  </div>',
+        '</template>'
+      ].join('\n'));
+      const compared = suppressConsoleOutput(() => testHelper.compareHardcodedBaseline(srcDir, { baseline: baselinePath }));
+      assert.strictEqual(compared.baselinePath, baselinePath);
+      assert.strictEqual(compared.baselined, 2);
+      assert.deepStrictEqual(compared.findings.map(finding => [finding.line, finding.text]), [
+        [5, 'Contact our team'],
+        [6, 'Brand new text here']
+      ]);
+      assert.deepStrictEqual(compared.fixed, [{ file: 'src/Legacy.vue', text: 'Welcome to our site', count: 1 }]);
+
+      // Paths are relative to the baseline file, so scanning from another directory matches too
+      const fromRoot = suppressConsoleOutput(() => testHelper.compareHardcodedBaseline(testRoot, { baseline: baselinePath }));
+      assert.strictEqual(fromRoot.baselined, 2);
+      assert.deepStrictEqual(fromRoot.findings.map(finding => [finding.file, finding.line]), [
+        [path.join('src', 'Legacy.vue'), 5],
+        [path.join('src', 'Legacy.vue'), 6]
+      ]);
+
+      // Without a baseline file every finding is new
+      const unbaselined = suppressConsoleOutput(() => testHelper.compareHardcodedBaseline(srcDir, { baseline: path.join(testRoot, 'none.json') }));
+      assert.strictEqual(unbaselined.baselinePath, null);
+      assert.strictEqual(unbaselined.findings.length, 4);
+
+      fs.writeFileSync(baselinePath, '{"entries": {}}');
+      assert.strictEqual(suppressConsoleOutput(() => testHelper.compareHardcodedBaseline(srcDir, { baseline: baselinePath })), null);
+    } finally {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+  });
+
+  test('should honour vibei18n suppression comments', () => {
+    const testRoot = path.join(__dirname, 'suppress-locale-test');
+    const srcDir = path.join(testRoot, 'src');
+
+    if (fs.existsSync(testRoot)) {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+    fs.mkdirSync(path.join(testRoot, 'locales'), { recursive: true });
+    fs.mkdirSync(srcDir, { recursive: true });
+    fs.writeFileSync(path.join(testRoot, 'locales', 'en.json'), JSON.stringify({ title: 'Title' }));
+    fs.writeFileSync(path.join(srcDir, 'Footer.vue'), [
+      '<template>',
+      '  <!-- vibei18n-ignore -->',
+      '  <h1>Acme Rocket Company</h1>',
+      '  <p>Terms and conditions apply</p> <!-- vibei18n-ignore legal text -->',
+      '  <p>Welcome to our store</p>',
+      '  <!-- vibei18n-disable -->',
+      '  <span>Debug panel here</span>',
+      '  <!-- vibei18n-enable -->',
+      '  <p>Hello there friend</p>',
+      '</template>'
+    ].join('\n'));
+    fs.writeFileSync(path.join(srcDir, 'notify.js'), [
+      '// vibei18n-ignore-next-line brand name',
+      'showMessage("Acme Rocket Incorporated");',
+      'showMessage("Please try again later");'
+    ].join('\n'));
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(path.join(testRoot, 'locales')));
+      const options = { extensions: ['.vue', '.js'], baseline: path.join(testRoot, 'none.json') };
+
+      const findings = suppressConsoleOutput(() => testHelper.checkHardcodedStrings(srcDir, options));
+      assert.deepStrictEqual(findings.map(finding => [finding.file, finding.line]), [
+        ['Footer.vue', 5],
+        ['Footer.vue', 9],
+        ['notify.js', 3]
+      ]);
+
+      const { suppressed } = suppressConsoleOutput(() => testHelper.compareHardcodedBaseline(srcDir, options));
+      assert.deepStrictEqual(suppressed, [
+        { file: 'Footer.vue', line: 3, text: 'Acme Rocket Company', directive: 'vibei18n-ignore' },
+        { file: 'Footer.vue', line: 4, text: 'Terms and conditions apply', directive: 'vibei18n-ignore' },
+        { file: 'Footer.vue', line: 7, text: 'Debug panel here', directive: 'vibei18n-disable' },
+        { file: 'notify.js', line: 2, text: 'Acme Rocket Incorporated', directive: 'vibei18n-ignore-next-line' }
+      ]);
+    } finally {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+  });
+
+  test('should extract translation keys from scripts, templates and JSX', () => {
+    const testRoot = path.join(__dirname, 'extract-locale-test');
+    const testLocalesDir = path.join(testRoot, 'locales');
+    const srcDir = path.join(testRoot, 'src');
+
+    if (fs.existsSync(testRoot)) {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+    fs.mkdirSync(testLocalesDir, { recursive: true });
+    fs.mkdirSync(srcDir, { recursive: true });
+    fs.writeFileSync(path.join(testLocalesDir, 'en.json'), JSON.stringify({ errors: { network: 'Network error' } }));
+    fs.writeFileSync(path.join(srcDir, 'Menu.vue'), [
+      '<template>',
+      '  <i18n-t keypath="menu.terms" tag="p"><a>{{ $t(\'menu.link\') }}</a></i18n-t>',
+      '  <span v-t="\'menu.title\'" :title="$t(`menu.tooltip`)"></span>',
+      '  <span v-t="{ path: \'menu.subtitle\', args: { name } }"></span>',
+      '  <!-- {{ $t(\'menu.commented\') }} -->',
+      '</template>',
+      '<script setup>',
+      'const { t } = useI18n();',
+      'const label = t(',
+      '  "menu.label",',
+      '  { count: 2 }',
+      ');',
+      'const error = i18n.global.t(\'errors.network\');',
+      'const order = translate(\'order.total\');',
+      '</script>'
+    ].join('\n'));
+    fs.writeFileSync(path.join(srcDir, 'Home.jsx'), [
+      'export function Home() {',
+      '  const { t } = useTranslation(\'pages\', { keyPrefix: \'home\' });',
+      '  return (',
+      '    <div>',
+      '      <p>Don\'t miss {t(\'offer\')}</p>',
+      '      <Trans i18nKey="home.welcome">{t(\'title\')} {i18n.t(\'common:save\')}</Trans>',
+      '    </div>',
+      '  );',
+      '}'
+    ].join('\n'));
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir));
+      const options = { extensions: ['.vue', '.jsx'] };
+
+      const results = suppressConsoleOutput(() => testHelper.checkMissingTranslations(srcDir, options));
+      assert.strictEqual(results.foundKeys, 1, 'errors.network');
+      assert.deepStrictEqual([...results.missingKeysList].sort(), [
+        'common:save',
+        'home.offer',
+        'home.title',
+        'home.welcome',
+        'menu.label',
+        'menu.link',
+        'menu.subtitle',
+        'menu.terms',
+        'menu.title',
+        'menu.tooltip'
+      ]);
+      assert.deepStrictEqual(
+        results.missingUsages.filter(usage => usage.key === 'menu.label').map(usage => [usage.file, usage.line]),
+        [['Menu.vue', 9]]
+      );
+
+      // The list of translation functions is configurable; components and v-t don't depend on it
+      const custom = suppressConsoleOutput(() => testHelper.checkMissingTranslations(srcDir, { ...options, functions: ['translate'] }));
+      assert.deepStrictEqual([...custom.missingKeysList].sort(), ['home.welcome', 'menu.subtitle', 'menu.terms', 'menu.title', 'order.total']);
+
+      // i18next namespaces are split only when the config names a separator
+      const i18nextHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir, { config: { commands: {}, namespaceSeparator: ':' } }));
+      const namespaced = suppressConsoleOutput(() => i18nextHelper.checkMissingTranslations(srcDir, options));
+      assert.ok([...namespaced.missingKeysList].includes('common.save'));
+
+      // Renames rewrite every recognized call, whatever the function
+      const renamed = suppressConsoleOutput(() => testHelper.rename('errors.network', 'errors.offline', { projectDir: srcDir, extensions: ['.vue'] }));
+      assert.deepStrictEqual(renamed.files, { 'Menu.vue': [{ line: 13, from: 'errors.network', to: 'errors.offline' }] });
+      const source = fs.readFileSync(path.join(srcDir, 'Menu.vue'), 'utf8');
+      assert.ok(source.includes('i18n.global.t(\'errors.offline\')'));
+    } finally {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+  });
+
+  test('should match keys built at runtime against wildcard patterns', () => {
+    const testRoot = path.join(__dirname, 'dynamic-locale-test');
+    const testLocalesDir = path.join(testRoot, 'locales');
+    const srcDir = path.join(testRoot, 'src');
+
+    if (fs.existsSync(testRoot)) {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+    fs.mkdirSync(testLocalesDir, { recursive: true });
+    fs.mkdirSync(srcDir, { recursive: true });
+    fs.writeFileSync(path.join(testLocalesDir, 'en.json'), JSON.stringify({
+      errors: { network: 'Network error', http: { 404: 'Not found' } },
+      plan: { pro: { name: 'Pro', price: '$10' } },
+      faq: { ab: 'Question' },
+      legacy: 'Old'
+    }, null, 2));
+    fs.writeFileSync(path.join(srcDir, 'Plan.vue'), [
+      '<template>',
+      '  <p>{{ $t(`errors.${code}`) }}</p>',
+      '  <h2>{{ $t(\'plan.\' + tier + \'.name\') }}</h2>',
+      '  <span>{{ $t(`status.${state}`) }}</span>',
+      '  <span>{{ $t(item.label) }}</span>',
+      '  <dt>{{ $t(`faq.${id}?`) }}</dt>',
+      '</template>'
+    ].join('\n'));
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir));
+
+      const missing = suppressConsoleOutput(() => testHelper.checkMissingTranslations(srcDir));
+      assert.deepStrictEqual(missing.dynamicKeys.map(usage => [usage.pattern, usage.expression, usage.line, usage.matches]), [
+        ['errors.*', '`errors.${code}`', 2, 2],
+        ['plan.*.name', '\'plan.\' + tier + \'.name\'', 3, 1],
+        ['status.*', '`status.${state}`', 4, 0],
+        [null, 'item.label', 5, null],
+        // Static text is literal, so '?' doesn't match any character
+        ['faq.*\\?', '`faq.${id}?`', 6, 0]
+      ]);
+      assert.deepStrictEqual(missing.missingPatterns, ['faq.*\\?', 'status.*']);
+      assert.deepStrictEqual(missing.missingUsages, [
+        { pattern: 'status.*', expression: '`status.${state}`', file: 'Plan.vue', line: 4, column: 12 },
+        { pattern: 'faq.*\\?', expression: '`faq.${id}?`', file: 'Plan.vue', line: 6, column: 10 }
+      ]);
+
+      const unused = suppressConsoleOutput(() => testHelper.findUnusedKeys(srcDir));
+      assert.deepStrictEqual(unused.unusedKeys, ['faq.ab', 'legacy', 'plan.pro.price']);
+      assert.strictEqual(unused.dynamicKeys.length, 5);
+
+      // $t(item.label) may read any key, so pruning needs an allow list or --force
+      assert.strictEqual(suppressConsoleOutput(() => testHelper.prune(srcDir, { apply: true })), null);
+      assert.strictEqual(testHelper.get('en', 'legacy'), 'Old');
+      const pruned = suppressConsoleOutput(() => testHelper.prune(srcDir, { apply: true, force: true }));
+      assert.deepStrictEqual(pruned.removedByLocale, { en: 3 });
+      assert.strictEqual(testHelper.get('en', 'legacy'), null);
+    } finally {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+  });
+
+  test('should scan Vue single-file components block by block', () => {
+    const testRoot = path.join(__dirname, 'sfc-scan-test');
+
+    if (fs.existsSync(testRoot)) {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+    fs.mkdirSync(testRoot, { recursive: true });
+    fs.writeFileSync(path.join(testRoot, 'Editor.vue'), [
+      '<template>',
+      '  <p>',
+      '    This paragraph wraps',
+      '    across two lines',
+      '  </p>',
+      '  <button',
+      '    class="primary"',
+      '    @click="save(a > b)"',
+      '  >Save your changes</button>',
+      '  <pre>',
+      '    <span>Preformatted sample output</span>',
+      '  </pre>',
+      '  <!-- <p>Commented out text</p> -->',
+      '  <template v-if="ready"><em>Nested template text</em></template>',
+      '</template>',
+      '<script>',
+      'export default { data: () => ({ message: "Something went wrong" }) };',
+      '</script>',
+      '<style scoped>',
+      '.note::before { content: "Hello there friend"; }',
+      '</style>'
+    ].join('\n'));
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper());
+      const findings = suppressConsoleOutput(() => testHelper.checkHardcodedStrings(testRoot, { extensions: ['.vue'] }));
+
+      assert.deepStrictEqual(findings.map(finding => [finding.text, finding.line, finding.column, finding.endLine, finding.endColumn]), [
+        ['This paragraph wraps across two lines', 3, 5, 4, 21],
+        ['Save your changes', 9, 4, 9, 21],
+        ['Nested template text', 14, 30, 14, 50],
+        ['Something went wrong', 17, 42, 17, 64]
+      ]);
+      assert.strictEqual(findings[0].context, 'This paragraph wraps');
+    } finally {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+  });
+
+  test('should report literal values of translatable attributes', () => {
+    const testRoot = path.join(__dirname, 'attribute-scan-test');
+
+    if (fs.existsSync(testRoot)) {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+    fs.mkdirSync(testRoot, { recursive: true });
+    fs.writeFileSync(path.join(testRoot, 'Form.vue'), [
+      '<template>',
+      '  <input placeholder="Your email address" :title="$t(\'form.email\')" />',
+      '  <Button',
+      '    label="Save changes"',
+      '    icon="pi pi-check"',
+      '  />',
+      '  <input v-bind:placeholder="\'Bound literal\'" aria-label="Search the site">',
+      '  <img src="/logo.png" alt="/images/logo.png">',
+      '  <pre><abbr title="Hyper Text Markup">HTML</abbr></pre>',
+      '</template>'
+    ].join('\n'));
+    fs.writeFileSync(path.join(testRoot, 'Profile.jsx'), 'export const Profile = () => <img alt="Profile picture" title={name} />;\n');
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper());
+      const findings = suppressConsoleOutput(() => testHelper.checkHardcodedStrings(testRoot, { extensions: ['.vue', '.jsx'] }));
+      assert.deepStrictEqual(findings.map(finding => [finding.file, finding.line, finding.column, finding.attribute, finding.text]), [
+        ['Form.vue', 2, 23, 'placeholder', 'Your email address'],
+        ['Form.vue', 4, 12, 'label', 'Save changes'],
+        ['Form.vue', 7, 59, 'aria-label', 'Search the site'],
+        ['Profile.jsx', 1, 40, 'alt', 'Profile picture']
+      ]);
+      assert.ok(findings.every(finding => finding.category === 'attribute'));
+
+      // The list of attributes is configurable
+      const custom = suppressConsoleOutput(() => testHelper.checkHardcodedStrings(testRoot, { extensions: ['.vue'], attributes: ['icon'] }));
+      assert.deepStrictEqual(custom.map(finding => finding.text), ['pi pi-check']);
+    } finally {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+  });
+
+  test('should find translation keys in Svelte, Astro and Angular files', () => {
+    const testRoot = path.join(__dirname, 'framework-keys-test');
+    const testLocalesDir = path.join(testRoot, 'locales');
+    const srcDir = path.join(testRoot, 'src');
+
+    if (fs.existsSync(testRoot)) {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+    fs.mkdirSync(testLocalesDir, { recursive: true });
+    fs.mkdirSync(srcDir, { recursive: true });
+    fs.writeFileSync(path.join(testLocalesDir, 'en.json'), JSON.stringify({
+      cart: { title: 'Cart', empty: 'Empty', checkout: 'Checkout' },
+      news: { title: 'News', heading: 'Latest' },
+      home: { title: 'Home', welcome: 'Welcome', close: 'Close' },
+      errors: { network: 'Network error' },
+      profile: { title: 'Profile', saved: 'Saved', avatar: 'Avatar' },
+      legacy: 'Old'
+    }, null, 2));
+    fs.writeFileSync(path.join(srcDir, 'Cart.svelte'), [
+      '<script>',
+      '  const title = $_(\'cart.title\');',
+      '</script>',
+      '{#if items.length === 0}',
+      '  <p>{$_(\'cart.empty\')}</p>',
+      '{/if}',
+      '<Button label={$_(\'cart.checkout\')} title="{$_(\'cart.missing\')}" />'
+    ].join('\n'));
+    fs.writeFileSync(path.join(srcDir, 'news.astro'), [
+      '---',
+      'const title = t(\'news.title\');',
+      '---',
+      '<h1>{t(\'news.heading\')}</h1>'
+    ].join('\n'));
+    fs.writeFileSync(path.join(srcDir, 'home.component.html'), [
+      '<h1>{{ \'home.title\' | translate }}</h1>',
+      '<span translate>home.welcome</span>',
+      '<button [title]="\'home.close\' | translate">{{ (\'errors.\' + code) | translate }}</button>',
+      '<p>{{ \'home.gone\' | translate }}</p>'
+    ].join('\n'));
+    fs.writeFileSync(path.join(srcDir, 'profile.component.ts'), [
+      '@Component({',
+      '  selector: \'app-profile\',',
+      '  template: `',
+      '    <h1>{{ \'profile.title\' | translate }}</h1>',
+      '    <img i18n-alt="Profile picture@@profile.avatar" alt="Avatar">',
+      '    <p i18n="User-facing|Shown after saving@@profile.unknown">Gone</p>',
+      '  `',
+      '})',
+      'export class ProfileComponent {',
+      '  save() {',
+      '    this.toast.show(this.translate.instant(\'profile.saved\'));',
+      '  }',
+      '}'
+    ].join('\n'));
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir));
+
+      const missing = suppressConsoleOutput(() => testHelper.checkMissingTranslations(srcDir));
+      assert.deepStrictEqual(missing.missingUsages.map(usage => [usage.key, usage.file, usage.line]), [
+        ['cart.missing', 'Cart.svelte', 7],
+        ['home.gone', 'home.component.html', 4],
+        ['profile.unknown', 'profile.component.ts', 6]
+      ]);
+      assert.deepStrictEqual(missing.dynamicKeys.map(usage => [usage.pattern, usage.matches]), [['errors.*', 1]]);
+
+      const unused = suppressConsoleOutput(() => testHelper.findUnusedKeys(srcDir));
+      assert.deepStrictEqual(unused.unusedKeys, ['legacy']);
+    } finally {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+  });
+
+  test('should read other file types with the helper\'s own extractors', () => {
+    const testRoot = path.join(__dirname, 'extractor-keys-test');
+    const testLocalesDir = path.join(testRoot, 'locales');
+    const srcDir = path.join(testRoot, 'src');
+
+    if (fs.existsSync(testRoot)) {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+    fs.mkdirSync(testLocalesDir, { recursive: true });
+    fs.mkdirSync(srcDir, { recursive: true });
+    fs.writeFileSync(path.join(testLocalesDir, 'en.json'), JSON.stringify({
+      docs: { title: 'Docs', intro: 'Intro' },
+      widget: { label: 'Widget' },
+      legacy: 'Old'
+    }, null, 2));
+    fs.writeFileSync(path.join(srcDir, 'widget.webc'), '<button [title]="\'widget.label\' | translate">Open the widget</button>\n');
+    fs.writeFileSync(path.join(srcDir, 'guide.md'), [
+      '# {% t "docs.title" %}',
+      '<script>t(\'docs.intro\')</script>'
+    ].join('\n'));
+
+    const extractors = [
+      {
+        name: 'webc',
+        extensions: ['.WEBC'],
+        regions: source => [{ type: 'markup', syntax: 'angular', start: 0, end: source.length }]
+      },
+      {
+        name: 'markdown',
+        extensions: ['.md'],
+        // {% t "key" %} shortcodes, and calls in <script> elements
+        extract: (source, reader) => {
+          const shortcodes = [...source.matchAll(/\{% t "([^"]+)" %\}/g)].map(match => {
+            const start = match.index + match[0].indexOf('"') + 1;
+            return { key: match[1], start, end: start + match[1].length };
+          });
+          const script = /<script>([\s\S]*?)<\/script>/.exec(source);
+          const scriptStart = script.index + '<script>'.length;
+          return [...shortcodes, ...reader.script(scriptStart, scriptStart + script[1].length)];
+        }
+      }
+    ];
+    const options = { extensions: ['.webc', '.md'] };
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir, { extractors }));
+      const unused = suppressConsoleOutput(() => testHelper.findUnusedKeys(srcDir, options));
+      assert.deepStrictEqual(unused.unusedKeys, ['legacy']);
+
+      const findings = suppressConsoleOutput(() => testHelper.checkHardcodedStrings(srcDir, { extensions: ['.webc'] }));
+      assert.deepStrictEqual(findings.map(finding => [finding.file, finding.text]), [['widget.webc', 'Open the widget']]);
+
+      // Extractors belong to the helper they were given to
+      const plainHelper = suppressConsoleOutput(() => new I18nHelper(testLocalesDir));
+      const plainUnused = suppressConsoleOutput(() => plainHelper.findUnusedKeys(srcDir, options));
+      assert.ok(plainUnused.unusedKeys.includes('docs.title'));
+
+      assert.throws(() => new I18nHelper(testLocalesDir, { extractors: [{ name: 'txt', extensions: ['.txt'] }] }), TypeError);
+      assert.throws(() => new I18nHelper(testLocalesDir, { extractors: [{ ...extractors[0], syntax: 'jinja' }] }), /Unknown template syntax "jinja"/);
+    } finally {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+  });
+
+  test('should scan Svelte, Astro and Angular markup for hardcoded strings', () => {
+    const testRoot = path.join(__dirname, 'framework-scan-test');
+
+    if (fs.existsSync(testRoot)) {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+    fs.mkdirSync(testRoot, { recursive: true });
+    fs.writeFileSync(path.join(testRoot, 'Cart.svelte'), [
+      '<script>',
+      '  const error = "Something went wrong";',
+      '</script>',
+      '{#if empty}',
+      '  Your cart is empty',
+      '{:else}',
+      '  <p>Hello {name}, welcome back</p>',
+      '{/if}',
+      '<input placeholder="Search products" title={label}>',
+      '<style>',
+      '  .note::before { content: "Hello there friend"; }',
+      '</style>'
+    ].join('\n'));
+    fs.writeFileSync(path.join(testRoot, 'news.astro'), [
+      '---',
+      'const items = await getItems();',
+      '---',
+      '<Layout>',
+      '  <p>Read all about it</p>',
+      '  {items.map(item => <li>{item.name}</li>)}',
+      '</Layout>'
+    ].join('\n'));
+    fs.writeFileSync(path.join(testRoot, 'home.component.html'), [
+      '<h1>{{ \'home.title\' | translate }}</h1>',
+      '<p i18n>Already marked for translation</p>',
+      '<img alt="Company logo" i18n-alt>',
+      '<button title="Close dialog">Close this dialog</button>'
+    ].join('\n'));
+
+    try {
+      const testHelper = suppressConsoleOutput(() => new I18nHelper());
+      const findings = suppressConsoleOutput(() => testHelper.checkHardcodedStrings(testRoot));
+
+      assert.deepStrictEqual(findings.map(finding => [finding.file, finding.line, finding.column, finding.text]), [
+        ['Cart.svelte', 2, 17, 'Something went wrong'],
+        ['Cart.svelte', 5, 3, 'Your cart is empty'],
+        ['Cart.svelte', 9, 21, 'Search products'],
+        ['home.component.html', 4, 16, 'Close dialog'],
+        ['home.component.html', 4, 30, 'Close this dialog'],
+        ['news.astro', 5, 6, 'Read all about it']
+      ]);
+    } finally {
+      fs.rmSync(testRoot, { recursive: true });
+    }
+  });
+
   // Cleanup after all tests
   test('cleanup', () => {
     cleanupTestFiles();
@@ -130,6 +130,33 @@ describe('CLI Commands', () => {
     }
   });
 
+  test('should delete a key, with a dry run first', async () => {
+    cleanupTestFiles();
+    setupTestFiles();
+
+    const { stdout: preview } = await execAsync(`node ${cliPath} delete navigation.about --dry-run --dir ${localesDir}`);
+    assert.ok(preview.includes('en-US: would remove navigation.about = "About"'));
+    assert.ok(JSON.parse(fs.readFileSync(path.join(localesDir, 'en-US.json'), 'utf8')).navigation.about);
+
+    await execAsync(`node ${cliPath} remove navigation.about --locales en-US --dir ${localesDir}`);
+    const content = JSON.parse(fs.readFileSync(path.join(localesDir, 'en-US.json'), 'utf8'));
+    assert.deepStrictEqual(content.navigation, { home: 'Home' });
+  });
+
+  test('should read defaults from the config file, with flags winning', async () => {
+    cleanupTestFiles();
+    setupTestFiles();
+    const projectDir = path.join(testDir, 'project');
+    fs.mkdirSync(path.join(projectDir, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, 'vibei18n.config.json'), JSON.stringify({ localesDir: '../locales' }));
+
+    const { stdout } = await execAsync(`node ${cliPath} get en-US common.loading`, { cwd: path.join(projectDir, 'src') });
+    assert.ok(stdout.includes('Loading...'));
+
+    const { stdout: flagged } = await execAsync(`node ${cliPath} get en-US common.loading --dir ./missing`, { cwd: projectDir });
+    assert.ok(flagged.includes('Not found'));
+  });
+
   test('should get all translations for a path', async () => {
     setupTestFiles(); // Ensure test files exist
     const { stdout } = await execAsync(`node ${cliPath} getAll common.loading --dir ${localesDir}`);
@@ -169,6 +196,126 @@ describe('CLI Commands', () => {
     assert.ok(stdout.includes('Summary:'));
   });
 
+  test('should print only the result envelope with --json', async () => {
+    setupTestFiles(); // Ensure test files exist
+    fs.writeFileSync(path.join(localesDir, 'fr.json'), JSON.stringify({ common: { loading: 'Chargement...' } }));
+
+    const { stdout, stderr } = await execAsync(`node ${cliPath} check --json --dir ${localesDir}`);
+    const output = JSON.parse(stdout);
+    assert.strictEqual(output.schemaVersion, 1);
+    assert.strictEqual(output.command, 'check');
+    assert.deepStrictEqual(output.result.locales.fr.missingPaths, ['common.error', 'navigation.home', 'navigation.about']);
+    assert.ok(stderr.includes('Checking translation completeness'));
+
+    // Failing commands still print their result, and aliases report the command name
+    try {
+      await execAsync(`node ${cliPath} remove common.unknown --json --dir ${localesDir}`);
+      assert.fail('Should have thrown an error');
+    } catch (error) {
+      assert.strictEqual(error.code, 1);
+      const failed = JSON.parse(error.stdout);
+      assert.strictEqual(failed.command, 'delete');
+      assert.strictEqual(failed.result.fr.removed, false);
+    }
+  });
+
+  test('should exit with the code of the failed CI gate', async () => {
+    setupTestFiles(); // Ensure test files exist
+    fs.writeFileSync(path.join(localesDir, 'fr.json'), JSON.stringify({ common: { loading: 'Chargement...', error: 'Erreur' }, navigation: { home: 'Accueil' } }));
+    const srcDir = path.join(testDir, 'src');
+    fs.mkdirSync(srcDir, { recursive: true });
+    fs.writeFileSync(path.join(srcDir, 'Home.vue'), '<template>\n  <h1>Welcome to our site</h1>\n</template>\n');
+
+    // fr has 3 of 4 keys (75%)
+    const { stdout } = await execAsync(`node ${cliPath} check --min-coverage 75 --dir ${localesDir}`);
+    assert.ok(stdout.trim().endsWith('✅ vibei18n check passed: coverage ok (lowest 75.0%)'));
+
+    const gates = [
+      [`check --fail-on-missing --min-coverage 80`, 2, 'missing FAILED (1 key missing in fr); coverage FAILED (fr 75.0% < 80%)'],
+      [`stats --min-coverage 90,fr=80`, 3, 'coverage FAILED (fr 75.0% < 80%)'],
+      [`hardcode-check ${srcDir} --max-hardcoded 0 --severity high`, 5, 'hardcoded FAILED (1 high+ string, max 0)']
+    ];
+    for (const [args, code, summary] of gates) {
+      try {
+        await execAsync(`node ${cliPath} ${args} --dir ${localesDir}`);
+        assert.fail(`${args} should have failed`);
+      } catch (error) {
+        assert.strictEqual(error.code, code, args);
+        assert.ok(error.stdout.trim().endsWith(summary), error.stdout);
+      }
+    }
+  });
+
+  test('should annotate missing keys where they are used', async () => {
+    setupTestFiles(); // Ensure test files exist
+    const srcDir = path.join(testDir, 'src');
+    fs.mkdirSync(srcDir, { recursive: true });
+    fs.writeFileSync(path.join(srcDir, 'Nav.vue'), '<template>\n  <a>{{ $t(\'navigation.home\') }}</a>\n  <a>{{ $t(\'navigation.blog\') }}</a>\n</template>\n');
+
+    try {
+      await execAsync(`node ${cliPath} missing-translations ${srcDir} --format github --dir ${localesDir}`, { cwd: testDir });
+      assert.fail('Should have thrown an error');
+    } catch (error) {
+      assert.strictEqual(error.code, 1);
+      assert.strictEqual(error.stdout, '::error file=src/Nav.vue,line=3,col=9,title=MissingTranslation::Translation key "navigation.blog" is missing from the base locale (en-US)\n');
+      assert.ok(error.stderr.includes('MISSING TRANSLATIONS REPORT'));
+    }
+
+    // Without a base locale nothing is checked: an empty log with the error, and a failing exit code
+    const emptyLocalesDir = path.join(testDir, 'empty-locales');
+    fs.mkdirSync(emptyLocalesDir, { recursive: true });
+    try {
+      await execAsync(`node ${cliPath} missing-translations ${srcDir} --format sarif --dir ${emptyLocalesDir}`, { cwd: testDir });
+      assert.fail('Should have thrown an error');
+    } catch (error) {
+      assert.strictEqual(error.code, 1);
+      const [run] = JSON.parse(error.stdout).runs;
+      assert.deepStrictEqual(run.results, []);
+      assert.strictEqual(run.invocations[0].executionSuccessful, false);
+      assert.strictEqual(run.invocations[0].toolExecutionNotifications[0].message.text,
+        'Translation keys could not be checked: the base locale was not found');
+    }
+  });
+
+  test('should fail on a scan directory that does not exist', async () => {
+    setupTestFiles(); // Ensure test files exist
+    const typoDir = path.join(testDir, 'scr');
+
+    try {
+      await execAsync(`node ${cliPath} hardcode-check ${typoDir} --max-hardcoded 0 --dir ${localesDir}`);
+      assert.fail('Should have thrown an error');
+    } catch (error) {
+      assert.strictEqual(error.code, 1);
+      assert.ok(error.stderr.includes(`Cannot scan ${typoDir}: no such directory`), error.stderr);
+    }
+
+    try {
+      await execAsync(`node ${cliPath} missing-translations ${typoDir} --format sarif --dir ${localesDir}`);
+      assert.fail('Should have thrown an error');
+    } catch (error) {
+      assert.strictEqual(error.code, 1);
+      const [run] = JSON.parse(error.stdout).runs;
+      assert.strictEqual(run.invocations[0].executionSuccessful, false);
+    }
+
+    try {
+      await execAsync(`node ${cliPath} check --fail-on-unused ${typoDir} --dir ${localesDir}`);
+      assert.fail('Should have thrown an error');
+    } catch (error) {
+      assert.strictEqual(error.code, 1);
+      assert.ok(error.stderr.includes('Cannot scan'), error.stderr);
+    }
+
+    // Gate flags of other commands are rejected rather than ignored
+    try {
+      await execAsync(`node ${cliPath} hardcode-check ${testDir} --min-coverage 90 --dir ${localesDir}`);
+      assert.fail('Should have thrown an error');
+    } catch (error) {
+      assert.strictEqual(error.code, 1);
+      assert.ok(error.stderr.includes('--fail-on-missing and --min-coverage only apply to stats and check'), error.stderr);
+    }
+  });
+
   test('should handle unknown command gracefully', async () => {
     try {
       await execAsync(`node ${cliPath} unknowncommand --dir ${localesDir}`);
@@ -185,6 +332,20 @@ describe('CLI Commands', () => {
     } catch (error) {
       assert.ok(error.stderr.includes('Usage:') || error.stdout.includes('Usage:'));
     }
+
+    // With --json, usage errors are reported in the envelope
+    try {
+      await execAsync(`node ${cliPath} get --json --dir ${localesDir}`);
+      assert.fail('Should have thrown an error');
+    } catch (error) {
+      assert.strictEqual(error.code, 1);
+      assert.deepStrictEqual(JSON.parse(error.stdout), {
+        schemaVersion: 1,
+        command: 'get',
+        result: null,
+        error: { message: 'Usage: npx vibei18n get <locale> <path>' }
+      });
+    }
   });
 
   // Cleanup after tests
@@ -0,0 +1,459 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  parseYaml, stringifyYaml, readYamlComments, parseJsModule, updateJsModule, parsePo, stringifyPo, parseXliff, stringifyXliff, parseCsv, stringifyCsv,
+  parseAndroidStrings, stringifyAndroidStrings, androidQualifier, localeFromAndroidDir,
+  parseStrings, stringifyStrings, parseStringsdict, stringifyStringsdict, parseArb, stringifyArb,
+  hardcodedStringIssues, missingTranslationIssues, stringifySarif, stringifyGithubAnnotations
+} from '../src/formats/index.js';
+
+describe('YAML format', () => {
+  test('should parse the YAML features used by locale files', () => {
+    const source = [
+      '# Comment',
+      'common:',
+      '  loading: Loading...',
+      '  error: "An \\"error\\" occurred\\n"',
+      "  quote: 'It''s fine'  # trailing comment",
+      '  count: 3',
+      '  enabled: true',
+      '  empty:',
+      '  literal: |',
+      '    Line one',
+      '    Line two',
+      '  folded: >-',
+      '    Folded',
+      '    text',
+      'items:',
+      '- one',
+      '- name: two',
+      '  value: 2',
+      'flow: { a: 1, b: [x, "y z"] }',
+      ''
+    ].join('\n');
+
+    assert.deepStrictEqual(parseYaml(source), {
+      common: {
+        loading: 'Loading...',
+        error: 'An "error" occurred\n',
+        quote: "It's fine",
+        count: 3,
+        enabled: true,
+        empty: null,
+        literal: 'Line one\nLine two\n',
+        folded: 'Folded text'
+      },
+      items: ['one', { name: 'two', value: 2 }],
+      flow: { a: 1, b: ['x', 'y z'] }
+    });
+  });
+
+  test('should reject unsupported or malformed YAML', () => {
+    assert.throws(() => parseYaml('a: &ref 1\nb: *ref\n'), /Anchors and aliases/);
+    assert.throws(() => parseYaml('a: 1\na: 2\n'), /Duplicate key "a"/);
+    assert.throws(() => parseYaml('a: "open\n'), /Unterminated quoted string/);
+    assert.throws(() => parseYaml('a: 1\n---\nb: 2\n'), /Multiple YAML documents/);
+  });
+
+  test('should round-trip values that need quoting', () => {
+    const data = {
+      empty: '',
+      bool: 'true',
+      number: '123',
+      padded: ' padded ',
+      colon: 'Note: read this',
+      hash: 'Item #1 is #1',
+      dash: '- not a list',
+      multiline: 'First\nSecond\n',
+      stripped: 'First\nSecond',
+      'key: with colon': 'value',
+      nested: { list: [['a', 'b'], { c: 'd' }], none: null, emptyObject: {}, emptyList: [] }
+    };
+
+    const yaml = stringifyYaml(data);
+    assert.ok(yaml.endsWith('\n'));
+    assert.ok(yaml.includes('multiline: |\n  First\n  Second\n'));
+    assert.deepStrictEqual(parseYaml(yaml), data);
+  });
+
+  test('should quote strings that YAML 1.1 reads as booleans or null', () => {
+    const data = { no: 'No', yes: 'yes', on: 'ON', off: 'Off', y: 'y', n: 'N', tilde: '~', nil: 'NULL', answer: 'Nope' };
+    const yaml = stringifyYaml(data);
+
+    assert.ok(yaml.includes('"no": "No"\n'));
+    assert.ok(yaml.includes('"on": "ON"\n'));
+    assert.ok(yaml.includes('"y": "y"\n'));
+    assert.ok(yaml.includes('tilde: "~"\n'));
+    assert.ok(yaml.includes('answer: Nope\n'));
+    assert.deepStrictEqual(parseYaml(yaml), data);
+  });
+
+  test('should write back the comments of the entries that remain', () => {
+    const source = [
+      '# Messages for the storefront',
+      '',
+      'en:',
+      '  # Shown in the header',
+      '  title: Shop # keep it short',
+      '  cart:',
+      '    # Plural forms',
+      '    items: "{count} items"  # ICU',
+      '    note: |',
+      '      # not a comment',
+      '  # Removed soon',
+      '  legacy: Old',
+      '# The end'
+    ].join('\n');
+
+    const comments = readYamlComments(source);
+    const data = { en: { title: 'Store', cart: { items: '{count} items', note: '# not a comment\n', total: 'Total' } } };
+    assert.strictEqual(stringifyYaml(data, { comments }), [
+      '# Messages for the storefront',
+      '',
+      'en:',
+      '  # Shown in the header',
+      '  title: Store # keep it short',
+      '  cart:',
+      '    # Plural forms',
+      '    items: "{count} items" # ICU',
+      '    note: |',
+      '      # not a comment',
+      '    total: Total',
+      '# The end',
+      ''
+    ].join('\n'));
+    assert.strictEqual(readYamlComments('a: [unclosed'), null);
+  });
+});
+
+describe('JS locale modules', () => {
+  test('should parse the common locale module shapes', () => {
+    assert.deepStrictEqual(parseJsModule("module.exports = { a: 'x', 'b-c': \"y\", };"), { a: 'x', 'b-c': 'y' });
+    assert.deepStrictEqual(parseJsModule([
+      "import { defineI18nLocale } from '#i18n'",
+      '/* generated */',
+      'export default defineI18nLocale(async locale => {',
+      "  return { hello: `Hi`, count: 2, nested: { ok: true } }",
+      '})'
+    ].join('\n')), { hello: 'Hi', count: 2, nested: { ok: true } });
+    assert.deepStrictEqual(parseJsModule([
+      'const messages: Messages = {',
+      "  title: 'Title',",
+      '  plural: (ctx) => ctx.named("n"),',
+      '  ...shared',
+      '} as const',
+      'export default messages'
+    ].join('\n')), { title: 'Title' });
+
+    assert.throws(() => parseJsModule('const a = 1;'), /Could not find/);
+  });
+
+  test('should patch modules without disturbing untouched code', () => {
+    const source = [
+      'export default {',
+      '  // Greeting',
+      "  hello: 'Hello',",
+      "  bye: 'Bye',",
+      '  format: (ctx) => ctx.named("x")',
+      '}',
+      ''
+    ].join('\n');
+
+    assert.strictEqual(updateJsModule(source, { hello: 'Hi', extra: "It's here" }), [
+      'export default {',
+      '  // Greeting',
+      "  hello: 'Hi',",
+      '  format: (ctx) => ctx.named("x"),',
+      '  extra: "It\'s here"',
+      '}',
+      ''
+    ].join('\n'));
+  });
+});
+
+describe('Gettext PO format', () => {
+  test('should parse entries, flags, plurals and obsolete entries', () => {
+    const { headers, entries } = parsePo([
+      'msgid ""',
+      'msgstr ""',
+      '"Language: fr_FR\\n"',
+      '"Content-Type: text/plain; charset=UTF-8\\n"',
+      '',
+      '#. Shown on the home page',
+      '#, fuzzy, c-format',
+      'msgctxt "home.title"',
+      'msgid "Welcome"',
+      'msgstr "Bienvenue"',
+      '',
+      'msgctxt "home.body"',
+      'msgid ""',
+      '"Line one\\n"',
+      '"Say \\"hi\\""',
+      'msgstr "Ligne un\\nDites \\"salut\\""',
+      'msgid "file"',
+      'msgid_plural "files"',
+      'msgstr[0] "fichier"',
+      'msgstr[1] "fichiers"',
+      '',
+      '#~ msgctxt "old.key"',
+      '#~ msgid "Old"',
+      '#~ msgstr "Ancien"',
+      ''
+    ].join('\n'));
+
+    assert.deepStrictEqual(headers, { Language: 'fr_FR', 'Content-Type': 'text/plain; charset=UTF-8' });
+    assert.strictEqual(entries.length, 4);
+    assert.deepStrictEqual(entries[0].flags, ['fuzzy', 'c-format']);
+    assert.deepStrictEqual(entries[0].comments, ['Shown on the home page']);
+    assert.strictEqual(entries[1].msgid, 'Line one\nSay "hi"');
+    assert.strictEqual(entries[1].msgstr, 'Ligne un\nDites "salut"');
+    assert.deepStrictEqual(entries[2].msgstr, ['fichier', 'fichiers']);
+    assert.strictEqual(entries[3].obsolete, true);
+    assert.strictEqual(entries[3].msgctxt, 'old.key');
+
+    assert.throws(() => parsePo('msgid "a"\nmsgstr "b'), /line 2/);
+  });
+
+  test('should write entries that parse back unchanged', () => {
+    const source = stringifyPo([
+      { msgctxt: 'a.b', msgid: 'Two\nlines', msgstr: 'Deux\nlignes', flags: ['fuzzy'] },
+      { msgctxt: 'a.c', msgid: 'Tab\tand \\ backslash', msgstr: '' }
+    ], { Language: 'fr' });
+
+    assert.ok(source.startsWith('msgid ""\nmsgstr ""\n"Language: fr\\n"\n\n'));
+    assert.ok(source.includes('msgid ""\n"Two\\n"\n"lines"\n'));
+
+    const { headers, entries } = parsePo(source);
+    assert.deepStrictEqual(headers, { Language: 'fr' });
+    assert.deepStrictEqual(entries.map(({ msgctxt, msgid, msgstr, flags }) => ({ msgctxt, msgid, msgstr, flags })), [
+      { msgctxt: 'a.b', msgid: 'Two\nlines', msgstr: 'Deux\nlignes', flags: ['fuzzy'] },
+      { msgctxt: 'a.c', msgid: 'Tab\tand \\ backslash', msgstr: '', flags: [] }
+    ]);
+  });
+});
+
+describe('XLIFF format', () => {
+  test('should read XLIFF 1.2 and 2.0 units with normalized states', () => {
+    const v12 = parseXliff([
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+      '  <file source-language="en" target-language="fr" datatype="plaintext" original="app">',
+      '    <body>',
+      '      <group id="common">',
+      '        <trans-unit id="1" resname="common.save">',
+      '          <source>Save &amp; close</source>',
+      '          <target state="signed-off">Enregistrer &amp; fermer</target>',
+      '        </trans-unit>',
+      '      </group>',
+      '      <trans-unit id="home.title"><source>Welcome</source><target state="needs-translation"/></trans-unit>',
+      '      <trans-unit id="home.body"><source>Hi <g id="b">there</g></source><target><![CDATA[Salut <3]]></target></trans-unit>',
+      '    </body>',
+      '  </file>',
+      '</xliff>'
+    ].join('\n'));
+
+    assert.strictEqual(v12.version, '1.2');
+    assert.strictEqual(v12.targetLanguage, 'fr');
+    assert.deepStrictEqual(v12.units.map(({ id, source, target, state }) => ({ id, source, target, state })), [
+      { id: 'common.save', source: 'Save & close', target: 'Enregistrer & fermer', state: 'final' },
+      { id: 'home.title', source: 'Welcome', target: '', state: 'new' },
+      { id: 'home.body', source: 'Hi there', target: 'Salut <3', state: 'translated' }
+    ]);
+
+    const v20 = parseXliff([
+      '<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="de">',
+      '  <file id="f1">',
+      '    <unit id="a.b">',
+      '      <segment state="reviewed"><source>One. </source><target>Eins. </target></segment>',
+      '      <segment state="final"><source>Two.</source><target>Zwei.</target></segment>',
+      '    </unit>',
+      '    <unit id="a.c"><segment><source>New</source></segment></unit>',
+      '  </file>',
+      '</xliff>'
+    ].join('\n'));
+
+    assert.strictEqual(v20.targetLanguage, 'de');
+    assert.deepStrictEqual(v20.units.map(({ id, target, state }) => ({ id, target, state })), [
+      { id: 'a.b', target: 'Eins. Zwei.', state: 'translated' },
+      { id: 'a.c', target: null, state: 'new' }
+    ]);
+
+    assert.throws(() => parseXliff('<xliff version="1.2"><file><body></file></xliff>'), /closing tag <\/file>.*line 1/);
+  });
+
+  test('should write documents that read back unchanged', () => {
+    const units = [
+      { id: 'a.b', source: 'Tom & "Jerry" <3', target: 'Tom & « Jerry »', state: 'final' },
+      { id: 'a.c', source: 'New', target: null, state: 'new' }
+    ];
+
+    for (const version of ['1.2', '2.0']) {
+      const source = stringifyXliff(units, { version, sourceLanguage: 'en', targetLanguage: 'fr' });
+      const parsed = parseXliff(source);
+      assert.strictEqual(parsed.version, version);
+      assert.strictEqual(parsed.sourceLanguage, 'en');
+      assert.deepStrictEqual(parsed.units.map(({ id, source: text, state }) => ({ id, source: text, state })), [
+        { id: 'a.b', source: 'Tom & "Jerry" <3', state: 'final' },
+        { id: 'a.c', source: 'New', state: 'new' }
+      ]);
+      assert.strictEqual(parsed.units[0].target, 'Tom & « Jerry »');
+    }
+
+    assert.ok(stringifyXliff(units, { version: '2.0' }).includes('<segment state="initial">'));
+  });
+});
+
+describe('CSV format', () => {
+  test('should parse spreadsheet exports', () => {
+    const rows = parseCsv('\ufeffkey,en,fr\r\nhome.title,"Hello, ""world""","Bonjour,\r\nle monde"\r\nhome.empty,,\r\n\r\n');
+    assert.deepStrictEqual(rows, [
+      ['key', 'en', 'fr'],
+      ['home.title', 'Hello, "world"', 'Bonjour,\nle monde'],
+      ['home.empty', '', '']
+    ]);
+
+    // Semicolon-separated files, as Excel writes them in many locales
+    assert.deepStrictEqual(parseCsv('key;en\na.b;"x;y"'), [['key', 'en'], ['a.b', 'x;y']]);
+    assert.throws(() => parseCsv('key,en\na,"open'), /Unterminated quoted cell \(line 2\)/);
+  });
+
+  test('should write CSV that parses back unchanged', () => {
+    const rows = [['key', 'en'], ['a', 'plain'], ['b', 'two\nlines, "quoted"'], ['c', ' padded ']];
+    const source = stringifyCsv(rows);
+    assert.ok(source.startsWith('\ufeffkey,en\r\na,plain\r\n'));
+    assert.deepStrictEqual(parseCsv(source), rows);
+  });
+});
+
+describe('Mobile formats', () => {
+  const resources = [
+    { name: 'title', value: "It's \"quoted\" & <b>" },
+    { name: 'intro', value: '  two  spaces\nnext line' },
+    { name: 'items', plural: { one: '{count} item', other: '{count} items' } }
+  ];
+  const strip = list => list.map(({ name, value, plural }) => (plural ? { name, plural } : { name, value }));
+
+  test('should round-trip Android string resources', () => {
+    const source = stringifyAndroidStrings(resources);
+    assert.ok(source.includes('<string name="title">It\\\'s \\"quoted\\" &amp; &lt;b&gt;</string>'));
+    assert.ok(source.includes('<item quantity="one">{count} item</item>'));
+    assert.deepStrictEqual(strip(parseAndroidStrings(source)), resources);
+
+    // aapt rules: unquoted whitespace collapses, quoted whitespace is kept
+    assert.deepStrictEqual(strip(parseAndroidStrings([
+      '<resources>',
+      '  <string name="a">  Hello\n   <b>world</b> </string>',
+      '  <string name="b">"  kept  "</string>',
+      '  <string name="c" translatable="false">App</string>',
+      '</resources>'
+    ].join('\n'))), [{ name: 'a', value: 'Hello world' }, { name: 'b', value: '  kept  ' }]);
+
+    assert.strictEqual(androidQualifier('fr-FR'), 'fr-rFR');
+    assert.strictEqual(androidQualifier('zh-hans'), 'b+zh+Hans');
+    assert.strictEqual(localeFromAndroidDir('values-fr-rFR'), 'fr-FR');
+    assert.strictEqual(localeFromAndroidDir('values-b+zh+Hans'), 'zh-Hans');
+    assert.strictEqual(localeFromAndroidDir('values'), null);
+  });
+
+  test('should round-trip iOS .strings and .stringsdict files', () => {
+    const strings = resources.filter(resource => !resource.plural);
+    assert.deepStrictEqual(strip(parseStrings(stringifyStrings(strings))), strings);
+    assert.deepStrictEqual(strip(parseStrings('/* Title */\n"a" = "A\\U00e9";\n// note\nb = "B";\n')), [
+      { name: 'a', value: 'A\u00e9' },
+      { name: 'b', value: 'B' }
+    ]);
+    assert.throws(() => parseStrings('"a" = "A"\n"b" = "B";'), /Expected ";" \(line 2\)/);
+
+    const plurals = resources.filter(resource => resource.plural);
+    assert.deepStrictEqual(parseStringsdict(stringifyStringsdict(plurals)), plurals);
+
+    // Text around the plural variable is expanded into every form
+    const [files] = parseStringsdict(stringifyStringsdict([{ name: 'files', plural: { one: 'one file', other: '%d files' } }])
+      .replace('<string>%#@count@</string>', '<string>Found %#@count@</string>'));
+    assert.deepStrictEqual(files.plural, { one: 'Found one file', other: 'Found %d files' });
+  });
+
+  test('should round-trip Flutter ARB files with ICU plurals', () => {
+    const source = stringifyArb(resources, { locale: 'en', metadata: true });
+    const data = JSON.parse(source);
+    assert.strictEqual(data['@@locale'], 'en');
+    assert.strictEqual(data.items, '{count, plural, one{{count} item} other{{count} items}}');
+    assert.deepStrictEqual(data['@items'], { placeholders: { count: { type: 'num' } } });
+
+    const parsed = parseArb(source);
+    assert.strictEqual(parsed.locale, 'en');
+    assert.deepStrictEqual(parsed.resources, resources);
+
+    assert.deepStrictEqual(parseArb('{"n": "{n, plural, =0{none} =1{one} other{{n} left}}", "s": "{n, plural, other{x}} more"}').resources, [
+      { name: 'n', plural: { zero: 'none', one: 'one', other: '{n} left' } },
+      { name: 's', value: '{n, plural, other{x}} more' }
+    ]);
+  });
+});
+
+describe('Report formats', () => {
+  const issues = [
+    ...hardcodedStringIssues([
+      { file: 'components/Nav.vue', line: 4, column: 7, text: 'Hello, world: 100%', category: 'template-content', severity: 'high' },
+      { file: 'main.js', line: 2, column: 1, text: 'Loading', category: 'string-literal', severity: 'low' }
+    ], { baseDir: '/project/src', root: '/project' }),
+    ...missingTranslationIssues([{ key: 'nav.home', file: 'components/Nav.vue', line: 9, column: 5 }], {
+      baseDir: '/project/src',
+      root: '/project',
+      baseLocale: 'en'
+    })
+  ];
+
+  test('should write SARIF 2.1.0 results with rules and locations', () => {
+    const sarif = JSON.parse(stringifySarif(issues, { version: '1.2.3' }));
+    assert.strictEqual(sarif.version, '2.1.0');
+    const [run] = sarif.runs;
+    assert.strictEqual(run.tool.driver.version, '1.2.3');
+    assert.deepStrictEqual(run.tool.driver.rules.map(rule => rule.id), ['hardcoded-string', 'missing-translation']);
+
+    assert.deepStrictEqual(run.results.map(result => [result.ruleIndex, result.level]), [[0, 'warning'], [0, 'note'], [1, 'error']]);
+    assert.deepStrictEqual(run.results[2].message.text, 'Translation key "nav.home" is missing from the base locale (en)');
+    assert.deepStrictEqual(run.results[0].locations[0].physicalLocation, {
+      artifactLocation: { uri: 'src/components/Nav.vue' },
+      region: { startLine: 4, startColumn: 7 }
+    });
+    assert.deepStrictEqual(run.invocations, [{ executionSuccessful: true }]);
+
+    // A scan that could not run is reported as a failed invocation
+    const failed = JSON.parse(stringifySarif([], { errors: ['Base locale not found'] })).runs[0];
+    assert.deepStrictEqual(failed.results, []);
+    assert.deepStrictEqual(failed.invocations, [{
+      executionSuccessful: false,
+      toolExecutionNotifications: [{ level: 'error', message: { text: 'Base locale not found' } }]
+    }]);
+  });
+
+  test('should write escaped GitHub workflow commands', () => {
+    assert.deepStrictEqual(stringifyGithubAnnotations(issues).split('\n'), [
+      '::warning file=src/components/Nav.vue,line=4,col=7,title=HardcodedString::Hardcoded string "Hello, world: 100%25" (template-content, high severity)',
+      '::notice file=src/main.js,line=2,col=1,title=HardcodedString::Hardcoded string "Loading" (string-literal, low severity)',
+      '::error file=src/components/Nav.vue,line=9,col=5,title=MissingTranslation::Translation key "nav.home" is missing from the base locale (en)',
+      ''
+    ]);
+    assert.strictEqual(stringifyGithubAnnotations([{ ...issues[0], file: 'a,b:c.vue', message: 'x\ny' }]),
+      '::warning file=a%2Cb%3Ac.vue,line=4,col=7,title=HardcodedString::x%0Ay\n');
+    assert.strictEqual(stringifyGithubAnnotations([], { errors: ['Base locale not found'] }), '::error title=vibei18n::Base locale not found\n');
+  });
+
+  test('should report the end of multi-line ranges', () => {
+    const ranged = hardcodedStringIssues([
+      { file: 'App.vue', line: 3, column: 5, endLine: 4, endColumn: 21, text: 'Wrapped text', category: 'template-content', severity: 'high' }
+    ], { baseDir: '/project', root: '/project' });
+    const [result] = JSON.parse(stringifySarif(ranged)).runs[0].results;
+    assert.deepStrictEqual(result.locations[0].physicalLocation.region, { startLine: 3, startColumn: 5, endLine: 4, endColumn: 21 });
+    assert.ok(stringifyGithubAnnotations(ranged).startsWith('::warning file=App.vue,line=3,endLine=4,col=5,endColumn=21,title=HardcodedString::'));
+  });
+
+  test('should describe patterns of keys built at runtime that match nothing', () => {
+    const [issue] = missingTranslationIssues([
+      { pattern: 'status.*', expression: '`status.${state}`', file: 'Badge.vue', line: 3, column: 12 }
+    ], { baseDir: '/project', root: '/project', baseLocale: 'en' });
+    assert.strictEqual(issue.message, 'No key in the base locale (en) matches "status.*", built at runtime by `status.${state}`');
+    assert.strictEqual(issue.file, 'Badge.vue');
+  });
+});